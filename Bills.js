@@ -0,0 +1,537 @@
+// Bills.gs
+/**
+ * Bill calendar and reminders.
+ * Bills live in the Bills sheet with a due-day rule (a first due date repeated on a cadence, counted
+ * the same way as recurring expenses). Unlike a recurring expense, a bill is only logged when someone
+ * marks it paid, so an unpaid bill stays on its due date and shows as overdue. A daily time-driven
+ * trigger emails the household a few days before each due date and records autopay bills on the day.
+ * A payment marked over the approval threshold still moves the bill on to its next due date, but the
+ * expense is held in Expense Approvals like any other large purchase and only logged once it's approved.
+ * Autopay has already taken the money, so each occurrence is logged straight away on its due date.
+ */
+
+/**
+ * Describes a bill's due-day rule, e.g. "Monthly on the 15th".
+ * @param {string} cadence One of CONFIG.BILL_SETTINGS.CADENCES.
+ * @param {Date} firstDue The bill's first due date.
+ * @return {string} A short label for the bill list.
+ */
+function getBillDueRuleLabel(cadence, firstDue) {
+  if (!firstDue) return cadence || "";
+  const timeZone = Session.getScriptTimeZone();
+  const day = firstDue.getDate();
+  const suffix = (day % 100 >= 11 && day % 100 <= 13) ? "th" : ({ 1: "st", 2: "nd", 3: "rd" }[day % 10] || "th");
+
+  switch (cadence) {
+    case 'weekly': return `Weekly on ${Utilities.formatDate(firstDue, timeZone, "EEEE")}`;
+    case 'biweekly': return `Every other ${Utilities.formatDate(firstDue, timeZone, "EEEE")}`;
+    case 'monthly': return `Monthly on the ${day}${suffix}`;
+    case 'quarterly': return `Quarterly on the ${day}${suffix}`;
+    case 'yearly': return `Yearly on ${Utilities.formatDate(firstDue, timeZone, "MMM d")}`;
+    default: return cadence || "";
+  }
+}
+
+/**
+ * Reads Bills rows, optionally limited to one owner.
+ * @param {string|null} householdId Household to filter by (null with no email returns every row).
+ * @param {string|null} email Owner email, used when the caller has no household.
+ * @return {Array<Object>} Bills { rowIndex, id, payee, amount, isEstimate, cadence, firstDue, nextDue, autopay,
+ *   category, householdId, email, isActive, lastPaid, remindDays, lastReminded } with Date values.
+ * @private
+ */
+function _readBillRows(householdId = null, email = null) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.BILLS);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const col = BILL_COLUMNS;
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, Object.keys(col).length).getValues();
+  const isTrue = value => value === true || value === "TRUE" || value === "true";
+  const ymdText = value => value instanceof Date ? formatDateYMD(value) : String(value || "").trim();
+  const bills = [];
+
+  data.forEach((row, index) => {
+    const id = String(row[col.BILL_ID - 1] || "").trim();
+    if (!id) return;
+
+    const rowHouseholdId = row[col.HOUSEHOLD_ID - 1] ? String(row[col.HOUSEHOLD_ID - 1]).trim() : null;
+    const rowEmail = String(row[col.EMAIL - 1] || "").trim();
+    if (householdId && rowHouseholdId !== householdId) return;
+    if (!householdId && email && (rowHouseholdId || rowEmail.toLowerCase() !== email.toLowerCase())) return;
+
+    const remindDaysValue = row[col.REMIND_DAYS - 1];
+    const remindDays = remindDaysValue === "" || remindDaysValue === null || isNaN(Number(remindDaysValue))
+      ? null
+      : Math.max(0, Math.floor(Number(remindDaysValue)));
+
+    bills.push({
+      rowIndex: index + 2,
+      id: id,
+      payee: String(row[col.PAYEE - 1] || "").trim(),
+      amount: Number(row[col.AMOUNT - 1]) || 0,
+      isEstimate: isTrue(row[col.IS_ESTIMATE - 1]),
+      cadence: String(row[col.CADENCE - 1] || "").trim().toLowerCase(),
+      firstDue: parseDateYMD(row[col.FIRST_DUE - 1]),
+      nextDue: parseDateYMD(row[col.NEXT_DUE - 1]),
+      autopay: isTrue(row[col.AUTOPAY - 1]),
+      category: String(row[col.CATEGORY - 1] || "").trim(),
+      householdId: rowHouseholdId,
+      email: rowEmail,
+      isActive: isTrue(row[col.IS_ACTIVE - 1]),
+      lastPaid: ymdText(row[col.LAST_PAID - 1]),
+      remindDays: remindDays,
+      lastReminded: ymdText(row[col.LAST_REMINDED - 1])
+    });
+  });
+
+  return bills;
+}
+
+/**
+ * Converts a bill row to the client-safe form used by the bill list.
+ * @param {Object} bill A bill from _readBillRows.
+ * @param {Date} today Today's date (local midnight).
+ * @return {Object} The bill with yyyy-MM-dd dates, its due rule label, daysUntil and status
+ *   ("overdue", "due" or "paused").
+ * @private
+ */
+function _serializeBill(bill, today) {
+  const daysUntil = bill.nextDue ? daysBetween(today, bill.nextDue) : null;
+  let status = 'due';
+  if (!bill.isActive) {
+    status = 'paused';
+  } else if (daysUntil !== null && daysUntil < 0) {
+    status = 'overdue';
+  }
+
+  return {
+    id: bill.id,
+    payee: bill.payee,
+    amount: bill.amount,
+    isEstimate: bill.isEstimate,
+    cadence: bill.cadence,
+    firstDue: bill.firstDue ? formatDateYMD(bill.firstDue) : "",
+    nextDue: bill.nextDue ? formatDateYMD(bill.nextDue) : "",
+    dueRule: getBillDueRuleLabel(bill.cadence, bill.firstDue),
+    autopay: bill.autopay,
+    category: bill.category,
+    email: bill.email,
+    isActive: bill.isActive,
+    lastPaid: bill.lastPaid,
+    remindDays: bill.remindDays,
+    daysUntil: daysUntil,
+    status: status
+  };
+}
+
+/**
+ * Gets a household's bills as a list plus a month calendar.
+ * Occurrences before a bill's NextDue were paid (or predate the bill); NextDue and later are unpaid.
+ * @param {string|null} householdId The household ID.
+ * @param {string} email The current user's email (owner when there is no household).
+ * @param {string} [month] Calendar month as yyyy-MM (defaults to the current month).
+ * @return {Object} { bills, overdue, upcoming, calendar } where calendar is
+ *   { month, label, prevMonth, nextMonth, firstWeekday, daysInMonth, occurrences }.
+ */
+function readBills(householdId, email, month) {
+  const today = parseDateYMD(new Date());
+  const rows = _readBillRows(householdId, householdId ? null : email)
+    .sort((a, b) => (a.nextDue || 0) - (b.nextDue || 0));
+  const bills = rows.map(bill => _serializeBill(bill, today));
+
+  const overdue = bills.filter(bill => bill.status === 'overdue');
+  const upcoming = bills.filter(bill =>
+    bill.status === 'due' && bill.daysUntil !== null && bill.daysUntil <= CONFIG.BILL_SETTINGS.UPCOMING_DAYS);
+
+  // Calendar month (yyyy-MM); anything unreadable falls back to this month
+  const monthMatch = /^(\d{4})-(\d{2})$/.exec(String(month || ""));
+  const monthStart = monthMatch
+    ? new Date(Number(monthMatch[1]), Number(monthMatch[2]) - 1, 1)
+    : new Date(today.getFullYear(), today.getMonth(), 1);
+  const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0);
+  const monthId = date => formatDateYMD(date).substring(0, 7);
+
+  const occurrences = [];
+  rows.forEach(bill => {
+    if (!bill.isActive || !bill.firstDue || !bill.nextDue) return;
+    if (!CONFIG.BILL_SETTINGS.CADENCES.includes(bill.cadence)) return;
+
+    const lastPaid = parseDateYMD(bill.lastPaid);
+    let due = getNextRecurringDueDate(bill.firstDue, bill.cadence, addDays(monthStart, -1));
+    while (due <= monthEnd) {
+      let status;
+      if (due < bill.nextDue) {
+        status = lastPaid && due <= lastPaid ? 'paid' : null; // Before the bill was tracked
+      } else if (due < today) {
+        status = 'overdue';
+      } else {
+        status = bill.autopay ? 'autopay' : 'due';
+      }
+
+      if (status) {
+        occurrences.push({
+          date: formatDateYMD(due),
+          day: due.getDate(),
+          billId: bill.id,
+          payee: bill.payee,
+          amount: bill.amount,
+          isEstimate: bill.isEstimate,
+          status: status
+        });
+      }
+      due = getNextRecurringDueDate(bill.firstDue, bill.cadence, due);
+    }
+  });
+  occurrences.sort((a, b) => a.day - b.day || a.payee.localeCompare(b.payee));
+
+  return {
+    bills: bills,
+    overdue: overdue,
+    upcoming: upcoming,
+    calendar: {
+      month: monthId(monthStart),
+      label: Utilities.formatDate(monthStart, Session.getScriptTimeZone(), "MMMM yyyy"),
+      prevMonth: monthId(new Date(monthStart.getFullYear(), monthStart.getMonth() - 1, 1)),
+      nextMonth: monthId(new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 1)),
+      firstWeekday: monthStart.getDay(),
+      daysInMonth: monthEnd.getDate(),
+      today: formatDateYMD(today),
+      occurrences: occurrences
+    }
+  };
+}
+
+/**
+ * Creates or updates a bill.
+ * A new bill is first due on its first due date, or the first occurrence after today if that has passed.
+ * Editing keeps an unpaid (even overdue) NextDue unless the due-day rule itself changes.
+ * @param {Object} bill { id?, payee, amount, isEstimate, cadence, firstDue (yyyy-MM-dd), autopay, category,
+ *   remindDays (blank for the default), isActive }
+ * @param {string} email The saving user's email.
+ * @param {string|null} householdId The saving user's household ID.
+ * @return {Object} Result object { success, message, id }.
+ */
+function upsertBill(bill, email, householdId) {
+  if (!bill || typeof bill !== 'object') {
+    return { success: false, message: "Bill data is missing." };
+  }
+
+  const payee = String(bill.payee || "").trim();
+  const amount = Number(bill.amount);
+  const category = String(bill.category || "").trim();
+  const cadence = String(bill.cadence || "").trim().toLowerCase();
+  const firstDue = parseDateYMD(bill.firstDue);
+  const remindText = bill.remindDays === null || bill.remindDays === undefined ? "" : String(bill.remindDays).trim();
+  const remindDays = remindText === "" ? "" : Number(remindText);
+
+  if (!payee) return { success: false, message: "Payee is required" };
+  if (!amount || isNaN(amount) || amount <= 0) return { success: false, message: "Invalid amount provided" };
+  if (!category) return { success: false, message: "Category is required" };
+  if (!CONFIG.BILL_SETTINGS.CADENCES.includes(cadence)) return { success: false, message: `Invalid cadence: ${bill.cadence}` };
+  if (!firstDue) return { success: false, message: "A valid first due date is required" };
+  if (remindDays !== "" && (isNaN(remindDays) || remindDays < 0 || Math.floor(remindDays) !== remindDays)) {
+    return { success: false, message: "Reminder days must be a whole number of days (0 or more)" };
+  }
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "Bills are being updated. Please try again." };
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.BILLS);
+    if (!sheet) {
+      sheet = setupBillsSheet();
+    }
+
+    const existing = bill.id
+      ? _readBillRows(householdId, householdId ? null : email).find(row => row.id === bill.id)
+      : null;
+    if (bill.id && !existing) {
+      return { success: false, message: "Bill not found for your household." };
+    }
+
+    let nextDue;
+    if (existing && existing.nextDue && existing.cadence === cadence && existing.firstDue
+        && formatDateYMD(existing.firstDue) === formatDateYMD(firstDue)) {
+      nextDue = existing.nextDue;
+    } else {
+      // Due dates resume after the last paid occurrence, and never fall in the past
+      const yesterday = addDays(parseDateYMD(new Date()), -1);
+      const lastPaid = existing ? parseDateYMD(existing.lastPaid) : null;
+      nextDue = getNextRecurringDueDate(firstDue, cadence, lastPaid && lastPaid > yesterday ? lastPaid : yesterday);
+    }
+
+    const id = existing ? existing.id : `bill_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const rowValues = [
+      id,
+      payee,
+      amount,
+      Boolean(bill.isEstimate),
+      cadence,
+      firstDue,
+      nextDue,
+      Boolean(bill.autopay),
+      category,
+      householdId || "",
+      existing ? existing.email : email,
+      bill.isActive === undefined ? true : Boolean(bill.isActive),
+      existing ? existing.lastPaid : "",
+      remindDays,
+      existing ? existing.lastReminded : ""
+    ];
+
+    if (existing) {
+      sheet.getRange(existing.rowIndex, 1, 1, rowValues.length).setValues([rowValues]);
+    } else {
+      sheet.getRange(sheet.getLastRow() + 1, 1, 1, rowValues.length).setValues([rowValues]);
+    }
+
+    Logger.log(`${existing ? "Updated" : "Created"} bill ${id}: ${payee} $${amount} ${cadence}, next due ${formatDateYMD(nextDue)}`);
+    return {
+      success: true,
+      message: `${payee} ${existing ? "updated" : "added"}. Next due ${formatDateYMD(nextDue)}.`,
+      id: id
+    };
+  } catch (error) {
+    Logger.log(`Error saving bill: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error saving bill: ${error.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Deletes a bill. Payments it already recorded are left in the Expense Tracker.
+ * @param {string} id The BillID.
+ * @param {string} email The deleting user's email.
+ * @param {string|null} householdId The deleting user's household ID.
+ * @return {Object} Result object { success, message }.
+ */
+function removeBill(id, email, householdId) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "Bills are being updated. Please try again." };
+  }
+
+  try {
+    const bill = _readBillRows(householdId, householdId ? null : email).find(row => row.id === id);
+    if (!bill) {
+      return { success: false, message: "Bill not found for your household." };
+    }
+
+    SpreadsheetApp.getActiveSpreadsheet()
+      .getSheetByName(CONFIG.SHEET_NAMES.BILLS)
+      .deleteRow(bill.rowIndex);
+
+    Logger.log(`Deleted bill ${id} (${bill.payee}) for ${email}`);
+    return { success: true, message: `${bill.payee} removed from bills.` };
+  } catch (error) {
+    Logger.log(`Error deleting bill: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error deleting bill: ${error.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Records a bill's NextDue occurrence as paid and logs it to the Expense Tracker. A payment marked
+ * by a member is held for approval when it is over the threshold; an autopay occurrence is logged on
+ * its due date. The occurrence is claimed (LastPaid + NextDue written and flushed) before the expense
+ * is logged, and the claim is released if logging fails. The caller must hold the script lock.
+ * @param {Sheet} sheet The Bills sheet.
+ * @param {Object} bill A bill from _readBillRows.
+ * @param {number} amount The amount paid.
+ * @param {string} email The member the expense is logged under.
+ * @param {boolean} isAutopay True when the trigger is recording an autopay occurrence.
+ * @return {Object} Result object { success, message, pending, dueDate, nextDue }.
+ * @private
+ */
+function _recordBillPayment(sheet, bill, amount, email, isAutopay) {
+  const col = BILL_COLUMNS;
+  const dueYMD = formatDateYMD(bill.nextDue);
+  const followingDue = getNextRecurringDueDate(bill.firstDue, bill.cadence, bill.nextDue);
+
+  sheet.getRange(bill.rowIndex, col.NEXT_DUE).setValue(followingDue);
+  sheet.getRange(bill.rowIndex, col.LAST_PAID).setValue(dueYMD);
+  SpreadsheetApp.flush();
+
+  const description = `${bill.payee} bill (${isAutopay ? "autopay, " : ""}due ${dueYMD})`;
+  const held = isAutopay ? null : holdExpenseForApproval({
+    amount: amount,
+    location: bill.payee,
+    category: bill.category,
+    lines: null,
+    description: description,
+    tags: "",
+    currency: "",
+    email: email,
+    householdId: bill.householdId
+  });
+  const result = held || processExpenseEntry(amount, bill.payee, bill.category, description, email, bill.householdId,
+    "", "", "", isAutopay ? bill.nextDue : null);
+  if (!result.success) {
+    // Release the claim so the bill stays due
+    sheet.getRange(bill.rowIndex, col.NEXT_DUE).setValue(bill.nextDue);
+    sheet.getRange(bill.rowIndex, col.LAST_PAID).setValue(bill.lastPaid);
+    Logger.log(`Failed to record payment of bill ${bill.id} due ${dueYMD}: ${result.message}`);
+    return result;
+  }
+
+  bill.lastPaid = dueYMD;
+  bill.nextDue = followingDue;
+  return { success: true, message: result.message, pending: !!result.pending, dueDate: dueYMD, nextDue: formatDateYMD(followingDue) };
+}
+
+/**
+ * Marks a bill's next occurrence paid, logging the payment under the member who paid it.
+ * @param {string} id The BillID.
+ * @param {number|string} [amount] The amount paid (defaults to the bill's amount; set it for estimated bills).
+ * @param {string} email The paying user's email.
+ * @param {string|null} householdId The paying user's household ID.
+ * @return {Object} Result object { success, message }.
+ */
+function markBillPaid(id, amount, email, householdId) {
+  const paidAmount = amount === undefined || amount === null || String(amount).trim() === "" ? null : Number(amount);
+  if (paidAmount !== null && (isNaN(paidAmount) || paidAmount <= 0)) {
+    return { success: false, message: "Invalid amount provided" };
+  }
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "Bills are being updated. Please try again." };
+  }
+
+  try {
+    const bill = _readBillRows(householdId, householdId ? null : email).find(row => row.id === id);
+    if (!bill) {
+      return { success: false, message: "Bill not found for your household." };
+    }
+    if (!bill.isActive) {
+      return { success: false, message: `${bill.payee} is paused. Resume it before marking it paid.` };
+    }
+    if (!bill.nextDue || !bill.firstDue || !CONFIG.BILL_SETTINGS.CADENCES.includes(bill.cadence)) {
+      return { success: false, message: `${bill.payee} has no valid due date.` };
+    }
+
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.BILLS);
+    const total = paidAmount !== null ? paidAmount : bill.amount;
+    const result = _recordBillPayment(sheet, bill, total, email, false);
+    if (!result.success) {
+      return { success: false, message: `Couldn't record ${bill.payee}: ${result.message}` };
+    }
+
+    Logger.log(`Bill ${id} (${bill.payee}) due ${result.dueDate} marked paid by ${email}: $${total}${result.pending ? ' (held for approval)' : ''}`);
+    return {
+      success: true,
+      pending: result.pending,
+      message: result.pending
+        ? `${bill.payee} marked paid. ${result.message} Next due ${result.nextDue}.`
+        : `${bill.payee} paid ($${total.toFixed(2)}). Next due ${result.nextDue}.`
+    };
+  } catch (error) {
+    Logger.log(`Error marking bill paid: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error marking bill paid: ${error.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Trigger handler: records autopay bills that have come due, then emails reminders.
+ * A bill is reminded once per due date, on the first run within its RemindDays window.
+ * Reminders go to every member of the bill's household (or its owner when there is no household)
+ * in one email per household, which also lists anything still overdue.
+ * @return {Object} Result object { success, message, autopaid, reminded }.
+ */
+function processBillReminders() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    Logger.log("processBillReminders: another run holds the lock. Skipping.");
+    return { success: false, message: "Another run is in progress", autopaid: 0, reminded: 0 };
+  }
+
+  let autopaid = 0;
+  let reminded = 0;
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.BILLS);
+    if (!sheet) {
+      return { success: true, message: "No Bills sheet", autopaid: 0, reminded: 0 };
+    }
+
+    const col = BILL_COLUMNS;
+    const today = parseDateYMD(new Date());
+    const groups = {};
+
+    _readBillRows().forEach(bill => {
+      if (!bill.isActive || !bill.nextDue || !bill.firstDue) return;
+      if (!CONFIG.BILL_SETTINGS.CADENCES.includes(bill.cadence)) return;
+
+      // 1. Autopay bills pay themselves on the due date
+      let occurrences = 0;
+      while (bill.autopay && bill.nextDue <= today && occurrences < CONFIG.BILL_SETTINGS.MAX_CATCH_UP) {
+        const result = _recordBillPayment(sheet, bill, bill.amount, bill.email, true);
+        if (!result.success) break;
+        autopaid++;
+        occurrences++;
+      }
+
+      // 2. Collect reminders and overdue bills per household
+      const key = bill.householdId || `email:${bill.email.toLowerCase()}`;
+      if (!groups[key]) {
+        groups[key] = { householdId: bill.householdId, email: bill.email, dueSoon: [], overdue: [] };
+      }
+
+      const daysUntil = daysBetween(today, bill.nextDue);
+      const remindDays = bill.remindDays !== null ? bill.remindDays : CONFIG.BILL_SETTINGS.DEFAULT_REMIND_DAYS;
+      const dueYMD = formatDateYMD(bill.nextDue);
+      const entry = {
+        bill: bill,
+        payee: bill.payee,
+        amount: bill.amount,
+        isEstimate: bill.isEstimate,
+        autopay: bill.autopay,
+        category: bill.category,
+        dueDate: dueYMD,
+        daysUntil: daysUntil
+      };
+
+      if (daysUntil < 0) {
+        groups[key].overdue.push(entry);
+      } else if (daysUntil <= remindDays && bill.lastReminded !== dueYMD) {
+        groups[key].dueSoon.push(entry);
+      }
+    });
+
+    Object.keys(groups).forEach(key => {
+      const group = groups[key];
+      if (group.dueSoon.length === 0) return;
+
+      const recipients = group.householdId && CONFIG.HOUSEHOLD_SETTINGS.ENABLED
+        ? getHouseholdEmails(group.householdId)
+        : [group.email];
+      const sent = sendBillReminderEmail(group.dueSoon, group.overdue, recipients);
+      if (sent === 0) return; // Retry on the next run
+
+      group.dueSoon.forEach(entry => {
+        sheet.getRange(entry.bill.rowIndex, col.LAST_REMINDED).setValue(entry.dueDate);
+        reminded++;
+      });
+    });
+
+    Logger.log(`processBillReminders: recorded ${autopaid} autopay bill(s), sent reminders for ${reminded} bill(s).`);
+    return {
+      success: true,
+      message: `Recorded ${autopaid} autopay bill(s) and reminded ${reminded} bill(s)`,
+      autopaid: autopaid,
+      reminded: reminded
+    };
+  } catch (error) {
+    Logger.log(`Error in processBillReminders: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error processing bill reminders: ${error.message}`, autopaid: autopaid, reminded: reminded };
+  } finally {
+    lock.releaseLock();
+  }
+}
@@ -0,0 +1,142 @@
+// BudgetAlerts.gs
+/**
+ * Budget threshold alerts.
+ * Each category has a list of percent thresholds (AlertThresholds column, default 50/80/100).
+ * The first time spending reaches a threshold in a pay period, every household member (or just
+ * the owner, for a personal allowance) is emailed once. Which thresholds already alerted is kept in PropertiesService per household
+ * and starts over with each new pay period or finalize.
+ */
+
+/**
+ * Builds the PropertiesService key for a household's sent-alert state.
+ * @param {string|null} householdId The household ID.
+ * @return {string} The property key.
+ * @private
+ */
+function _getBudgetAlertKey(householdId) {
+  return `BUDGET_ALERTS_${_getPayPeriodOwnerKey(householdId)}`;
+}
+
+/**
+ * Reads which thresholds already alerted in a pay period.
+ * State saved for an earlier period is discarded.
+ * @param {string|null} householdId The household ID.
+ * @param {string} payPeriodId The current pay period ID.
+ * @return {Object} { payPeriod, sent } where sent maps category name to alerted percents.
+ * @private
+ */
+function _readBudgetAlertState(householdId, payPeriodId) {
+  const savedJson = PropertiesService.getScriptProperties().getProperty(_getBudgetAlertKey(householdId));
+  if (savedJson) {
+    try {
+      const saved = JSON.parse(savedJson);
+      if (saved && saved.payPeriod === payPeriodId && saved.sent && typeof saved.sent === 'object') {
+        return saved;
+      }
+    } catch (e) {
+      Logger.log(`Unreadable budget alert state for ${householdId || 'default'}; starting fresh.`);
+    }
+  }
+  return { payPeriod: payPeriodId, sent: {} };
+}
+
+/**
+ * Forgets which thresholds alerted, so the next crossing alerts again.
+ * Called when a pay period is finalized and spending resets.
+ * @param {string|null} householdId The household ID.
+ */
+function clearBudgetAlertState(householdId) {
+  PropertiesService.getScriptProperties().deleteProperty(_getBudgetAlertKey(householdId));
+}
+
+/**
+ * Sends any alert a category's new spending level has earned this pay period.
+ * Thresholds are recorded before the email goes out so a retry never sends twice.
+ * @param {string} categoryName The budget category.
+ * @param {string|null} householdId The household ID.
+ * @param {Object} status { thresholds, percentUsed, spent, budget, ownerEmail } after the update.
+ * @return {Array<Object>} Alerts sent now: { category, threshold, percentUsed, spent, budget, ownerEmail }.
+ */
+function checkBudgetThresholdAlerts(categoryName, householdId, status) {
+  try {
+    if (!status.thresholds || status.thresholds.length === 0 || !(status.budget > 0)) return [];
+
+    const payPeriodId = getCurrentPayPeriod(householdId);
+    const state = _readBudgetAlertState(householdId, payPeriodId);
+    const alreadySent = state.sent[categoryName] || [];
+    const crossed = status.thresholds.filter(threshold =>
+      status.percentUsed >= threshold && !alreadySent.includes(threshold));
+    if (crossed.length === 0) return [];
+
+    state.sent[categoryName] = alreadySent.concat(crossed);
+    PropertiesService.getScriptProperties().setProperty(_getBudgetAlertKey(householdId), JSON.stringify(state));
+
+    // Spending that jumps past several thresholds at once sends one email for the highest
+    const alert = {
+      category: categoryName,
+      threshold: crossed[crossed.length - 1],
+      percentUsed: Math.round(status.percentUsed),
+      spent: Math.round(status.spent * 100) / 100,
+      budget: Math.round(status.budget * 100) / 100,
+      ownerEmail: status.ownerEmail || null // Personal allowances alert only their owner
+    };
+    sendBudgetAlertEmail(householdId, alert);
+
+    Logger.log(`Budget alert for ${categoryName} (${householdId || 'default'}, ${payPeriodId}): crossed ${crossed.join(', ')}%`);
+    return [alert];
+  } catch (error) {
+    // An alert problem must never block logging the expense itself
+    Logger.log(`Error checking budget alerts for ${categoryName}: ${error}\nStack: ${error.stack}`);
+    return [];
+  }
+}
+
+/**
+ * Sends the alerts earned by categories whose spending was rebuilt by recalculateAllBudgets(), for
+ * changes that can touch earlier periods (statement imports, edits). Only the current pay period's
+ * spending is checked, so older rows never alert or use up a threshold.
+ * @param {Array<string>} categoryNames Categories that gained spending in the current pay period.
+ * @param {string|null} householdId The household ID.
+ * @return {Array<Object>} Alerts sent now (see checkBudgetThresholdAlerts).
+ */
+function checkRecalculatedBudgetAlerts(categoryNames, householdId) {
+  if (categoryNames.length === 0) return [];
+  resetExpenseDataCache(householdId);
+  const categoriesById = readBudgetCategoriesData(householdId).categoriesById;
+  const alerts = [];
+
+  [...new Set(categoryNames)].forEach(name => {
+    const category = categoriesById[name];
+    if (!category) return;
+    alerts.push(...checkBudgetThresholdAlerts(name, householdId, {
+      thresholds: category.alertThresholds,
+      percentUsed: category.percentUsed,
+      spent: category.payPeriodSpent,
+      budget: category.effectiveBudget,
+      ownerEmail: category.ownerEmail
+    }));
+  });
+  return alerts;
+}
+
+/**
+ * Lists the categories currently at or past one of their thresholds, for the Expense Tracker banner.
+ * @param {Array<Object>} categories Categories from readBudgetCategoriesData().
+ * @return {Array<Object>} { category, threshold, percentUsed, spent, budget }, most spent first.
+ */
+function getActiveBudgetAlerts(categories) {
+  return (categories || [])
+    .map(category => {
+      const reached = (category.alertThresholds || []).filter(threshold => category.percentUsed >= threshold);
+      if (reached.length === 0 || !(category.effectiveBudget > 0)) return null;
+      return {
+        category: category.name,
+        threshold: reached[reached.length - 1],
+        percentUsed: Math.round(category.percentUsed),
+        spent: Math.round(category.payPeriodSpent * 100) / 100,
+        budget: Math.round(category.effectiveBudget * 100) / 100
+      };
+    })
+    .filter(alert => alert)
+    .sort((a, b) => b.percentUsed - a.percentUsed);
+}
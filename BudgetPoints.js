@@ -0,0 +1,191 @@
+// BudgetPoints.gs
+/**
+ * Game points for the expense side.
+ * When a pay period is finalized, each archived category that finished at or under its budget
+ * earns points, and so does the household when its total stayed under. Optional penalties take
+ * points away for overspending. The results go to the Dashboard through updateDashboard as
+ * "Budget" activities, so they appear in activity strings, weekly totals and digests.
+ * Awarded periods are remembered so finalizing the same period again never pays out twice.
+ */
+
+const BUDGET_ACTIVITY_PATTERN = /^(Under|Over) budget\b/;
+
+/**
+ * Retrieves the budget points rules from PropertiesService, falling back to CONFIG defaults.
+ * @return {Object} { ENABLED, CATEGORY, CATEGORY_UNDER, OVERALL_UNDER, PENALTIES_ENABLED, CATEGORY_OVER, OVERALL_OVER }
+ */
+function getBudgetPointsSettings() {
+  const defaults = { ...CONFIG.BUDGET_POINTS };
+  const savedJson = PropertiesService.getScriptProperties().getProperty('BUDGET_POINTS_SETTINGS');
+  if (!savedJson) return defaults;
+
+  try {
+    const saved = JSON.parse(savedJson);
+    const settings = { ...defaults };
+    ['ENABLED', 'PENALTIES_ENABLED'].forEach(key => {
+      if (typeof saved[key] === 'boolean') settings[key] = saved[key];
+    });
+    ['CATEGORY_UNDER', 'OVERALL_UNDER', 'CATEGORY_OVER', 'OVERALL_OVER'].forEach(key => {
+      if (typeof saved[key] === 'number') settings[key] = saved[key];
+    });
+    return settings;
+  } catch (error) {
+    Logger.log(`Error parsing saved budget points settings: ${error}. Using defaults.`);
+    return defaults;
+  }
+}
+
+/**
+ * Validates and saves the budget points rules.
+ * @param {Object} settings Rules { ENABLED, CATEGORY_UNDER, OVERALL_UNDER, PENALTIES_ENABLED, CATEGORY_OVER, OVERALL_OVER }.
+ * @return {Object} Result object { success, message, settings }.
+ */
+function storeBudgetPointsSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return { success: false, message: "Invalid budget points settings." };
+  }
+
+  const rewards = ['CATEGORY_UNDER', 'OVERALL_UNDER'].map(key => parseInt(settings[key], 10));
+  const penalties = ['CATEGORY_OVER', 'OVERALL_OVER'].map(key => parseInt(settings[key], 10));
+  if (rewards.concat(penalties).some(value => isNaN(value))) {
+    return { success: false, message: "Every budget points value must be a whole number." };
+  }
+  if (rewards.some(value => value < 0) || penalties.some(value => value > 0)) {
+    return { success: false, message: "Rewards must be zero or more and penalties zero or less." };
+  }
+
+  const toSave = {
+    ENABLED: settings.ENABLED === true,
+    CATEGORY_UNDER: rewards[0],
+    OVERALL_UNDER: rewards[1],
+    PENALTIES_ENABLED: settings.PENALTIES_ENABLED === true,
+    CATEGORY_OVER: penalties[0],
+    OVERALL_OVER: penalties[1]
+  };
+  PropertiesService.getScriptProperties().setProperty('BUDGET_POINTS_SETTINGS', JSON.stringify(toSave));
+  Logger.log(`Saved budget points settings: ${JSON.stringify(toSave)}`);
+  return { success: true, message: "Budget points settings saved.", settings: getBudgetPointsSettings() };
+}
+
+/**
+ * Builds a Dashboard activity object for a budget result.
+ * @param {string} name The activity name, e.g. "Under budget: Groceries".
+ * @param {number} points The points (negative for a penalty).
+ * @return {Object} Activity { name, points, category, streakInfo } as updateDashboard expects.
+ * @private
+ */
+function _budgetActivity(name, points) {
+  return {
+    name: name,
+    points: points,
+    category: getBudgetPointsSettings().CATEGORY,
+    streakInfo: { originalPoints: points, bonusPoints: 0, totalPoints: points, streakLength: 0, multiplier: 1 }
+  };
+}
+
+/**
+ * Turns one archived pay period into budget activities.
+ * @param {Object} period An archived period from getPayPeriodArchive().
+ * @param {Object} settings Rules from getBudgetPointsSettings().
+ * @return {Array<Object>} Activities to log (zero-point results are left out).
+ */
+function evaluateBudgetPoints(period, settings) {
+  const activities = [];
+  const add = (name, points) => {
+    if (points) activities.push(_budgetActivity(name, points));
+  };
+
+  period.categories.forEach(category => {
+    if (!(category.budget > 0)) return; // Unbudgeted categories can't be under or over
+    if (category.spent <= category.budget) {
+      add(`Under budget: ${category.name}`, settings.CATEGORY_UNDER);
+    } else if (settings.PENALTIES_ENABLED) {
+      add(`Over budget: ${category.name}`, settings.CATEGORY_OVER);
+    }
+  });
+
+  if (period.totalBudget > 0) {
+    if (period.totalSpent <= period.totalBudget) {
+      add("Under budget overall", settings.OVERALL_UNDER);
+    } else if (settings.PENALTIES_ENABLED) {
+      add("Over budget overall", settings.OVERALL_OVER);
+    }
+  }
+  return activities;
+}
+
+/**
+ * Awards budget points for the periods a finalize just archived. Each period pays out once,
+ * after it has ended; points go to the member who finalized it.
+ * @param {string|null} householdId The household ID.
+ * @param {Array<string>} periodIds Period IDs from archivePayPeriod().
+ * @param {string} finalizedBy Email of the member finalizing the period.
+ * @return {Object} { success, totalPoints, activities, message }
+ */
+function awardBudgetPoints(householdId, periodIds, finalizedBy) {
+  try {
+    const settings = getBudgetPointsSettings();
+    if (!settings.ENABLED || !finalizedBy || !periodIds || periodIds.length === 0) {
+      return { success: true, totalPoints: 0, activities: [], message: "" };
+    }
+
+    const props = PropertiesService.getScriptProperties();
+    const key = `BUDGET_POINTS_AWARDED_${_getPayPeriodOwnerKey(householdId)}`;
+    const awarded = JSON.parse(props.getProperty(key) || "[]");
+    const archive = getPayPeriodArchive(householdId);
+    const today = formatDateYMD(new Date());
+
+    const activities = [];
+    periodIds
+      .filter(periodId => !awarded.includes(periodId))
+      .forEach(periodId => {
+        const period = archive.find(entry => entry.id === periodId);
+        // A period still in progress is scored when a later finalize closes it
+        if (!period || !period.endDate || period.endDate >= today) return;
+        activities.push(...evaluateBudgetPoints(period, settings));
+        awarded.push(periodId);
+      });
+
+    // Keep the list short; old periods are never finalized again
+    props.setProperty(key, JSON.stringify(awarded.slice(-24)));
+
+    if (activities.length === 0) {
+      return { success: true, totalPoints: 0, activities: [], message: "" };
+    }
+
+    const totalPoints = activities.reduce((sum, activity) => sum + activity.points, 0);
+    updateDashboard(new Date(), finalizedBy, activities, totalPoints);
+    Logger.log(`Budget points for ${_getPayPeriodOwnerKey(householdId)}: ${totalPoints} from ${activities.length} result(s)`);
+
+    return {
+      success: true,
+      totalPoints: totalPoints,
+      activities: activities.map(activity => ({ name: activity.name, points: activity.points })),
+      message: `Budget points: ${totalPoints >= 0 ? '+' : ''}${totalPoints}.`
+    };
+  } catch (error) {
+    Logger.log(`Error awarding budget points: ${error}\nStack: ${error.stack}`);
+    return { success: false, totalPoints: 0, activities: [], message: "" };
+  }
+}
+
+/**
+ * Recognizes a budget activity name (they aren't in the Points Reference).
+ * @param {string} activityName The activity name.
+ * @return {string|null} The budget activity category, or null for any other activity.
+ */
+function getBudgetActivityCategory(activityName) {
+  return BUDGET_ACTIVITY_PATTERN.test(String(activityName || "").trim()) ? getBudgetPointsSettings().CATEGORY : null;
+}
+
+/**
+ * Parses a budget activity out of a Dashboard activity entry, e.g. "➕ Under budget: Gas (+2)".
+ * Budget points are fixed when awarded, so they're read from the entry rather than the Points Reference.
+ * @param {string} activityEntry One entry of a Dashboard Activities cell.
+ * @return {Object|null} Activity { name, points, category, streakInfo }, or null when it isn't a budget activity.
+ */
+function parseBudgetActivityEntry(activityEntry) {
+  const match = String(activityEntry || "").match(/[➕➖]\s(.+?)\s*\(([+-]?\d+)\)\s*$/);
+  if (!match || !getBudgetActivityCategory(match[1])) return null;
+  return _budgetActivity(match[1].trim(), parseInt(match[2], 10));
+}
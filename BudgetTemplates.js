@@ -0,0 +1,355 @@
+// BudgetTemplates.gs
+/**
+ * Seasonal and scheduled budgets.
+ * The Budget Templates sheet holds named sets of per-category PayPeriodBudget amounts, each
+ * scheduled by month ("Dec", "Jun-Aug") or by a date range. A pay period uses the template whose
+ * schedule contains the day the period starts (a date range beats a month match, then sheet
+ * order decides); categories the template doesn't list, and periods no template matches, keep
+ * the flat PayPeriodBudget saved in Budget Categories. Nothing is copied into Budget Categories,
+ * so a new period picks up its template as soon as it starts.
+ * Rows with a blank HouseholdID apply to every household.
+ */
+
+/**
+ * Parses a Months cell into month numbers (1 = January).
+ * Accepts numbers or month names, comma-separated, and ranges such as "6-8" or "Nov-Feb".
+ * @param {*} value The cell value.
+ * @return {Array<number>} Sorted month numbers; empty when nothing could be read.
+ * @private
+ */
+function _parseTemplateMonths(value) {
+  const monthNames = CONFIG.BUDGET_TEMPLATE_SETTINGS.MONTH_NAMES.map(name => name.toLowerCase());
+  const toMonth = token => {
+    const number = parseInt(token, 10);
+    if (!isNaN(number)) return number >= 1 && number <= 12 ? number : null;
+    const index = monthNames.indexOf(token.substr(0, 3).toLowerCase());
+    return index === -1 ? null : index + 1;
+  };
+
+  const months = {};
+  String(value || "").split(/[,;]/).forEach(part => {
+    const bounds = part.split("-").map(token => token.trim()).filter(token => token);
+    if (bounds.length === 0 || bounds.length > 2) return;
+    const first = toMonth(bounds[0]);
+    const last = bounds.length === 2 ? toMonth(bounds[1]) : first;
+    if (!first || !last) return;
+
+    // Ranges may wrap past December ("Nov-Feb")
+    for (let month = first, count = 0; count < 12; month = month % 12 + 1, count++) {
+      months[month] = true;
+      if (month === last) break;
+    }
+  });
+
+  return Object.keys(months).map(Number).sort((a, b) => a - b);
+}
+
+/**
+ * Formats month numbers for the Months cell, e.g. [6, 7, 8] -> "Jun, Jul, Aug".
+ * @param {Array<number>} months Month numbers.
+ * @return {string} Month names.
+ * @private
+ */
+function _formatTemplateMonths(months) {
+  return months.map(month => CONFIG.BUDGET_TEMPLATE_SETTINGS.MONTH_NAMES[month - 1]).join(", ");
+}
+
+/**
+ * Reads an Amounts cell (or an amounts object from the admin page).
+ * @param {*} value JSON text or an object of category name -> amount.
+ * @return {Object} Category name -> amount (blank and invalid amounts are dropped).
+ * @private
+ */
+function _parseTemplateAmounts(value) {
+  let raw = value;
+  if (typeof value === "string") {
+    try {
+      raw = value.trim() ? JSON.parse(value) : {};
+    } catch (error) {
+      Logger.log(`Invalid budget template amounts "${value}": ${error}`);
+      raw = {};
+    }
+  }
+
+  const amounts = {};
+  Object.keys(raw && typeof raw === "object" ? raw : {}).forEach(name => {
+    const category = String(name).trim();
+    const amount = raw[name] === "" || raw[name] === null ? NaN : Number(raw[name]);
+    if (category && !isNaN(amount) && amount >= 0) {
+      amounts[category] = Math.round(amount * 100) / 100;
+    }
+  });
+  return amounts;
+}
+
+/**
+ * Reads the Budget Templates rows visible to a household, in sheet order.
+ * @param {string|null} householdId The household ID.
+ * @return {Array<Object>} Templates { templateId, name, months, startDate, endDate, amounts, isActive,
+ *   householdId, rowIndex } with Date (or null) start and end dates.
+ * @private
+ */
+function _readBudgetTemplateRows(householdId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.BUDGET_TEMPLATES);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const col = BUDGET_TEMPLATE_COLUMNS;
+  const width = Math.min(sheet.getMaxColumns(), col.IS_ACTIVE);
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues();
+  const templates = [];
+
+  data.forEach((row, index) => {
+    const templateId = String(row[col.TEMPLATE_ID - 1] || "").trim();
+    if (!templateId) return;
+
+    const rowHouseholdId = row[col.HOUSEHOLD_ID - 1] ? String(row[col.HOUSEHOLD_ID - 1]).trim() : null;
+    if (householdId && rowHouseholdId && rowHouseholdId !== householdId) return;
+
+    const isActive = row[col.IS_ACTIVE - 1];
+    templates.push({
+      templateId: templateId,
+      name: String(row[col.NAME - 1] || "").trim() || templateId,
+      months: _parseTemplateMonths(row[col.MONTHS - 1]),
+      startDate: parseDateYMD(row[col.START_DATE - 1] instanceof Date ? row[col.START_DATE - 1] : String(row[col.START_DATE - 1] || "")),
+      endDate: parseDateYMD(row[col.END_DATE - 1] instanceof Date ? row[col.END_DATE - 1] : String(row[col.END_DATE - 1] || "")),
+      amounts: _parseTemplateAmounts(row[col.AMOUNTS - 1]),
+      isActive: !(isActive === false || String(isActive).toLowerCase() === "false"),
+      householdId: rowHouseholdId,
+      rowIndex: index + 2
+    });
+  });
+
+  return templates;
+}
+
+/**
+ * Gets the budget templates for a household.
+ * @param {string|null} householdId The household ID.
+ * @return {Array<Object>} Templates { templateId, name, months: ["Dec"], startDate, endDate (yyyy-MM-dd or ""),
+ *   amounts, isActive, isShared }.
+ */
+function readBudgetTemplates(householdId) {
+  return _readBudgetTemplateRows(householdId).map(template => ({
+    templateId: template.templateId,
+    name: template.name,
+    months: template.months.map(month => CONFIG.BUDGET_TEMPLATE_SETTINGS.MONTH_NAMES[month - 1]),
+    startDate: formatDateYMD(template.startDate),
+    endDate: formatDateYMD(template.endDate),
+    amounts: template.amounts,
+    isActive: template.isActive,
+    isShared: !template.householdId && !!householdId
+  }));
+}
+
+/**
+ * Checks whether a template is scheduled for a pay period (by the day the period starts).
+ * @param {Object} template A template from _readBudgetTemplateRows().
+ * @param {Object} period A period from getPayPeriodForDate().
+ * @return {string|null} "range" or "month" for the kind of match, or null when it doesn't apply.
+ */
+function budgetTemplateMatchesPeriod(template, period) {
+  if (!template.isActive) return null;
+  const start = parseDateYMD(period.startDate);
+
+  if (template.startDate || template.endDate) {
+    const afterStart = !template.startDate || start >= template.startDate;
+    const beforeEnd = !template.endDate || start <= template.endDate;
+    return afterStart && beforeEnd ? "range" : null;
+  }
+  return template.months.includes(start.getMonth() + 1) ? "month" : null;
+}
+
+/**
+ * Picks the template a pay period uses.
+ * @param {Object} period A period from getPayPeriodForDate().
+ * @param {Array<Object>} templates Templates from _readBudgetTemplateRows().
+ * @return {Object|null} The template, or null when the flat budgets apply.
+ */
+function findBudgetTemplateForPeriod(period, templates) {
+  return templates.find(template => budgetTemplateMatchesPeriod(template, period) === "range") ||
+    templates.find(template => budgetTemplateMatchesPeriod(template, period) === "month") ||
+    null;
+}
+
+/**
+ * Gets the template a household's pay period uses.
+ * @param {string|null} householdId The household ID.
+ * @param {Object} period Optional period (defaults to the household's current one).
+ * @return {Object|null} The template, or null when the flat budgets apply.
+ */
+function getBudgetTemplateForPeriod(householdId, period = null) {
+  return findBudgetTemplateForPeriod(period || getCurrentPayPeriodInfo(householdId), _readBudgetTemplateRows(householdId));
+}
+
+/**
+ * Resolves a category's PayPeriodBudget under a template.
+ * @param {string} categoryName The category name.
+ * @param {number} flatBudget The PayPeriodBudget saved in Budget Categories.
+ * @param {Object|null} template The template in effect (null for none).
+ * @return {number} The template's amount when it lists the category, otherwise the flat budget.
+ */
+function getScheduledPayPeriodBudget(categoryName, flatBudget, template) {
+  if (template && template.amounts.hasOwnProperty(categoryName)) {
+    return template.amounts[categoryName];
+  }
+  return Number(flatBudget) || 0;
+}
+
+/**
+ * Adds or updates a household's budget template.
+ * @param {Object} template { templateId (blank to add), name, months (text or array), startDate, endDate
+ *   (yyyy-MM-dd), amounts: { category: amount }, isActive }.
+ * @param {string|null} householdId The household that owns the template.
+ * @return {Object} Result object { success, message, templateId }.
+ */
+function upsertBudgetTemplate(template, householdId) {
+  const source = template || {};
+  const name = String(source.name || "").trim();
+  const months = _parseTemplateMonths(Array.isArray(source.months) ? source.months.join(",") : source.months);
+  const startDate = parseDateYMD(source.startDate || "");
+  const endDate = parseDateYMD(source.endDate || "");
+  const amounts = _parseTemplateAmounts(source.amounts || {});
+
+  if (!name) {
+    return { success: false, message: "Give the template a name." };
+  }
+  if (months.length === 0 && !startDate && !endDate) {
+    return { success: false, message: "Schedule the template for some months or a date range." };
+  }
+  if (startDate && endDate && startDate > endDate) {
+    return { success: false, message: "The start date is after the end date." };
+  }
+  if (Object.keys(amounts).length === 0) {
+    return { success: false, message: "Set a budget for at least one category." };
+  }
+  const categoriesById = readBudgetCategoriesData(householdId).categoriesById;
+  const unknown = Object.keys(amounts).find(category => !categoriesById[category]);
+  if (unknown) {
+    return { success: false, message: `Category "${unknown}" doesn't exist.` };
+  }
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "Budget templates are being updated. Please try again." };
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.BUDGET_TEMPLATES) || setupBudgetTemplatesSheet();
+    const owned = _readBudgetTemplateRows(householdId).filter(existing => existing.householdId === (householdId || null));
+
+    let existing = null;
+    if (source.templateId) {
+      existing = owned.find(candidate => candidate.templateId === source.templateId);
+      if (!existing) {
+        return { success: false, message: "Template not found, or it is shared and can't be edited here." };
+      }
+    }
+    if (owned.some(candidate => candidate !== existing && candidate.name.toLowerCase() === name.toLowerCase())) {
+      return { success: false, message: `A template named "${name}" already exists.` };
+    }
+
+    const templateId = existing ? existing.templateId : `tmpl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const rowValues = [
+      templateId,
+      name,
+      _formatTemplateMonths(months),
+      startDate || "",
+      endDate || "",
+      JSON.stringify(amounts),
+      householdId || "",
+      source.isActive !== false
+    ];
+
+    const rowIndex = existing ? existing.rowIndex : sheet.getLastRow() + 1;
+    sheet.getRange(rowIndex, 1, 1, rowValues.length).setValues([rowValues]);
+
+    // The current period may now use different budgets
+    resetExpenseDataCache(householdId);
+
+    Logger.log(`${existing ? 'Updated' : 'Added'} budget template ${templateId} (${name}) for ${householdId || 'default'}`);
+    return { success: true, message: existing ? "Template updated." : "Template added.", templateId: templateId };
+  } catch (error) {
+    Logger.log(`Error saving budget template: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error saving template: ${error.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Deletes a household's budget template. Shared templates can't be deleted per household.
+ * @param {string} templateId The template ID.
+ * @param {string|null} householdId The household that owns the template.
+ * @return {Object} Result object { success, message }.
+ */
+function removeBudgetTemplate(templateId, householdId) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "Budget templates are being updated. Please try again." };
+  }
+
+  try {
+    const existing = _readBudgetTemplateRows(householdId)
+      .find(template => template.templateId === templateId && template.householdId === (householdId || null));
+    if (!existing) {
+      return { success: false, message: "Template not found, or it is shared and can't be deleted here." };
+    }
+
+    SpreadsheetApp.getActiveSpreadsheet()
+      .getSheetByName(CONFIG.SHEET_NAMES.BUDGET_TEMPLATES)
+      .deleteRow(existing.rowIndex);
+    resetExpenseDataCache(householdId);
+
+    Logger.log(`Deleted budget template ${templateId} for ${householdId || 'default'}`);
+    return { success: true, message: `Template "${existing.name}" deleted.` };
+  } catch (error) {
+    Logger.log(`Error deleting budget template: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error deleting template: ${error.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Builds a household's budget calendar: every pay period from the current one through the
+ * coming months, with the template it will use and the resulting budgets.
+ * @param {string|null} householdId The household ID.
+ * @param {number} months Optional number of months to look ahead.
+ * @return {Array<Object>} Periods { period (see serializePayPeriod), template (name or null), totalBudget,
+ *   changes: [{ category, amount, flatAmount }] } where changes lists the categories the template sets.
+ */
+function getBudgetCalendar(householdId, months = CONFIG.BUDGET_TEMPLATE_SETTINGS.CALENDAR_MONTHS) {
+  const categories = readBudgetCategoriesData(householdId).categories;
+  const templates = _readBudgetTemplateRows(householdId);
+  const schedule = getPayPeriodSchedule(householdId);
+  const today = new Date();
+  const horizon = new Date(today.getFullYear(), today.getMonth() + months, today.getDate());
+  const round = value => Math.round(value * 100) / 100;
+
+  const calendar = [];
+  let period = getPayPeriodForDate(today, schedule);
+  while (period.startDate < horizon) {
+    const template = findBudgetTemplateForPeriod(period, templates);
+    const changes = [];
+    let totalBudget = 0;
+
+    categories.forEach(category => {
+      const amount = getScheduledPayPeriodBudget(category.name, category.flatPayPeriodBudget, template);
+      totalBudget += amount;
+      if (template && template.amounts.hasOwnProperty(category.name)) {
+        changes.push({ category: category.name, amount: amount, flatAmount: category.flatPayPeriodBudget });
+      }
+    });
+
+    calendar.push({
+      period: serializePayPeriod(period, today),
+      template: template ? template.name : null,
+      totalBudget: round(totalBudget),
+      changes: changes
+    });
+    period = getAdjacentPayPeriod(period, schedule, 1);
+  }
+  return calendar;
+}
@@ -0,0 +1,386 @@
+// CategorizationRules.gs
+/**
+ * Rule-based auto-categorization.
+ * The Categorization Rules sheet holds an ordered list of rules. Each rule has optional conditions
+ * on location, description keywords, amount range, day of week and member, and maps a matching
+ * expense to a category (plus optional tags). Rules are checked by Priority, then sheet order, and
+ * the first match wins; the plain Location Mapping default category is only the fallback.
+ * Rows with a blank HouseholdID apply to every household.
+ */
+
+/**
+ * Parses a DaysOfWeek cell into day numbers (0 = Sunday).
+ * Accepts day names or abbreviations plus "weekdays" and "weekends".
+ * @param {*} value The cell value.
+ * @return {Array<number>} Sorted day numbers; empty means any day.
+ * @private
+ */
+function _parseRuleDays(value) {
+  const dayNames = CONFIG.CATEGORIZATION_RULE_SETTINGS.DAY_NAMES.map(name => name.toLowerCase());
+  const days = {};
+
+  String(value || "").split(/[,;]/).forEach(part => {
+    const token = part.trim().toLowerCase();
+    if (!token) return;
+    if (token === "weekday" || token === "weekdays") {
+      [1, 2, 3, 4, 5].forEach(day => { days[day] = true; });
+    } else if (token === "weekend" || token === "weekends") {
+      days[0] = true;
+      days[6] = true;
+    } else {
+      const index = dayNames.indexOf(token.substr(0, 3));
+      if (index !== -1) days[index] = true;
+    }
+  });
+
+  return Object.keys(days).map(Number).sort((a, b) => a - b);
+}
+
+/**
+ * Splits a comma-separated cell into trimmed, non-empty values.
+ * @param {*} value The cell value.
+ * @return {Array<string>} The values.
+ * @private
+ */
+function _parseRuleList(value) {
+  return String(value || "")
+    .split(/[,;]/)
+    .map(item => item.trim())
+    .filter(item => item);
+}
+
+/**
+ * Reads a rule amount cell.
+ * @param {*} value The cell value.
+ * @return {number|null} The amount, or null when blank.
+ * @private
+ */
+function _parseRuleAmount(value) {
+  if (value === "" || value === null || value === undefined) return null;
+  const amount = parseFloat(value);
+  return isNaN(amount) ? null : amount;
+}
+
+/**
+ * Cleans up a rule submitted from the Admin panel or read from the sheet.
+ * @param {Object} rule { ruleId, priority, name, location, descriptionKeywords, minAmount, maxAmount,
+ *   daysOfWeek, member, category, tags, isActive } (lists may be arrays or comma-separated text).
+ * @return {Object} The normalized rule.
+ * @private
+ */
+function _normalizeCategorizationRule(rule) {
+  const source = rule || {};
+  const list = value => Array.isArray(value) ? value.map(item => String(item).trim()).filter(item => item) : _parseRuleList(value);
+  const days = Array.isArray(source.daysOfWeek)
+    ? source.daysOfWeek.map(Number).filter(day => day >= 0 && day <= 6)
+    : _parseRuleDays(source.daysOfWeek);
+  const priority = parseInt(source.priority, 10);
+
+  return {
+    ruleId: String(source.ruleId || "").trim(),
+    priority: isNaN(priority) ? 0 : priority,
+    name: String(source.name || "").trim(),
+    location: String(source.location || "").trim(),
+    descriptionKeywords: list(source.descriptionKeywords),
+    minAmount: _parseRuleAmount(source.minAmount),
+    maxAmount: _parseRuleAmount(source.maxAmount),
+    daysOfWeek: days,
+    member: String(source.member || "").trim().toLowerCase(),
+    category: String(source.category || "").trim(),
+    tags: list(source.tags),
+    isActive: source.isActive !== false && source.isActive !== "FALSE" && source.isActive !== "false"
+  };
+}
+
+/**
+ * Reads the Categorization Rules rows visible to a household.
+ * @param {string|null} householdId The household ID.
+ * @return {Array<Object>} Normalized rules with rowIndex, order and householdId, in evaluation order.
+ * @private
+ */
+function _readCategorizationRuleRows(householdId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.CATEGORIZATION_RULES);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const col = CATEGORIZATION_RULE_COLUMNS;
+  const width = Math.min(sheet.getMaxColumns(), col.IS_ACTIVE);
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues();
+  const rules = [];
+
+  data.forEach((row, index) => {
+    const ruleId = String(row[col.RULE_ID - 1] || "").trim();
+    const category = String(row[col.CATEGORY - 1] || "").trim();
+    if (!ruleId || !category) return;
+
+    const rowHouseholdId = row[col.HOUSEHOLD_ID - 1] ? String(row[col.HOUSEHOLD_ID - 1]).trim() : null;
+    if (householdId && rowHouseholdId && rowHouseholdId !== householdId) return;
+
+    const rule = _normalizeCategorizationRule({
+      ruleId: ruleId,
+      priority: row[col.PRIORITY - 1],
+      name: row[col.NAME - 1],
+      location: row[col.LOCATION - 1],
+      descriptionKeywords: row[col.DESCRIPTION_KEYWORDS - 1],
+      minAmount: row[col.MIN_AMOUNT - 1],
+      maxAmount: row[col.MAX_AMOUNT - 1],
+      daysOfWeek: String(row[col.DAYS_OF_WEEK - 1] || ""),
+      member: row[col.MEMBER - 1],
+      category: category,
+      tags: row[col.TAGS - 1],
+      isActive: row[col.IS_ACTIVE - 1]
+    });
+    rule.rowIndex = index + 2;
+    rule.order = index;
+    rule.householdId = rowHouseholdId;
+    rules.push(rule);
+  });
+
+  return rules.sort((a, b) => (a.priority - b.priority) || (a.order - b.order));
+}
+
+/**
+ * Gets the categorization rules for a household, in evaluation order.
+ * @param {string|null} householdId The household ID.
+ * @return {Array<Object>} Rules { ruleId, priority, name, location, descriptionKeywords, minAmount,
+ *   maxAmount, daysOfWeek, member, category, tags, isActive, isShared }.
+ */
+function readCategorizationRules(householdId) {
+  const dayNames = CONFIG.CATEGORIZATION_RULE_SETTINGS.DAY_NAMES;
+  return _readCategorizationRuleRows(householdId).map(rule => ({
+    ruleId: rule.ruleId,
+    priority: rule.priority,
+    name: rule.name,
+    location: rule.location,
+    descriptionKeywords: rule.descriptionKeywords,
+    minAmount: rule.minAmount,
+    maxAmount: rule.maxAmount,
+    daysOfWeek: rule.daysOfWeek.map(day => dayNames[day]),
+    member: rule.member,
+    category: rule.category,
+    tags: rule.tags,
+    isActive: rule.isActive,
+    isShared: !rule.householdId && !!householdId
+  }));
+}
+
+/**
+ * Checks that a normalized rule sets at least one condition.
+ * @param {Object} rule A normalized rule.
+ * @return {boolean} True when the rule has a condition.
+ * @private
+ */
+function _ruleHasCondition(rule) {
+  return !!(rule.location || rule.descriptionKeywords.length > 0 || rule.minAmount !== null ||
+    rule.maxAmount !== null || rule.daysOfWeek.length > 0 || rule.member);
+}
+
+/**
+ * Checks whether an expense satisfies every condition a rule sets.
+ * A rule without any condition never matches, so a half-filled row can't claim every expense.
+ * @param {Object} rule A normalized rule.
+ * @param {Object} expense { location, description, amount, date, email }.
+ * @return {boolean} True when the rule applies.
+ */
+function categorizationRuleMatches(rule, expense) {
+  if (!_ruleHasCondition(rule)) return false;
+
+  if (rule.location) {
+    const ruleKey = normalizeLocationKey(rule.location).replace(/ /g, "");
+    const expenseKey = normalizeLocationKey(expense.location).replace(/ /g, "");
+    const similar = locationSimilarity(rule.location, expense.location) >= CONFIG.EXPENSE_SETTINGS.LOCATION_SIMILARITY_THRESHOLD;
+    if (!ruleKey || !expenseKey || (!expenseKey.includes(ruleKey) && !similar)) return false;
+  }
+
+  if (rule.descriptionKeywords.length > 0) {
+    const description = String(expense.description || "").toLowerCase();
+    if (!rule.descriptionKeywords.some(keyword => description.includes(keyword.toLowerCase()))) return false;
+  }
+
+  // Ranges compare the size of the charge so refunds follow the same rule as the purchase
+  const amount = Math.abs(Number(expense.amount) || 0);
+  if (rule.minAmount !== null && amount < rule.minAmount) return false;
+  if (rule.maxAmount !== null && amount > rule.maxAmount) return false;
+
+  if (rule.daysOfWeek.length > 0) {
+    const date = expense.date instanceof Date ? expense.date : new Date();
+    if (!rule.daysOfWeek.includes(date.getDay())) return false;
+  }
+
+  if (rule.member && String(expense.email || "").trim().toLowerCase() !== rule.member) return false;
+
+  return true;
+}
+
+/**
+ * Finds the first active rule that matches an expense.
+ * @param {Object} expense { location, description, amount, date, email }.
+ * @param {string|null} householdId The household ID.
+ * @param {Array<Object>} rules Optional rules already read with _readCategorizationRuleRows (saves a sheet read per row on imports).
+ * @return {Object|null} { ruleId, ruleName, category, tags } or null when no rule applies.
+ */
+function evaluateCategorizationRules(expense, householdId, rules = null) {
+  const candidates = rules || _readCategorizationRuleRows(householdId);
+  const rule = candidates.find(candidate => candidate.isActive && categorizationRuleMatches(candidate, expense));
+  if (!rule) return null;
+
+  return {
+    ruleId: rule.ruleId,
+    ruleName: rule.name || rule.category,
+    category: rule.category,
+    tags: rule.tags
+  };
+}
+
+/**
+ * Adds or updates a household's categorization rule.
+ * @param {Object} rule The rule (see _normalizeCategorizationRule); ruleId blank to add.
+ * @param {string|null} householdId The household that owns the rule.
+ * @return {Object} Result object { success, message, ruleId }.
+ */
+function upsertCategorizationRule(rule, householdId) {
+  const normalized = _normalizeCategorizationRule(rule);
+  if (!normalized.category) {
+    return { success: false, message: "Choose the category the rule assigns." };
+  }
+  if (!readBudgetCategoriesData(householdId).categoriesById[normalized.category]) {
+    return { success: false, message: `Category "${normalized.category}" doesn't exist.` };
+  }
+  if (!_ruleHasCondition(normalized)) {
+    return { success: false, message: "Add at least one condition (location, keywords, amount, day or member)." };
+  }
+  if (normalized.minAmount !== null && normalized.maxAmount !== null && normalized.minAmount > normalized.maxAmount) {
+    return { success: false, message: "The minimum amount is larger than the maximum." };
+  }
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "Rules are being updated. Please try again." };
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.CATEGORIZATION_RULES) || setupCategorizationRulesSheet();
+    const dayNames = CONFIG.CATEGORIZATION_RULE_SETTINGS.DAY_NAMES;
+    const owned = _readCategorizationRuleRows(householdId)
+      .filter(existing => existing.householdId === (householdId || null));
+
+    let existing = null;
+    if (normalized.ruleId) {
+      existing = owned.find(candidate => candidate.ruleId === normalized.ruleId);
+      if (!existing) {
+        return { success: false, message: "Rule not found, or it is shared and can't be edited here." };
+      }
+    }
+
+    const ruleId = existing ? existing.ruleId : `rule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    // Without a priority, edits keep their place and new rules go last
+    let priority = normalized.priority;
+    const requestedPriority = rule ? rule.priority : "";
+    if (requestedPriority === "" || requestedPriority === undefined || requestedPriority === null) {
+      if (existing) {
+        priority = existing.priority;
+      } else {
+        priority = owned.length ? Math.max(...owned.map(candidate => candidate.priority)) + 10 : 10;
+      }
+    }
+
+    const rowValues = [
+      ruleId,
+      priority,
+      normalized.name,
+      normalized.location,
+      normalized.descriptionKeywords.join(", "),
+      normalized.minAmount === null ? "" : normalized.minAmount,
+      normalized.maxAmount === null ? "" : normalized.maxAmount,
+      normalized.daysOfWeek.map(day => dayNames[day]).join(", "),
+      normalized.member,
+      normalized.category,
+      normalized.tags.join(", "),
+      householdId || "",
+      normalized.isActive
+    ];
+
+    const rowIndex = existing ? existing.rowIndex : sheet.getLastRow() + 1;
+    sheet.getRange(rowIndex, 1, 1, rowValues.length).setValues([rowValues]);
+
+    Logger.log(`${existing ? 'Updated' : 'Added'} categorization rule ${ruleId} for ${householdId || 'default'}`);
+    return { success: true, message: existing ? "Rule updated." : "Rule added.", ruleId: ruleId };
+  } catch (error) {
+    Logger.log(`Error saving categorization rule: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error saving rule: ${error.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Deletes a household's categorization rule. Shared rules can't be deleted per household.
+ * @param {string} ruleId The rule ID.
+ * @param {string|null} householdId The household that owns the rule.
+ * @return {Object} Result object { success, message }.
+ */
+function removeCategorizationRule(ruleId, householdId) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "Rules are being updated. Please try again." };
+  }
+
+  try {
+    const existing = _readCategorizationRuleRows(householdId)
+      .find(rule => rule.ruleId === ruleId && rule.householdId === (householdId || null));
+    if (!existing) {
+      return { success: false, message: "Rule not found, or it is shared and can't be deleted here." };
+    }
+
+    SpreadsheetApp.getActiveSpreadsheet()
+      .getSheetByName(CONFIG.SHEET_NAMES.CATEGORIZATION_RULES)
+      .deleteRow(existing.rowIndex);
+
+    Logger.log(`Deleted categorization rule ${ruleId} for ${householdId || 'default'}`);
+    return { success: true, message: "Rule deleted." };
+  } catch (error) {
+    Logger.log(`Error deleting categorization rule: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error deleting rule: ${error.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Runs a rule (saved or not) against a household's past expenses.
+ * Lets an admin see what a rule would catch before relying on it.
+ * @param {Object} rule The rule to test (see _normalizeCategorizationRule).
+ * @param {string|null} householdId The household whose expenses are checked.
+ * @return {Object} { success, message, checked, matched, alreadyCategorized, wouldChange, samples }
+ *   where samples are the most recent matches { date, amount, location, description, email, category }.
+ */
+function testCategorizationRule(rule, householdId) {
+  const normalized = _normalizeCategorizationRule(rule);
+  if (!_ruleHasCondition(normalized)) {
+    return { success: false, message: "Add at least one condition to test." };
+  }
+
+  const expenses = readExpenseTrackerRows(householdId).filter(expense => expense.date);
+  const matches = expenses
+    .filter(expense => categorizationRuleMatches(normalized, expense))
+    .sort((a, b) => b.date - a.date);
+  const alreadyCategorized = matches.filter(expense => expense.category === normalized.category).length;
+
+  return {
+    success: true,
+    message: `Matches ${matches.length} of ${expenses.length} past expenses.`,
+    checked: expenses.length,
+    matched: matches.length,
+    alreadyCategorized: alreadyCategorized,
+    wouldChange: matches.length - alreadyCategorized,
+    samples: matches.slice(0, CONFIG.CATEGORIZATION_RULE_SETTINGS.TEST_SAMPLE_SIZE).map(expense => ({
+      date: formatDateYMD(expense.date),
+      amount: expense.amount,
+      location: expense.location,
+      description: expense.description,
+      email: expense.email,
+      category: expense.category
+    }))
+  };
+}
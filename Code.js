@@ -23,13 +23,23 @@ function onOpen() {
       .addItem('Setup Points Reference Sheet', 'setupPointsReferenceMenu') // Wrapper
       .addItem('Setup Households Sheet', 'setupHouseholdsMenu') // Wrapper
       .addItem('Setup Goals Sheet', 'setupGoalsMenu') // Wrapper
+      .addItem('Setup Accounts & Balance Snapshots Sheets', 'setupAccountsMenu') // Wrapper
       .addSeparator()
       .addItem('Setup Expense Tracker Sheet', 'setupExpenseTrackerMenu') // Wrapper
       .addItem('Setup Budget Categories Sheet', 'setupBudgetCategoriesMenu') // Wrapper
       .addItem('Setup Location Mapping Sheet', 'setupLocationMappingMenu') // Wrapper  
+      .addItem('Setup Pay Period Archive Sheet', 'setupPayPeriodArchiveMenu') // Wrapper
+      .addItem('Setup Recurring Expenses Sheet', 'setupRecurringExpensesMenu') // Wrapper
+      .addItem('Setup Income Ledger Sheet', 'setupIncomeLedgerMenu') // Wrapper
+      .addItem('Setup Categorization Rules Sheet', 'setupCategorizationRulesMenu') // Wrapper
+      .addItem('Setup Exchange Rates Sheet', 'setupExchangeRatesMenu') // Wrapper
+      .addItem('Setup Budget Templates Sheet', 'setupBudgetTemplatesMenu') // Wrapper
+      .addItem('Setup Expense Approvals Sheet', 'setupExpenseApprovalsMenu') // Wrapper
+      .addItem('Setup Bills Sheet', 'setupBillsMenu') // Wrapper
       .addItem('Setup All Expense Sheets', 'setupAllExpenseSheetsMenu') // Wrapper
       .addSeparator()
       .addItem('Cleanup Legacy Cache', 'cleanupLegacyCacheMenu') // Wrapper
+      .addItem('Migrate Shared Budget Categories', 'migrateSharedBudgetCategoriesMenu') // Wrapper
       // .addItem('Update Form From Points Reference', 'updateFormMenu') // Obsolete - Removed
       .addItem('Rebuild Dashboard From Form Responses', 'rebuildDashboardMenu') // Wrapper - CAUTION: Check if this logic is still valid/needed without a Form Responses sheet being the primary input
       .addItem('Setup/Update All Triggers', 'setupAllTriggersMenu') // Wrapper
@@ -17,6 +17,16 @@ const CONFIG = {
     EXPENSE_TRACKER: "Expense Tracker",
     BUDGET_CATEGORIES: "Budget Categories",
     LOCATION_MAPPING: "Location Mapping",
+    PAY_PERIOD_ARCHIVE: "Pay Period Archive",
+    RECURRING_EXPENSES: "Recurring Expenses",
+    INCOME_LEDGER: "Income Ledger",
+    CATEGORIZATION_RULES: "Categorization Rules",
+    EXCHANGE_RATES: "Exchange Rates",
+    BUDGET_TEMPLATES: "Budget Templates",
+    EXPENSE_APPROVALS: "Expense Approvals",
+    BILLS: "Bills",
+    ACCOUNTS: "Accounts",
+    BALANCE_SNAPSHOTS: "Balance Snapshots",
     // FORM_RESPONSES: "Form Responses 1" // Obsolete if not reading directly
   },
 
@@ -40,6 +50,10 @@ const CONFIG = {
   EMAIL_SUBJECTS: {
     DAILY_DIGEST: "📊 BUDGET GAME: Daily Summary",
     WEEKLY_DIGEST: "🏆 Your Budget Game Weekly Summary",
+    BUDGET_ALERT: "⚠️ BUDGET GAME: Budget Alert",
+    EXPENSE_APPROVAL: "🛒 BUDGET GAME: Purchase Needs Your Approval",
+    EXPENSE_APPROVAL_DECISION: "🛒 BUDGET GAME: Purchase Approval Decision",
+    BILL_REMINDER: "📅 BUDGET GAME: Bills Due Soon",
   },
   DAILY_DIGEST_HOUR: 21, // 9 PM
   WEEKLY_DIGEST_DAY: ScriptApp.WeekDay.SUNDAY, // Day to send weekly digest
@@ -51,6 +65,8 @@ const CONFIG = {
     DAILY_DIGEST: 'sendDailyDigest',
     WEEKLY_DIGEST: 'sendWeeklyDigestEmail',
     POINTS_EDIT: 'handleSheetEdit',
+    RECURRING_EXPENSES: 'processRecurringExpenses',
+    BILL_REMINDERS: 'processBillReminders',
     // RESPONSES_EDIT: 'handleFormResponsesEdit' // Obsolete - Removed
     // FORM_SUBMIT: 'handleFormSubmit' // Obsolete - Removed
   },
@@ -94,13 +110,102 @@ const CONFIG = {
     MAX_GOALS_PER_HOUSEHOLD: 10,
     DEFAULT_GOAL_DURATION_MONTHS: 12
   },
+  DEBT_PLANNER_SETTINGS: {
+    STRATEGIES: ["snowball", "avalanche", "custom"], // Smallest balance first, highest APR first, or the household's own order
+    MAX_MONTHS: 600, // Simulation stops after 50 years (a debt whose payments don't cover its interest never pays off)
+    MAX_APR: 100 // Highest APR (annual %) a debt goal accepts
+  },
+  NET_WORTH_SETTINGS: {
+    ACCOUNT_TYPES: ["checking", "savings", "retirement", "investment", "credit_card", "loan"],
+    LIABILITY_TYPES: ["credit_card", "loan"], // Balances of these types are amounts owed and count against net worth
+    LINKABLE_GOAL_TYPES: ["debt", "savings"], // Goal types whose CurrentAmount can follow an account's latest balance
+    HISTORY_MONTHS: 12 // Month-end points shown on the Dashboard net worth chart
+  },
   EXPENSE_SETTINGS: {
     CACHE_TIME: 600, // 10 minutes cache for expense data
     DEFAULT_PAY_PERIOD_DAYS: 14, // Default pay period length
     AUTO_SAVE_DELAY: 2000, // 2 seconds delay for auto-save
     MAX_LOCATIONS_PER_HOUSEHOLD: 50, // Max stored locations
     DEFAULT_BUDGET_CATEGORIES: ["Groceries", "Gas", "Shopping", "Dining", "Utilities", "Entertainment"],
-    LOCATION_LEARNING_THRESHOLD: 3 // Times location used before it becomes a suggestion
+    LOCATION_LEARNING_THRESHOLD: 3, // Times location used before it becomes a suggestion
+    LOCATION_SIMILARITY_THRESHOLD: 0.8, // 0-1 similarity at which two spellings count as the same location
+    ROLLOVER_MODES: ["none", "surplus", "deficit", "both"], // What a finalized period carries into the next one
+    DEFAULT_ALERT_THRESHOLDS: [50, 80, 100] // Percent of a category's budget that triggers an alert email
+  },
+  BUDGET_POINTS: { // Dashboard points awarded when a pay period is finalized - Defaults used if PropertiesService empty
+    ENABLED: true,
+    CATEGORY: "Budget", // Dashboard activity category for budget results
+    CATEGORY_UNDER: 2, // Per category finished at or under its budget
+    OVERALL_UNDER: 5, // Whole household finished at or under its total budget
+    PENALTIES_ENABLED: false,
+    CATEGORY_OVER: -1, // Per category finished over its budget (only when penalties are enabled)
+    OVERALL_OVER: -3 // Whole household finished over its total budget (only when penalties are enabled)
+  },
+  FORECAST_SETTINGS: {
+    HISTORY_PERIODS: 6, // Archived pay periods blended into each category's forecast
+    CONFIDENCE_Z: 1.28, // Width of the projection band (1.28 = roughly 80% of outcomes)
+    AT_RISK_RATIO: 0.9 // A projection above this share of the budget, with the band's top over it, counts as at risk
+  },
+  PAY_PERIOD_SETTINGS: {
+    SCHEDULE_TYPES: ["weekly", "biweekly", "semimonthly", "monthly"],
+    // Used for any household that has not saved its own schedule.
+    // Semi-monthly on the 15th matches the original 1st-15th / 16th-end split.
+    DEFAULT_SCHEDULE: {
+      type: "semimonthly",
+      anchorDate: null, // yyyy-MM-dd of any period start (required for weekly/biweekly)
+      splitDay: 15,     // Last day of the first half (semimonthly)
+      startDay: 1       // Day of the month each period starts (monthly)
+    }
+  },
+  RECURRING_EXPENSE_SETTINGS: {
+    CADENCES: ["weekly", "biweekly", "monthly", "quarterly", "yearly"],
+    RUN_HOUR: 6, // Hour (0-23) the daily trigger posts due items
+    MAX_CATCH_UP: 12 // Most occurrences of one item posted in a single run (e.g. after the trigger was off)
+  },
+  CURRENCY_SETTINGS: {
+    HOME_CURRENCY: "USD", // Budgets, recalculation and reports are all in this currency
+    // Currencies offered when logging an expense; each needs a rate in the Exchange Rates sheet
+    SUPPORTED_CURRENCIES: ["USD", "CAD", "EUR", "GBP", "MXN"]
+  },
+  EXPENSE_SEARCH_SETTINGS: {
+    SORT_FIELDS: ["date", "amount", "location", "category"],
+    DEFAULT_PAGE_SIZE: 20,
+    MAX_PAGE_SIZE: 100
+  },
+  BUDGET_TEMPLATE_SETTINGS: {
+    MONTH_NAMES: ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"], // Months values
+    CALENDAR_MONTHS: 12 // How far ahead the admin budget calendar looks
+  },
+  EXPENSE_APPROVAL_SETTINGS: {
+    DEFAULT_THRESHOLD: null, // Home-currency amount above which another member must approve (null = no approvals) until a household saves its own
+    STATUSES: ["pending", "approved", "declined"],
+    RECENT_DECISIONS: 5 // Decided requests a member still sees under their own purchases
+  },
+  BILL_SETTINGS: {
+    CADENCES: ["weekly", "biweekly", "monthly", "quarterly", "yearly"],
+    REMINDER_HOUR: 7, // Hour (0-23) the daily trigger sends reminders and records autopay bills
+    DEFAULT_REMIND_DAYS: 3, // Days before the due date a reminder goes out when a bill doesn't set its own
+    UPCOMING_DAYS: 30, // How far ahead the upcoming bills list looks
+    MAX_CATCH_UP: 12 // Most autopay occurrences of one bill recorded in a single run (e.g. after the trigger was off)
+  },
+  CATEGORIZATION_RULE_SETTINGS: {
+    DAY_NAMES: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"], // DaysOfWeek values (also "weekdays" / "weekends")
+    TEST_SAMPLE_SIZE: 25 // Matching past expenses listed when an admin tests a rule
+  },
+  STATEMENT_IMPORT_SETTINGS: {
+    DATE_FORMATS: ["MM/dd/yyyy", "yyyy-MM-dd", "dd/MM/yyyy"],
+    AMOUNT_SIGNS: ["expensePositive", "expenseNegative"], // Card exports list charges as positive; bank exports as negative
+    DEFAULT_MAPPING: {
+      hasHeader: true,
+      dateColumn: 0, // 0-based CSV column indexes
+      descriptionColumn: 1,
+      amountColumn: 2,
+      creditColumn: -1, // Separate credit/refund column, -1 when the file has a single signed amount column
+      dateFormat: "MM/dd/yyyy",
+      amountSign: "expensePositive"
+    },
+    DUPLICATE_WINDOW_DAYS: 2, // Posting dates often lag the purchase by a day or two
+    MAX_ROWS: 500
   },
   STREAK_THRESHOLDS: { // Days required for bonuses - Defaults used if PropertiesService empty
     BONUS_1: 3, // +1 point
@@ -134,6 +239,184 @@ const CONFIG = {
 
 };
 
+// --- Sheet Column Maps (1-based column numbers) ---
+const EXPENSE_TRACKER_COLUMNS = {
+  DATE: 1,
+  AMOUNT: 2,
+  LOCATION: 3,
+  CATEGORY: 4,
+  DESCRIPTION: 5,
+  EMAIL: 6,
+  HOUSEHOLD_ID: 7,
+  PAY_PERIOD: 8,
+  REFUND_OF: 9, // Timestamp of the original expense a refund gives back (optional)
+  TRANSACTION_ID: 10, // Shared by every line of a split receipt (blank for single-category expenses)
+  ORIGINAL_AMOUNT: 11, // Amount as paid, in Currency (blank when paid in the home currency)
+  CURRENCY: 12, // ISO code the expense was paid in (blank means CONFIG.CURRENCY_SETTINGS.HOME_CURRENCY)
+  TAGS: 13 // Comma-separated free-form tags, e.g. "birthday party, reimbursable"
+};
+
+const BUDGET_CATEGORY_COLUMNS = {
+  CATEGORY_NAME: 1,
+  MONTHLY_BUDGET: 2,
+  CURRENT_SPENT: 3,
+  PAY_PERIOD_BUDGET: 4,
+  PAY_PERIOD_SPENT: 5,
+  LAST_RESET: 6,
+  HOUSEHOLD_ID: 7, // Owning household (blank for users without one); a row never applies to another household
+  IS_ACTIVE: 8,
+  ROLLOVER_MODE: 9, // One of CONFIG.EXPENSE_SETTINGS.ROLLOVER_MODES (blank means none)
+  ROLLOVER_CAP: 10, // Largest amount carried either way (blank for no cap)
+  ROLLOVER_AMOUNT: 11, // Carried into the current period: positive surplus, negative deficit
+  ALERT_THRESHOLDS: 12, // Comma-separated percents (blank uses the default list, "off" disables alerts)
+  OWNER_EMAIL: 13, // Member whose personal allowance this is (blank for a household-wide category)
+  SHARE_DETAILS: 14, // true lets other members see the owner's itemized expenses in this category
+  APPROVAL_THRESHOLD: 15 // Expenses above this amount need another member's approval (blank uses the household threshold)
+};
+
+const LOCATION_MAPPING_COLUMNS = {
+  LOCATION_NAME: 1,
+  DEFAULT_CATEGORY: 2,
+  USAGE_COUNT: 3,
+  LAST_USED: 4,
+  HOUSEHOLD_ID: 5,
+  IS_ACTIVE: 6,
+  ALIASES: 7 // Comma-separated other spellings that mean this location (e.g. "Trader Joes, TJ's")
+};
+
+const CATEGORIZATION_RULE_COLUMNS = {
+  RULE_ID: 1,
+  PRIORITY: 2, // Lower numbers are checked first; the first matching rule wins
+  NAME: 3,
+  LOCATION: 4, // Location name or part of one (blank matches any location)
+  DESCRIPTION_KEYWORDS: 5, // Comma-separated; any one found in the description matches
+  MIN_AMOUNT: 6,
+  MAX_AMOUNT: 7,
+  DAYS_OF_WEEK: 8, // e.g. "Sat, Sun" (see CONFIG.CATEGORIZATION_RULE_SETTINGS.DAY_NAMES)
+  MEMBER: 9, // Email of the member who logged the expense
+  CATEGORY: 10,
+  TAGS: 11, // Comma-separated tags suggested with the category
+  HOUSEHOLD_ID: 12,
+  IS_ACTIVE: 13
+};
+
+const PAY_PERIOD_ARCHIVE_COLUMNS = {
+  ARCHIVED_AT: 1,
+  HOUSEHOLD_ID: 2,
+  PAY_PERIOD: 3,
+  PERIOD_START: 4,
+  PERIOD_END: 5,
+  CATEGORY: 6,
+  BUDGET: 7,
+  SPENT: 8,
+  REMAINING: 9,
+  EXPENSE_COUNT: 10,
+  MEMBERS: 11,
+  FINALIZED_BY: 12
+};
+
+const RECURRING_EXPENSE_COLUMNS = {
+  RECURRING_ID: 1,
+  AMOUNT: 2,
+  LOCATION: 3,
+  CATEGORY: 4,
+  DESCRIPTION: 5,
+  CADENCE: 6,
+  START_DATE: 7,
+  NEXT_DUE: 8,
+  HOUSEHOLD_ID: 9,
+  EMAIL: 10, // Member the posted expenses are logged under
+  IS_ACTIVE: 11,
+  LAST_POSTED: 12 // Due date (yyyy-MM-dd) of the last occurrence claimed by the trigger
+};
+
+const EXCHANGE_RATE_COLUMNS = {
+  DATE: 1, // Rate applies from this date until a later row for the same currency
+  CURRENCY: 2, // ISO code, e.g. "CAD"
+  RATE: 3, // Home currency per 1 unit of Currency (e.g. 0.74 for CAD when home is USD)
+  NOTES: 4
+};
+
+const BUDGET_TEMPLATE_COLUMNS = {
+  TEMPLATE_ID: 1,
+  NAME: 2,
+  MONTHS: 3, // e.g. "Dec" or "Jun-Aug"; the template applies to periods starting in these months
+  START_DATE: 4, // Optional date range; a period starting inside it uses the template (beats Months)
+  END_DATE: 5,
+  AMOUNTS: 6, // JSON object of category name -> PayPeriodBudget; unlisted categories keep their own budget
+  HOUSEHOLD_ID: 7,
+  IS_ACTIVE: 8
+};
+
+const EXPENSE_APPROVAL_COLUMNS = {
+  REQUEST_ID: 1,
+  SUBMITTED_AT: 2,
+  AMOUNT: 3, // As entered, in Currency
+  CURRENCY: 4, // ISO code the purchase was paid in (blank means CONFIG.CURRENCY_SETTINGS.HOME_CURRENCY)
+  HOME_AMOUNT: 5, // Amount in the home currency when submitted (what the threshold was checked against)
+  LOCATION: 6,
+  CATEGORY: 7, // Blank for a split receipt
+  SPLIT_LINES: 8, // JSON list of { category, amount } for a split receipt (blank otherwise)
+  DESCRIPTION: 9,
+  TAGS: 10,
+  EMAIL: 11, // Member who made the purchase
+  HOUSEHOLD_ID: 12,
+  STATUS: 13, // One of CONFIG.EXPENSE_APPROVAL_SETTINGS.STATUSES
+  DECIDED_BY: 14,
+  DECIDED_AT: 15,
+  NOTE: 16 // Audit note recorded with the decision
+};
+
+const BILL_COLUMNS = {
+  BILL_ID: 1,
+  PAYEE: 2,
+  AMOUNT: 3, // Fixed amount, or the usual amount when IsEstimate is set
+  IS_ESTIMATE: 4, // TRUE when the amount varies and is confirmed when the bill is marked paid
+  CADENCE: 5, // One of CONFIG.BILL_SETTINGS.CADENCES
+  FIRST_DUE: 6, // Due-day rule: the bill is due on this date and every cadence step after it
+  NEXT_DUE: 7,
+  AUTOPAY: 8, // TRUE when the bill pays itself; the reminder trigger records it on the due date
+  CATEGORY: 9, // Budget category the payment is logged under
+  HOUSEHOLD_ID: 10,
+  EMAIL: 11, // Member who added the bill (payments are logged under whoever marks it paid)
+  IS_ACTIVE: 12,
+  LAST_PAID: 13, // Due date (yyyy-MM-dd) of the last occurrence marked paid
+  REMIND_DAYS: 14, // Days before the due date to send a reminder (blank uses CONFIG.BILL_SETTINGS.DEFAULT_REMIND_DAYS)
+  LAST_REMINDED: 15 // Due date (yyyy-MM-dd) a reminder was last sent for
+};
+
+const ACCOUNT_COLUMNS = {
+  ACCOUNT_ID: 1,
+  NAME: 2,
+  TYPE: 3, // One of CONFIG.NET_WORTH_SETTINGS.ACCOUNT_TYPES
+  HOUSEHOLD_ID: 4,
+  IS_ACTIVE: 5, // Closed accounts stay for their history but drop out of the balance form
+  CREATED_BY: 6
+};
+
+const BALANCE_SNAPSHOT_COLUMNS = {
+  SNAPSHOT_ID: 1,
+  DATE: 2, // Balance as of this date; one snapshot per account per day
+  ACCOUNT_ID: 3,
+  BALANCE: 4, // Positive amount held, or owed for a liability account
+  HOUSEHOLD_ID: 5,
+  EMAIL: 6, // Member who recorded it
+  RECORDED_AT: 7
+};
+
+const INCOME_LEDGER_COLUMNS = {
+  INCOME_ID: 1,
+  DATE: 2,
+  AMOUNT: 3,
+  SOURCE: 4,
+  DESCRIPTION: 5,
+  EMAIL: 6,
+  HOUSEHOLD_ID: 7,
+  PAY_PERIOD: 8,
+  ALLOCATED: 9, // Total assigned so far (sum of Allocations)
+  ALLOCATIONS: 10 // JSON list of { type: "category"|"goal", name, goalId?, amount }
+};
+
 // --- Global Cache Variable ---
 // Initialized here, managed by caching functions in DataProcessing.gs
 // Definition MOVED to DataProcessing.gs
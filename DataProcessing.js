@@ -531,7 +531,7 @@ function getHouseholdWeeklyTotals(householdEmails) {
   const defaultSummary = {
     total: 0, positive: 0, negative: 0, topActivity: "None", topActivityCount: 0,
     // Initialize categories based on CONFIG for consistency
-    categories: CONFIG.CATEGORIES.reduce((acc, category) => {
+    categories: CONFIG.CATEGORIES.concat(CONFIG.BUDGET_POINTS.CATEGORY).reduce((acc, category) => {
        acc[category] = 0; // Use category name directly as key for simplicity
        return acc;
     }, { "Total Positive": 0, "Total Negative": 0 }) // Add overall counts
@@ -582,8 +582,8 @@ function getHouseholdWeeklyTotals(householdEmails) {
           const activityName = match[1].trim();
           activityCounts[activityName] = (activityCounts[activityName] || 0) + 1;
 
-          // Increment count for the specific category if known
-          const category = activityData.categories[activityName];
+          // Increment count for the specific category if known (budget results aren't in the Points Reference)
+          const category = activityData.categories[activityName] || getBudgetActivityCategory(activityName);
           if (category && categoryCounts.hasOwnProperty(category)) {
             categoryCounts[category]++;
           }
@@ -654,8 +654,9 @@ function getWeekActivities(startDate, endDate, householdEmails) {
                 const match = activityEntry.match(/[➕➖]\s(.+?)\s*(?:\(🔥\d+\))?\s*\(/);
                 if (match && match[1]) {
                     const activityName = match[1].trim();
-                    // Re-process using the name to get accurate points/category/streak for THAT instance
-                    const result = processActivityWithPoints(activityName, activityData);
+                    // Re-process using the name to get accurate points/category/streak for THAT instance.
+                    // Budget results keep the points they were awarded with.
+                    const result = parseBudgetActivityEntry(activityEntry) || processActivityWithPoints(activityName, activityData);
                     if (result.name) { // Ensure it's a valid activity
                         allActivities.push({
                             name: result.name,
@@ -690,7 +691,7 @@ function calculateSummaryFromActivities(activities, activityData = null) {
   // Initialize default summary structure, mirroring weekly sheet/digest needs
   const defaultSummary = {
     total: 0, positive: 0, negative: 0, topActivity: "None", topActivityCount: 0,
-    categories: CONFIG.CATEGORIES.reduce((acc, category) => {
+    categories: CONFIG.CATEGORIES.concat(CONFIG.BUDGET_POINTS.CATEGORY).reduce((acc, category) => {
        acc[category] = 0; return acc;
     }, { "Total Positive": 0, "Total Negative": 0 })
   };
@@ -1557,7 +1558,7 @@ function resetExpenseDataCache(householdId = null) {
 
 /**
  * Reads budget category data from the Budget Categories sheet
- * @param {string} householdId Optional household ID to filter by
+ * @param {string} householdId Household whose own categories are read (null for users without a household)
  * @return {Object} Budget categories data with current spending and limits
  */
 function readBudgetCategoriesData(householdId = null) {
@@ -1582,47 +1583,71 @@ function readBudgetCategoriesData(householdId = null) {
   }
 
   try {
-    // Columns: CategoryName, MonthlyBudget, CurrentSpent, PayPeriodBudget, PayPeriodSpent, LastReset, HouseholdID, IsActive
-    const dataRange = sheet.getRange(2, 1, lastRow - 1, 8);
+    // Columns: CategoryName, MonthlyBudget, CurrentSpent, PayPeriodBudget, PayPeriodSpent, LastReset, HouseholdID, IsActive,
+    // RolloverMode, RolloverCap, RolloverAmount, AlertThresholds, OwnerEmail, ShareDetails, ApprovalThreshold
+    const dataRange = sheet.getRange(2, 1, lastRow - 1, getBudgetCategoriesWidth(sheet));
     const data = dataRange.getValues();
     const categories = [];
     const categoriesById = {};
     let totalBudget = 0;
+    let totalBaseBudget = 0;
     let totalSpent = 0;
+    let totalMonthlyBudget = 0;
+    let totalMonthlySpent = 0;
+    // A budget template scheduled for the current period overrides the flat PayPeriodBudget
+    const budgetTemplate = getBudgetTemplateForPeriod(householdId);
 
     data.forEach((row, index) => {
       const categoryName = String(row[0]).trim();
       const monthlyBudget = typeof row[1] === 'number' ? row[1] : (row[1] !== "" && !isNaN(row[1]) ? Number(row[1]) : 0);
       const currentSpent = typeof row[2] === 'number' ? row[2] : (row[2] !== "" && !isNaN(row[2]) ? Number(row[2]) : 0);
-      const payPeriodBudget = typeof row[3] === 'number' ? row[3] : (row[3] !== "" && !isNaN(row[3]) ? Number(row[3]) : 0);
+      const flatPayPeriodBudget = typeof row[3] === 'number' ? row[3] : (row[3] !== "" && !isNaN(row[3]) ? Number(row[3]) : 0);
+      const payPeriodBudget = getScheduledPayPeriodBudget(categoryName, flatPayPeriodBudget, budgetTemplate);
       const payPeriodSpent = typeof row[4] === 'number' ? row[4] : (row[4] !== "" && !isNaN(row[4]) ? Number(row[4]) : 0);
       const lastReset = row[5] instanceof Date ? row[5] : null;
       const categoryHouseholdId = row[6] ? String(row[6]).trim() : null;
       const isActive = row[7] === true || row[7] === "TRUE" || row[7] === "true";
+      const rollover = _readRolloverSettings(row);
 
-      // Filter by household if specified
-      if (householdId && categoryHouseholdId && categoryHouseholdId !== householdId) {
+      // Only the household's own rows (see HouseholdBudgets.js)
+      if (!isHouseholdBudgetRow(categoryHouseholdId, householdId)) {
         return; // Skip this category
       }
 
       if (categoryName && isActive) {
+        const effectiveBudget = getEffectiveBudget(payPeriodBudget, rollover.amount);
         const categoryData = {
           name: categoryName,
           monthlyBudget: monthlyBudget,
-          currentSpent: currentSpent,
-          payPeriodBudget: payPeriodBudget,
+          currentSpent: currentSpent, // This calendar month (see MonthlyBudgets.js)
+          monthlyRemaining: monthlyBudget - currentSpent,
+          monthlyPercentUsed: monthlyBudget > 0 ? (currentSpent / monthlyBudget) * 100 : 0,
+          payPeriodBudget: payPeriodBudget, // Base budget before rollover
+          flatPayPeriodBudget: flatPayPeriodBudget, // PayPeriodBudget as saved, before any template
+          budgetTemplate: budgetTemplate && budgetTemplate.amounts.hasOwnProperty(categoryName) ? budgetTemplate.name : null,
           payPeriodSpent: payPeriodSpent,
           lastReset: lastReset,
           householdId: categoryHouseholdId,
-          remaining: payPeriodBudget - payPeriodSpent,
-          percentUsed: payPeriodBudget > 0 ? (payPeriodSpent / payPeriodBudget) * 100 : 0,
+          rolloverMode: rollover.mode,
+          rolloverCap: rollover.cap,
+          rolloverAmount: rollover.amount,
+          effectiveBudget: effectiveBudget,
+          alertThresholds: parseAlertThresholds(row[BUDGET_CATEGORY_COLUMNS.ALERT_THRESHOLDS - 1]),
+          ownerEmail: _readCategoryOwner(row),
+          shareDetails: _readCategoryShareDetails(row),
+          approvalThreshold: parseApprovalThreshold(row[BUDGET_CATEGORY_COLUMNS.APPROVAL_THRESHOLD - 1]), // null uses the household's
+          remaining: effectiveBudget - payPeriodSpent,
+          percentUsed: effectiveBudget > 0 ? (payPeriodSpent / effectiveBudget) * 100 : 0,
           rowIndex: index + 2 // Sheet row number for updates
         };
 
         categories.push(categoryData);
         categoriesById[categoryName] = categoryData;
-        totalBudget += payPeriodBudget;
+        totalBudget += effectiveBudget;
+        totalBaseBudget += payPeriodBudget;
         totalSpent += payPeriodSpent;
+        totalMonthlyBudget += monthlyBudget;
+        totalMonthlySpent += currentSpent;
       }
     });
 
@@ -1630,8 +1655,13 @@ function readBudgetCategoriesData(householdId = null) {
       categories: categories, 
       categoriesById: categoriesById, 
       totalBudget: totalBudget, 
+      totalBaseBudget: totalBaseBudget,
       totalSpent: totalSpent,
-      totalRemaining: totalBudget - totalSpent
+      totalRemaining: totalBudget - totalSpent,
+      totalMonthlyBudget: totalMonthlyBudget,
+      totalMonthlySpent: totalMonthlySpent,
+      budgetMonth: serializeBudgetMonth(getBudgetMonthForDate(new Date())),
+      budgetTemplate: budgetTemplate ? budgetTemplate.name : null
     };
   } catch (error) {
     Logger.log(`Error reading budget categories data: ${error}\nStack: ${error.stack}`);
@@ -1666,8 +1696,8 @@ function readLocationMappingData(householdId = null) {
   }
 
   try {
-    // Columns: LocationName, DefaultCategory, UsageCount, LastUsed, HouseholdID, IsActive
-    const dataRange = sheet.getRange(2, 1, lastRow - 1, 6);
+    // Columns: LocationName, DefaultCategory, UsageCount, LastUsed, HouseholdID, IsActive, Aliases
+    const dataRange = sheet.getRange(2, 1, lastRow - 1, getLocationMappingWidth(sheet));
     const data = dataRange.getValues();
     const locations = [];
     const locationsByName = {};
@@ -1692,6 +1722,7 @@ function readLocationMappingData(householdId = null) {
           usageCount: usageCount,
           lastUsed: lastUsed,
           householdId: locationHouseholdId,
+          aliases: parseLocationAliases(row[LOCATION_MAPPING_COLUMNS.ALIASES - 1]),
           rowIndex: index + 2, // Sheet row number for updates
           isSuggested: usageCount >= CONFIG.EXPENSE_SETTINGS.LOCATION_LEARNING_THRESHOLD
         };
@@ -1736,6 +1767,7 @@ function getEnhancedLocationMappingData(householdId = null) {
         
         // Read recent expense data: Date(A), Amount(B), Location(C), Category(D), Description(E), Email(F), HouseholdID(G)
         const data = expenseSheet.getRange(2, 1, lastRow - 1, 7).getValues();
+        const spellingsChecked = new Set(); // Spellings already looked up
         
         data.forEach(row => {
           const expenseDate = row[0];
@@ -1747,15 +1779,18 @@ function getEnhancedLocationMappingData(householdId = null) {
           if (expenseDate instanceof Date && expenseDate >= cutoffDate) {
             if (!householdId || !expenseHouseholdId || expenseHouseholdId === householdId) {
               const locationKey = location.toLowerCase();
+              if (!location || locationsByName[locationKey] || spellingsChecked.has(locationKey)) return;
+              spellingsChecked.add(locationKey);
               
-              // If location isn't already in our mapping, add it as a recent location
-              if (location && !locationsByName[locationKey]) {
+              // If location isn't already in our mapping (under any spelling or alias), add it as a recent location
+              if (!findLocationMatch(location, { locations: locations, locationsByName: locationsByName }, false)) {
                 const recentLocationData = {
                   name: location,
                   defaultCategory: category,
                   usageCount: 1,
                   lastUsed: expenseDate,
                   householdId: expenseHouseholdId,
+                  aliases: [],
                   rowIndex: -1, // Not in mapping sheet yet
                   isSuggested: true, // Show recent locations as suggested
                   isRecent: true // Flag to identify as coming from recent expenses
@@ -1782,6 +1817,142 @@ function getEnhancedLocationMappingData(householdId = null) {
   };
 }
 
+/**
+ * Normalizes a location name for comparison: lowercase, no punctuation, single spaces,
+ * so "Trader Joe's" and "trader joes" compare equal.
+ * @param {string} name The location name.
+ * @return {string} The comparison key.
+ */
+function normalizeLocationKey(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/['’`]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Parses a Location Mapping Aliases cell.
+ * @param {*} value The cell value.
+ * @return {Array<string>} Trimmed, non-empty alias names.
+ */
+function parseLocationAliases(value) {
+  return String(value || "")
+    .split(/[,;]/)
+    .map(alias => alias.trim())
+    .filter(alias => alias);
+}
+
+/**
+ * Number of Location Mapping columns that can be read from a sheet. Sheets created before
+ * the Aliases column was added may be narrower than LOCATION_MAPPING_COLUMNS.
+ * @param {Sheet} sheet The Location Mapping sheet.
+ * @return {number} The column count to read.
+ * @private
+ */
+function getLocationMappingWidth(sheet) {
+  return Math.min(sheet.getMaxColumns(), Math.max(...Object.values(LOCATION_MAPPING_COLUMNS)));
+}
+
+/**
+ * Scores how alike two location names are, from 0 (unrelated) to 1 (same once normalized).
+ * Uses the better of edit-distance similarity, which catches typos ("Trader Joes" / "Trader Jose"),
+ * and word overlap, which catches reordered or extra words ("Joe's Trader" / "Trader Joes Market").
+ * @param {string} a A location name.
+ * @param {string} b Another location name.
+ * @return {number} The similarity score.
+ */
+function locationSimilarity(a, b) {
+  const keyA = normalizeLocationKey(a);
+  const keyB = normalizeLocationKey(b);
+  if (!keyA || !keyB) return 0;
+  if (keyA === keyB) return 1;
+
+  // Levenshtein distance on the space-free keys, one row at a time
+  const s = keyA.replace(/ /g, "");
+  const t = keyB.replace(/ /g, "");
+  let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= s.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= t.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (s[i - 1] === t[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  const editSimilarity = 1 - previous[t.length] / Math.max(s.length, t.length);
+
+  const tokensA = new Set(keyA.split(" "));
+  const tokensB = new Set(keyB.split(" "));
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+  const tokenSimilarity = shared / (tokensA.size + tokensB.size - shared);
+
+  return Math.max(editSimilarity, tokenSimilarity);
+}
+
+/**
+ * Finds the location mapping that best matches a location or statement description.
+ * In order: an exact (case-insensitive) name; a name or alias that is equal once punctuation
+ * is ignored; the longest name contained in (or containing) the text, ignoring spaces and
+ * punctuation, so "Target" beats "Tar" for "TARGET #1234"; and finally the most similar name
+ * or alias (see locationSimilarity).
+ * @param {string} text The location name or raw description to match.
+ * @param {Object} locationMappings { locations, locationsByName } from getEnhancedLocationMappingData.
+ * @param {boolean} [allowContains=true] False skips the contains step, for short names that are not descriptions.
+ * @return {Object|null} { location, matchType: 'exact'|'fuzzy' } or null when nothing matches.
+ *   Alias hits count as exact because someone mapped them on purpose.
+ */
+function findLocationMatch(text, locationMappings, allowContains = true) {
+  const key = String(text || "").trim().toLowerCase();
+  if (!key || !locationMappings) return null;
+
+  const exact = locationMappings.locationsByName[key];
+  if (exact) {
+    return { location: exact, matchType: 'exact' };
+  }
+
+  const locations = locationMappings.locations || [];
+  const normalizedKey = normalizeLocationKey(key);
+  const aliasHit = locations.find(loc =>
+    normalizeLocationKey(loc.name) === normalizedKey ||
+    (loc.aliases || []).some(alias => normalizeLocationKey(alias) === normalizedKey));
+  if (aliasHit) {
+    return { location: aliasHit, matchType: 'exact' };
+  }
+
+  let best = null;
+  if (allowContains) {
+    // Compared without spaces or punctuation so "TRADER JOE S #552" contains "Trader Joe's"
+    const compactKey = normalizedKey.replace(/ /g, "");
+    let bestLength = 0;
+    locations.forEach(loc => {
+      const name = normalizeLocationKey(loc.name).replace(/ /g, "");
+      if (name.length < 3) return; // Very short names match almost anything
+      if ((compactKey.includes(name) || name.includes(compactKey)) && name.length > bestLength) {
+        best = loc;
+        bestLength = name.length;
+      }
+    });
+    if (best) return { location: best, matchType: 'fuzzy' };
+  }
+
+  let bestScore = CONFIG.EXPENSE_SETTINGS.LOCATION_SIMILARITY_THRESHOLD;
+  locations.forEach(loc => {
+    [loc.name].concat(loc.aliases || []).forEach(candidate => {
+      const score = locationSimilarity(key, candidate);
+      if (score >= bestScore && (!best || score > bestScore)) {
+        best = loc;
+        bestScore = score;
+      }
+    });
+  });
+
+  return best ? { location: best, matchType: 'fuzzy' } : null;
+}
+
 /**
  * Caching wrapper for expense-related data
  * @param {string} householdId Optional household ID for filtering
@@ -1789,6 +1960,12 @@ function getEnhancedLocationMappingData(householdId = null) {
  */
 function getExpenseDataCached(householdId = null) {
   const cacheKey = _getExpenseCacheKey(householdId);
+
+  // A household's first visit gives it its own budget categories
+  ensureHouseholdBudgetCategories(householdId);
+
+  // A new pay period invalidates PayPeriodSpent, so rebuild it before serving cached data
+  syncPayPeriodRollover(householdId);
   
   // Check script-global cache first
   if (expenseDataCache && expenseDataCache[cacheKey]) {
@@ -1836,44 +2013,240 @@ function getExpenseDataCached(householdId = null) {
   return expenseData;
 }
 
+/**
+ * Number of Expense Tracker columns that can be read from a sheet. Sheets created before
+ * newer columns (such as RefundOf) were added may be narrower than EXPENSE_TRACKER_COLUMNS.
+ * @param {Sheet} sheet The Expense Tracker sheet.
+ * @return {number} The column count to read.
+ * @private
+ */
+function getExpenseTrackerWidth(sheet) {
+  return Math.min(sheet.getMaxColumns(), Math.max(...Object.values(EXPENSE_TRACKER_COLUMNS)));
+}
+
+/**
+ * Number of Budget Categories columns that can be read from a sheet. Sheets created before
+ * the rollover and alert columns were added may be narrower than BUDGET_CATEGORY_COLUMNS.
+ * @param {Sheet} sheet The Budget Categories sheet.
+ * @return {number} The column count to read.
+ * @private
+ */
+function getBudgetCategoriesWidth(sheet) {
+  return Math.min(sheet.getMaxColumns(), Math.max(...Object.values(BUDGET_CATEGORY_COLUMNS)));
+}
+
+/**
+ * Reads a Budget Categories row's rollover settings. Missing or unknown values mean no rollover.
+ * @param {Array} row The row's values (read with getBudgetCategoriesWidth).
+ * @return {Object} { mode, cap (number|null), amount }
+ * @private
+ */
+function _readRolloverSettings(row) {
+  const col = BUDGET_CATEGORY_COLUMNS;
+  const mode = String(row[col.ROLLOVER_MODE - 1] || "").trim().toLowerCase();
+  const cap = row[col.ROLLOVER_CAP - 1];
+  const amount = Number(row[col.ROLLOVER_AMOUNT - 1]);
+
+  return {
+    mode: CONFIG.EXPENSE_SETTINGS.ROLLOVER_MODES.includes(mode) ? mode : "none",
+    cap: cap !== "" && cap !== null && cap !== undefined && !isNaN(cap) && Number(cap) >= 0 ? Number(cap) : null,
+    amount: isNaN(amount) ? 0 : amount
+  };
+}
+
+/**
+ * Parses a category's AlertThresholds cell. Blank (or a sheet too old to have the column)
+ * uses the default list; "off" or "none" disables alerts for the category.
+ * @param {*} value The cell value, or an array of percents.
+ * @return {Array<number>} Sorted, de-duplicated percents above zero.
+ */
+function parseAlertThresholds(value) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return CONFIG.EXPENSE_SETTINGS.DEFAULT_ALERT_THRESHOLDS.slice();
+  }
+  if (/^(off|none)$/i.test(String(value).trim())) {
+    return [];
+  }
+
+  const parts = Array.isArray(value) ? value : String(value).split(/[,;\s]+/);
+  const thresholds = parts
+    .map(part => Number(String(part).replace('%', '')))
+    .filter(percent => !isNaN(percent) && percent > 0);
+  return [...new Set(thresholds)].sort((a, b) => a - b);
+}
+
+/**
+ * Formats alert thresholds for the AlertThresholds cell.
+ * @param {Array<number>} thresholds Percents from parseAlertThresholds.
+ * @return {string} e.g. "50, 80, 100", or "off" for an empty list.
+ */
+function formatAlertThresholds(thresholds) {
+  return thresholds.length ? thresholds.join(", ") : "off";
+}
+
+/**
+ * The budget a category actually has this period: its base PayPeriodBudget plus whatever
+ * was carried over. A carried deficit can use up the base budget but never makes it negative.
+ * @param {number} payPeriodBudget The base budget.
+ * @param {number} rolloverAmount The carried amount (negative for a deficit).
+ * @return {number} The effective budget.
+ */
+function getEffectiveBudget(payPeriodBudget, rolloverAmount) {
+  return Math.max(0, (Number(payPeriodBudget) || 0) + (Number(rolloverAmount) || 0));
+}
+
+/**
+ * Works out how much of a finished period's leftover budget a category carries forward.
+ * @param {string} mode One of CONFIG.EXPENSE_SETTINGS.ROLLOVER_MODES.
+ * @param {number|null} cap Largest amount carried either way (null for no cap).
+ * @param {number} leftover Effective budget minus spending (negative when overspent).
+ * @return {number} The amount to carry, rounded to cents (positive surplus, negative deficit).
+ */
+function calculateRolloverAmount(mode, cap, leftover) {
+  let carry = 0;
+  if (mode === "surplus" || mode === "both") carry = Math.max(leftover, carry);
+  if (mode === "deficit" || mode === "both") carry = Math.min(leftover, carry);
+  if (cap !== null && cap !== undefined && Math.abs(carry) > cap) {
+    carry = carry < 0 ? -cap : cap;
+  }
+  return Math.round(carry * 100) / 100;
+}
+
+/**
+ * Formats an expense timestamp as the reference stored in the RefundOf column.
+ * @param {Date} date The original expense's timestamp.
+ * @return {string} The reference, e.g. "2024-01-20 10:15:00".
+ */
+function formatExpenseReference(date) {
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), "yyyy-MM-dd HH:mm:ss");
+}
+
+/**
+ * Reads Expense Tracker rows as plain objects, optionally filtered to one household.
+ * @param {string|null} householdId Household to filter by (null returns every row)
+ * @return {Array<Object>} Expense objects { rowIndex, date, amount, location, category, description, email, householdId, payPeriod, refundOf, transactionId }
+ */
+function readExpenseTrackerRows(householdId = null) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.EXPENSE_TRACKER);
+  if (!sheet) return [];
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return [];
+
+  const data = sheet.getRange(2, 1, lastRow - 1, getExpenseTrackerWidth(sheet)).getValues();
+  const col = EXPENSE_TRACKER_COLUMNS;
+  const expenses = [];
+
+  data.forEach((row, index) => {
+    const rowHouseholdId = row[col.HOUSEHOLD_ID - 1] ? String(row[col.HOUSEHOLD_ID - 1]).trim() : null;
+    if (householdId && rowHouseholdId !== householdId) return;
+
+    expenses.push({
+      rowIndex: index + 2, // Sheet row number
+      date: row[col.DATE - 1] instanceof Date ? row[col.DATE - 1] : null,
+      amount: Number(row[col.AMOUNT - 1]) || 0,
+      location: String(row[col.LOCATION - 1] || "").trim(),
+      category: String(row[col.CATEGORY - 1] || "").trim(),
+      description: String(row[col.DESCRIPTION - 1] || ""),
+      email: String(row[col.EMAIL - 1] || "").trim(),
+      householdId: rowHouseholdId,
+      payPeriod: String(row[col.PAY_PERIOD - 1] || ""),
+      refundOf: String(row[col.REFUND_OF - 1] || ""),
+      transactionId: String(row[col.TRANSACTION_ID - 1] || ""),
+      originalAmount: row[col.ORIGINAL_AMOUNT - 1] === "" || row[col.ORIGINAL_AMOUNT - 1] === undefined ? null : Number(row[col.ORIGINAL_AMOUNT - 1]),
+      currency: String(row[col.CURRENCY - 1] || "").trim().toUpperCase(),
+      tags: parseExpenseTags(row[col.TAGS - 1])
+    });
+  });
+
+  return expenses;
+}
+
 /**
  * Processes and logs an expense entry to the Expense Tracker sheet
- * @param {number} amount The expense amount
+ * @param {number} amount The expense amount (negative for a refund or return)
  * @param {string} location The store/location name
  * @param {string} category The budget category
  * @param {string} description Optional description
  * @param {string} email User's email
  * @param {string} householdId User's household ID
+ * @param {string} refundOf Optional reference to the refunded expense (see formatExpenseReference)
+ * @param {string} currency Optional currency the amount was paid in (blank for the home currency)
+ * @param {Array<string>|string} tags Optional tags (see ExpenseTags.js)
+ * @param {Date} expenseDate Optional day the expense belongs to (defaults to now), e.g. a missed recurring occurrence
  * @return {Object} Result object with success status and updated budget info
  */
-function processExpenseEntry(amount, location, category, description = "", email, householdId) {
+function processExpenseEntry(amount, location, category, description = "", email, householdId, refundOf = "", currency = "", tags = "", expenseDate = null) {
   try {
+    const accessError = checkBudgetCategoryAccess(category, email, readBudgetCategoriesData(householdId).categoriesById);
+    if (accessError) {
+      return { success: false, message: accessError };
+    }
+
     const timestamp = new Date();
-    const payPeriod = getCurrentPayPeriod(); // Helper function to calculate current pay period
+    if (expenseDate) {
+      // Keep the current time of day so entries on the same date stay in order
+      timestamp.setFullYear(expenseDate.getFullYear(), expenseDate.getMonth(), expenseDate.getDate());
+    }
+
+    // Everything from here on works in the home currency
+    const conversion = convertToHomeCurrency(amount, currency, timestamp);
+    if (!conversion.success) {
+      return conversion;
+    }
+    const paidAmount = amount;
+    amount = conversion.homeAmount;
+
+    const isRefund = amount < 0;
+    syncPayPeriodRollover(householdId); // Make sure PayPeriodSpent belongs to the current period
+    const currentPayPeriod = getCurrentPayPeriod(householdId);
+    const payPeriod = expenseDate
+      ? getPayPeriodForDate(timestamp, getPayPeriodSchedule(householdId)).id
+      : currentPayPeriod;
+    const isBackdated = payPeriod !== currentPayPeriod
+      || getBudgetMonthForDate(timestamp).id !== getBudgetMonthForDate(new Date()).id;
 
     // Log the expense
-    const logResult = logExpenseToSheet(timestamp, amount, location, category, description, email, householdId, payPeriod);
+    const logResult = logExpenseToSheet(timestamp, amount, location, category, description, email, householdId, payPeriod, refundOf, "",
+      conversion.originalAmount, conversion.currency, tags);
     if (!logResult.success) {
       return logResult;
     }
 
-    // Update budget category spending
-    const budgetUpdateResult = updateBudgetCategorySpending(category, amount, householdId);
+    // Update budget category spending (a negative refund amount gives budget back).
+    // An expense dated in an earlier period or month is counted by rebuilding the spent columns instead.
+    let budgetUpdateResult;
+    if (isBackdated) {
+      recalculateAllBudgets();
+      budgetUpdateResult = { alerts: [] };
+    } else {
+      budgetUpdateResult = updateBudgetCategorySpending(category, amount, householdId);
+    }
     
-    // Update location mapping usage
-    updateLocationMappingUsage(location, category, householdId);
+    // Update location mapping usage (returns don't count as a visit)
+    if (!isRefund) {
+      updateLocationMappingUsage(location, category, householdId);
+    }
 
     // Clear cache to reflect changes
     resetExpenseDataCache(householdId);
 
+    const paidNote = conversion.currency ? ` (${conversion.currency} ${Math.abs(paidAmount).toFixed(2)})` : "";
     return {
       success: true,
       amount: amount,
+      originalAmount: conversion.originalAmount,
+      currency: conversion.currency,
       location: location,
       category: category,
       remainingBudget: budgetUpdateResult.remainingBudget,
       percentUsed: budgetUpdateResult.percentUsed,
-      message: `Expense of $${amount.toFixed(2)} logged successfully at ${location}`
+      alerts: budgetUpdateResult.alerts || [],
+      isRefund: isRefund,
+      message: isRefund
+        ? `Refund of $${Math.abs(amount).toFixed(2)}${paidNote} from ${location} returned to ${category}`
+        : `Expense of $${amount.toFixed(2)}${paidNote} logged successfully at ${location}`
     };
   } catch (error) {
     Logger.log(`Error processing expense entry: ${error}\nStack: ${error.stack}`);
@@ -1884,11 +2257,637 @@ function processExpenseEntry(amount, location, category, description = "", email
   }
 }
 
+/**
+ * Loads an Expense Tracker row and verifies it is the expense the caller expects.
+ * The row must still carry the same timestamp and belong to the caller's household
+ * (or, without a household, to the caller's email). Expenses in another member's
+ * personal allowance can't be changed (see MemberBudgets.js).
+ * @param {Sheet} sheet The Expense Tracker sheet.
+ * @param {number} rowIndex The 1-based row number.
+ * @param {string} expectedDate ISO timestamp of the expense as returned by getRecentExpenses.
+ * @param {string} email The caller's email.
+ * @param {string|null} householdId The caller's household ID.
+ * @return {Object} { success, message, values } where values is the row's data array.
+ * @private
+ */
+function _verifyExpenseRow(sheet, rowIndex, expectedDate, email, householdId) {
+  if (!rowIndex || rowIndex < 2 || rowIndex > sheet.getLastRow()) {
+    return { success: false, message: "Invalid row index." };
+  }
+
+  const col = EXPENSE_TRACKER_COLUMNS;
+  const values = sheet.getRange(rowIndex, 1, 1, getExpenseTrackerWidth(sheet)).getValues()[0];
+  const rowDate = values[col.DATE - 1];
+  const rowEmail = String(values[col.EMAIL - 1] || "");
+  const rowHouseholdId = values[col.HOUSEHOLD_ID - 1] ? String(values[col.HOUSEHOLD_ID - 1]).trim() : null;
+
+  const dateMatches = rowDate instanceof Date && rowDate.toISOString() === expectedDate;
+  const ownerMatches = householdId
+    ? rowHouseholdId === householdId
+    : rowEmail.toLowerCase() === String(email || "").toLowerCase();
+
+  if (!dateMatches || !ownerMatches) {
+    return {
+      success: false,
+      message: "Verification failed. The expense's date or household doesn't match. Refresh and try again."
+    };
+  }
+
+  const categoriesById = readBudgetCategoriesData(householdId).categoriesById;
+  if (checkBudgetCategoryAccess(values[col.CATEGORY - 1], email, categoriesById)) {
+    return { success: false, message: "This expense is in another member's personal allowance." };
+  }
+
+  return { success: true, values: values };
+}
+
+/**
+ * Finds every row of a split transaction that belongs to the caller.
+ * @param {Sheet} sheet The Expense Tracker sheet.
+ * @param {string} transactionId The shared TransactionID.
+ * @param {string} email The caller's email.
+ * @param {string|null} householdId The caller's household ID.
+ * @return {Array<Object>} Rows { rowIndex, values } in sheet order.
+ * @private
+ */
+function _getSplitExpenseRows(sheet, transactionId, email, householdId) {
+  const col = EXPENSE_TRACKER_COLUMNS;
+  const lastRow = sheet.getLastRow();
+  if (!transactionId || lastRow < 2) return [];
+
+  const data = sheet.getRange(2, 1, lastRow - 1, getExpenseTrackerWidth(sheet)).getValues();
+  const rows = [];
+  data.forEach((values, index) => {
+    if (String(values[col.TRANSACTION_ID - 1] || "") !== transactionId) return;
+
+    const rowHouseholdId = values[col.HOUSEHOLD_ID - 1] ? String(values[col.HOUSEHOLD_ID - 1]).trim() : null;
+    const ownerMatches = householdId
+      ? rowHouseholdId === householdId
+      : String(values[col.EMAIL - 1] || "").toLowerCase() === String(email || "").toLowerCase();
+    if (ownerMatches) {
+      rows.push({ rowIndex: index + 2, values: values });
+    }
+  });
+  return rows;
+}
+
+/**
+ * Validates the category lines of a split receipt.
+ * @param {Array<Object>} lines The lines [{ category, amount }].
+ * @param {number|null} total The receipt total the lines must add up to (null to skip the check).
+ * @return {Object} { success, message, lines, total } with trimmed categories and numeric amounts.
+ * @private
+ */
+function _normalizeSplitLines(lines, total) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { success: false, message: "A split needs at least one category line" };
+  }
+
+  const normalized = [];
+  for (const line of lines) {
+    const category = String((line && line.category) || "").trim();
+    const amount = Math.round(Number(line && line.amount) * 100) / 100;
+    if (!category) {
+      return { success: false, message: "Every split line needs a category" };
+    }
+    if (!amount || isNaN(amount)) {
+      return { success: false, message: `Invalid amount for ${category}` };
+    }
+    normalized.push({ category: category, amount: amount });
+  }
+
+  if (normalized.some(line => line.amount > 0) && normalized.some(line => line.amount < 0)) {
+    return { success: false, message: "Split lines must all be expenses or all be refunds" };
+  }
+
+  const lineTotal = Math.round(normalized.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+  if (total !== null && total !== undefined && Math.abs(lineTotal - Number(total)) >= 0.005) {
+    return {
+      success: false,
+      message: `Split lines add up to $${lineTotal.toFixed(2)} but the receipt total is $${Number(total).toFixed(2)}`
+    };
+  }
+
+  return { success: true, lines: normalized, total: lineTotal };
+}
+
+/**
+ * Converts split receipt lines from the currency they were paid in to the home currency.
+ * Every line uses the same rate, so the receipt converts as a whole.
+ * @param {Array<Object>} lines Validated lines [{ category, amount }] in the paid currency.
+ * @param {string} currency The currency paid in (blank for home).
+ * @param {Date} date The receipt date, which picks the rate.
+ * @return {Object} { success, message?, lines: [{ category, amount (home), originalAmount, currency }] }
+ * @private
+ */
+function _convertSplitLines(lines, currency, date) {
+  const rates = isHomeCurrency(currency) ? [] : readExchangeRates();
+  const converted = [];
+
+  for (const line of lines) {
+    const conversion = convertToHomeCurrency(line.amount, currency, date, rates);
+    if (!conversion.success) {
+      return conversion;
+    }
+    converted.push({
+      category: line.category,
+      amount: conversion.homeAmount,
+      originalAmount: conversion.originalAmount,
+      currency: conversion.currency
+    });
+  }
+
+  return { success: true, lines: converted };
+}
+
+/**
+ * Generates a unique ID shared by the lines of a split receipt.
+ * @return {string} The transaction ID.
+ */
+function generateTransactionId() {
+  return `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Logs one receipt split across several budget categories. Every line gets its own
+ * Expense Tracker row sharing a TransactionID, and each line's category budget is updated.
+ * @param {number} total The receipt total (negative for a refund)
+ * @param {string} location The store/location name
+ * @param {Array<Object>} lines Category lines [{ category, amount }] that must sum to total
+ * @param {string} description Optional description
+ * @param {string} email User's email
+ * @param {string} householdId User's household ID
+ * @param {string} currency Optional currency the receipt was paid in (blank for the home currency)
+ * @param {Array<string>|string} tags Optional tags, stored on every line (see ExpenseTags.js)
+ * @param {Date} expenseDate Optional day the receipt belongs to (defaults to now), e.g. an approved purchase
+ * @return {Object} Result object with success status and the transaction ID
+ */
+function processSplitExpense(total, location, lines, description = "", email, householdId, currency = "", tags = "", expenseDate = null) {
+  try {
+    const validation = _normalizeSplitLines(lines, total);
+    if (!validation.success) {
+      return validation;
+    }
+    const categoriesById = readBudgetCategoriesData(householdId).categoriesById;
+    for (const line of validation.lines) {
+      const accessError = checkBudgetCategoryAccess(line.category, email, categoriesById);
+      if (accessError) {
+        return { success: false, message: accessError };
+      }
+    }
+
+    const timestamp = new Date();
+    if (expenseDate) {
+      // Keep the current time of day so entries on the same date stay in order
+      timestamp.setFullYear(expenseDate.getFullYear(), expenseDate.getMonth(), expenseDate.getDate());
+    }
+    const convertedLines = _convertSplitLines(validation.lines, currency, timestamp);
+    if (!convertedLines.success) {
+      return convertedLines;
+    }
+    const homeTotal = convertedLines.lines.reduce((sum, line) => sum + line.amount, 0);
+
+    const transactionId = generateTransactionId();
+    syncPayPeriodRollover(householdId); // Make sure PayPeriodSpent belongs to the current period
+    const currentPayPeriod = getCurrentPayPeriod(householdId);
+    const payPeriod = expenseDate
+      ? getPayPeriodForDate(timestamp, getPayPeriodSchedule(householdId)).id
+      : currentPayPeriod;
+    const isBackdated = payPeriod !== currentPayPeriod
+      || getBudgetMonthForDate(timestamp).id !== getBudgetMonthForDate(new Date()).id;
+
+    for (const line of convertedLines.lines) {
+      const logResult = logExpenseToSheet(timestamp, line.amount, location, line.category, description, email, householdId, payPeriod, "", transactionId,
+        line.originalAmount, line.currency, tags);
+      if (!logResult.success) {
+        return logResult;
+      }
+      if (!isBackdated) {
+        updateBudgetCategorySpending(line.category, line.amount, householdId);
+      }
+    }
+    if (isBackdated) {
+      recalculateAllBudgets(); // A receipt from an earlier period or month is counted by rebuilding the spent columns
+    }
+
+    // Remember the location under its largest line's category
+    if (validation.total > 0) {
+      const mainLine = validation.lines.reduce((largest, line) => line.amount > largest.amount ? line : largest);
+      updateLocationMappingUsage(location, mainLine.category, householdId);
+    }
+
+    resetExpenseDataCache(householdId);
+
+    const loggedTotal = Math.round(homeTotal * 100) / 100;
+    const paidNote = isHomeCurrency(currency) ? "" : ` (${normalizeCurrencyCode(currency)} ${Math.abs(validation.total).toFixed(2)})`;
+    return {
+      success: true,
+      amount: loggedTotal,
+      location: location,
+      transactionId: transactionId,
+      message: `Split expense of $${Math.abs(loggedTotal).toFixed(2)}${paidNote} at ${location} logged across ${validation.lines.length} categories`
+    };
+  } catch (error) {
+    Logger.log(`Error processing split expense: ${error}\nStack: ${error.stack}`);
+    return {
+      success: false,
+      message: `Error processing split expense: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Looks up the expense a refund is being linked to. For a split receipt the whole
+ * receipt is the original, so the refundable amount is the receipt total less any refunds
+ * already linked to it.
+ * @param {number} rowIndex The original expense's row in the Expense Tracker sheet.
+ * @param {string} expectedDate ISO timestamp of the original expense, used for verification.
+ * @param {string} email The refunding user's email.
+ * @param {string|null} householdId The refunding user's household ID.
+ * @return {Object} { success, message, reference, amount, refunded, remaining, location, category }
+ */
+function getRefundableExpense(rowIndex, expectedDate, email, householdId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.EXPENSE_TRACKER);
+
+  if (!sheet) {
+    return { success: false, message: "Expense Tracker sheet not found." };
+  }
+
+  const verification = _verifyExpenseRow(sheet, Number(rowIndex), expectedDate, email, householdId);
+  if (!verification.success) {
+    return verification;
+  }
+
+  const col = EXPENSE_TRACKER_COLUMNS;
+  const transactionId = String(verification.values[col.TRANSACTION_ID - 1] || "");
+  const rows = transactionId ? _getSplitExpenseRows(sheet, transactionId, email, householdId) : [verification];
+  const amount = rows.reduce((sum, row) => sum + (Number(row.values[col.AMOUNT - 1]) || 0), 0);
+  if (amount <= 0) {
+    return { success: false, message: "Only expenses can be refunded." };
+  }
+
+  // Refunds already linked to this expense by the same owner (household, or user without one)
+  const reference = formatExpenseReference(verification.values[col.DATE - 1]);
+  const refunded = readExpenseTrackerRows(householdId || null)
+    .filter(row => row.refundOf === reference && row.amount < 0
+      && (householdId || row.email.toLowerCase() === String(email).toLowerCase()))
+    .reduce((sum, row) => sum - row.amount, 0);
+  const remaining = Math.round((amount - refunded) * 100) / 100;
+  if (remaining <= 0) {
+    return { success: false, message: "This expense has already been fully refunded." };
+  }
+
+  return {
+    success: true,
+    reference: reference,
+    amount: amount,
+    refunded: refunded,
+    remaining: remaining,
+    location: String(verification.values[col.LOCATION - 1]),
+    category: String(verification.values[col.CATEGORY - 1])
+  };
+}
+
+/**
+ * Applies the location, description, tag and date edits shared by single and split expenses.
+ * @param {Array} row The row values to modify in place.
+ * @param {Object} changes The requested changes.
+ * @param {string|null} householdId The household whose schedule assigns the pay period.
+ * @return {string|null} An error message, or null when the changes are valid.
+ * @private
+ */
+function _applyExpenseChanges(row, changes, householdId) {
+  const col = EXPENSE_TRACKER_COLUMNS;
+
+  if (changes.location !== undefined) {
+    const location = String(changes.location).trim();
+    if (!location) return "Location is required";
+    row[col.LOCATION - 1] = location;
+  }
+  if (changes.description !== undefined) {
+    row[col.DESCRIPTION - 1] = String(changes.description).trim();
+  }
+  if (changes.tags !== undefined) {
+    while (row.length < col.TAGS) row.push(""); // Rows from sheets without the Tags column
+    row[col.TAGS - 1] = formatExpenseTags(changes.tags);
+  }
+  if (changes.date) {
+    const newDay = parseDateYMD(changes.date);
+    if (!newDay) return "Invalid date provided";
+    // Keep the original time of day so entries on the same date stay in order
+    const oldDate = row[col.DATE - 1];
+    newDay.setHours(oldDate.getHours(), oldDate.getMinutes(), oldDate.getSeconds());
+    row[col.DATE - 1] = newDay;
+    row[col.PAY_PERIOD - 1] = getPayPeriodForDate(newDay, getPayPeriodSchedule(householdId)).id;
+  }
+  return null;
+}
+
+/**
+ * Writes the OriginalAmount / Currency of a converted amount into an Expense Tracker row.
+ * Rows from sheets without those columns are only extended for foreign currencies.
+ * @param {Array} row The row values to modify in place.
+ * @param {Object} conversion { originalAmount, currency } from convertToHomeCurrency.
+ * @private
+ */
+function _setExpenseCurrencyColumns(row, conversion) {
+  const col = EXPENSE_TRACKER_COLUMNS;
+  if (row.length < col.CURRENCY && !conversion.currency) return;
+  while (row.length < col.CURRENCY) row.push("");
+  row[col.ORIGINAL_AMOUNT - 1] = conversion.originalAmount;
+  row[col.CURRENCY - 1] = conversion.currency;
+}
+
+/**
+ * Finds the categories an edit added spending to in the current pay period. Lines dated in
+ * an earlier period count as nothing, so moving an expense into this period is new spending.
+ * @param {Array<Object>} oldLines Home-currency lines [{ category, amount }] before the edit.
+ * @param {Date} oldDate The expense's date before the edit.
+ * @param {Array<Object>} newLines Home-currency lines after the edit.
+ * @param {Date} newDate The expense's date after the edit.
+ * @param {string|null} householdId The household whose schedule sets the current period.
+ * @return {Array<string>} Category names whose current-period spending went up.
+ * @private
+ */
+function _getCurrentPeriodGains(oldLines, oldDate, newLines, newDate, householdId) {
+  const schedule = getPayPeriodSchedule(householdId);
+  const currentId = getCurrentPayPeriod(householdId);
+  const inCurrentPeriod = date => date instanceof Date && getPayPeriodForDate(date, schedule).id === currentId;
+  if (!inCurrentPeriod(newDate)) return [];
+
+  const sumByCategory = lines => lines.reduce((sums, line) => {
+    sums[line.category] = (sums[line.category] || 0) + line.amount;
+    return sums;
+  }, {});
+  const before = inCurrentPeriod(oldDate) ? sumByCategory(oldLines) : {};
+  const after = sumByCategory(newLines);
+  return Object.keys(after).filter(category => after[category] > (before[category] || 0));
+}
+
+/**
+ * Edits an existing expense and updates the affected budget categories.
+ * Editing any line of a split receipt edits the whole receipt.
+ * @param {number} rowIndex The 1-based row number in the Expense Tracker sheet.
+ * @param {string} expectedDate ISO timestamp of the expense, used for verification.
+ * @param {Object} updates Fields to change { amount, currency, location, category, description, tags, date (yyyy-MM-dd) },
+ *   or for a split receipt { location, description, tags, date, lines: [{ category, amount }], total }.
+ *   Amounts are in the expense's currency.
+ * @param {string} email The editing user's email.
+ * @param {string|null} householdId The editing user's household ID.
+ * @return {Object} Result object { success, message }.
+ */
+function updateExpenseEntry(rowIndex, expectedDate, updates, email, householdId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.EXPENSE_TRACKER);
+
+  if (!sheet) {
+    return { success: false, message: "Expense Tracker sheet not found." };
+  }
+
+  try {
+    const verification = _verifyExpenseRow(sheet, rowIndex, expectedDate, email, householdId);
+    if (!verification.success) {
+      return verification;
+    }
+
+    const col = EXPENSE_TRACKER_COLUMNS;
+    const changes = updates || {};
+    const transactionId = String(verification.values[col.TRANSACTION_ID - 1] || "");
+    if (transactionId) {
+      return _updateSplitExpense(sheet, verification.values, transactionId, changes, email, householdId);
+    }
+
+    const row = verification.values.slice();
+    const oldAmount = Number(row[col.AMOUNT - 1]) || 0;
+    const oldCategory = String(row[col.CATEGORY - 1] || "").trim();
+
+    if (changes.amount !== undefined) {
+      const amount = Number(changes.amount);
+      if (isNaN(amount) || amount === 0) {
+        return { success: false, message: "Invalid amount provided" }; // Negative amounts are refunds
+      }
+    }
+    const categoriesById = readBudgetCategoriesData(householdId).categoriesById;
+    if (changes.category !== undefined) {
+      const category = String(changes.category).trim();
+      if (!category) return { success: false, message: "Category is required" };
+      // The expense stays with the member who logged it
+      const accessError = checkBudgetCategoryAccess(category, row[col.EMAIL - 1], categoriesById);
+      if (accessError) return { success: false, message: accessError };
+      row[col.CATEGORY - 1] = category;
+    }
+    const changeError = _applyExpenseChanges(row, changes, householdId);
+    if (changeError) {
+      return { success: false, message: changeError };
+    }
+
+    // An edited amount is in the expense's currency; a foreign expense is reconverted at its (possibly new) date
+    const oldCurrency = String(row[col.CURRENCY - 1] || "").trim();
+    const currency = changes.currency !== undefined ? changes.currency : oldCurrency;
+    if (changes.amount !== undefined || changes.currency !== undefined || (oldCurrency && changes.date !== undefined)) {
+      let paidAmount = Number(changes.amount);
+      if (changes.amount === undefined) {
+        paidAmount = oldCurrency ? Number(row[col.ORIGINAL_AMOUNT - 1]) || 0 : oldAmount;
+      }
+      const conversion = convertToHomeCurrency(paidAmount, currency, row[col.DATE - 1]);
+      if (!conversion.success) {
+        return conversion;
+      }
+      row[col.AMOUNT - 1] = conversion.homeAmount;
+      _setExpenseCurrencyColumns(row, conversion);
+    }
+
+    const approvalError = checkExpenseEditApproval(
+      [{ category: oldCategory, amount: oldAmount }],
+      [{ category: String(row[col.CATEGORY - 1]).trim(), amount: Number(row[col.AMOUNT - 1]) || 0 }],
+      categoriesById, email, householdId);
+    if (approvalError) {
+      return { success: false, message: approvalError };
+    }
+
+    if (sheet.getMaxColumns() < row.length) {
+      setupExpenseTrackerSheet(); // Adds the currency and tag columns to older sheets
+    }
+    sheet.getRange(rowIndex, 1, 1, row.length).setValues([row]);
+
+    const newAmount = Number(row[col.AMOUNT - 1]) || 0;
+    const newCategory = String(row[col.CATEGORY - 1]).trim();
+
+    // Rebuild both spent columns, then let a larger edit in this period alert
+    recalculateAllBudgets();
+    checkRecalculatedBudgetAlerts(_getCurrentPeriodGains(
+      [{ category: oldCategory, amount: oldAmount }], verification.values[col.DATE - 1],
+      [{ category: newCategory, amount: newAmount }], row[col.DATE - 1], householdId), householdId);
+    resetExpenseDataCache(householdId);
+
+    Logger.log(`Expense row ${rowIndex} updated by ${email}: $${oldAmount} ${oldCategory} -> $${newAmount} ${newCategory}`);
+    return {
+      success: true,
+      message: `Expense at ${row[col.LOCATION - 1]} updated.`
+    };
+  } catch (error) {
+    Logger.log(`Error in updateExpenseEntry: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error updating expense: ${error.message}` };
+  }
+}
+
+/**
+ * Rewrites every line of a split receipt. Existing rows are updated in place; extra lines
+ * are inserted after the receipt's last row and removed lines are deleted.
+ * @param {Sheet} sheet The Expense Tracker sheet.
+ * @param {Array} verifiedValues The verified row's values (used as the template for new lines).
+ * @param {string} transactionId The receipt's TransactionID.
+ * @param {Object} changes The requested changes { location, description, tags, date, lines, total }.
+ * @param {string} email The editing user's email.
+ * @param {string|null} householdId The editing user's household ID.
+ * @return {Object} Result object { success, message }.
+ * @private
+ */
+function _updateSplitExpense(sheet, verifiedValues, transactionId, changes, email, householdId) {
+  const col = EXPENSE_TRACKER_COLUMNS;
+  const groupRows = _getSplitExpenseRows(sheet, transactionId, email, householdId);
+
+  const currentLines = groupRows.map(row => ({
+    category: String(row.values[col.CATEGORY - 1] || "").trim(),
+    amount: Number(row.values[col.AMOUNT - 1]) || 0
+  }));
+  // Edited lines are in the currency the receipt was paid in
+  const receiptCurrency = String(verifiedValues[col.CURRENCY - 1] || "").trim();
+  const paidLines = groupRows.map((row, index) => ({
+    category: currentLines[index].category,
+    amount: receiptCurrency ? Number(row.values[col.ORIGINAL_AMOUNT - 1]) || 0 : currentLines[index].amount
+  }));
+  const validation = _normalizeSplitLines(changes.lines || paidLines, changes.lines ? changes.total : null);
+  if (!validation.success) {
+    return validation;
+  }
+  const categoriesById = readBudgetCategoriesData(householdId).categoriesById;
+  for (const line of validation.lines) {
+    const accessError = checkBudgetCategoryAccess(line.category, verifiedValues[col.EMAIL - 1], categoriesById);
+    if (accessError) {
+      return { success: false, message: accessError };
+    }
+  }
+
+  const template = verifiedValues.slice();
+  const changeError = _applyExpenseChanges(template, changes, householdId);
+  if (changeError) {
+    return { success: false, message: changeError };
+  }
+
+  const convertedLines = _convertSplitLines(validation.lines, receiptCurrency, template[col.DATE - 1]);
+  if (!convertedLines.success) {
+    return convertedLines;
+  }
+  const approvalError = checkExpenseEditApproval(currentLines, convertedLines.lines, categoriesById, email, householdId);
+  if (approvalError) {
+    return { success: false, message: approvalError };
+  }
+
+  const newRows = convertedLines.lines.map(line => {
+    const row = template.slice();
+    row[col.CATEGORY - 1] = line.category;
+    row[col.AMOUNT - 1] = line.amount;
+    _setExpenseCurrencyColumns(row, line);
+    return row;
+  });
+
+  if (sheet.getMaxColumns() < Math.max(...newRows.map(row => row.length))) {
+    setupExpenseTrackerSheet(); // Adds the currency and tag columns to older sheets
+  }
+
+  // Update existing lines in place, then add or remove the difference
+  const reusedCount = Math.min(groupRows.length, newRows.length);
+  for (let i = 0; i < reusedCount; i++) {
+    sheet.getRange(groupRows[i].rowIndex, 1, 1, newRows[i].length).setValues([newRows[i]]);
+  }
+  if (newRows.length > groupRows.length) {
+    const extraRows = newRows.slice(groupRows.length);
+    const lastGroupRow = groupRows[groupRows.length - 1].rowIndex;
+    sheet.insertRowsAfter(lastGroupRow, extraRows.length);
+    sheet.getRange(lastGroupRow + 1, 1, extraRows.length, extraRows[0].length).setValues(extraRows);
+  } else {
+    groupRows.slice(newRows.length).reverse().forEach(row => sheet.deleteRow(row.rowIndex));
+  }
+
+  // Rebuild both spent columns, then let a larger edit in this period alert
+  recalculateAllBudgets();
+  checkRecalculatedBudgetAlerts(_getCurrentPeriodGains(
+    currentLines, verifiedValues[col.DATE - 1], convertedLines.lines, template[col.DATE - 1], householdId), householdId);
+  resetExpenseDataCache(householdId);
+
+  Logger.log(`Split expense ${transactionId} updated by ${email}: ${currentLines.length} -> ${validation.lines.length} lines, total $${validation.total}`);
+  return {
+    success: true,
+    message: `Split expense at ${template[col.LOCATION - 1]} updated.`
+  };
+}
+
+/**
+ * Deletes an expense and removes its amount from the affected budget category.
+ * Deleting any line of a split receipt deletes the whole receipt.
+ * @param {number} rowIndex The 1-based row number in the Expense Tracker sheet.
+ * @param {string} expectedDate ISO timestamp of the expense, used for verification.
+ * @param {string} email The deleting user's email.
+ * @param {string|null} householdId The deleting user's household ID.
+ * @return {Object} Result object { success, message, deletedAmount, category }.
+ */
+function deleteExpenseEntry(rowIndex, expectedDate, email, householdId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.EXPENSE_TRACKER);
+
+  if (!sheet) {
+    return { success: false, message: "Expense Tracker sheet not found." };
+  }
+
+  try {
+    const verification = _verifyExpenseRow(sheet, rowIndex, expectedDate, email, householdId);
+    if (!verification.success) {
+      return verification;
+    }
+
+    const col = EXPENSE_TRACKER_COLUMNS;
+    const transactionId = String(verification.values[col.TRANSACTION_ID - 1] || "");
+    const rows = transactionId
+      ? _getSplitExpenseRows(sheet, transactionId, email, householdId)
+      : [{ rowIndex: rowIndex, values: verification.values }];
+    const location = verification.values[col.LOCATION - 1];
+    const lines = rows.map(row => ({
+      category: String(row.values[col.CATEGORY - 1] || "").trim(),
+      amount: Number(row.values[col.AMOUNT - 1]) || 0
+    }));
+    const amount = lines.reduce((sum, line) => sum + line.amount, 0);
+
+    // Delete bottom-up so earlier row numbers stay valid
+    rows.slice().reverse().forEach(row => sheet.deleteRow(row.rowIndex));
+
+    // Rebuild both spent columns; deleting a refund from this period can push spending past a threshold
+    const expenseDate = verification.values[col.DATE - 1];
+    recalculateAllBudgets();
+    checkRecalculatedBudgetAlerts(_getCurrentPeriodGains(
+      lines, expenseDate, lines.map(line => ({ category: line.category, amount: 0 })), expenseDate, householdId), householdId);
+    resetExpenseDataCache(householdId);
+
+    const category = rows.map(row => String(row.values[col.CATEGORY - 1] || "").trim()).join(", ");
+    Logger.log(`Expense row ${rowIndex} deleted by ${email} (${rows.length} line(s)): $${amount} at ${location} (${category})`);
+    return {
+      success: true,
+      message: `Deleted $${Math.abs(amount).toFixed(2)} ${amount < 0 ? "refund" : "expense"} at ${location}${rows.length > 1 ? ` (${rows.length} split lines)` : ""}.`,
+      deletedAmount: amount,
+      category: category
+    };
+  } catch (error) {
+    Logger.log(`Error in deleteExpenseEntry: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error deleting expense: ${error.message}` };
+  }
+}
+
 /**
  * Logs an expense entry to the Expense Tracker sheet
  * @private
  */
-function logExpenseToSheet(timestamp, amount, location, category, description, email, householdId, payPeriod) {
+function logExpenseToSheet(timestamp, amount, location, category, description, email, householdId, payPeriod, refundOf = "", transactionId = "", originalAmount = "", currency = "", tags = "") {
   try {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     let sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.EXPENSE_TRACKER);
@@ -1902,7 +2901,8 @@ function logExpenseToSheet(timestamp, amount, location, category, description, e
     }
 
     // Add the expense entry
-    const rowData = [timestamp, amount, location, category, description, email, householdId, payPeriod];
+    const rowData = [timestamp, amount, location, category, description, email, householdId, payPeriod, refundOf || "", transactionId || "",
+      originalAmount === null || originalAmount === undefined ? "" : originalAmount, currency || "", formatExpenseTags(tags)];
     sheet.appendRow(rowData);
 
     Logger.log(`Expense logged: $${amount} at ${location} (${category}) for ${email}`);
@@ -1915,6 +2915,7 @@ function logExpenseToSheet(timestamp, amount, location, category, description, e
 
 /**
  * Updates budget category spending amounts
+ * Spending that crosses one of the category's alert thresholds emails the household (see BudgetAlerts.js).
  * @private
  */
 function updateBudgetCategorySpending(categoryName, amount, householdId) {
@@ -1932,15 +2933,19 @@ function updateBudgetCategorySpending(categoryName, amount, householdId) {
     }
 
     // Find the category row
-    const data = sheet.getRange(2, 1, lastRow - 1, 8).getValues();
+    const data = sheet.getRange(2, 1, lastRow - 1, getBudgetCategoriesWidth(sheet)).getValues();
     let targetRowIndex = -1;
+    let rolloverAmount = 0;
+    let alertThresholds = [];
+    let ownerEmail = null;
 
     data.forEach((row, index) => {
       const name = String(row[0]).trim();
-      const rowHouseholdId = row[6] ? String(row[6]).trim() : null;
-      
-      if (name === categoryName && (!householdId || !rowHouseholdId || rowHouseholdId === householdId)) {
+      if (name === categoryName && isHouseholdBudgetRow(row[6], householdId)) {
         targetRowIndex = index + 2; // Sheet row number
+        rolloverAmount = _readRolloverSettings(row).amount;
+        alertThresholds = parseAlertThresholds(row[BUDGET_CATEGORY_COLUMNS.ALERT_THRESHOLDS - 1]);
+        ownerEmail = _readCategoryOwner(row);
       }
     });
 
@@ -1955,7 +2960,8 @@ function updateBudgetCategorySpending(categoryName, amount, householdId) {
 
     const currentSpent = currentSpentCell.getValue() || 0;
     const payPeriodSpent = payPeriodSpentCell.getValue() || 0;
-    const payPeriodBudget = payPeriodBudgetCell.getValue() || 0;
+    const payPeriodBudget = getScheduledPayPeriodBudget(categoryName, payPeriodBudgetCell.getValue() || 0,
+      getBudgetTemplateForPeriod(householdId));
 
     const newCurrentSpent = currentSpent + amount;
     const newPayPeriodSpent = payPeriodSpent + amount;
@@ -1963,15 +2969,29 @@ function updateBudgetCategorySpending(categoryName, amount, householdId) {
     currentSpentCell.setValue(newCurrentSpent);
     payPeriodSpentCell.setValue(newPayPeriodSpent);
 
-    const remainingBudget = payPeriodBudget - newPayPeriodSpent;
-    const percentUsed = payPeriodBudget > 0 ? (newPayPeriodSpent / payPeriodBudget) * 100 : 0;
+    const effectiveBudget = getEffectiveBudget(payPeriodBudget, rolloverAmount);
+    const remainingBudget = effectiveBudget - newPayPeriodSpent;
+    const percentUsed = effectiveBudget > 0 ? (newPayPeriodSpent / effectiveBudget) * 100 : 0;
+
+    // Only new spending can cross a threshold; refunds and corrections never alert
+    const alerts = amount > 0
+      ? checkBudgetThresholdAlerts(categoryName, householdId, {
+          thresholds: alertThresholds,
+          percentUsed: percentUsed,
+          spent: newPayPeriodSpent,
+          budget: effectiveBudget,
+          ownerEmail: ownerEmail
+        })
+      : [];
 
     return {
       success: true,
       remainingBudget: remainingBudget,
       percentUsed: percentUsed,
       newSpent: newPayPeriodSpent,
-      budget: payPeriodBudget
+      budget: effectiveBudget,
+      baseBudget: payPeriodBudget,
+      alerts: alerts
     };
   } catch (error) {
     Logger.log(`Error updating budget category spending: ${error}\nStack: ${error.stack}`);
@@ -1981,6 +3001,9 @@ function updateBudgetCategorySpending(categoryName, amount, householdId) {
 
 /**
  * Updates location mapping usage statistics
+ * The location is matched by name, alias, or a close spelling (see locationSimilarity), so
+ * "Trader Joes" counts toward an existing "Trader Joe's" row. A new close spelling is saved
+ * as an alias of the row it matched.
  * @private
  */
 function updateLocationMappingUsage(locationName, category, householdId) {
@@ -1999,27 +3022,47 @@ function updateLocationMappingUsage(locationName, category, householdId) {
       return;
     }
 
-    // Find existing location
-    const data = sheet.getRange(2, 1, lastRow - 1, 6).getValues();
+    // Find existing location: same name or alias first, then the closest spelling
+    const col = LOCATION_MAPPING_COLUMNS;
+    const data = sheet.getRange(2, 1, lastRow - 1, getLocationMappingWidth(sheet)).getValues();
+    const normalizedName = normalizeLocationKey(locationName);
     let targetRowIndex = -1;
+    let targetAliases = [];
+    let targetOwned = false;
+    let bestScore = 0;
 
     data.forEach((row, index) => {
-      const name = String(row[0]).trim().toLowerCase();
-      const rowHouseholdId = row[4] ? String(row[4]).trim() : null;
-      
-      if (name === locationName.toLowerCase() && (!householdId || !rowHouseholdId || rowHouseholdId === householdId)) {
+      const name = String(row[col.LOCATION_NAME - 1]).trim();
+      const rowHouseholdId = row[col.HOUSEHOLD_ID - 1] ? String(row[col.HOUSEHOLD_ID - 1]).trim() : null;
+      if (!name || (householdId && rowHouseholdId && rowHouseholdId !== householdId)) return;
+
+      const aliases = parseLocationAliases(row[col.ALIASES - 1]);
+      const score = [name].concat(aliases).some(candidate => normalizeLocationKey(candidate) === normalizedName)
+        ? 1
+        : Math.max(...[name].concat(aliases).map(candidate => locationSimilarity(locationName, candidate)));
+
+      if (score >= CONFIG.EXPENSE_SETTINGS.LOCATION_SIMILARITY_THRESHOLD && score > bestScore) {
         targetRowIndex = index + 2; // Sheet row number
+        targetAliases = aliases;
+        targetOwned = Boolean(householdId) && rowHouseholdId === householdId;
+        bestScore = score;
       }
     });
 
     if (targetRowIndex !== -1) {
       // Update existing location
-      const usageCountCell = sheet.getRange(targetRowIndex, 3); // Column C
-      const lastUsedCell = sheet.getRange(targetRowIndex, 4); // Column D
+      const usageCountCell = sheet.getRange(targetRowIndex, col.USAGE_COUNT);
+      const lastUsedCell = sheet.getRange(targetRowIndex, col.LAST_USED);
       
       const currentUsage = usageCountCell.getValue() || 0;
       usageCountCell.setValue(currentUsage + 1);
       lastUsedCell.setValue(new Date());
+
+      // Aliases are only learned on the household's own rows, never on shared mappings
+      if (bestScore < 1 && targetOwned && sheet.getMaxColumns() >= col.ALIASES) {
+        sheet.getRange(targetRowIndex, col.ALIASES).setValue(targetAliases.concat(locationName.trim()).join(", "));
+        Logger.log(`Saved "${locationName}" as an alias of location mapping row ${targetRowIndex}`);
+      }
     } else {
       // Add new location
       addNewLocationMapping(locationName, category, householdId);
@@ -2053,27 +3096,22 @@ function addNewLocationMapping(locationName, category, householdId) {
 }
 
 /**
- * Calculates the current pay period identifier
- * @return {string} Pay period identifier (e.g., "2024-01-P1")
+ * Calculates the current pay period identifier using the household's schedule (see PayPeriods.js)
+ * @param {string} householdId Optional household ID whose schedule should be used
+ * @return {string} Pay period identifier (e.g., "2024-01-P1", "BW-2024-01-05")
  */
-function getCurrentPayPeriod() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = now.getMonth() + 1; // JavaScript months are 0-based
-  const dayOfMonth = now.getDate();
-  
-  // Determine if we're in the first or second half of the month
-  const periodNumber = dayOfMonth <= 15 ? 1 : 2;
-  
-  return `${year}-${month.toString().padStart(2, '0')}-P${periodNumber}`;
+function getCurrentPayPeriod(householdId = null) {
+  return getCurrentPayPeriodInfo(householdId).id;
 }
 
 /**
  * Resets budget spending for a new pay period
  * @param {string} householdId The household ID to reset budgets for
+ * @param {Object} [archivedTotals] categoryTotals from archivePayPeriod(); the rollover is carried from
+ *   these, so a repeated finalize carries the whole merged period instead of its last few minutes
  * @return {Object} Result object with success status
  */
-function resetPayPeriodBudgets(householdId) {
+function resetPayPeriodBudgets(householdId, archivedTotals = null) {
   try {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.BUDGET_CATEGORIES);
@@ -2087,32 +3125,81 @@ function resetPayPeriodBudgets(householdId) {
       return { success: false, message: "No budget categories found" };
     }
 
-    const data = sheet.getRange(2, 1, lastRow - 1, 8).getValues();
+    const data = sheet.getRange(2, 1, lastRow - 1, getBudgetCategoriesWidth(sheet)).getValues();
+    const now = new Date();
+    const currentPeriod = getCurrentPayPeriodInfo(householdId);
+    const schedule = getPayPeriodSchedule(householdId);
+    const expenses = readExpenseTrackerRows(householdId);
+    const templates = _readBudgetTemplateRows(householdId);
+    const hasRolloverColumns = data[0].length >= BUDGET_CATEGORY_COLUMNS.ROLLOVER_AMOUNT;
     let resetCount = 0;
+    let carriedIntoPeriod = false;
+    let rolloverCount = 0;
 
     data.forEach((row, index) => {
-      const rowHouseholdId = row[6] ? String(row[6]).trim() : null;
-      
-      if (!householdId || !rowHouseholdId || rowHouseholdId === householdId) {
+      if (isHouseholdBudgetRow(row[6], householdId)) {
         const rowIndex = index + 2;
+        const lastReset = row[5] instanceof Date ? row[5] : null;
+
+        // Carry the closing period's leftover (same window the archive snapshot uses) into the next one
+        if (hasRolloverColumns) {
+          const categoryName = String(row[0]).trim();
+          const rollover = _readRolloverSettings(row);
+          const archived = archivedTotals && archivedTotals[categoryName];
+          let leftover;
+          if (archived) {
+            leftover = archived.budget - archived.spent;
+          } else {
+            const ownerEmail = _readCategoryOwner(row);
+            const window = _getFinalizeWindow(lastReset, currentPeriod, schedule);
+            const spent = expenses.reduce((sum, expense) => {
+              const inWindow = expense.date && expense.date >= window.windowStart && expense.date <= window.windowEnd;
+              return expense.category === categoryName && countsTowardCategory(ownerEmail, expense.email) && inWindow
+                ? sum + expense.amount
+                : sum;
+            }, 0);
+            // The closing period's budget is whatever its own template said
+            const closingBudget = getScheduledPayPeriodBudget(categoryName, row[3], findBudgetTemplateForPeriod(window.period, templates));
+            leftover = getEffectiveBudget(closingBudget, rollover.amount) - spent;
+          }
+          const carry = calculateRolloverAmount(rollover.mode, rollover.cap, leftover);
+
+          sheet.getRange(rowIndex, BUDGET_CATEGORY_COLUMNS.ROLLOVER_AMOUNT).setValue(carry);
+          if (carry !== 0) rolloverCount++;
+        }
+
+        // If the previous period was never finalized, close it at the current period's start
+        // so expenses already entered this period stay counted. Otherwise restart the window now.
+        const closesPreviousPeriod = !lastReset || lastReset < currentPeriod.startDate;
+        if (closesPreviousPeriod) carriedIntoPeriod = true;
         
         // Reset PayPeriodSpent (Column E) to 0
         sheet.getRange(rowIndex, 5).setValue(0);
         
-        // Update LastReset (Column F) to current date
-        sheet.getRange(rowIndex, 6).setValue(new Date());
+        // Update LastReset (Column F)
+        sheet.getRange(rowIndex, 6).setValue(closesPreviousPeriod ? currentPeriod.startDate : now);
         
         resetCount++;
       }
     });
 
+    if (carriedIntoPeriod) {
+      // Re-count this period's expenses for the categories that were carried into it
+      recalculateAllBudgets();
+    }
+
+    // Spending starts over, so every threshold can alert again
+    clearBudgetAlertState(householdId);
+
     // Clear cache
     resetExpenseDataCache(householdId);
 
     return {
       success: true,
-      message: `Reset ${resetCount} budget categories for new pay period`,
-      categoriesReset: resetCount
+      message: `Reset ${resetCount} budget categories for new pay period` +
+        (rolloverCount ? ` (${rolloverCount} carried a rollover)` : ""),
+      categoriesReset: resetCount,
+      categoriesRolledOver: rolloverCount
     };
   } catch (error) {
     Logger.log(`Error resetting pay period budgets: ${error}\nStack: ${error.stack}`);
@@ -2140,6 +3227,8 @@ function cleanupLegacyCacheKeys() {
 /**
  * Recalculates all budget spending totals from scratch based on the Expense Tracker sheet.
  * This is a robust way to ensure data consistency after any change (add, edit, delete).
+ * Only expenses inside each household's current pay period (and after the category's LastReset
+ * within that period) count toward PayPeriodSpent; CurrentSpent counts the current calendar month.
  */
 function recalculateAllBudgets() {
   Logger.log("Starting full budget recalculation...");
@@ -2152,29 +3241,35 @@ function recalculateAllBudgets() {
     return;
   }
 
-  // --- 1. Calculate actual totals from Expense Tracker ---
+  // --- 1. Collect dated expense amounts from Expense Tracker ---
   const expenseLastRow = expenseSheet.getLastRow();
-  const householdCategoryTotals = new Map(); // { householdId -> { category -> total } }
+  const householdCategoryExpenses = new Map(); // { householdId -> { category -> [{ date, amount }] } }
 
   if (expenseLastRow > 1) {
-    // Read Amount (B), Category (D), HouseholdID (G)
-    const numColumns = Math.max(EXPENSE_TRACKER_COLUMNS.AMOUNT, EXPENSE_TRACKER_COLUMNS.CATEGORY, EXPENSE_TRACKER_COLUMNS.HOUSEHOLD_ID);
+    // Read Date (A), Amount (B), Category (D), Email (F), HouseholdID (G)
+    const numColumns = Math.max(EXPENSE_TRACKER_COLUMNS.DATE, EXPENSE_TRACKER_COLUMNS.AMOUNT, EXPENSE_TRACKER_COLUMNS.CATEGORY,
+      EXPENSE_TRACKER_COLUMNS.EMAIL, EXPENSE_TRACKER_COLUMNS.HOUSEHOLD_ID);
     const expenseData = expenseSheet.getRange(2, 1, expenseLastRow - 1, numColumns).getValues();
     expenseData.forEach(row => {
+      const date = row[EXPENSE_TRACKER_COLUMNS.DATE - 1];
       const amount = Number(row[EXPENSE_TRACKER_COLUMNS.AMOUNT - 1]) || 0;
       const category = String(row[EXPENSE_TRACKER_COLUMNS.CATEGORY - 1]).trim();
       const householdId = String(row[EXPENSE_TRACKER_COLUMNS.HOUSEHOLD_ID - 1] || 'default').trim();
+      const email = row[EXPENSE_TRACKER_COLUMNS.EMAIL - 1];
 
-      if (category && amount > 0) {
-        if (!householdCategoryTotals.has(householdId)) {
-          householdCategoryTotals.set(householdId, new Map());
+      if (category && amount !== 0 && date instanceof Date) { // Negative amounts are refunds
+        if (!householdCategoryExpenses.has(householdId)) {
+          householdCategoryExpenses.set(householdId, new Map());
+        }
+        const categoryExpenses = householdCategoryExpenses.get(householdId);
+        if (!categoryExpenses.has(category)) {
+          categoryExpenses.set(category, []);
         }
-        const categoryTotals = householdCategoryTotals.get(householdId);
-        categoryTotals.set(category, (categoryTotals.get(category) || 0) + amount);
+        categoryExpenses.get(category).push({ date: date, amount: amount, email: email });
       }
     });
   }
-  Logger.log(`Calculated totals for ${householdCategoryTotals.size} households.`);
+  Logger.log(`Collected expenses for ${householdCategoryExpenses.size} households.`);
 
   // --- 2. Update Budget Categories sheet ---
   const budgetLastRow = budgetSheet.getLastRow();
@@ -2187,32 +3282,57 @@ function recalculateAllBudgets() {
   const budgetHeader = budgetSheet.getRange(1, 1, 1, budgetSheet.getLastColumn()).getValues()[0];
   const budgetColIdx = {};
   budgetHeader.forEach((colName, idx) => {
-    budgetColIdx[colName.trim()] = idx;
+    budgetColIdx[String(colName).trim()] = idx;
   });
-  // Required columns: "Category", "HouseholdID", "PayPeriodSpent"
-  if (budgetColIdx["Category"] === undefined || budgetColIdx["HouseholdID"] === undefined || budgetColIdx["PayPeriodSpent"] === undefined) {
+  // The setup function names the first column "CategoryName"; older sheets may use "Category"
+  const categoryColIdx = budgetColIdx["CategoryName"] !== undefined ? budgetColIdx["CategoryName"] : budgetColIdx["Category"];
+  // Required columns: "CategoryName", "HouseholdID", "PayPeriodSpent", "LastReset"
+  if (categoryColIdx === undefined || budgetColIdx["HouseholdID"] === undefined ||
+      budgetColIdx["PayPeriodSpent"] === undefined || budgetColIdx["LastReset"] === undefined) {
     Logger.log("FATAL: Budget Categories sheet missing required columns.");
     return;
   }
   const budgetData = budgetSheet.getRange(2, 1, budgetLastRow - 1, budgetHeader.length).getValues();
   const newPayPeriodSpentValues = [];
+  const newCurrentSpentValues = [];
   const allHouseholdIds = new Set();
+  const periodsByHousehold = new Map(); // Each household has its own schedule
+  const month = getBudgetMonthForDate(new Date()); // CurrentSpent covers the calendar month
 
-  // Prepare the new values for the "PayPeriodSpent" column
+  // Prepare the new values for the "PayPeriodSpent" and "CurrentSpent" columns
   budgetData.forEach(row => {
-    const categoryName = String(row[budgetColIdx["Category"]]).trim();
+    const categoryName = String(row[categoryColIdx]).trim();
     const householdId = String(row[budgetColIdx["HouseholdID"]] || 'default').trim();
+    const lastReset = row[budgetColIdx["LastReset"]] instanceof Date ? row[budgetColIdx["LastReset"]] : null;
     allHouseholdIds.add(householdId);
 
-    const householdTotals = householdCategoryTotals.get(householdId);
-    const newTotal = householdTotals ? (householdTotals.get(categoryName) || 0) : 0;
+    if (!periodsByHousehold.has(householdId)) {
+      periodsByHousehold.set(householdId, getCurrentPayPeriodInfo(householdId === 'default' ? null : householdId));
+    }
+    const period = periodsByHousehold.get(householdId);
+    const windowStart = getBudgetWindowStart(lastReset, period);
+
+    const householdExpenses = householdCategoryExpenses.get(householdId);
+    const ownerEmail = _readCategoryOwner(row); // A personal allowance only counts its owner's expenses
+    const categoryExpenses = (householdExpenses ? (householdExpenses.get(categoryName) || []) : [])
+      .filter(expense => countsTowardCategory(ownerEmail, expense.email));
+    const newTotal = categoryExpenses.reduce((sum, expense) => {
+      return expense.date >= windowStart && expense.date <= period.endDate ? sum + expense.amount : sum;
+    }, 0);
+    const monthTotal = categoryExpenses.reduce((sum, expense) => {
+      return expense.date >= month.startDate && parseDateYMD(expense.date) <= month.endDate ? sum + expense.amount : sum;
+    }, 0);
 
     newPayPeriodSpentValues.push([newTotal]);
+    newCurrentSpentValues.push([monthTotal]);
   });
 
   // Write the new totals to the sheet in one operation
   if (newPayPeriodSpentValues.length > 0) {
     budgetSheet.getRange(2, budgetColIdx["PayPeriodSpent"] + 1, newPayPeriodSpentValues.length, 1).setValues(newPayPeriodSpentValues);
+    if (budgetColIdx["CurrentSpent"] !== undefined) {
+      budgetSheet.getRange(2, budgetColIdx["CurrentSpent"] + 1, newCurrentSpentValues.length, 1).setValues(newCurrentSpentValues);
+    }
     Logger.log(`Updated ${newPayPeriodSpentValues.length} rows in Budget Categories sheet.`);
   }
 
@@ -2223,4 +3343,4 @@ function recalculateAllBudgets() {
   });
 
   Logger.log("Full budget recalculation complete.");
-}
\ No newline at end of file
+}
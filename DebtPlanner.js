@@ -0,0 +1,206 @@
+// DebtPlanner.js
+/**
+ * Debt payoff planner for the Dashboard goal section
+ * Simulates month-by-month payoff of a household's active debt goals under the snowball,
+ * avalanche and custom strategies, using each goal's APR and minimum payment
+ */
+
+/**
+ * Orders debts for a payoff strategy
+ * @param {Array} debts - Debts { goalId, name, balance, apr, minPayment }
+ * @param {string} strategy - One of CONFIG.DEBT_PLANNER_SETTINGS.STRATEGIES
+ * @param {Array} customOrder - Goal IDs in the household's chosen order (custom strategy only)
+ * @return {Array} The debts in the order extra money is applied to them
+ */
+function orderDebtsForStrategy(debts, strategy, customOrder) {
+  const ordered = debts.slice();
+
+  switch (strategy) {
+    case 'snowball':
+      // Smallest balance first; the higher rate breaks a tie
+      return ordered.sort((a, b) => a.balance - b.balance || b.apr - a.apr);
+
+    case 'avalanche':
+      // Highest rate first; the smaller balance breaks a tie
+      return ordered.sort((a, b) => b.apr - a.apr || a.balance - b.balance);
+
+    case 'custom': {
+      // Listed goals first in the given order, then any others in their original order
+      const position = goalId => {
+        const index = (customOrder || []).indexOf(goalId);
+        return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+      };
+      return ordered
+        .map((debt, index) => ({ debt: debt, index: index }))
+        .sort((a, b) => position(a.debt.goalId) - position(b.debt.goalId) || a.index - b.index)
+        .map(item => item.debt);
+    }
+
+    default:
+      throw new Error(`Invalid payoff strategy: ${strategy}`);
+  }
+}
+
+/**
+ * Simulates paying off a set of debts month by month
+ * Every month each debt accrues interest and receives its minimum payment; the rest of the
+ * monthly budget (all minimums plus the extra amount) goes to the first unpaid debt in strategy order,
+ * so a paid-off debt's minimum rolls into the next one
+ * @param {Array} debts - Debts { goalId, name, balance, apr, minPayment } (APR in percent)
+ * @param {string} strategy - One of CONFIG.DEBT_PLANNER_SETTINGS.STRATEGIES
+ * @param {number} extraPayment - Amount paid each month on top of the minimums
+ * @param {Array} customOrder - Goal IDs in the household's chosen order (custom strategy only)
+ * @param {Date} startMonth - Any date in the month of the first payment
+ * @return {Object} { strategy, order, completed, months, payoffDate, totalInterest, totalPaid, timeline, debts }
+ *   where each debt has { goalId, name, payoffMonth, payoffDate, interestPaid, totalPaid, schedule }
+ */
+function simulateDebtPayoff(debts, strategy, extraPayment, customOrder, startMonth) {
+  const round = amount => Math.round(amount * 100) / 100;
+  const monthId = offset => formatDateYMD(new Date(startMonth.getFullYear(), startMonth.getMonth() + offset, 1)).substring(0, 7);
+
+  const states = orderDebtsForStrategy(debts, strategy, customOrder).map(debt => ({
+    goalId: debt.goalId,
+    name: debt.name,
+    apr: debt.apr,
+    minPayment: debt.minPayment,
+    balance: round(debt.balance),
+    payoffMonth: debt.balance > 0 ? null : 0,
+    payoffDate: null,
+    interestPaid: 0,
+    totalPaid: 0,
+    schedule: []
+  }));
+  const budget = round(states.reduce((sum, debt) => sum + debt.minPayment, 0) + extraPayment);
+  const timeline = [];
+
+  let month = 0;
+  while (states.some(debt => debt.balance > 0) && month < CONFIG.DEBT_PLANNER_SETTINGS.MAX_MONTHS) {
+    const open = states.filter(debt => debt.balance > 0);
+    const payments = {};
+
+    // Interest accrues first, then every open debt gets its minimum
+    let remaining = budget;
+    open.forEach(debt => {
+      const interest = round(debt.balance * debt.apr / 1200);
+      debt.balance = round(debt.balance + interest);
+      debt.interestPaid = round(debt.interestPaid + interest);
+      payments[debt.goalId] = { interest: interest, payment: 0 };
+
+      const payment = Math.min(debt.minPayment, debt.balance, remaining);
+      payments[debt.goalId].payment = payment;
+      debt.balance = round(debt.balance - payment);
+      remaining = round(remaining - payment);
+    });
+
+    // Whatever is left goes down the strategy order
+    open.forEach(debt => {
+      if (remaining <= 0 || debt.balance <= 0) return;
+      const payment = Math.min(remaining, debt.balance);
+      payments[debt.goalId].payment = round(payments[debt.goalId].payment + payment);
+      debt.balance = round(debt.balance - payment);
+      remaining = round(remaining - payment);
+    });
+
+    month++;
+    const id = monthId(month - 1);
+    open.forEach(debt => {
+      const entry = payments[debt.goalId];
+      debt.totalPaid = round(debt.totalPaid + entry.payment);
+      debt.schedule.push({ month: id, payment: entry.payment, interest: entry.interest, balance: debt.balance });
+      if (debt.balance <= 0) {
+        debt.payoffMonth = month;
+        debt.payoffDate = id;
+      }
+    });
+    timeline.push({ month: id, balance: round(states.reduce((sum, debt) => sum + debt.balance, 0)) });
+  }
+
+  const completed = states.every(debt => debt.balance <= 0);
+  return {
+    strategy: strategy,
+    order: states.map(debt => debt.goalId),
+    completed: completed,
+    months: completed ? month : null,
+    payoffDate: completed && month > 0 ? monthId(month - 1) : null,
+    totalInterest: round(states.reduce((sum, debt) => sum + debt.interestPaid, 0)),
+    totalPaid: round(states.reduce((sum, debt) => sum + debt.totalPaid, 0)),
+    timeline: timeline,
+    debts: states.map(debt => ({
+      goalId: debt.goalId,
+      name: debt.name,
+      payoffMonth: debt.payoffMonth,
+      payoffDate: debt.payoffDate,
+      interestPaid: debt.interestPaid,
+      totalPaid: debt.totalPaid,
+      schedule: debt.schedule
+    }))
+  };
+}
+
+/**
+ * Builds a payoff plan for a household's active debt goals under every strategy
+ * @param {string} householdId - The household ID
+ * @param {number|string} extraPayment - Amount paid each month on top of the minimums
+ * @param {Array} [customOrder] - Goal IDs in the order the custom strategy pays them (defaults to goal order)
+ * @return {Object} Result object { success, message, debts, extraPayment, monthlyBudget, missingTerms, strategies, best }
+ */
+function planDebtPayoff(householdId, extraPayment, customOrder) {
+  const extra = extraPayment === undefined || extraPayment === null || String(extraPayment).trim() === ''
+    ? 0
+    : Number(extraPayment);
+  if (isNaN(extra) || extra < 0) {
+    return { success: false, message: "Extra monthly payment must be 0 or more." };
+  }
+
+  const goals = getGoalsByHousehold(householdId)
+    .filter(goal => goal.goalType === 'debt' && goal.status === 'active' && Number(goal.currentAmount) > 0);
+  const debts = goals.map(goal => ({
+    goalId: goal.goalId,
+    name: goal.goalName,
+    balance: Number(goal.currentAmount),
+    apr: goal.apr || 0,
+    minPayment: goal.minPayment || 0
+  }));
+
+  const result = {
+    success: true,
+    debts: debts,
+    extraPayment: extra,
+    monthlyBudget: Math.round((debts.reduce((sum, debt) => sum + debt.minPayment, 0) + extra) * 100) / 100,
+    missingTerms: goals.filter(goal => goal.apr === null || goal.minPayment === null).map(goal => goal.goalName),
+    strategies: {},
+    best: null
+  };
+
+  if (debts.length === 0) {
+    result.message = "No active debt goals to plan.";
+    return result;
+  }
+  if (result.monthlyBudget <= 0) {
+    return { success: false, message: "Add minimum payments to your debt goals or enter an extra monthly amount." };
+  }
+
+  const today = new Date();
+  const startMonth = new Date(today.getFullYear(), today.getMonth() + 1, 1);
+  const order = Array.isArray(customOrder) && customOrder.length > 0 ? customOrder : debts.map(debt => debt.goalId);
+
+  CONFIG.DEBT_PLANNER_SETTINGS.STRATEGIES.forEach(strategy => {
+    result.strategies[strategy] = simulateDebtPayoff(debts, strategy, extra, order, startMonth);
+  });
+
+  // Cheapest plan that finishes; the sooner one wins a tie
+  CONFIG.DEBT_PLANNER_SETTINGS.STRATEGIES.forEach(strategy => {
+    const plan = result.strategies[strategy];
+    if (!plan.completed) return;
+    const best = result.best ? result.strategies[result.best] : null;
+    if (!best || plan.totalInterest < best.totalInterest
+        || (plan.totalInterest === best.totalInterest && plan.months < best.months)) {
+      result.best = strategy;
+    }
+  });
+
+  result.message = result.best
+    ? `Debt-free by ${result.strategies[result.best].payoffDate} with the ${result.best} plan.`
+    : `These payments don't pay off every debt within ${CONFIG.DEBT_PLANNER_SETTINGS.MAX_MONTHS / 12} years.`;
+  return result;
+}
@@ -251,8 +251,15 @@ function generateDailyDigestForHousehold(householdId, recipientEmails, household
       <p><strong>Positive Activities (Week):</strong> ${weeklyData.positive || 0}</p>
       <p><strong>Negative Activities (Week):</strong> ${weeklyData.negative || 0}</p>
       <p><strong>Top Activity (Week):</strong> ${weeklyData.topActivity || "None"}</p>
-    </div>
+    </div>`;
+
+    // --- Budget Forecast Section (only when something is at risk) ---
+    emailBody += buildForecastDigestSection(householdId);
+
+    // --- Monthly Budget Section ---
+    emailBody += buildMonthlyBudgetDigestSection(householdId, today);
 
+    emailBody += `
     <!-- Footer & Links -->
     <div style="text-align: center; margin: 30px 0;">
       <a href="${getScriptUrl()}" style="display: inline-block; background-color: ${CONFIG.COLORS.HEADER_BG}; color: white; text-decoration: none; padding: 12px 30px; border-radius: 4px; font-weight: bold;">LOG MORE ACTIVITIES</a>
@@ -271,6 +278,79 @@ function generateDailyDigestForHousehold(householdId, recipientEmails, household
 }
 
 
+/**
+ * Builds the daily digest section listing categories projected to go over budget this pay period.
+ * @param {string|null} householdId The household ID.
+ * @return {string} HTML section, or "" when every category is on track.
+ */
+function buildForecastDigestSection(householdId) {
+  try {
+    const forecast = forecastBudgetCategories(householdId);
+    if (forecast.atRisk.length === 0) return "";
+
+    const items = forecast.atRisk.map(entry => {
+      const color = entry.status === "over" ? CONFIG.COLORS.CHART_NEGATIVE : "#e65100";
+      const label = entry.status === "over" ? "Over budget" : "At risk";
+      return `
+        <li style="margin-bottom: 8px; line-height: 1.4;">
+          <strong>${entry.category}</strong> <span style="color: ${color}; font-weight: bold;">${label}</span><br>
+          <span style="color: #666; font-size: 0.9em;">$${entry.spent.toFixed(2)} spent of $${entry.budget.toFixed(2)} · projected $${entry.projected.toFixed(2)} ($${entry.low.toFixed(2)} – $${entry.high.toFixed(2)})</span>
+        </li>`;
+    }).join('');
+
+    return `
+    <div style="background-color: #fff; padding: 20px; margin-bottom: 20px; border-radius: 5px; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+      <h3 style="margin-top: 0; color: #333; border-bottom: 1px solid #eee; padding-bottom: 5px;">📈 Budget Forecast (${forecast.daysRemaining} day(s) left in the pay period):</h3>
+      <ul style="padding-left: 20px; margin: 0;">${items}</ul>
+    </div>`;
+  } catch (error) {
+    Logger.log(`Error building forecast digest section for ${householdId || 'Individual'}: ${error}`);
+    return "";
+  }
+}
+
+/**
+ * Builds the digest section comparing a calendar month's spending with MonthlyBudget.
+ * @param {string|null} householdId The household ID.
+ * @param {Date} referenceDate Any day in the month to report (month to date for the current month).
+ * @return {string} HTML section, or "" when no category has a monthly budget.
+ */
+function buildMonthlyBudgetDigestSection(householdId, referenceDate) {
+  try {
+    const summary = summarizeMonthlyBudgets(householdId, referenceDate);
+    if (!(summary.totalBudget > 0)) return "";
+
+    const isFinished = summary.month.daysRemaining === 0;
+    const heading = isFinished
+      ? `${summary.month.label} Budget (final)`
+      : `${summary.month.label} Budget (${summary.month.daysRemaining} day(s) left)`;
+    const totalColor = summary.totalSpent > summary.totalBudget ? CONFIG.COLORS.CHART_NEGATIVE : CONFIG.COLORS.CHART_POSITIVE;
+
+    const items = summary.categories
+      .filter(category => category.budget > 0)
+      .sort((a, b) => b.percentUsed - a.percentUsed)
+      .map(category => {
+        const color = category.spent > category.budget ? CONFIG.COLORS.CHART_NEGATIVE : "#666";
+        return `
+        <li style="margin-bottom: 6px; line-height: 1.4;">
+          <strong>${category.name}</strong>
+          <span style="color: ${color};">$${category.spent.toFixed(2)} of $${category.budget.toFixed(2)} (${category.percentUsed}%)</span>
+        </li>`;
+      }).join('');
+
+    return `
+    <div style="background-color: #fff; padding: 20px; margin-bottom: 20px; border-radius: 5px; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+      <h3 style="margin-top: 0; color: #333; border-bottom: 1px solid #eee; padding-bottom: 5px;">🗓️ ${heading}:</h3>
+      <p><strong>Spent:</strong> <span style="font-weight: bold; color: ${totalColor};">$${summary.totalSpent.toFixed(2)}</span> of $${summary.totalBudget.toFixed(2)}
+        ${summary.overBudget.length ? ` · ${summary.overBudget.length} categor${summary.overBudget.length === 1 ? 'y' : 'ies'} over budget` : ''}</p>
+      <ul style="padding-left: 20px; margin: 0;">${items}</ul>
+    </div>`;
+  } catch (error) {
+    Logger.log(`Error building monthly budget digest section for ${householdId || 'Individual'}: ${error}`);
+    return "";
+  }
+}
+
 /**
  * Fallback function to send the original daily digest to CONFIG emails if households disabled/fail.
  * @return {boolean} Success or failure
@@ -552,7 +632,12 @@ function generateWeeklyDigestContent(startDate, endDate, householdId, householdN
       <p><strong>Total Positive Activities:</strong> ${pastWeekSummary.positive || 0}</p>
       <p><strong>Total Negative Activities:</strong> ${pastWeekSummary.negative || 0}</p>
       <p><strong>Top Activity:</strong> ${pastWeekSummary.topActivity || "None"} (${pastWeekSummary.topActivityCount || 0} times)</p>
-    </div>
+    </div>`;
+
+    // --- Monthly Budget Section (the month the summarized week ended in) ---
+    body += buildMonthlyBudgetDigestSection(householdId, endDate);
+
+    body += `
 
     <!-- Footer & Links -->
     <div style="text-align: center; margin: 30px 0;">
@@ -631,4 +716,194 @@ function getYesterdaysRecapData(householdEmails = null) {
   }
 
   return { points: points, activityCount: activityCount };
-}
\ No newline at end of file
+}
+
+/**
+ * Emails every household member that a budget category crossed an alert threshold.
+ * Without a household the alert goes to CONFIG.DIGEST_EMAIL_ADDRESSES; a personal
+ * allowance's alert goes to its owner only.
+ * @param {string|null} householdId The household ID.
+ * @param {Object} alert { category, threshold, percentUsed, spent, budget, ownerEmail } from checkBudgetThresholdAlerts.
+ * @return {number} Number of emails sent.
+ */
+function sendBudgetAlertEmail(householdId, alert) {
+  // A personal allowance only concerns its owner
+  let recipients;
+  if (alert.ownerEmail) {
+    recipients = [alert.ownerEmail];
+  } else {
+    recipients = householdId && CONFIG.HOUSEHOLD_SETTINGS.ENABLED
+      ? getHouseholdEmails(householdId)
+      : CONFIG.DIGEST_EMAIL_ADDRESSES;
+  }
+  if (!recipients || recipients.length === 0) {
+    Logger.log(`No recipients for budget alert on ${alert.category} (${householdId || 'default'}).`);
+    return 0;
+  }
+
+  const isOver = alert.threshold >= 100;
+  const color = isOver ? CONFIG.COLORS.CHART_NEGATIVE : CONFIG.COLORS.STREAK_COLOR;
+  const remaining = alert.budget - alert.spent;
+  const subject = `${CONFIG.EMAIL_SUBJECTS.BUDGET_ALERT}: ${alert.category} at ${alert.percentUsed}%`;
+  const body = `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #f8f9fa; padding: 20px; border: 1px solid #ddd;">
+    <div style="background-color: #fff; padding: 20px; border-radius: 5px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); text-align: center;">
+      <h2 style="font-size: 22px; margin: 0 0 10px 0; color: ${color};">
+        ${alert.category} has reached ${alert.threshold}% of its budget
+      </h2>
+      <p style="color: #333; font-size: 16px; margin: 0 0 5px 0;">
+        $${alert.spent.toFixed(2)} spent of $${alert.budget.toFixed(2)} this pay period (${alert.percentUsed}%)
+      </p>
+      <p style="color: #666; margin: 0;">
+        ${remaining >= 0 ? `$${remaining.toFixed(2)} left to spend.` : `$${Math.abs(remaining).toFixed(2)} over budget.`}
+      </p>
+    </div>
+    <div style="text-align: center; color: #999; font-size: 12px; margin-top: 20px;">
+      <p>You get one alert per threshold each pay period.</p>
+    </div>
+  </div>`;
+
+  let sent = 0;
+  recipients.forEach(email => {
+    if (email && email.includes('@')) {
+      try {
+        MailApp.sendEmail({ to: email, subject: subject, htmlBody: body, name: "Budget Game Bot" });
+        sent++;
+      } catch (mailError) {
+        Logger.log(`Error sending budget alert to ${email}: ${mailError}`);
+      }
+    }
+  });
+
+  Logger.log(`Sent ${alert.threshold}% budget alert for ${alert.category} to ${sent} recipient(s).`);
+  return sent;
+}
+
+/**
+ * Asks a household's other members to approve a large purchase (see ExpenseApprovals.js).
+ * @param {Object} request The held request { homeAmount, amount, currency, location, category, lines, description, email, reason }.
+ * @param {Array<string>} approvers Emails of the members who can approve it.
+ * @return {number} Number of emails sent.
+ */
+function sendExpenseApprovalRequestEmail(request, approvers) {
+  const paid = request.currency ? ` (${request.currency} ${request.amount.toFixed(2)})` : "";
+  const categories = request.lines
+    ? request.lines.map(line => `${line.category} $${line.amount.toFixed(2)}`).join(", ")
+    : request.category;
+  const subject = `${CONFIG.EMAIL_SUBJECTS.EXPENSE_APPROVAL}: $${request.homeAmount.toFixed(2)} at ${request.location}`;
+  const body = `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #f8f9fa; padding: 20px; border: 1px solid #ddd;">
+    <div style="background-color: #fff; padding: 20px; border-radius: 5px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); text-align: center;">
+      <h2 style="font-size: 22px; margin: 0 0 10px 0; color: ${CONFIG.COLORS.HEADER_BG};">
+        ${request.email} wants to spend $${request.homeAmount.toFixed(2)}${paid} at ${request.location}
+      </h2>
+      <p style="color: #333; font-size: 16px; margin: 0 0 5px 0;">${categories}${request.description ? ` · ${request.description}` : ""}</p>
+      <p style="color: #666; margin: 0 0 20px 0;">${request.reason}.</p>
+      <a href="${getScriptUrl()}?view=expense" style="display: inline-block; background-color: ${CONFIG.COLORS.HEADER_BG}; color: white; text-decoration: none; padding: 12px 30px; border-radius: 4px; font-weight: bold;">REVIEW PURCHASE</a>
+    </div>
+    <div style="text-align: center; color: #999; font-size: 12px; margin-top: 20px;">
+      <p>It won't count against the budget until a member approves it.</p>
+    </div>
+  </div>`;
+
+  let sent = 0;
+  approvers.forEach(email => {
+    if (email && email.includes('@')) {
+      try {
+        MailApp.sendEmail({ to: email, subject: subject, htmlBody: body, name: "Budget Game Bot" });
+        sent++;
+      } catch (mailError) {
+        Logger.log(`Error sending approval request to ${email}: ${mailError}`);
+      }
+    }
+  });
+
+  Logger.log(`Sent approval request for ${request.location} to ${sent} approver(s).`);
+  return sent;
+}
+
+/**
+ * Tells a member whether their large purchase was approved or declined.
+ * @param {Object} request The request { homeAmount, location, email }.
+ * @param {boolean} approved True when it was approved.
+ * @param {string} auditNote The decision's audit note.
+ * @return {number} Number of emails sent.
+ */
+function sendExpenseApprovalDecisionEmail(request, approved, auditNote) {
+  if (!request.email || !request.email.includes('@')) return 0;
+
+  const color = approved ? CONFIG.COLORS.CHART_POSITIVE : CONFIG.COLORS.CHART_NEGATIVE;
+  const subject = `${CONFIG.EMAIL_SUBJECTS.EXPENSE_APPROVAL_DECISION}: $${request.homeAmount.toFixed(2)} at ${request.location} ${approved ? 'approved' : 'declined'}`;
+  const body = `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #f8f9fa; padding: 20px; border: 1px solid #ddd;">
+    <div style="background-color: #fff; padding: 20px; border-radius: 5px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); text-align: center;">
+      <h2 style="font-size: 22px; margin: 0 0 10px 0; color: ${color};">
+        Your $${request.homeAmount.toFixed(2)} purchase at ${request.location} was ${approved ? 'approved' : 'declined'}
+      </h2>
+      <p style="color: #333; font-size: 16px; margin: 0 0 5px 0;">${auditNote}</p>
+      <p style="color: #666; margin: 0;">
+        ${approved ? 'It has been logged and now counts against the budget.' : "It wasn't logged and doesn't count against the budget."}
+      </p>
+    </div>
+  </div>`;
+
+  try {
+    MailApp.sendEmail({ to: request.email, subject: subject, htmlBody: body, name: "Budget Game Bot" });
+    return 1;
+  } catch (mailError) {
+    Logger.log(`Error sending approval decision to ${request.email}: ${mailError}`);
+    return 0;
+  }
+}
+
+/**
+ * Reminds a household about bills coming due (see Bills.js).
+ * @param {Array<Object>} dueSoon Bills being reminded { payee, amount, isEstimate, autopay, category, dueDate, daysUntil }.
+ * @param {Array<Object>} overdue Unpaid bills past their due date, in the same form.
+ * @param {Array<string>} recipients Emails to send the reminder to.
+ * @return {number} Number of emails sent.
+ */
+function sendBillReminderEmail(dueSoon, overdue, recipients) {
+  const formatAmount = bill => `${bill.isEstimate ? '~' : ''}$${bill.amount.toFixed(2)}`;
+  const formatWhen = bill => bill.daysUntil === 0 ? 'today' : bill.daysUntil === 1 ? 'tomorrow' : `in ${bill.daysUntil} days`;
+  const billRow = (bill, when, color) => `
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: left;">${bill.payee}<br><span style="color: #999; font-size: 12px;">${bill.category}${bill.autopay ? ' · autopay' : ''}</span></td>
+          <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${formatAmount(bill)}</td>
+          <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right; color: ${color};">${when}<br><span style="color: #999; font-size: 12px;">${bill.dueDate}</span></td>
+        </tr>`;
+
+  const total = dueSoon.reduce((sum, bill) => sum + bill.amount, 0);
+  const subject = `${CONFIG.EMAIL_SUBJECTS.BILL_REMINDER}: ${dueSoon.map(bill => bill.payee).join(", ")}`;
+  const body = `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #f8f9fa; padding: 20px; border: 1px solid #ddd;">
+    <div style="background-color: #fff; padding: 20px; border-radius: 5px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); text-align: center;">
+      <h2 style="font-size: 22px; margin: 0 0 10px 0; color: ${CONFIG.COLORS.HEADER_BG};">
+        ${dueSoon.length} bill${dueSoon.length === 1 ? '' : 's'} due soon ($${total.toFixed(2)})
+      </h2>
+      <table style="width: 100%; border-collapse: collapse; margin: 0 0 20px 0; font-size: 14px;">
+        ${dueSoon.map(bill => billRow(bill, `due ${formatWhen(bill)}`, '#333')).join('')}
+        ${overdue.map(bill => billRow(bill, `${Math.abs(bill.daysUntil)} day${bill.daysUntil === -1 ? '' : 's'} overdue`, CONFIG.COLORS.CHART_NEGATIVE)).join('')}
+      </table>
+      <a href="${getScriptUrl()}?view=expense" style="display: inline-block; background-color: ${CONFIG.COLORS.HEADER_BG}; color: white; text-decoration: none; padding: 12px 30px; border-radius: 4px; font-weight: bold;">OPEN BILLS</a>
+    </div>
+    <div style="text-align: center; color: #999; font-size: 12px; margin-top: 20px;">
+      <p>Mark a bill paid in the expense tracker to log it. Autopay bills are logged for you on the due date.</p>
+    </div>
+  </div>`;
+
+  let sent = 0;
+  recipients.forEach(email => {
+    if (email && email.includes('@')) {
+      try {
+        MailApp.sendEmail({ to: email, subject: subject, htmlBody: body, name: "Budget Game Bot" });
+        sent++;
+      } catch (mailError) {
+        Logger.log(`Error sending bill reminder to ${email}: ${mailError}`);
+      }
+    }
+  });
+
+  Logger.log(`Sent bill reminder for ${dueSoon.length} bill(s) to ${sent} recipient(s).`);
+  return sent;
+}
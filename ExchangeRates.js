@@ -0,0 +1,131 @@
+// ExchangeRates.gs
+/**
+ * Foreign-currency expenses.
+ * Admins keep dated rates in the Exchange Rates sheet by hand. An expense paid in another
+ * currency is converted with the latest rate on or before its date; the Expense Tracker keeps the
+ * converted home-currency value in Amount (so budgets, recalculation and reports never see foreign
+ * money) and the amount as paid in OriginalAmount / Currency.
+ */
+
+/**
+ * Cleans up a currency code. Blank means the home currency.
+ * @param {string} code The currency code.
+ * @return {string} The upper-case ISO code.
+ */
+function normalizeCurrencyCode(code) {
+  const normalized = String(code || "").trim().toUpperCase();
+  return normalized || CONFIG.CURRENCY_SETTINGS.HOME_CURRENCY;
+}
+
+/**
+ * Checks whether a currency code is the home currency.
+ * @param {string} code The currency code (blank counts as home).
+ * @return {boolean} True for the home currency.
+ */
+function isHomeCurrency(code) {
+  return normalizeCurrencyCode(code) === CONFIG.CURRENCY_SETTINGS.HOME_CURRENCY;
+}
+
+/**
+ * Reads every usable row of the Exchange Rates sheet.
+ * @return {Array<Object>} Rates { date, currency, rate }, oldest first.
+ */
+function readExchangeRates() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.EXCHANGE_RATES);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const col = EXCHANGE_RATE_COLUMNS;
+  const width = Math.min(sheet.getMaxColumns(), col.NOTES);
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues();
+
+  return data
+    .map(row => ({
+      date: row[col.DATE - 1] instanceof Date ? row[col.DATE - 1] : parseDateYMD(String(row[col.DATE - 1] || "")),
+      currency: String(row[col.CURRENCY - 1] || "").trim().toUpperCase(),
+      rate: Number(row[col.RATE - 1])
+    }))
+    .filter(entry => entry.date && entry.currency && entry.rate > 0)
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Finds the rate for a currency on a date: the latest row dated on or before that day.
+ * @param {string} currency The currency code.
+ * @param {Date} date The expense date.
+ * @param {Array<Object>} rates Optional rates from readExchangeRates() (saves a sheet read in loops).
+ * @return {Object} { success, message?, rate, rateDate } where rate is home currency per 1 unit.
+ */
+function getExchangeRate(currency, date, rates = null) {
+  const code = normalizeCurrencyCode(currency);
+  if (isHomeCurrency(code)) {
+    return { success: true, rate: 1, rateDate: null };
+  }
+  if (!CONFIG.CURRENCY_SETTINGS.SUPPORTED_CURRENCIES.includes(code)) {
+    return { success: false, message: `${code} isn't a supported currency.` };
+  }
+
+  // Compare whole days so a rate entered for today applies to an expense logged this morning
+  const day = new Date(date || new Date());
+  day.setHours(23, 59, 59, 999);
+  const candidates = (rates || readExchangeRates()).filter(entry => entry.currency === code && entry.date <= day);
+  if (candidates.length === 0) {
+    return {
+      success: false,
+      message: `No ${code} exchange rate on or before ${formatDateYMD(day)}. Ask an admin to add one to the ${CONFIG.SHEET_NAMES.EXCHANGE_RATES} sheet.`
+    };
+  }
+
+  const latest = candidates[candidates.length - 1];
+  return { success: true, rate: latest.rate, rateDate: latest.date };
+}
+
+/**
+ * Converts an amount paid in any supported currency to the home currency.
+ * @param {number} amount The amount as paid (negative for a refund).
+ * @param {string} currency The currency it was paid in (blank for home).
+ * @param {Date} date The expense date, which picks the rate.
+ * @param {Array<Object>} rates Optional rates from readExchangeRates().
+ * @return {Object} { success, message?, homeAmount, originalAmount, currency, rate }. For the home
+ *   currency originalAmount and currency are "" so the sheet columns stay blank.
+ */
+function convertToHomeCurrency(amount, currency, date, rates = null) {
+  const code = normalizeCurrencyCode(currency);
+  if (isHomeCurrency(code)) {
+    return { success: true, homeAmount: amount, originalAmount: "", currency: "", rate: 1 };
+  }
+
+  const rateResult = getExchangeRate(code, date, rates);
+  if (!rateResult.success) {
+    return rateResult;
+  }
+
+  return {
+    success: true,
+    homeAmount: Math.round(amount * rateResult.rate * 100) / 100,
+    originalAmount: amount,
+    currency: code,
+    rate: rateResult.rate
+  };
+}
+
+/**
+ * Lists the currencies an expense can be entered in today, with their current rates.
+ * @return {Object} { home, currencies: [{ code, rate, rateDate (yyyy-MM-dd) }] }. Foreign
+ *   currencies without a rate yet are left out.
+ */
+function getCurrencyOptions() {
+  const rates = readExchangeRates();
+  const today = new Date();
+  const currencies = [{ code: CONFIG.CURRENCY_SETTINGS.HOME_CURRENCY, rate: 1, rateDate: null }];
+
+  CONFIG.CURRENCY_SETTINGS.SUPPORTED_CURRENCIES.forEach(code => {
+    if (isHomeCurrency(code)) return;
+    const rateResult = getExchangeRate(code, today, rates);
+    if (rateResult.success) {
+      currencies.push({ code: code, rate: rateResult.rate, rateDate: formatDateYMD(rateResult.rateDate) });
+    }
+  });
+
+  return { home: CONFIG.CURRENCY_SETTINGS.HOME_CURRENCY, currencies: currencies };
+}
@@ -0,0 +1,405 @@
+// ExpenseApprovals.gs
+/**
+ * Large-purchase approvals between household members.
+ * A purchase over the approval threshold goes into the Expense Approvals sheet as "pending" instead
+ * of the Expense Tracker, so it doesn't count against any budget. The household's other members
+ * are emailed and see it in the approval queue on the expense tracker; the first approval logs it
+ * as a normal expense, and a declined request stays in the sheet with its audit note. An edit that
+ * would push a logged expense over the threshold is refused, so it has to be logged again for approval.
+ * The threshold is set per household (CONFIG default until one is saved) and a budget category
+ * can set its own in the ApprovalThreshold column. Bills a member marks paid are held like any other
+ * purchase. Refunds, personal allowances, recurring expenses, autopay bills and statement imports never
+ * need approval, and neither does a member with no one to ask.
+ */
+
+/**
+ * Reads an approval threshold.
+ * @param {*} value A number, numeric string, or blank/"off".
+ * @return {number|null} The threshold in the home currency, or null when there is none.
+ */
+function parseApprovalThreshold(value) {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  const amount = Number(value);
+  return isNaN(amount) || amount < 0 ? null : Math.round(amount * 100) / 100;
+}
+
+/**
+ * Gets the property key holding a household's approval threshold.
+ * @param {string|null} householdId The household ID.
+ * @return {string} The script property key.
+ * @private
+ */
+function _getApprovalThresholdKey(householdId) {
+  return `EXPENSE_APPROVAL_THRESHOLD_${householdId ? String(householdId).trim() : 'default'}`;
+}
+
+/**
+ * Gets a household's approval threshold.
+ * @param {string|null} householdId The household ID.
+ * @return {number|null} Purchases above this home-currency amount need approval (null for none).
+ */
+function getApprovalThreshold(householdId) {
+  const saved = PropertiesService.getScriptProperties().getProperty(_getApprovalThresholdKey(householdId));
+  return parseApprovalThreshold(saved !== null ? saved : CONFIG.EXPENSE_APPROVAL_SETTINGS.DEFAULT_THRESHOLD);
+}
+
+/**
+ * Saves a household's approval threshold.
+ * @param {string|null} householdId The household ID.
+ * @param {number|string|null} threshold The new threshold; blank turns approvals off.
+ * @return {Object} Result object { success, message, threshold }.
+ */
+function saveApprovalThreshold(householdId, threshold) {
+  const isBlank = threshold === null || threshold === undefined || String(threshold).trim() === "";
+  const parsed = parseApprovalThreshold(threshold);
+  if (!isBlank && parsed === null) {
+    return { success: false, message: "The approval threshold must be an amount of 0 or more, or blank to turn approvals off." };
+  }
+
+  PropertiesService.getScriptProperties().setProperty(_getApprovalThresholdKey(householdId), isBlank ? "off" : String(parsed));
+  Logger.log(`Saved approval threshold for ${householdId || 'default'}: ${isBlank ? 'off' : parsed}`);
+  return {
+    success: true,
+    message: isBlank ? "Purchase approvals turned off." : `Purchases over $${parsed.toFixed(2)} now need another member's approval.`,
+    threshold: parsed
+  };
+}
+
+/**
+ * Lists who can approve a member's purchases: every other member of their household.
+ * @param {string|null} householdId The household ID.
+ * @param {string} email The member making the purchase.
+ * @return {Array<string>} Lower-case approver emails (empty without a household).
+ */
+function getExpenseApprovers(householdId, email) {
+  if (!householdId) return [];
+  const submitter = String(email || "").trim().toLowerCase();
+  return getHouseholdEmails(householdId)
+    .map(member => String(member || "").trim().toLowerCase())
+    .filter(member => member && member !== submitter);
+}
+
+/**
+ * Works out why a purchase needs approval. Each line is checked against its category's threshold,
+ * or the household's when the category has none; a split receipt also needs approval when its
+ * total is over the household's threshold. Personal allowances are left out.
+ * For an edit, only lines that add to their category and a larger receipt total are checked, so
+ * changing the note on an approved purchase doesn't need approval again.
+ * @param {Array<Object>} lines Home-currency lines [{ category, amount }].
+ * @param {Object} categoriesById Categories from readBudgetCategoriesData().categoriesById.
+ * @param {number|null} householdThreshold The household's threshold.
+ * @param {Array<Object>=} previousLines The home-currency lines before an edit.
+ * @return {string|null} The reason, or null when no approval is needed.
+ */
+function getApprovalReason(lines, categoriesById, householdThreshold, previousLines) {
+  const isShared = line => !(categoriesById[line.category] && categoriesById[line.category].ownerEmail);
+  const sharedLines = lines.filter(isShared);
+  const previousShared = previousLines ? previousLines.filter(isShared) : [];
+  const previousByCategory = {};
+  previousShared.forEach(line => {
+    previousByCategory[line.category] = (previousByCategory[line.category] || 0) + line.amount;
+  });
+
+  for (const line of sharedLines) {
+    if (previousLines && line.amount <= (previousByCategory[line.category] || 0)) continue;
+    const category = categoriesById[line.category];
+    const threshold = category && category.approvalThreshold !== null && category.approvalThreshold !== undefined
+      ? category.approvalThreshold
+      : householdThreshold;
+    if (threshold !== null && line.amount > threshold) {
+      return `$${line.amount.toFixed(2)} in ${line.category} is over the $${threshold.toFixed(2)} approval threshold`;
+    }
+  }
+
+  const total = Math.round(sharedLines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+  const previousTotal = Math.round(previousShared.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+  if (previousLines && total <= previousTotal) return null;
+  if (sharedLines.length > 1 && householdThreshold !== null && total > householdThreshold) {
+    return `The $${total.toFixed(2)} receipt is over the household's $${householdThreshold.toFixed(2)} approval threshold`;
+  }
+  return null;
+}
+
+/**
+ * Checks an edit to a logged expense against the approval threshold. An edit that would need
+ * approval is refused rather than held, since the original expense is already in the budget.
+ * @param {Array<Object>} previousLines Home-currency lines before the edit [{ category, amount }].
+ * @param {Array<Object>} lines Home-currency lines after the edit.
+ * @param {Object} categoriesById Categories from readBudgetCategoriesData().categoriesById.
+ * @param {string} email The editing member.
+ * @param {string|null} householdId The household ID.
+ * @return {string|null} An error message, or null when the edit can be saved.
+ */
+function checkExpenseEditApproval(previousLines, lines, categoriesById, email, householdId) {
+  if (getExpenseApprovers(householdId, email).length === 0) return null;
+  const reason = getApprovalReason(lines, categoriesById, getApprovalThreshold(householdId), previousLines);
+  return reason ? `${reason}. Delete this expense and log it again so another member can approve it.` : null;
+}
+
+/**
+ * Holds a purchase for approval when it is over the threshold. Called before anything is logged.
+ * @param {Object} purchase { amount, location, category, lines, description, tags, currency, email, householdId }
+ *   where lines is null for a single-category expense and [{ category, amount }] as paid for a split receipt.
+ * @return {Object|null} null when the purchase can be logged right away; otherwise a result object
+ *   { success, message, pending, requestId } (pending is true when the purchase was held).
+ */
+function holdExpenseForApproval(purchase) {
+  if (!(purchase.amount > 0)) return null; // Refunds give money back
+  const approvers = getExpenseApprovers(purchase.householdId, purchase.email);
+  if (approvers.length === 0) return null;
+
+  const now = new Date();
+  let paidLines = null;
+  let homeLines;
+  if (purchase.lines) {
+    const validation = _normalizeSplitLines(purchase.lines, purchase.amount);
+    if (!validation.success) return validation;
+    const converted = _convertSplitLines(validation.lines, purchase.currency, now);
+    if (!converted.success) return converted;
+    paidLines = validation.lines;
+    homeLines = converted.lines;
+  } else {
+    const conversion = convertToHomeCurrency(purchase.amount, purchase.currency, now);
+    if (!conversion.success) return conversion;
+    homeLines = [{ category: purchase.category, amount: conversion.homeAmount }];
+  }
+
+  const categoriesById = readBudgetCategoriesData(purchase.householdId).categoriesById;
+  for (const line of homeLines) {
+    const accessError = checkBudgetCategoryAccess(line.category, purchase.email, categoriesById);
+    if (accessError) {
+      return { success: false, message: accessError };
+    }
+  }
+
+  const reason = getApprovalReason(homeLines, categoriesById, getApprovalThreshold(purchase.householdId));
+  if (!reason) return null;
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.EXPENSE_APPROVALS) || setupExpenseApprovalsSheet();
+  const requestId = `approval_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const homeAmount = Math.round(homeLines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+  const request = {
+    id: requestId,
+    submittedAt: now,
+    amount: purchase.amount,
+    currency: isHomeCurrency(purchase.currency) ? "" : normalizeCurrencyCode(purchase.currency),
+    homeAmount: homeAmount,
+    location: purchase.location,
+    category: paidLines ? "" : purchase.category,
+    lines: paidLines,
+    description: purchase.description || "",
+    tags: parseExpenseTags(purchase.tags),
+    email: purchase.email,
+    householdId: purchase.householdId,
+    reason: reason
+  };
+
+  sheet.appendRow([
+    request.id,
+    request.submittedAt,
+    request.amount,
+    request.currency,
+    request.homeAmount,
+    request.location,
+    request.category,
+    paidLines ? JSON.stringify(paidLines) : "",
+    request.description,
+    formatExpenseTags(request.tags),
+    request.email,
+    request.householdId,
+    "pending",
+    "",
+    "",
+    ""
+  ]);
+
+  sendExpenseApprovalRequestEmail(request, approvers);
+  Logger.log(`Held $${homeAmount.toFixed(2)} at ${request.location} from ${request.email} for approval (${reason})`);
+  return {
+    success: true,
+    pending: true,
+    requestId: requestId,
+    message: `${reason}, so it's waiting for approval from ${approvers.join(", ")}. It won't count against the budget until then.`
+  };
+}
+
+/**
+ * Reads a household's Expense Approvals rows.
+ * @param {string} householdId The household ID.
+ * @return {Array<Object>} Requests { rowIndex, id, submittedAt, amount, currency, homeAmount, location,
+ *   category, lines, description, tags, email, householdId, status, decidedBy, decidedAt, note } in sheet order.
+ * @private
+ */
+function _readExpenseApprovalRows(householdId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.EXPENSE_APPROVALS);
+  if (!householdId || !sheet || sheet.getLastRow() < 2) return [];
+
+  const col = EXPENSE_APPROVAL_COLUMNS;
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, Object.keys(col).length).getValues();
+  const requests = [];
+
+  data.forEach((row, index) => {
+    const id = String(row[col.REQUEST_ID - 1] || "").trim();
+    if (!id || String(row[col.HOUSEHOLD_ID - 1] || "").trim() !== householdId) return;
+
+    let lines = null;
+    if (row[col.SPLIT_LINES - 1]) {
+      try {
+        lines = JSON.parse(row[col.SPLIT_LINES - 1]);
+      } catch (e) {
+        Logger.log(`Invalid SplitLines on approval request ${id}: ${e}`);
+        return;
+      }
+    }
+
+    requests.push({
+      rowIndex: index + 2,
+      id: id,
+      submittedAt: row[col.SUBMITTED_AT - 1] instanceof Date ? row[col.SUBMITTED_AT - 1] : null,
+      amount: Number(row[col.AMOUNT - 1]) || 0,
+      currency: String(row[col.CURRENCY - 1] || "").trim(),
+      homeAmount: Number(row[col.HOME_AMOUNT - 1]) || 0,
+      location: String(row[col.LOCATION - 1] || "").trim(),
+      category: String(row[col.CATEGORY - 1] || "").trim(),
+      lines: lines,
+      description: String(row[col.DESCRIPTION - 1] || ""),
+      tags: parseExpenseTags(row[col.TAGS - 1]),
+      email: String(row[col.EMAIL - 1] || "").trim(),
+      householdId: householdId,
+      status: String(row[col.STATUS - 1] || "").trim().toLowerCase(),
+      decidedBy: String(row[col.DECIDED_BY - 1] || "").trim(),
+      decidedAt: row[col.DECIDED_AT - 1] instanceof Date ? row[col.DECIDED_AT - 1] : null,
+      note: String(row[col.NOTE - 1] || "")
+    });
+  });
+
+  return requests;
+}
+
+/**
+ * Converts a request into a client-safe object (no Date instances).
+ * @param {Object} request A request from _readExpenseApprovalRows().
+ * @return {Object} The request with ISO timestamps and without its row index.
+ * @private
+ */
+function _serializeExpenseApproval(request) {
+  return {
+    id: request.id,
+    submittedAt: request.submittedAt ? request.submittedAt.toISOString() : null,
+    amount: request.amount,
+    currency: request.currency,
+    homeAmount: request.homeAmount,
+    location: request.location,
+    category: request.lines ? request.lines.map(line => line.category).join(", ") : request.category,
+    lines: request.lines,
+    description: request.description,
+    tags: request.tags,
+    email: request.email,
+    status: request.status,
+    decidedBy: request.decidedBy,
+    decidedAt: request.decidedAt ? request.decidedAt.toISOString() : null,
+    note: request.note
+  };
+}
+
+/**
+ * Gets the approval queue for a member.
+ * @param {string|null} householdId The member's household ID.
+ * @param {string} email The member's email.
+ * @return {Object} { awaitingYou: pending purchases by other members, yours: your pending purchases and
+ *   your most recently decided ones, threshold } with the newest first.
+ */
+function readExpenseApprovals(householdId, email) {
+  const viewer = String(email || "").trim().toLowerCase();
+  const requests = _readExpenseApprovalRows(householdId).reverse();
+  const own = requests.filter(request => request.email.toLowerCase() === viewer);
+
+  return {
+    awaitingYou: requests
+      .filter(request => request.status === "pending" && request.email.toLowerCase() !== viewer)
+      .map(_serializeExpenseApproval),
+    yours: own.filter(request => request.status === "pending")
+      .concat(own.filter(request => request.status !== "pending").slice(0, CONFIG.EXPENSE_APPROVAL_SETTINGS.RECENT_DECISIONS))
+      .map(_serializeExpenseApproval),
+    threshold: getApprovalThreshold(householdId)
+  };
+}
+
+/**
+ * Approves or declines a pending purchase. Approving logs it as the purchaser's expense; either way
+ * the request keeps an audit note of who decided, when and why. Members can't approve their own
+ * purchases, but they can withdraw them (recorded as declined).
+ * @param {string} requestId The request ID.
+ * @param {boolean} approve True to approve, false to decline.
+ * @param {string} note Optional reason, added to the audit note.
+ * @param {string} email The deciding member.
+ * @param {string|null} householdId The deciding member's household ID.
+ * @return {Object} Result object { success, message, status, alerts }.
+ */
+function decideExpenseApproval(requestId, approve, note, email, householdId) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "Another approval is being saved. Please try again." };
+  }
+
+  try {
+    const request = _readExpenseApprovalRows(householdId).find(item => item.id === requestId);
+    if (!request) {
+      return { success: false, message: "That purchase request wasn't found in your household." };
+    }
+    if (request.status !== "pending") {
+      return { success: false, message: `This purchase was already ${request.status} by ${request.decidedBy || 'someone else'}.` };
+    }
+
+    const decider = String(email || "").trim().toLowerCase();
+    const isOwn = request.email.toLowerCase() === decider;
+    if (approve && isOwn) {
+      return { success: false, message: "Another member has to approve your own purchase." };
+    }
+
+    let posted = null;
+    if (approve) {
+      // Logged on the day it was bought, so it lands in that period and uses that day's exchange rate
+      posted = request.lines
+        ? processSplitExpense(request.amount, request.location, request.lines, request.description, request.email, householdId,
+          request.currency, request.tags, request.submittedAt)
+        : processExpenseEntry(request.amount, request.location, request.category, request.description, request.email, householdId,
+          "", request.currency, request.tags, request.submittedAt);
+      if (!posted.success) {
+        return { success: false, message: `The purchase couldn't be logged: ${posted.message}` };
+      }
+    }
+
+    const now = new Date();
+    const status = approve ? "approved" : "declined";
+    const action = approve ? "Approved" : (isOwn ? "Withdrawn" : "Declined");
+    const reason = String(note || "").trim();
+    const auditNote = `${action} by ${email} on ${Utilities.formatDate(now, Session.getScriptTimeZone(), "yyyy-MM-dd HH:mm")}` +
+      (reason ? `: ${reason}` : "");
+
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.EXPENSE_APPROVALS);
+    sheet.getRange(request.rowIndex, EXPENSE_APPROVAL_COLUMNS.STATUS, 1, 4).setValues([[status, email, now, auditNote]]);
+
+    if (!isOwn) {
+      sendExpenseApprovalDecisionEmail(request, approve, auditNote);
+    }
+    Logger.log(`Approval request ${requestId}: ${auditNote}`);
+
+    const summary = `$${request.homeAmount.toFixed(2)} at ${request.location}`;
+    return {
+      success: true,
+      status: status,
+      alerts: posted && posted.alerts ? posted.alerts : [],
+      message: approve
+        ? `Approved ${summary}. It's now logged for ${request.email}.`
+        : (isOwn ? `Withdrew your ${summary} purchase.` : `Declined ${summary}. ${request.email} has been emailed.`)
+    };
+  } catch (error) {
+    Logger.log(`Error deciding approval request ${requestId}: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error saving the decision: ${error.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+}
@@ -0,0 +1,240 @@
+// ExpenseSearch.gs
+/**
+ * Searching the whole Expense Tracker ("how much did we spend at Costco in March").
+ * Rows are grouped into expenses the same way as the Recent Expenses list (split receipt lines
+ * collapse into one entry), private allowance expenses are redacted before any text filter runs
+ * so a search can't reveal what another member bought, then the result is filtered, summarized,
+ * sorted and paged.
+ */
+
+/**
+ * Reads every expense a household can see, newest first, with split receipts collapsed.
+ * @param {string} email The member searching.
+ * @param {string|null} householdId The member's household ID.
+ * @return {Array<Object>} Expenses in the getRecentExpenses shape.
+ * @private
+ */
+function _readSearchableExpenses(email, householdId) {
+  const householdEmails = (householdId && CONFIG.HOUSEHOLD_SETTINGS.ENABLED ? getHouseholdEmails(householdId) : [email])
+    .map(member => String(member || "").toLowerCase());
+
+  const expenses = [];
+  const splitsById = {};
+  readExpenseTrackerRows(null)
+    .filter(row => householdEmails.includes(row.email.toLowerCase()) || (householdId && row.householdId === householdId))
+    .reverse() // Newest first, like getRecentExpenses
+    .forEach(row => {
+      const originalAmount = row.currency ? row.originalAmount || 0 : null;
+      const line = { category: row.category, amount: row.amount, originalAmount: originalAmount, rowIndex: row.rowIndex };
+
+      if (row.transactionId && splitsById[row.transactionId]) {
+        const split = splitsById[row.transactionId];
+        split.lines.unshift(line); // Rows are visited bottom-up
+        split.amount += row.amount;
+        if (split.currency) split.originalAmount += originalAmount || 0;
+        split.category = split.lines.map(l => l.category).join(" + ");
+        split.rowIndex = line.rowIndex;
+        return;
+      }
+
+      const expense = {
+        date: row.date ? row.date.toISOString() : "",
+        amount: row.amount,
+        location: row.location,
+        category: row.category,
+        description: row.description,
+        email: row.email,
+        payPeriod: row.payPeriod,
+        refundOf: row.refundOf,
+        transactionId: row.transactionId,
+        originalAmount: originalAmount,
+        currency: row.currency,
+        tags: row.tags,
+        lines: row.transactionId ? [line] : null,
+        rowIndex: row.rowIndex
+      };
+      if (row.transactionId) splitsById[row.transactionId] = expense;
+      expenses.push(expense);
+    });
+
+  return expenses;
+}
+
+/**
+ * Cleans up the filters sent by the web app.
+ * @param {Object} filters Raw filters (see searchHouseholdExpenses).
+ * @return {Object} Normalized filters.
+ * @private
+ */
+function _normalizeExpenseFilters(filters) {
+  const raw = filters || {};
+  const list = value => (Array.isArray(value) ? value : (value ? [value] : []))
+    .map(item => String(item || "").trim())
+    .filter(item => item);
+  const number = value => (value === "" || value === null || value === undefined || isNaN(Number(value)) ? null : Number(value));
+
+  const dateTo = parseDateYMD(raw.dateTo);
+  if (dateTo) dateTo.setHours(23, 59, 59, 999); // The end date is inclusive
+
+  const settings = CONFIG.EXPENSE_SEARCH_SETTINGS;
+  const pageSize = Math.min(Math.max(parseInt(raw.pageSize, 10) || settings.DEFAULT_PAGE_SIZE, 1), settings.MAX_PAGE_SIZE);
+
+  return {
+    dateFrom: parseDateYMD(raw.dateFrom),
+    dateTo: dateTo,
+    payPeriod: String(raw.payPeriod || "").trim(),
+    categories: list(raw.categories),
+    location: String(raw.location || "").trim().toLowerCase(),
+    members: list(raw.members).map(member => member.toLowerCase()),
+    minAmount: number(raw.minAmount),
+    maxAmount: number(raw.maxAmount),
+    text: String(raw.text || "").trim().toLowerCase(),
+    tags: list(raw.tags).map(tag => tag.toLowerCase()),
+    sortBy: settings.SORT_FIELDS.includes(raw.sortBy) ? raw.sortBy : "date",
+    sortDir: raw.sortDir === "asc" ? "asc" : "desc",
+    page: Math.max(parseInt(raw.page, 10) || 1, 1),
+    pageSize: pageSize
+  };
+}
+
+/**
+ * Applies the filters to one (already redacted) expense.
+ * A category filter narrows a split receipt to its matching lines, so totals only count those.
+ * @param {Object} expense The expense from _readSearchableExpenses.
+ * @param {Object} filters Normalized filters.
+ * @return {Object|null} The expense (narrowed for split receipts), or null when it doesn't match.
+ * @private
+ */
+function _filterExpense(expense, filters) {
+  const date = expense.date ? new Date(expense.date) : null;
+  if (filters.dateFrom && (!date || date < filters.dateFrom)) return null;
+  if (filters.dateTo && (!date || date > filters.dateTo)) return null;
+  if (filters.payPeriod && expense.payPeriod !== filters.payPeriod) return null;
+  if (filters.location && !expense.location.toLowerCase().includes(filters.location)) return null;
+  if (filters.members.length && !filters.members.includes(expense.email.toLowerCase())) return null;
+  if (filters.text && !String(expense.description || "").toLowerCase().includes(filters.text)) return null;
+  if (filters.tags.length && !expense.tags.some(tag => filters.tags.includes(String(tag).toLowerCase()))) return null;
+
+  let match = expense;
+  if (filters.categories.length) {
+    if (expense.lines) {
+      const lines = expense.lines.filter(line => filters.categories.includes(line.category));
+      if (lines.length === 0) return null;
+      if (lines.length < expense.lines.length) {
+        match = Object.assign({}, expense, {
+          lines: lines,
+          amount: lines.reduce((sum, line) => sum + line.amount, 0),
+          originalAmount: expense.currency ? lines.reduce((sum, line) => sum + (line.originalAmount || 0), 0) : null,
+          category: lines.map(line => line.category).join(" + ")
+        });
+      }
+    } else if (!filters.categories.includes(expense.category)) {
+      return null;
+    }
+  }
+
+  if (filters.minAmount !== null && match.amount < filters.minAmount) return null;
+  if (filters.maxAmount !== null && match.amount > filters.maxAmount) return null;
+  return match;
+}
+
+/**
+ * Totals a set of matching expenses.
+ * @param {Array<Object>} expenses Matching expenses.
+ * @return {Object} { count, total, spent, refunded, byCategory: [{ category, total }], byMember: [{ email, total }],
+ *   byTag: [{ tag, total }] } (an expense with several tags counts toward each)
+ * @private
+ */
+function _summarizeExpenses(expenses) {
+  const round = value => Math.round(value * 100) / 100;
+  const byCategory = {};
+  const byMember = {};
+  const byTag = {};
+  let spent = 0;
+  let refunded = 0;
+
+  expenses.forEach(expense => {
+    (expense.lines || [expense]).forEach(line => {
+      byCategory[line.category] = (byCategory[line.category] || 0) + line.amount;
+    });
+    byMember[expense.email] = (byMember[expense.email] || 0) + expense.amount;
+    expense.tags.forEach(tag => {
+      byTag[tag] = (byTag[tag] || 0) + expense.amount;
+    });
+    if (expense.amount < 0) {
+      refunded += -expense.amount;
+    } else {
+      spent += expense.amount;
+    }
+  });
+
+  const sortedTotals = (totals, key) => Object.keys(totals)
+    .map(name => ({ [key]: name, total: round(totals[name]) }))
+    .sort((a, b) => b.total - a.total);
+
+  return {
+    count: expenses.length,
+    total: round(spent - refunded),
+    spent: round(spent),
+    refunded: round(refunded),
+    byCategory: sortedTotals(byCategory, "category"),
+    byMember: sortedTotals(byMember, "email"),
+    byTag: sortedTotals(byTag, "tag")
+  };
+}
+
+/**
+ * Searches a household's expenses.
+ * @param {Object} filters Optional filters: dateFrom / dateTo (yyyy-MM-dd, inclusive), payPeriod,
+ *   categories (names), location (text), members (emails), minAmount / maxAmount, text (searched in
+ *   descriptions), tags, sortBy (see EXPENSE_SEARCH_SETTINGS.SORT_FIELDS), sortDir ("asc" / "desc"),
+ *   page (1-based) and pageSize.
+ * @param {string} email The member searching (private allowance expenses are redacted for them).
+ * @param {string|null} householdId The member's household ID.
+ * @return {Object} { success, expenses, page, pageSize, totalPages, totalCount, summary, payPeriods }
+ *   where summary covers every match, not just the page, and payPeriods lists the household's
+ *   periods (newest first) for the filter panel.
+ */
+function searchHouseholdExpenses(filters, email, householdId) {
+  const criteria = _normalizeExpenseFilters(filters);
+  const categoriesById = readBudgetCategoriesData(householdId).categoriesById;
+
+  const allExpenses = _readSearchableExpenses(email, householdId)
+    .map(expense => redactPrivateExpense(expense, categoriesById, email));
+  const matches = allExpenses
+    .map(expense => _filterExpense(expense, criteria))
+    .filter(expense => expense);
+
+  const direction = criteria.sortDir === "asc" ? 1 : -1;
+  const sortValue = expense => {
+    if (criteria.sortBy === "amount") return expense.amount;
+    if (criteria.sortBy === "date") return expense.date ? new Date(expense.date).getTime() : 0;
+    return String(expense[criteria.sortBy] || "").toLowerCase();
+  };
+  matches.sort((a, b) => {
+    const valueA = sortValue(a);
+    const valueB = sortValue(b);
+    if (valueA < valueB) return -direction;
+    if (valueA > valueB) return direction;
+    return b.rowIndex - a.rowIndex; // Newest first among ties
+  });
+
+  const totalPages = Math.max(Math.ceil(matches.length / criteria.pageSize), 1);
+  const page = Math.min(criteria.page, totalPages);
+  const start = (page - 1) * criteria.pageSize;
+
+  const payPeriods = [...new Set(allExpenses.map(expense => expense.payPeriod).filter(period => period))]
+    .sort()
+    .reverse();
+
+  return {
+    success: true,
+    expenses: matches.slice(start, start + criteria.pageSize),
+    page: page,
+    pageSize: criteria.pageSize,
+    totalPages: totalPages,
+    totalCount: matches.length,
+    summary: _summarizeExpenses(matches),
+    payPeriods: payPeriods
+  };
+}
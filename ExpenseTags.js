@@ -0,0 +1,127 @@
+// ExpenseTags.gs
+/**
+ * Free-form expense tags ("vacation-2025", "wedding", "tax-deductible") for questions that cut
+ * across budget categories. Tags live in the Tags column of the Expense Tracker as a
+ * comma-separated list. They are always stored trimmed and lower-case so "Vacation" and
+ * "vacation " count as one tag; every line of a split receipt carries the receipt's tags.
+ */
+
+/**
+ * Cleans up a tag list.
+ * @param {Array<string>|string} value Tags as an array or a comma/semicolon-separated string.
+ * @return {Array<string>} Distinct lower-case tags in the order given.
+ */
+function parseExpenseTags(value) {
+  const items = Array.isArray(value) ? value : String(value || "").split(/[,;]/);
+  const tags = [];
+  items.forEach(item => {
+    const tag = String(item || "").trim().replace(/\s+/g, " ").toLowerCase();
+    if (tag && !tags.includes(tag)) tags.push(tag);
+  });
+  return tags;
+}
+
+/**
+ * Formats a tag list for the Tags column.
+ * @param {Array<string>|string} value Tags as an array or a comma-separated string.
+ * @return {string} e.g. "vacation-2025, gifts" ("" for no tags).
+ */
+function formatExpenseTags(value) {
+  return parseExpenseTags(value).join(", ");
+}
+
+/**
+ * Lists the tags a household has used, with how often and how much.
+ * @param {string|null} householdId The household ID.
+ * @param {string|null} viewerEmail Optional member the list is for. Expenses in another member's
+ *   private allowance are left out so their tags aren't revealed.
+ * @return {Array<Object>} Tags [{ tag, count, total }], most used first. count is the number of
+ *   expenses (a split receipt counts once); total is the home-currency amount.
+ */
+function getHouseholdExpenseTags(householdId, viewerEmail = null) {
+  const categoriesById = viewerEmail ? readBudgetCategoriesData(householdId).categoriesById : null;
+  const totals = {};
+
+  readExpenseTrackerRows(householdId)
+    .filter(expense => expense.householdId === (householdId || null))
+    .forEach(expense => {
+      if (expense.tags.length === 0) return;
+      if (viewerEmail && !canViewExpenseDetails(expense, categoriesById, viewerEmail)) return;
+
+      const receiptKey = expense.transactionId || `row_${expense.rowIndex}`;
+      expense.tags.forEach(tag => {
+        const entry = totals[tag] = totals[tag] || { tag: tag, receipts: {}, total: 0 };
+        entry.receipts[receiptKey] = true;
+        entry.total += expense.amount;
+      });
+    });
+
+  return Object.values(totals)
+    .map(entry => ({ tag: entry.tag, count: Object.keys(entry.receipts).length, total: Math.round(entry.total * 100) / 100 }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Renames a tag on every past expense of a household. Renaming to a tag that is already in use
+ * merges the two.
+ * @param {string} fromTag The tag to rename.
+ * @param {string} toTag The new tag name.
+ * @param {string|null} householdId The household ID.
+ * @param {string|null} actorEmail Optional member doing the rename. Expenses in another member's
+ *   private allowance are left alone, as in getHouseholdExpenseTags.
+ * @return {Object} Result object { success, message, expensesUpdated }.
+ */
+function renameExpenseTag(fromTag, toTag, householdId, actorEmail = null) {
+  const from = parseExpenseTags(fromTag)[0];
+  const to = parseExpenseTags(toTag)[0];
+  if (!from || !to) {
+    return { success: false, message: "Both the current and the new tag name are required." };
+  }
+  if (parseExpenseTags(toTag).length > 1) {
+    return { success: false, message: "The new tag name can't contain commas." };
+  }
+  if (from === to) {
+    return { success: false, message: "The new tag name is the same as the current one." };
+  }
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "Tags are being updated. Please try again." };
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.EXPENSE_TRACKER);
+    if (!sheet || sheet.getMaxColumns() < EXPENSE_TRACKER_COLUMNS.TAGS) {
+      sheet = setupExpenseTrackerSheet(); // Adds the Tags column to older sheets
+    }
+
+    const categoriesById = actorEmail ? readBudgetCategoriesData(householdId).categoriesById : null;
+    let expensesUpdated = 0;
+    readExpenseTrackerRows(householdId)
+      .filter(expense => expense.householdId === (householdId || null) && expense.tags.includes(from))
+      .filter(expense => !actorEmail || canViewExpenseDetails(expense, categoriesById, actorEmail))
+      .forEach(expense => {
+        const tags = parseExpenseTags(expense.tags.map(tag => (tag === from ? to : tag)));
+        sheet.getRange(expense.rowIndex, EXPENSE_TRACKER_COLUMNS.TAGS).setValue(formatExpenseTags(tags));
+        expensesUpdated++;
+      });
+
+    if (expensesUpdated === 0) {
+      return { success: false, message: `No expenses are tagged "${from}".` };
+    }
+
+    resetExpenseDataCache(householdId);
+    Logger.log(`Renamed tag "${from}" to "${to}" for ${householdId || 'default'}: ${expensesUpdated} row(s) updated`);
+    return {
+      success: true,
+      message: `Renamed "${from}" to "${to}" on ${expensesUpdated} expense row(s).`,
+      expensesUpdated: expensesUpdated
+    };
+  } catch (error) {
+    Logger.log(`Error renaming expense tag: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error renaming tag: ${error.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+}
@@ -13,6 +13,9 @@
  * @param {number} goalData.currentAmount - Current amount/balance
  * @param {Date} goalData.targetDate - Target completion date
  * @param {string} goalData.householdId - Household ID for the goal
+ * @param {number} [goalData.apr] - Annual interest rate in percent (debt goals only)
+ * @param {number} [goalData.minPayment] - Minimum monthly payment (debt goals only)
+ * @param {string} [goalData.linkedAccountId] - Account whose latest balance drives CurrentAmount (debt and savings goals only)
  * @return {string} The generated goal ID
  */
 function createGoal(goalData) {
@@ -41,6 +44,11 @@ function createGoal(goalData) {
       throw new Error(`Invalid goal type: ${goalData.goalType}`);
     }
     
+    const isDebt = goalData.goalType === 'debt';
+    const apr = isDebt ? parseGoalDebtTerm(goalData.apr, 'APR', CONFIG.DEBT_PLANNER_SETTINGS.MAX_APR) : "";
+    const minPayment = isDebt ? parseGoalDebtTerm(goalData.minPayment, 'minimum payment') : "";
+    const linkedAccountId = parseGoalLinkedAccount(goalData.linkedAccountId, goalData.goalType, goalData.householdId);
+    
     // Check goal limit per household
     const existingGoals = getGoalsByHousehold(goalData.householdId);
     Logger.log(`[GOALS DEBUG] Found ${existingGoals.length} existing goals for household ${goalData.householdId}`);
@@ -60,7 +68,10 @@ function createGoal(goalData) {
       goalData.targetDate || new Date(now.getTime() + (CONFIG.GOAL_SETTINGS.DEFAULT_GOAL_DURATION_MONTHS * 30 * 24 * 60 * 60 * 1000)),
       "active",
       goalData.householdId,
-      now
+      now,
+      apr,
+      minPayment,
+      linkedAccountId
     ];
     
     Logger.log(`[GOALS DEBUG] About to append row to Goals sheet: [${newRow.join(', ')}]`);
@@ -92,7 +103,7 @@ function updateGoal(goalId, updateData) {
     }
     
     // Update allowed fields
-    const allowedFields = ['goalName', 'targetAmount', 'currentAmount', 'targetDate', 'status'];
+    const allowedFields = ['goalName', 'targetAmount', 'currentAmount', 'targetDate', 'status', 'apr', 'minPayment', 'linkedAccountId'];
     const updates = {};
     
     for (const field of allowedFields) {
@@ -100,6 +111,16 @@ function updateGoal(goalId, updateData) {
         updates[field] = updateData[field];
       }
     }
+    if (updates.hasOwnProperty('apr')) {
+      updates.apr = parseGoalDebtTerm(updates.apr, 'APR', CONFIG.DEBT_PLANNER_SETTINGS.MAX_APR);
+    }
+    if (updates.hasOwnProperty('minPayment')) {
+      updates.minPayment = parseGoalDebtTerm(updates.minPayment, 'minimum payment');
+    }
+    if (updates.hasOwnProperty('linkedAccountId')) {
+      const goal = getGoalById(goalId);
+      updates.linkedAccountId = parseGoalLinkedAccount(updates.linkedAccountId, goal.goalType, goal.householdId);
+    }
     
     // Map fields to column numbers
     const columnMap = {
@@ -107,7 +128,10 @@ function updateGoal(goalId, updateData) {
       targetAmount: 4,
       currentAmount: 5,
       targetDate: 7,
-      status: 8
+      status: 8,
+      apr: 11,
+      minPayment: 12,
+      linkedAccountId: 13
     };
     
     // Apply updates
@@ -180,7 +204,7 @@ function getGoalsByHousehold(householdId) {
       return [];
     }
     
-    const data = sheet.getRange(2, 1, lastRow - 1, 10).getValues();
+    const data = sheet.getRange(2, 1, lastRow - 1, 13).getValues();
     Logger.log(`[GOALS DEBUG] Retrieved ${data.length} rows from Goals sheet`);
     
     // Log all household IDs found in the sheet for debugging
@@ -238,7 +262,10 @@ function getGoalsByHousehold(householdId) {
         targetDate: row[6] ? (row[6] instanceof Date ? row[6].toISOString() : row[6]) : null,
         status: row[7],
         householdId: row[8],
-        lastUpdated: row[9] ? (row[9] instanceof Date ? row[9].toISOString() : row[9]) : null
+        lastUpdated: row[9] ? (row[9] instanceof Date ? row[9].toISOString() : row[9]) : null,
+        apr: readGoalDebtTerm(row[10]),
+        minPayment: readGoalDebtTerm(row[11]),
+        linkedAccountId: row[12] ? String(row[12]) : ""
       }));
     
     Logger.log(`[GOALS DEBUG] Filtered to ${goals.length} goals for household ${householdId}`);
@@ -269,7 +296,7 @@ function getGoalById(goalId) {
       return null;
     }
     
-    const data = sheet.getRange(goalRow, 1, 1, 10).getValues()[0];
+    const data = sheet.getRange(goalRow, 1, 1, 13).getValues()[0];
     return {
       goalId: data[0],
       goalName: data[1],
@@ -280,7 +307,10 @@ function getGoalById(goalId) {
       targetDate: data[6],
       status: data[7],
       householdId: data[8],
-      lastUpdated: data[9]
+      lastUpdated: data[9],
+      apr: readGoalDebtTerm(data[10]),
+      minPayment: readGoalDebtTerm(data[11]),
+      linkedAccountId: data[12] ? String(data[12]) : ""
     };
     
   } catch (error) {
@@ -371,6 +401,64 @@ function normalizeHouseholdId(id) {
   return String(id).trim();
 }
 
+/**
+ * Validates a debt goal's APR or minimum payment before it is written
+ * @param {*} value - The entered value (blank clears it)
+ * @param {string} label - Field name used in the error message
+ * @param {number} [max] - Largest value allowed
+ * @return {number|string} The rounded number, or "" when blank
+ */
+function parseGoalDebtTerm(value, label, max) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return "";
+  }
+  const number = Number(value);
+  if (isNaN(number) || number < 0 || (max !== undefined && number > max)) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+  return Math.round(number * 100) / 100;
+}
+
+/**
+ * Reads a debt goal's APR or minimum payment cell
+ * @param {*} value - The cell value
+ * @return {number|null} The number, or null when the cell is blank
+ */
+function readGoalDebtTerm(value) {
+  if (value === null || value === undefined || value === '' || isNaN(Number(value))) {
+    return null;
+  }
+  return Number(value);
+}
+
+/**
+ * Validates the account a goal is linked to before it is written
+ * Debt goals link to a liability account and savings goals to an asset account in the same household
+ * @param {string} accountId - The account ID (blank unlinks the goal)
+ * @param {string} goalType - The goal's type
+ * @param {string} householdId - The goal's household ID
+ * @return {string} The account ID, or "" when blank
+ */
+function parseGoalLinkedAccount(accountId, goalType, householdId) {
+  const id = accountId === null || accountId === undefined ? '' : String(accountId).trim();
+  if (!id) {
+    return "";
+  }
+  if (!CONFIG.NET_WORTH_SETTINGS.LINKABLE_GOAL_TYPES.includes(goalType)) {
+    throw new Error(`Only ${CONFIG.NET_WORTH_SETTINGS.LINKABLE_GOAL_TYPES.join(' and ')} goals can be linked to an account`);
+  }
+  const account = getAccountById(id, householdId);
+  if (!account) {
+    throw new Error(`Account not found: ${id}`);
+  }
+  if (account.isLiability !== (goalType === 'debt')) {
+    throw new Error(goalType === 'debt'
+      ? `Debt goals must be linked to a credit card or loan account`
+      : `Savings goals must be linked to an asset account`);
+  }
+  return id;
+}
+
 /**
  * Generates a unique goal ID
  * @return {string} Unique goal ID
@@ -425,7 +513,7 @@ function getOrphanedGoals() {
       return [];
     }
     
-    const data = sheet.getRange(2, 1, lastRow - 1, 10).getValues();
+    const data = sheet.getRange(2, 1, lastRow - 1, 13).getValues();
     const orphanedGoals = data
       .filter(row => !row[8] || row[8] === '') // No household ID or empty household ID
       .map(row => ({
@@ -439,6 +527,9 @@ function getOrphanedGoals() {
         status: row[7],
         householdId: row[8],
         lastUpdated: row[9],
+        apr: readGoalDebtTerm(row[10]),
+        minPayment: readGoalDebtTerm(row[11]),
+        linkedAccountId: row[12] ? String(row[12]) : "",
         isOrphaned: true
       }));
     
@@ -509,7 +600,7 @@ function getGoalsByUserEmail(email) {
       return [];
     }
     
-    const data = sheet.getRange(2, 1, lastRow - 1, 10).getValues();
+    const data = sheet.getRange(2, 1, lastRow - 1, 13).getValues();
     
     // Look for goals that might belong to this user
     // This is a heuristic approach - we'll look for goals with no household ID
@@ -527,6 +618,9 @@ function getGoalsByUserEmail(email) {
         status: row[7],
         householdId: row[8],
         lastUpdated: row[9],
+        apr: readGoalDebtTerm(row[10]),
+        minPayment: readGoalDebtTerm(row[11]),
+        linkedAccountId: row[12] ? String(row[12]) : "",
         isPotentialMatch: true
       }));
     
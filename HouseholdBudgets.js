@@ -0,0 +1,127 @@
+// HouseholdBudgets.gs
+/**
+ * Household-scoped budget categories.
+ * Every Budget Categories row has exactly one owner: the household in its HouseholdID, or, when
+ * HouseholdID is blank, the users who don't belong to a household. Budget reads and writes only
+ * ever touch the caller's own rows, so two households each have their own Groceries.
+ * Blank rows used to be shared by every household. The first time a household needs its
+ * categories they are copied into rows of its own; a household with nothing to copy gets the
+ * default categories instead.
+ */
+
+/**
+ * Checks whether a Budget Categories row belongs to a household.
+ * @param {*} rowHouseholdId The row's HouseholdID value.
+ * @param {string|null} householdId The household ID (null for users without a household).
+ * @return {boolean} True when the row is the household's own.
+ */
+function isHouseholdBudgetRow(rowHouseholdId, householdId) {
+  return (String(rowHouseholdId || "").trim() || null) === (householdId || null);
+}
+
+/**
+ * Gives a household its own budget categories if it has none yet: a copy of the formerly shared
+ * (blank HouseholdID) rows, or the defaults when there are none. Personal allowances are only
+ * copied into the owner's household. Spending is then rebuilt from the household's own expenses.
+ * @param {string} householdId The household ID.
+ * @return {Object} Result object { success, message, created }.
+ */
+function provisionHouseholdBudgetCategories(householdId) {
+  if (!householdId) {
+    return { success: true, message: "Users without a household use the rows with a blank HouseholdID.", created: 0 };
+  }
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "Budget categories are being updated. Please try again.", created: 0 };
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const numColumns = Object.keys(BUDGET_CATEGORY_COLUMNS).length;
+    let sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.BUDGET_CATEGORIES);
+    if (!sheet || sheet.getMaxColumns() < numColumns) {
+      sheet = setupBudgetCategoriesSheet(); // Adds the rollover, alert, owner and approval columns to older sheets
+    }
+
+    const col = BUDGET_CATEGORY_COLUMNS;
+    const lastRow = sheet.getLastRow();
+    const data = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, numColumns).getValues() : [];
+    let created = 0;
+
+    if (!data.some(row => isHouseholdBudgetRow(row[col.HOUSEHOLD_ID - 1], householdId))) {
+      const members = getHouseholdEmails(householdId).map(email => String(email).trim().toLowerCase());
+      const copies = data
+        .filter(row => String(row[col.CATEGORY_NAME - 1]).trim() && isHouseholdBudgetRow(row[col.HOUSEHOLD_ID - 1], null))
+        .filter(row => !_readCategoryOwner(row) || members.includes(_readCategoryOwner(row)))
+        .map(row => {
+          const copy = row.slice();
+          copy[col.CURRENT_SPENT - 1] = 0; // Rebuilt below from this household's expenses
+          copy[col.PAY_PERIOD_SPENT - 1] = 0;
+          copy[col.HOUSEHOLD_ID - 1] = householdId;
+          return copy;
+        });
+
+      if (copies.length > 0) {
+        sheet.getRange(lastRow + 1, 1, copies.length, numColumns).setValues(copies);
+        created = copies.length;
+        recalculateAllBudgets();
+      } else {
+        created = addDefaultBudgetCategories(sheet, householdId);
+      }
+      resetExpenseDataCache(householdId);
+      Logger.log(`Provisioned ${created} budget categories for ${householdId} (${copies.length > 0 ? 'copied from shared rows' : 'defaults'})`);
+    }
+
+    PropertiesService.getScriptProperties().setProperty(`BUDGET_CATEGORIES_PROVISIONED_${householdId}`, "true");
+    return {
+      success: true,
+      message: created > 0 ? `Created ${created} budget categories.` : "The household already has its own budget categories.",
+      created: created
+    };
+  } catch (error) {
+    Logger.log(`Error provisioning budget categories for ${householdId}: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error creating budget categories: ${error.message}`, created: 0 };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Makes sure a household has its own budget categories. Cheap after the first call.
+ * @param {string|null} householdId The household ID.
+ */
+function ensureHouseholdBudgetCategories(householdId) {
+  if (!householdId) return;
+  if (PropertiesService.getScriptProperties().getProperty(`BUDGET_CATEGORIES_PROVISIONED_${householdId}`)) return;
+  provisionHouseholdBudgetCategories(householdId);
+}
+
+/**
+ * Gives every household its own copy of the formerly shared budget categories.
+ * The blank-HouseholdID rows stay for users without a household.
+ * @return {Object} Result object { success, message, households, created }.
+ */
+function migrateSharedBudgetCategories() {
+  const households = getHouseholdAdminData();
+  let created = 0;
+  const failures = [];
+
+  households.forEach(household => {
+    const result = provisionHouseholdBudgetCategories(household.id);
+    if (result.success) {
+      created += result.created;
+    } else {
+      failures.push(`${household.name}: ${result.message}`);
+    }
+  });
+
+  Logger.log(`Budget category migration: ${created} rows created for ${households.length} household(s), ${failures.length} failure(s)`);
+  return {
+    success: failures.length === 0,
+    message: `Created ${created} budget categories across ${households.length} household(s).` +
+      (failures.length ? ` Failed: ${failures.join("; ")}` : ""),
+    households: households.length,
+    created: created
+  };
+}
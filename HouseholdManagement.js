@@ -137,6 +137,8 @@ function ensureUserHasHousehold(email) {
     const normalizedEmail = String(email).trim().toLowerCase();
     const cacheKey = `household_${normalizedEmail}`;
     cache.remove(cacheKey);
+
+    provisionHouseholdBudgetCategories(newHouseholdId); // The new household's own budget categories
     
     Logger.log(`[GOALS DEBUG] Successfully created household ${newHouseholdId} for user ${email}`);
     return newHouseholdId;
@@ -394,6 +396,9 @@ function addHousehold(name, userEmail) {
     const cache = CacheService.getScriptCache();
     cache.remove(`household_${userEmail.trim().toLowerCase()}`); // Use trimmed/lowercase
 
+    // Give the household its own budget categories
+    provisionHouseholdBudgetCategories(householdId);
+
     return {
       success: true,
       message: `Created household "${name}" with user ${userEmail}`,
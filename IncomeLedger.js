@@ -0,0 +1,348 @@
+// IncomeLedger.gs
+/**
+ * Income tracking and zero-based allocation.
+ * Paychecks and other income live in the Income Ledger sheet. Each entry can be allocated
+ * ("given a job") across budget categories and goals until nothing is left unassigned.
+ * Category allocations record the plan; goal allocations are applied to the goal's balance.
+ */
+
+/**
+ * Reads Income Ledger rows, optionally limited to one owner.
+ * @param {string|null} householdId Household to filter by (null with no email returns every row).
+ * @param {string|null} email Owner email, used when the caller has no household.
+ * @return {Array<Object>} Entries { rowIndex, id, date, amount, source, description, email,
+ *   householdId, payPeriod, allocated, allocations } with a Date value for date.
+ * @private
+ */
+function _readIncomeRows(householdId = null, email = null) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.INCOME_LEDGER);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const col = INCOME_LEDGER_COLUMNS;
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, Object.keys(col).length).getValues();
+  const entries = [];
+
+  data.forEach((row, index) => {
+    const id = String(row[col.INCOME_ID - 1] || "").trim();
+    if (!id) return;
+
+    const rowHouseholdId = row[col.HOUSEHOLD_ID - 1] ? String(row[col.HOUSEHOLD_ID - 1]).trim() : null;
+    const rowEmail = String(row[col.EMAIL - 1] || "").trim();
+    if (householdId && rowHouseholdId !== householdId) return;
+    if (!householdId && email && (rowHouseholdId || rowEmail.toLowerCase() !== email.toLowerCase())) return;
+
+    let allocations = [];
+    try {
+      const parsed = JSON.parse(row[col.ALLOCATIONS - 1] || "[]");
+      if (Array.isArray(parsed)) allocations = parsed;
+    } catch (e) {
+      Logger.log(`Income ${id} has unreadable allocations; treating as unallocated.`);
+    }
+
+    entries.push({
+      rowIndex: index + 2,
+      id: id,
+      date: parseDateYMD(row[col.DATE - 1]),
+      amount: Number(row[col.AMOUNT - 1]) || 0,
+      source: String(row[col.SOURCE - 1] || "").trim(),
+      description: String(row[col.DESCRIPTION - 1] || ""),
+      email: rowEmail,
+      householdId: rowHouseholdId,
+      payPeriod: String(row[col.PAY_PERIOD - 1] || "").trim(),
+      allocated: Number(row[col.ALLOCATED - 1]) || 0,
+      allocations: allocations
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Sums allocation amounts, rounded to cents.
+ * @param {Array<Object>} allocations Allocation items with an amount.
+ * @return {number} The total.
+ * @private
+ */
+function _sumAllocations(allocations) {
+  const total = (allocations || []).reduce((sum, item) => sum + (Number(item.amount) || 0), 0);
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Totals goal allocations by goal ID.
+ * @param {Array<Object>} allocations Allocation items.
+ * @return {Object} Map of goalId to amount.
+ * @private
+ */
+function _goalAllocationTotals(allocations) {
+  const totals = {};
+  (allocations || []).forEach(item => {
+    if (item.type !== 'goal' || !item.goalId) return;
+    totals[item.goalId] = (totals[item.goalId] || 0) + (Number(item.amount) || 0);
+  });
+  return totals;
+}
+
+/**
+ * Applies a contribution to a goal's balance. Payments reduce a debt goal's balance;
+ * contributions grow every other goal type. A negative contribution reverses an earlier one.
+ * @param {string} goalId The goal ID.
+ * @param {number} contribution Amount to apply.
+ * @private
+ */
+function _applyGoalContribution(goalId, contribution) {
+  if (!contribution) return;
+  const goal = getGoalById(goalId);
+  if (!goal) {
+    Logger.log(`Income allocation skipped missing goal ${goalId}`);
+    return;
+  }
+  const current = Number(goal.currentAmount) || 0;
+  const next = goal.goalType === 'debt' ? current - contribution : current + contribution;
+  updateGoalAmount(goalId, Math.round(next * 100) / 100);
+}
+
+/**
+ * Records a paycheck or other income.
+ * @param {Object} entry { date (yyyy-MM-dd), amount, source, description }
+ * @param {string} email The recording user's email.
+ * @param {string|null} householdId The recording user's household ID.
+ * @return {Object} Result object { success, message, id }.
+ */
+function recordIncome(entry, email, householdId) {
+  if (!entry || typeof entry !== 'object') {
+    return { success: false, message: "Income data is missing." };
+  }
+
+  const amount = Math.round(Number(entry.amount) * 100) / 100;
+  const source = String(entry.source || "").trim();
+  const date = parseDateYMD(entry.date || new Date());
+
+  if (!amount || isNaN(amount) || amount <= 0) return { success: false, message: "Invalid amount provided" };
+  if (!source) return { success: false, message: "Source is required" };
+  if (!date) return { success: false, message: "A valid date is required" };
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "The income ledger is being updated. Please try again." };
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.INCOME_LEDGER);
+    if (!sheet) {
+      sheet = setupIncomeLedgerSheet();
+    }
+
+    const id = `inc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const payPeriod = getPayPeriodForDate(date, getPayPeriodSchedule(householdId)).id;
+    const rowValues = [
+      id,
+      date,
+      amount,
+      source,
+      String(entry.description || "").trim(),
+      email,
+      householdId || "",
+      payPeriod,
+      0,
+      "[]"
+    ];
+    sheet.getRange(sheet.getLastRow() + 1, 1, 1, rowValues.length).setValues([rowValues]);
+
+    Logger.log(`Recorded income ${id}: $${amount} from ${source} (${payPeriod}) for ${email}`);
+    return { success: true, message: `$${amount.toFixed(2)} from ${source} recorded.`, id: id };
+  } catch (error) {
+    Logger.log(`Error recording income: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error recording income: ${error.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Replaces an income entry's allocations. Goal balances are adjusted by the change from the
+ * previous allocation, so re-saving the same plan never double-counts a contribution.
+ * @param {string} incomeId The IncomeID.
+ * @param {Array<Object>} allocations [{ type: "category", name, amount } | { type: "goal", goalId, amount }]
+ * @param {string} email The allocating user's email.
+ * @param {string|null} householdId The allocating user's household ID.
+ * @return {Object} Result object { success, message, allocated, unassigned }.
+ */
+function allocateIncome(incomeId, allocations, email, householdId) {
+  if (!Array.isArray(allocations)) {
+    return { success: false, message: "Allocations must be a list." };
+  }
+
+  const categoriesById = readBudgetCategoriesData(householdId).categoriesById;
+  const goalsById = {};
+  if (householdId) {
+    getGoalsByHousehold(householdId).forEach(goal => { goalsById[goal.goalId] = goal; });
+  }
+
+  // Validate and normalize before taking the lock; zero lines are dropped
+  const cleaned = [];
+  for (const item of allocations) {
+    const amount = Math.round(Number(item && item.amount) * 100) / 100;
+    if (isNaN(amount) || amount < 0) {
+      return { success: false, message: "Allocation amounts must be zero or more." };
+    }
+    if (!amount) continue;
+
+    if (item.type === 'category') {
+      const name = String(item.name || "").trim();
+      if (!categoriesById[name]) return { success: false, message: `Unknown budget category: ${name}` };
+      cleaned.push({ type: 'category', name: name, amount: amount });
+    } else if (item.type === 'goal') {
+      const goal = goalsById[item.goalId];
+      if (!goal) return { success: false, message: "Goal not found for your household." };
+      cleaned.push({ type: 'goal', goalId: goal.goalId, name: goal.goalName, amount: amount });
+    } else {
+      return { success: false, message: `Invalid allocation type: ${item && item.type}` };
+    }
+  }
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "The income ledger is being updated. Please try again." };
+  }
+
+  try {
+    const entry = _readIncomeRows(householdId, householdId ? null : email).find(row => row.id === incomeId);
+    if (!entry) {
+      return { success: false, message: "Income entry not found for your household." };
+    }
+
+    const allocated = _sumAllocations(cleaned);
+    if (allocated > entry.amount + 0.005) {
+      return {
+        success: false,
+        message: `Allocations ($${allocated.toFixed(2)}) exceed this income ($${entry.amount.toFixed(2)}).`
+      };
+    }
+
+    const previousGoals = _goalAllocationTotals(entry.allocations);
+    const nextGoals = _goalAllocationTotals(cleaned);
+    const goalIds = new Set(Object.keys(previousGoals).concat(Object.keys(nextGoals)));
+    goalIds.forEach(goalId => {
+      const change = Math.round(((nextGoals[goalId] || 0) - (previousGoals[goalId] || 0)) * 100) / 100;
+      _applyGoalContribution(goalId, change);
+    });
+
+    const col = INCOME_LEDGER_COLUMNS;
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.INCOME_LEDGER);
+    sheet.getRange(entry.rowIndex, col.ALLOCATED, 1, 2).setValues([[allocated, JSON.stringify(cleaned)]]);
+
+    const unassigned = Math.round((entry.amount - allocated) * 100) / 100;
+    Logger.log(`Allocated income ${incomeId}: $${allocated} across ${cleaned.length} line(s), $${unassigned} unassigned`);
+    return {
+      success: true,
+      message: unassigned === 0
+        ? `Every dollar of ${entry.source} has a job.`
+        : `Allocation saved. $${unassigned.toFixed(2)} still unassigned.`,
+      allocated: allocated,
+      unassigned: unassigned
+    };
+  } catch (error) {
+    Logger.log(`Error allocating income: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error allocating income: ${error.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Deletes an income entry and reverses any goal contributions it made.
+ * @param {string} incomeId The IncomeID.
+ * @param {string} email The deleting user's email.
+ * @param {string|null} householdId The deleting user's household ID.
+ * @return {Object} Result object { success, message }.
+ */
+function removeIncome(incomeId, email, householdId) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "The income ledger is being updated. Please try again." };
+  }
+
+  try {
+    const entry = _readIncomeRows(householdId, householdId ? null : email).find(row => row.id === incomeId);
+    if (!entry) {
+      return { success: false, message: "Income entry not found for your household." };
+    }
+
+    const goalTotals = _goalAllocationTotals(entry.allocations);
+    Object.keys(goalTotals).forEach(goalId => _applyGoalContribution(goalId, -goalTotals[goalId]));
+
+    SpreadsheetApp.getActiveSpreadsheet()
+      .getSheetByName(CONFIG.SHEET_NAMES.INCOME_LEDGER)
+      .deleteRow(entry.rowIndex);
+
+    Logger.log(`Deleted income ${incomeId} (${entry.source}) for ${email}`);
+    return { success: true, message: `${entry.source} income removed.` };
+  } catch (error) {
+    Logger.log(`Error deleting income: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error deleting income: ${error.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Summarizes the current pay period's income for the Expense Tracker header and allocation flow.
+ * @param {string|null} householdId The household ID.
+ * @param {string} email The current user's email (owner when there is no household).
+ * @return {Object} { payPeriod, income, allocated, spent, unassigned, entries, categories, goals }
+ *   where entries are this period's income (newest first) with yyyy-MM-dd dates.
+ */
+function getIncomeSummary(householdId, email) {
+  const payPeriod = getCurrentPayPeriod(householdId);
+  const budgetData = readBudgetCategoriesData(householdId);
+
+  const entries = _readIncomeRows(householdId, householdId ? null : email)
+    .filter(entry => entry.payPeriod === payPeriod)
+    .sort((a, b) => (b.date || 0) - (a.date || 0))
+    .map(entry => ({
+      id: entry.id,
+      date: entry.date ? formatDateYMD(entry.date) : "",
+      amount: entry.amount,
+      source: entry.source,
+      description: entry.description,
+      email: entry.email,
+      allocated: entry.allocated,
+      unassigned: Math.round((entry.amount - entry.allocated) * 100) / 100,
+      allocations: entry.allocations
+    }));
+
+  const income = Math.round(entries.reduce((sum, entry) => sum + entry.amount, 0) * 100) / 100;
+  const allocated = Math.round(entries.reduce((sum, entry) => sum + entry.allocated, 0) * 100) / 100;
+
+  // Category plan already covered by this period's paychecks, used to prefill the next allocation
+  const categoryAllocated = {};
+  entries.forEach(entry => entry.allocations.forEach(item => {
+    if (item.type === 'category') {
+      categoryAllocated[item.name] = (categoryAllocated[item.name] || 0) + (Number(item.amount) || 0);
+    }
+  }));
+
+  const goals = householdId
+    ? getGoalsByHousehold(householdId)
+        .filter(goal => goal.status !== 'completed')
+        .map(goal => ({ goalId: goal.goalId, goalName: goal.goalName, goalType: goal.goalType }))
+    : [];
+
+  return {
+    payPeriod: payPeriod,
+    income: income,
+    allocated: allocated,
+    spent: Math.round((budgetData.totalSpent || 0) * 100) / 100,
+    unassigned: Math.round((income - allocated) * 100) / 100,
+    entries: entries,
+    categories: budgetData.categories.map(category => ({
+      name: category.name,
+      budget: category.effectiveBudget,
+      allocated: Math.round((categoryAllocated[category.name] || 0) * 100) / 100
+    })),
+    goals: goals
+  };
+}
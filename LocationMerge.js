@@ -0,0 +1,225 @@
+// LocationMerge.gs
+/**
+ * Admin tools for cleaning up duplicate locations ("Trader Joe's", "Trader Joes", "TJ's").
+ * Duplicates are grouped by name, alias and spelling similarity. Merging folds the duplicate
+ * Location Mapping rows into one canonical row (their names become aliases) and rewrites the
+ * Location column of the household's past Expense Tracker rows to the canonical name.
+ * Only rows owned by the household are changed; shared mappings (blank HouseholdID) are left alone.
+ */
+
+/**
+ * Reads the Location Mapping rows a household owns.
+ * @param {Sheet} sheet The Location Mapping sheet.
+ * @param {string|null} householdId The household ID (null for rows with no household).
+ * @return {Array<Object>} { rowIndex, name, defaultCategory, usageCount, lastUsed, aliases, isActive }
+ * @private
+ */
+function _readOwnedLocationMappings(sheet, householdId) {
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const col = LOCATION_MAPPING_COLUMNS;
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, getLocationMappingWidth(sheet)).getValues();
+  const rows = [];
+
+  data.forEach((row, index) => {
+    const name = String(row[col.LOCATION_NAME - 1] || "").trim();
+    const rowHouseholdId = row[col.HOUSEHOLD_ID - 1] ? String(row[col.HOUSEHOLD_ID - 1]).trim() : null;
+    if (!name || rowHouseholdId !== (householdId || null)) return;
+
+    const isActiveValue = row[col.IS_ACTIVE - 1];
+    rows.push({
+      rowIndex: index + 2,
+      name: name,
+      defaultCategory: String(row[col.DEFAULT_CATEGORY - 1] || "").trim(),
+      usageCount: Number(row[col.USAGE_COUNT - 1]) || 0,
+      lastUsed: row[col.LAST_USED - 1] instanceof Date ? row[col.LAST_USED - 1] : null,
+      aliases: parseLocationAliases(row[col.ALIASES - 1]),
+      isActive: isActiveValue === true || isActiveValue === "TRUE" || isActiveValue === "true"
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Reads a household's Expense Tracker rows (rows with no household when householdId is null).
+ * @param {string|null} householdId The household ID.
+ * @return {Array<Object>} Expenses from readExpenseTrackerRows.
+ * @private
+ */
+function _readOwnedExpenseRows(householdId) {
+  return readExpenseTrackerRows(householdId).filter(expense => expense.householdId === (householdId || null));
+}
+
+/**
+ * Groups a household's location spellings that look like the same place.
+ * @param {string|null} householdId The household ID.
+ * @return {Array<Object>} Groups { suggestedCanonical, names: [{ name, usageCount, expenseCount, isMapped, aliases }] },
+ *   largest first. Only groups with two or more spellings are returned.
+ */
+function findDuplicateLocationGroups(householdId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const mappings = _readOwnedLocationMappings(ss.getSheetByName(CONFIG.SHEET_NAMES.LOCATION_MAPPING), householdId);
+
+  // One entry per distinct spelling (case-insensitive)
+  const entries = {};
+  const entryFor = name => {
+    const key = name.toLowerCase();
+    if (!entries[key]) {
+      entries[key] = { name: name, usageCount: 0, expenseCount: 0, isMapped: false, aliases: [] };
+    }
+    return entries[key];
+  };
+  mappings.forEach(mapping => {
+    const entry = entryFor(mapping.name);
+    entry.usageCount += mapping.usageCount;
+    entry.isMapped = true;
+    entry.aliases = entry.aliases.concat(mapping.aliases);
+  });
+  _readOwnedExpenseRows(householdId).forEach(expense => {
+    if (expense.location) entryFor(expense.location).expenseCount++;
+  });
+
+  // Union-find over spellings that match by alias, normalized name or similarity
+  const list = Object.values(entries);
+  const parent = list.map((_, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const threshold = CONFIG.EXPENSE_SETTINGS.LOCATION_SIMILARITY_THRESHOLD;
+
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      const a = list[i];
+      const b = list[j];
+      const aliasMatch = a.aliases.some(alias => normalizeLocationKey(alias) === normalizeLocationKey(b.name)) ||
+        b.aliases.some(alias => normalizeLocationKey(alias) === normalizeLocationKey(a.name));
+      if (aliasMatch || locationSimilarity(a.name, b.name) >= threshold) {
+        parent[find(i)] = find(j);
+      }
+    }
+  }
+
+  const groups = {};
+  list.forEach((entry, index) => {
+    const root = find(index);
+    (groups[root] = groups[root] || []).push(entry);
+  });
+
+  return Object.values(groups)
+    .filter(names => names.length > 1)
+    .map(names => {
+      // Suggest the mapped spelling used most, falling back to the one with the most expenses
+      const ranked = names.slice().sort((a, b) =>
+        (b.isMapped - a.isMapped) || (b.usageCount - a.usageCount) || (b.expenseCount - a.expenseCount));
+      return {
+        suggestedCanonical: ranked[0].name,
+        names: ranked.map(entry => ({
+          name: entry.name,
+          usageCount: entry.usageCount,
+          expenseCount: entry.expenseCount,
+          isMapped: entry.isMapped,
+          aliases: entry.aliases
+        }))
+      };
+    })
+    .sort((a, b) => b.names.length - a.names.length);
+}
+
+/**
+ * Merges duplicate location spellings into one canonical name for a household.
+ * The canonical mapping row gets the summed usage, the latest LastUsed and every duplicate
+ * name as an alias; duplicate rows are deleted; past expenses are renamed.
+ * @param {string} canonicalName The name to keep.
+ * @param {Array<string>} duplicateNames Spellings to fold into it.
+ * @param {string|null} householdId The household whose data is merged.
+ * @return {Object} Result object { success, message, expensesRenamed, mappingsMerged }.
+ */
+function mergeLocations(canonicalName, duplicateNames, householdId) {
+  const canonical = String(canonicalName || "").trim();
+  if (!canonical) {
+    return { success: false, message: "A canonical location name is required." };
+  }
+  const duplicates = (Array.isArray(duplicateNames) ? duplicateNames : [])
+    .map(name => String(name || "").trim())
+    .filter(name => name && name.toLowerCase() !== canonical.toLowerCase());
+  if (duplicates.length === 0) {
+    return { success: false, message: "Choose at least one location to merge." };
+  }
+  const duplicateKeys = new Set(duplicates.map(name => name.toLowerCase()));
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "Locations are being updated. Please try again." };
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let mappingSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.LOCATION_MAPPING);
+    if (!mappingSheet || mappingSheet.getMaxColumns() < LOCATION_MAPPING_COLUMNS.ALIASES) {
+      mappingSheet = setupLocationMappingSheet(); // Adds the Aliases column to older sheets
+    }
+
+    // --- Location Mapping ---
+    const col = LOCATION_MAPPING_COLUMNS;
+    const mappings = _readOwnedLocationMappings(mappingSheet, householdId);
+    const canonicalRow = mappings.find(mapping => mapping.name.toLowerCase() === canonical.toLowerCase());
+    const duplicateRows = mappings.filter(mapping => duplicateKeys.has(mapping.name.toLowerCase()));
+    const merged = (canonicalRow ? [canonicalRow] : []).concat(duplicateRows);
+
+    if (merged.length > 0) {
+      const byUsage = merged.slice().sort((a, b) => b.usageCount - a.usageCount);
+      const lastUsedDates = merged.map(mapping => mapping.lastUsed).filter(date => date);
+      const aliasSet = {};
+      merged.forEach(mapping => [mapping.name].concat(mapping.aliases).forEach(alias => {
+        if (alias.toLowerCase() !== canonical.toLowerCase()) aliasSet[alias.toLowerCase()] = alias;
+      }));
+      duplicates.forEach(name => { aliasSet[name.toLowerCase()] = aliasSet[name.toLowerCase()] || name; });
+
+      const rowValues = [
+        canonical,
+        canonicalRow && canonicalRow.defaultCategory ? canonicalRow.defaultCategory : byUsage[0].defaultCategory,
+        merged.reduce((sum, mapping) => sum + mapping.usageCount, 0),
+        lastUsedDates.length ? new Date(Math.max(...lastUsedDates.map(date => date.getTime()))) : "",
+        householdId || "",
+        canonicalRow ? canonicalRow.isActive : true,
+        Object.values(aliasSet).join(", ")
+      ];
+
+      if (canonicalRow) {
+        mappingSheet.getRange(canonicalRow.rowIndex, 1, 1, rowValues.length).setValues([rowValues]);
+      } else {
+        mappingSheet.getRange(mappingSheet.getLastRow() + 1, 1, 1, rowValues.length).setValues([rowValues]);
+      }
+
+      // Delete bottom-up so earlier row numbers stay valid
+      duplicateRows
+        .map(mapping => mapping.rowIndex)
+        .sort((a, b) => b - a)
+        .forEach(rowIndex => mappingSheet.deleteRow(rowIndex));
+    }
+
+    // --- Expense Tracker ---
+    const expenseSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.EXPENSE_TRACKER);
+    let expensesRenamed = 0;
+    _readOwnedExpenseRows(householdId).forEach(expense => {
+      if (!duplicateKeys.has(expense.location.toLowerCase())) return;
+      expenseSheet.getRange(expense.rowIndex, EXPENSE_TRACKER_COLUMNS.LOCATION).setValue(canonical);
+      expensesRenamed++;
+    });
+
+    resetExpenseDataCache(householdId);
+
+    Logger.log(`Merged ${duplicates.join(", ")} into ${canonical} for ${householdId || 'default'}: ` +
+      `${duplicateRows.length} mapping row(s) removed, ${expensesRenamed} expense(s) renamed`);
+    return {
+      success: true,
+      message: `Merged ${duplicates.length} location(s) into ${canonical}. ${expensesRenamed} past expense(s) renamed.`,
+      expensesRenamed: expensesRenamed,
+      mappingsMerged: duplicateRows.length
+    };
+  } catch (error) {
+    Logger.log(`Error merging locations: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error merging locations: ${error.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+}
@@ -0,0 +1,154 @@
+// MemberBudgets.gs
+/**
+ * Per-member allowances ("fun money").
+ * A budget category with an OwnerEmail is a personal allowance inside the household: only the
+ * owner's expenses can be logged to it, and only the owner can edit or delete them. Every member
+ * sees its totals, but the itemized expenses (location, description) stay hidden from the others
+ * unless the owner turns on ShareDetails.
+ */
+
+/**
+ * Reads a Budget Categories row's owner.
+ * @param {Array} row The row's values (read with getBudgetCategoriesWidth).
+ * @return {string|null} The owner's lowercased email, or null for a household-wide category.
+ * @private
+ */
+function _readCategoryOwner(row) {
+  const owner = String(row[BUDGET_CATEGORY_COLUMNS.OWNER_EMAIL - 1] || "").trim().toLowerCase();
+  return owner || null;
+}
+
+/**
+ * Reads a Budget Categories row's ShareDetails flag.
+ * @param {Array} row The row's values (read with getBudgetCategoriesWidth).
+ * @return {boolean} True when other members may see the itemized expenses.
+ * @private
+ */
+function _readCategoryShareDetails(row) {
+  const value = row[BUDGET_CATEGORY_COLUMNS.SHARE_DETAILS - 1];
+  return value === true || value === "TRUE" || value === "true";
+}
+
+/**
+ * Checks whether a member may log (or move) an expense to a category.
+ * @param {string} categoryName The budget category.
+ * @param {string} email The member the expense belongs to.
+ * @param {Object} categoriesById Categories from readBudgetCategoriesData().categoriesById.
+ * @return {string|null} An error message, or null when allowed.
+ */
+function checkBudgetCategoryAccess(categoryName, email, categoriesById) {
+  const category = categoriesById[String(categoryName || "").trim()];
+  if (!category || !category.ownerEmail) return null;
+  if (category.ownerEmail === String(email || "").trim().toLowerCase()) return null;
+  return `${category.name} is ${category.ownerEmail}'s personal allowance. Only their own expenses can go there.`;
+}
+
+/**
+ * Checks whether an expense counts toward a category's spent, archive and forecast totals.
+ * A personal allowance only counts its owner's expenses, even if other members logged to the
+ * category before it was given an owner.
+ * @param {string|null} ownerEmail The category's owner (lowercased), or null for a household-wide category.
+ * @param {string} expenseEmail The member who logged the expense.
+ * @return {boolean} True when the expense counts.
+ */
+function countsTowardCategory(ownerEmail, expenseEmail) {
+  return !ownerEmail || ownerEmail === String(expenseEmail || "").trim().toLowerCase();
+}
+
+/**
+ * Checks whether a viewer may see an expense's itemized details.
+ * @param {Object} expense The expense { category, email } (a split receipt may list several categories in lines).
+ * @param {Object} categoriesById Categories from readBudgetCategoriesData().categoriesById.
+ * @param {string} viewerEmail The member looking at the expense.
+ * @return {boolean} True when the details can be shown.
+ */
+function canViewExpenseDetails(expense, categoriesById, viewerEmail) {
+  const viewer = String(viewerEmail || "").trim().toLowerCase();
+  const categoryNames = expense.lines ? expense.lines.map(line => line.category) : [expense.category];
+
+  return categoryNames.every(name => {
+    const category = categoriesById[String(name || "").trim()];
+    return !category || !category.ownerEmail || category.ownerEmail === viewer || category.shareDetails;
+  });
+}
+
+/**
+ * Hides the details of an expense the viewer isn't allowed to see. The amount and category stay
+ * so household totals still add up.
+ * @param {Object} expense The expense (see getRecentExpenses).
+ * @param {Object} categoriesById Categories from readBudgetCategoriesData().categoriesById.
+ * @param {string} viewerEmail The member looking at the expense.
+ * @return {Object} The expense, or a copy with location, description and tags hidden and isPrivate set.
+ */
+function redactPrivateExpense(expense, categoriesById, viewerEmail) {
+  if (canViewExpenseDetails(expense, categoriesById, viewerEmail)) return expense;
+  return Object.assign({}, expense, {
+    location: "Private",
+    description: "",
+    refundOf: "",
+    tags: [],
+    isPrivate: true
+  });
+}
+
+/**
+ * Splits a household's categories into household-wide budgets, the member's own allowances
+ * and other members' allowances, each with its totals.
+ * @param {Object} budgetCategories Data from readBudgetCategoriesData().
+ * @param {string} email The member viewing the budgets.
+ * @return {Object} { household, mine, others } where each is { categories, totalBudget, totalSpent, totalRemaining }.
+ */
+function groupBudgetCategoriesByOwner(budgetCategories, email) {
+  const viewer = String(email || "").trim().toLowerCase();
+  const groups = {};
+  ['household', 'mine', 'others'].forEach(key => {
+    groups[key] = { categories: [], totalBudget: 0, totalSpent: 0, totalRemaining: 0 };
+  });
+
+  (budgetCategories.categories || []).forEach(category => {
+    let group = groups.household;
+    if (category.ownerEmail) {
+      group = category.ownerEmail === viewer ? groups.mine : groups.others;
+    }
+    group.categories.push(category.name);
+    group.totalBudget += category.effectiveBudget;
+    group.totalSpent += category.payPeriodSpent;
+    group.totalRemaining += category.remaining;
+  });
+
+  return groups;
+}
+
+/**
+ * Turns itemized sharing for the owner's personal allowance on or off.
+ * @param {string} categoryName The personal category.
+ * @param {boolean} share True to let other members see the itemized expenses.
+ * @param {string} email The member making the change (must be the owner).
+ * @param {string|null} householdId The member's household ID.
+ * @return {Object} Result object { success, message }.
+ */
+function setBudgetCategorySharing(categoryName, share, email, householdId) {
+  const category = readBudgetCategoriesData(householdId).categoriesById[String(categoryName || "").trim()];
+  if (!category) {
+    return { success: false, message: `Budget category '${categoryName}' not found` };
+  }
+  if (!category.ownerEmail || category.ownerEmail !== String(email || "").trim().toLowerCase()) {
+    return { success: false, message: "Only the owner of a personal allowance can change its sharing." };
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.BUDGET_CATEGORIES);
+  if (sheet.getMaxColumns() < BUDGET_CATEGORY_COLUMNS.SHARE_DETAILS) {
+    sheet = setupBudgetCategoriesSheet(); // Adds the owner columns to older sheets
+  }
+  sheet.getRange(category.rowIndex, BUDGET_CATEGORY_COLUMNS.SHARE_DETAILS).setValue(share === true);
+  resetExpenseDataCache(householdId);
+
+  Logger.log(`${email} ${share === true ? 'shared' : 'stopped sharing'} itemized expenses for ${category.name}`);
+  return {
+    success: true,
+    message: share === true
+      ? `Other members can now see your ${category.name} expenses.`
+      : `Your ${category.name} expenses are private again.`
+  };
+}
@@ -87,6 +87,19 @@ function setupGoalsMenu() {
   }
 }
 
+function setupAccountsMenu() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    // setupAccountsSheet and setupBalanceSnapshotsSheet are in SheetSetup.gs
+    setupAccountsSheet();
+    setupBalanceSnapshotsSheet();
+    ui.alert('Accounts and Balance Snapshots sheets setup complete.');
+  } catch (e) {
+    Logger.log(`Error setting up accounts from menu: ${e}`);
+    ui.alert(`Error setting up Accounts: ${e.message}`);
+  }
+}
+
 function setupExpenseTrackerMenu() {
   const ui = SpreadsheetApp.getUi();
   try {
@@ -123,12 +136,116 @@ function setupLocationMappingMenu() {
   }
 }
 
+function setupPayPeriodArchiveMenu() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    // setupPayPeriodArchiveSheet is in SheetSetup.gs
+    setupPayPeriodArchiveSheet();
+    ui.alert('Pay Period Archive sheet setup complete.');
+  } catch (e) {
+    Logger.log(`Error setting up pay period archive from menu: ${e}`);
+    ui.alert(`Error setting up Pay Period Archive: ${e.message}`);
+  }
+}
+
+function setupRecurringExpensesMenu() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    // setupRecurringExpensesSheet is in SheetSetup.gs
+    setupRecurringExpensesSheet();
+    ui.alert('Recurring Expenses sheet setup complete.');
+  } catch (e) {
+    Logger.log(`Error setting up recurring expenses from menu: ${e}`);
+    ui.alert(`Error setting up Recurring Expenses: ${e.message}`);
+  }
+}
+
+function setupIncomeLedgerMenu() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    // setupIncomeLedgerSheet is in SheetSetup.gs
+    setupIncomeLedgerSheet();
+    ui.alert('Income Ledger sheet setup complete.');
+  } catch (e) {
+    Logger.log(`Error setting up income ledger from menu: ${e}`);
+    ui.alert(`Error setting up Income Ledger: ${e.message}`);
+  }
+}
+
+function setupCategorizationRulesMenu() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    // setupCategorizationRulesSheet is in SheetSetup.gs
+    setupCategorizationRulesSheet();
+    ui.alert('Categorization Rules sheet setup complete.');
+  } catch (e) {
+    Logger.log(`Error setting up categorization rules from menu: ${e}`);
+    ui.alert(`Error setting up Categorization Rules: ${e.message}`);
+  }
+}
+
+function setupExchangeRatesMenu() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    // setupExchangeRatesSheet is in SheetSetup.gs
+    setupExchangeRatesSheet();
+    ui.alert('Exchange Rates sheet setup complete.');
+  } catch (e) {
+    Logger.log(`Error setting up exchange rates from menu: ${e}`);
+    ui.alert(`Error setting up Exchange Rates: ${e.message}`);
+  }
+}
+
+function setupBudgetTemplatesMenu() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    // setupBudgetTemplatesSheet is in SheetSetup.gs
+    setupBudgetTemplatesSheet();
+    ui.alert('Budget Templates sheet setup complete.');
+  } catch (e) {
+    Logger.log(`Error setting up budget templates from menu: ${e}`);
+    ui.alert(`Error setting up Budget Templates: ${e.message}`);
+  }
+}
+
+function setupExpenseApprovalsMenu() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    // setupExpenseApprovalsSheet is in SheetSetup.gs
+    setupExpenseApprovalsSheet();
+    ui.alert('Expense Approvals sheet setup complete.');
+  } catch (e) {
+    Logger.log(`Error setting up expense approvals from menu: ${e}`);
+    ui.alert(`Error setting up Expense Approvals: ${e.message}`);
+  }
+}
+
+function setupBillsMenu() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    // setupBillsSheet is in SheetSetup.gs
+    setupBillsSheet();
+    ui.alert('Bills sheet setup complete.');
+  } catch (e) {
+    Logger.log(`Error setting up bills from menu: ${e}`);
+    ui.alert(`Error setting up Bills: ${e.message}`);
+  }
+}
+
 function setupAllExpenseSheetsMenu() {
   const ui = SpreadsheetApp.getUi();
   try {
     setupExpenseTrackerSheet();
     setupBudgetCategoriesSheet();
     setupLocationMappingSheet();
+    setupPayPeriodArchiveSheet();
+    setupRecurringExpensesSheet();
+    setupIncomeLedgerSheet();
+    setupCategorizationRulesSheet();
+    setupExchangeRatesSheet();
+    setupBudgetTemplatesSheet();
+    setupExpenseApprovalsSheet();
+    setupBillsSheet();
     ui.alert('All expense tracking sheets setup complete.');
   } catch (e) {
     Logger.log(`Error setting up all expense sheets from menu: ${e}`);
@@ -168,6 +285,22 @@ function cleanupLegacyCacheMenu() {
   }
 }
 
+function migrateSharedBudgetCategoriesMenu() {
+  const ui = SpreadsheetApp.getUi();
+  if (!isCurrentUserAdmin()) {
+    ui.alert('You must be an admin to perform this action.');
+    return;
+  }
+  try {
+    // migrateSharedBudgetCategories is in HouseholdBudgets.gs
+    const result = migrateSharedBudgetCategories();
+    ui.alert(result.success ? 'Success' : 'Error', result.message, ui.ButtonSet.OK);
+  } catch (e) {
+    Logger.log(`Error migrating shared budget categories from menu: ${e}`);
+    ui.alert(`An error occurred: ${e.message}`);
+  }
+}
+
 function setupAllTriggersMenu() {
     const ui = SpreadsheetApp.getUi();
     try {
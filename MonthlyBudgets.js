@@ -0,0 +1,99 @@
+// MonthlyBudgets.gs
+/**
+ * The calendar-month budget cycle that runs alongside pay periods.
+ * MonthlyBudget in Budget Categories is measured against CurrentSpent, which recalculateAllBudgets
+ * rebuilds from the Expense Tracker for the current calendar month (and syncPayPeriodRollover
+ * triggers when a new month starts). Past months are summarized straight from the Expense Tracker,
+ * so a digest sent after the month ends still reports its final figures.
+ */
+
+/**
+ * Gets the calendar month containing a date.
+ * @param {Date} date The date.
+ * @return {Object} { id: "yyyy-MM", startDate, endDate } with midnight Date bounds.
+ */
+function getBudgetMonthForDate(date) {
+  const startDate = new Date(date.getFullYear(), date.getMonth(), 1);
+  const endDate = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+  return {
+    id: `${startDate.getFullYear()}-${String(startDate.getMonth() + 1).padStart(2, "0")}`,
+    startDate: startDate,
+    endDate: endDate
+  };
+}
+
+/**
+ * Converts a month into a client-safe object (no Date instances) with progress info.
+ * @param {Object} month A month from getBudgetMonthForDate().
+ * @param {Date} [referenceDate=new Date()] The date used for elapsed/remaining day counts.
+ * @return {Object} { id, startDate, endDate, label, totalDays, daysElapsed, daysRemaining }
+ */
+function serializeBudgetMonth(month, referenceDate = new Date()) {
+  const totalDays = daysBetween(month.startDate, month.endDate) + 1;
+  const daysElapsed = Math.min(totalDays, Math.max(0, daysBetween(month.startDate, referenceDate) + 1));
+
+  return {
+    id: month.id,
+    startDate: formatDateYMD(month.startDate),
+    endDate: formatDateYMD(month.endDate),
+    label: Utilities.formatDate(month.startDate, Session.getScriptTimeZone(), "MMMM yyyy"),
+    totalDays: totalDays,
+    daysElapsed: daysElapsed,
+    daysRemaining: totalDays - daysElapsed
+  };
+}
+
+/**
+ * Records the current calendar month and reports whether it changed since the last check.
+ * @return {boolean} True the first time this is called in a new month.
+ */
+function syncBudgetMonth() {
+  const props = PropertiesService.getScriptProperties();
+  const currentId = getBudgetMonthForDate(new Date()).id;
+  if (props.getProperty('LAST_BUDGET_MONTH') === currentId) {
+    return false;
+  }
+  props.setProperty('LAST_BUDGET_MONTH', currentId);
+  return true;
+}
+
+/**
+ * Summarizes a household's spending against MonthlyBudget for one calendar month.
+ * @param {string|null} householdId The household ID.
+ * @param {Date} [referenceDate=new Date()] Any day in the month to summarize.
+ * @return {Object} { month (see serializeBudgetMonth), categories: [{ name, budget, spent, remaining, percentUsed }],
+ *   totalBudget, totalSpent, totalRemaining, overBudget: [names] }
+ */
+function summarizeMonthlyBudgets(householdId, referenceDate = new Date()) {
+  const month = getBudgetMonthForDate(referenceDate);
+  const categories = readBudgetCategoriesData(householdId).categories;
+  const round = value => Math.round(value * 100) / 100;
+
+  const spentByCategory = {};
+  readExpenseTrackerRows(householdId).forEach(expense => {
+    if (!expense.date || expense.date < month.startDate || parseDateYMD(expense.date) > month.endDate) return;
+    spentByCategory[expense.category] = (spentByCategory[expense.category] || 0) + expense.amount;
+  });
+
+  const summaries = categories.map(category => {
+    const spent = round(spentByCategory[category.name] || 0);
+    return {
+      name: category.name,
+      budget: category.monthlyBudget,
+      spent: spent,
+      remaining: round(category.monthlyBudget - spent),
+      percentUsed: category.monthlyBudget > 0 ? Math.round((spent / category.monthlyBudget) * 100) : 0
+    };
+  });
+  const totalBudget = round(summaries.reduce((sum, category) => sum + category.budget, 0));
+  const totalSpent = round(summaries.reduce((sum, category) => sum + category.spent, 0));
+
+  return {
+    month: serializeBudgetMonth(month), // Days left as of today, so a past month reads as finished
+    categories: summaries,
+    totalBudget: totalBudget,
+    totalSpent: totalSpent,
+    totalRemaining: round(totalBudget - totalSpent),
+    overBudget: summaries.filter(category => category.budget > 0 && category.spent > category.budget).map(category => category.name)
+  };
+}
@@ -0,0 +1,437 @@
+// NetWorth.gs
+/**
+ * Net worth tracker.
+ * Accounts (checking, savings, retirement, investment, credit cards and loans) live in the Accounts sheet
+ * and members record their balances as dated rows in the Balance Snapshots sheet. An account's balance on
+ * any date is its latest snapshot on or before that date, so net worth history carries each balance forward
+ * until the next update. Liability balances are stored as positive amounts owed.
+ * Debt and savings goals can be linked to an account; recording a balance updates the goal's CurrentAmount.
+ */
+
+/**
+ * Reads a household's Accounts rows.
+ * @param {string} householdId The household ID.
+ * @return {Array<Object>} Accounts { rowIndex, id, name, type, isLiability, householdId, isActive, createdBy }.
+ * @private
+ */
+function _readAccountRows(householdId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.ACCOUNTS);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const col = ACCOUNT_COLUMNS;
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, Object.keys(col).length).getValues();
+  const accounts = [];
+
+  data.forEach((row, index) => {
+    const id = String(row[col.ACCOUNT_ID - 1] || "").trim();
+    if (!id) return;
+    if (String(row[col.HOUSEHOLD_ID - 1] || "").trim() !== householdId) return;
+
+    const type = String(row[col.TYPE - 1] || "").trim().toLowerCase();
+    const isActive = row[col.IS_ACTIVE - 1];
+    accounts.push({
+      rowIndex: index + 2,
+      id: id,
+      name: String(row[col.NAME - 1] || "").trim(),
+      type: type,
+      isLiability: CONFIG.NET_WORTH_SETTINGS.LIABILITY_TYPES.includes(type),
+      householdId: householdId,
+      isActive: isActive === true || isActive === "TRUE" || isActive === "true",
+      createdBy: String(row[col.CREATED_BY - 1] || "").trim()
+    });
+  });
+
+  return accounts;
+}
+
+/**
+ * Reads a household's Balance Snapshots rows, oldest first.
+ * Snapshots on the same date keep sheet order, so the later row wins.
+ * @param {string} householdId The household ID.
+ * @return {Array<Object>} Snapshots { rowIndex, id, date, accountId, balance, email } with date as a Date.
+ * @private
+ */
+function _readBalanceSnapshotRows(householdId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.BALANCE_SNAPSHOTS);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const col = BALANCE_SNAPSHOT_COLUMNS;
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, Object.keys(col).length).getValues();
+  const snapshots = [];
+
+  data.forEach((row, index) => {
+    const id = String(row[col.SNAPSHOT_ID - 1] || "").trim();
+    const date = parseDateYMD(row[col.DATE - 1]);
+    const balance = Number(row[col.BALANCE - 1]);
+    if (!id || !date || row[col.BALANCE - 1] === "" || isNaN(balance)) return;
+    if (String(row[col.HOUSEHOLD_ID - 1] || "").trim() !== householdId) return;
+
+    snapshots.push({
+      rowIndex: index + 2,
+      id: id,
+      date: date,
+      accountId: String(row[col.ACCOUNT_ID - 1] || "").trim(),
+      balance: balance,
+      email: String(row[col.EMAIL - 1] || "").trim()
+    });
+  });
+
+  return snapshots.sort((a, b) => a.date - b.date || a.rowIndex - b.rowIndex);
+}
+
+/**
+ * Finds one of a household's accounts.
+ * @param {string} accountId The AccountID.
+ * @param {string} householdId The household ID.
+ * @return {Object|null} The account from _readAccountRows, or null if it isn't in the household.
+ */
+function getAccountById(accountId, householdId) {
+  return _readAccountRows(normalizeHouseholdId(householdId)).find(account => account.id === accountId) || null;
+}
+
+/**
+ * Gets each account's balance as of a date.
+ * @param {Array<Object>} snapshots Snapshots from _readBalanceSnapshotRows (oldest first).
+ * @param {Date} [asOf] Latest snapshot date to count (defaults to every snapshot).
+ * @return {Object} Map of AccountID to { balance, date } where date is yyyy-MM-dd.
+ * @private
+ */
+function _balancesAsOf(snapshots, asOf) {
+  const balances = {};
+  snapshots.forEach(snapshot => {
+    if (asOf && snapshot.date > asOf) return;
+    balances[snapshot.accountId] = { balance: snapshot.balance, date: formatDateYMD(snapshot.date) };
+  });
+  return balances;
+}
+
+/**
+ * Totals a household's assets and liabilities from account balances.
+ * @param {Array<Object>} accounts Accounts from _readAccountRows.
+ * @param {Object} balances Map from _balancesAsOf.
+ * @return {Object} { assets, liabilities, netWorth }.
+ * @private
+ */
+function _totalNetWorth(accounts, balances) {
+  const round = amount => Math.round(amount * 100) / 100;
+  let assets = 0;
+  let liabilities = 0;
+
+  accounts.forEach(account => {
+    const latest = balances[account.id];
+    if (!latest) return;
+    if (account.isLiability) {
+      liabilities += latest.balance;
+    } else {
+      assets += latest.balance;
+    }
+  });
+
+  return { assets: round(assets), liabilities: round(liabilities), netWorth: round(assets - liabilities) };
+}
+
+/**
+ * Gets a household's accounts, current net worth, breakdown by account type and month-end history.
+ * History covers up to CONFIG.NET_WORTH_SETTINGS.HISTORY_MONTHS months ending with the current month
+ * (valued as of today), starting no earlier than the month of the first snapshot.
+ * @param {string} householdId The household ID.
+ * @return {Object} { accounts, current, breakdown, history } where accounts have { id, name, type, isLiability,
+ *   isActive, balance, balanceDate, linkedGoals }, breakdown is { assets, liabilities } lists of
+ *   { type, total, accounts } and history is a list of { month, assets, liabilities, netWorth }.
+ */
+function readNetWorth(householdId) {
+  const today = parseDateYMD(new Date());
+  const accounts = _readAccountRows(householdId);
+  const snapshots = _readBalanceSnapshotRows(householdId);
+  const latest = _balancesAsOf(snapshots);
+
+  const linkedGoals = {};
+  getGoalsByHousehold(householdId).forEach(goal => {
+    if (!goal.linkedAccountId) return;
+    (linkedGoals[goal.linkedAccountId] = linkedGoals[goal.linkedAccountId] || []).push(goal.goalName);
+  });
+
+  const accountList = accounts
+    .map(account => ({
+      id: account.id,
+      name: account.name,
+      type: account.type,
+      isLiability: account.isLiability,
+      isActive: account.isActive,
+      balance: latest[account.id] ? latest[account.id].balance : null,
+      balanceDate: latest[account.id] ? latest[account.id].date : "",
+      linkedGoals: linkedGoals[account.id] || []
+    }))
+    .sort((a, b) => Number(b.isActive) - Number(a.isActive) || Number(a.isLiability) - Number(b.isLiability)
+      || a.name.localeCompare(b.name));
+
+  // Totals per account type, largest first
+  const breakdown = { assets: [], liabilities: [] };
+  CONFIG.NET_WORTH_SETTINGS.ACCOUNT_TYPES.forEach(type => {
+    const ofType = accountList.filter(account => account.type === type && account.balance !== null && account.balance !== 0);
+    if (ofType.length === 0) return;
+    const total = Math.round(ofType.reduce((sum, account) => sum + account.balance, 0) * 100) / 100;
+    const entry = { type: type, total: total, accounts: ofType.map(account => ({ name: account.name, balance: account.balance })) };
+    (CONFIG.NET_WORTH_SETTINGS.LIABILITY_TYPES.includes(type) ? breakdown.liabilities : breakdown.assets).push(entry);
+  });
+  breakdown.assets.sort((a, b) => b.total - a.total);
+  breakdown.liabilities.sort((a, b) => b.total - a.total);
+
+  // Month-end values, carrying each balance forward to the months after it was recorded
+  const history = [];
+  if (snapshots.length > 0) {
+    const first = snapshots[0].date;
+    let monthStart = new Date(today.getFullYear(), today.getMonth() - CONFIG.NET_WORTH_SETTINGS.HISTORY_MONTHS + 1, 1);
+    if (monthStart < new Date(first.getFullYear(), first.getMonth(), 1)) {
+      monthStart = new Date(first.getFullYear(), first.getMonth(), 1);
+    }
+    while (monthStart <= today) {
+      const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0);
+      const totals = _totalNetWorth(accounts, _balancesAsOf(snapshots, monthEnd < today ? monthEnd : today));
+      history.push({
+        month: formatDateYMD(monthStart).substring(0, 7),
+        assets: totals.assets,
+        liabilities: totals.liabilities,
+        netWorth: totals.netWorth
+      });
+      monthStart = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 1);
+    }
+  }
+
+  return {
+    accounts: accountList,
+    current: _totalNetWorth(accounts, latest),
+    breakdown: breakdown,
+    history: history
+  };
+}
+
+/**
+ * Creates or updates an account.
+ * Accounts are closed rather than deleted so their history stays in net worth; closing an account with
+ * a balance records a zero balance for today so it stops counting from now on.
+ * @param {Object} account { id?, name, type, isActive }
+ * @param {string} email The saving user's email.
+ * @param {string} householdId The saving user's household ID.
+ * @return {Object} Result object { success, message, id }.
+ */
+function upsertAccount(account, email, householdId) {
+  if (!account || typeof account !== 'object') {
+    return { success: false, message: "Account data is missing." };
+  }
+
+  const name = String(account.name || "").trim();
+  const type = String(account.type || "").trim().toLowerCase();
+  const isActive = account.isActive === undefined ? true : Boolean(account.isActive);
+
+  if (!name) return { success: false, message: "Account name is required" };
+  if (!CONFIG.NET_WORTH_SETTINGS.ACCOUNT_TYPES.includes(type)) return { success: false, message: `Invalid account type: ${account.type}` };
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "Accounts are being updated. Please try again." };
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.ACCOUNTS);
+    if (!sheet) {
+      sheet = setupAccountsSheet();
+    }
+
+    const accounts = _readAccountRows(householdId);
+    const existing = account.id ? accounts.find(row => row.id === account.id) : null;
+    if (account.id && !existing) {
+      return { success: false, message: "Account not found for your household." };
+    }
+    if (accounts.some(row => row !== existing && row.isActive && row.name.toLowerCase() === name.toLowerCase())) {
+      return { success: false, message: `You already have an account named ${name}.` };
+    }
+
+    const isLiability = CONFIG.NET_WORTH_SETTINGS.LIABILITY_TYPES.includes(type);
+    if (existing && existing.isLiability !== isLiability
+        && getGoalsByHousehold(householdId).some(goal => goal.linkedAccountId === existing.id)) {
+      return { success: false, message: `Unlink ${existing.name} from its goals before changing it between an asset and a liability.` };
+    }
+
+    const id = existing ? existing.id : `acct_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const rowValues = [id, name, type, householdId, isActive, existing ? existing.createdBy : email];
+
+    if (existing) {
+      sheet.getRange(existing.rowIndex, 1, 1, rowValues.length).setValues([rowValues]);
+    } else {
+      sheet.getRange(sheet.getLastRow() + 1, 1, 1, rowValues.length).setValues([rowValues]);
+    }
+
+    let closedNote = "";
+    if (existing && existing.isActive && !isActive) {
+      const latest = _balancesAsOf(_readBalanceSnapshotRows(householdId))[id];
+      if (latest && latest.balance !== 0) {
+        _writeBalanceSnapshots(householdId, parseDateYMD(new Date()), [{ accountId: id, balance: 0 }], email);
+        closedNote = " Its balance is now counted as $0.";
+      }
+    }
+
+    Logger.log(`${existing ? "Updated" : "Created"} account ${id}: ${name} (${type}${isActive ? "" : ", closed"}) for household ${householdId}`);
+    return {
+      success: true,
+      message: `${name} ${existing ? (existing.isActive && !isActive ? "closed" : "updated") : "added"}.${closedNote}`,
+      id: id
+    };
+  } catch (error) {
+    Logger.log(`Error saving account: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error saving account: ${error.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Writes balances for one date, replacing any snapshot already recorded for that account and date.
+ * The caller must hold the script lock.
+ * @param {string} householdId The household ID.
+ * @param {Date} date The balance date.
+ * @param {Array<Object>} entries Balances { accountId, balance } already validated.
+ * @param {string} email The recording member's email.
+ * @private
+ */
+function _writeBalanceSnapshots(householdId, date, entries, email) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.BALANCE_SNAPSHOTS);
+  if (!sheet) {
+    sheet = setupBalanceSnapshotsSheet();
+  }
+
+  const dateText = formatDateYMD(date);
+  const sameDay = {};
+  _readBalanceSnapshotRows(householdId).forEach(snapshot => {
+    if (formatDateYMD(snapshot.date) === dateText) sameDay[snapshot.accountId] = snapshot;
+  });
+
+  const now = new Date();
+  const newRows = [];
+  entries.forEach(entry => {
+    const existing = sameDay[entry.accountId];
+    const rowValues = [
+      existing ? existing.id : `bal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      date,
+      entry.accountId,
+      entry.balance,
+      householdId,
+      email,
+      now
+    ];
+    if (existing) {
+      sheet.getRange(existing.rowIndex, 1, 1, rowValues.length).setValues([rowValues]);
+    } else {
+      newRows.push(rowValues);
+    }
+  });
+
+  if (newRows.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, newRows[0].length).setValues(newRows);
+  }
+}
+
+/**
+ * Records account balances for a date and updates goals linked to those accounts.
+ * @param {string} date The balance date (yyyy-MM-dd, not in the future).
+ * @param {Array<Object>} entries Balances { accountId, balance }; blank balances are skipped.
+ * @param {string} email The recording member's email.
+ * @param {string} householdId The member's household ID.
+ * @return {Object} Result object { success, message, saved, goalsUpdated }.
+ */
+function recordBalanceSnapshots(date, entries, email, householdId) {
+  const balanceDate = parseDateYMD(date);
+  if (!balanceDate) return { success: false, message: "A valid balance date is required" };
+  if (balanceDate > parseDateYMD(new Date())) return { success: false, message: "Balance date can't be in the future" };
+  if (!Array.isArray(entries)) return { success: false, message: "Balance data is missing." };
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "Balances are being updated. Please try again." };
+  }
+
+  let saved;
+  try {
+    const accounts = _readAccountRows(householdId);
+    saved = [];
+
+    for (const entry of entries) {
+      if (!entry || entry.balance === null || entry.balance === undefined || String(entry.balance).trim() === "") continue;
+
+      const account = accounts.find(row => row.id === entry.accountId);
+      if (!account) {
+        return { success: false, message: "Account not found for your household." };
+      }
+      if (!account.isActive) {
+        return { success: false, message: `${account.name} is closed. Reopen it to record a balance.` };
+      }
+      const balance = Number(String(entry.balance).replace(/[$,\s]/g, ""));
+      if (isNaN(balance) || (account.isLiability && balance < 0)) {
+        return {
+          success: false,
+          message: account.isLiability
+            ? `Enter the amount owed on ${account.name} (0 or more).`
+            : `Invalid balance for ${account.name}: ${entry.balance}`
+        };
+      }
+      if (saved.some(row => row.accountId === account.id)) {
+        return { success: false, message: `${account.name} is listed twice.` };
+      }
+      saved.push({ accountId: account.id, balance: Math.round(balance * 100) / 100 });
+    }
+
+    if (saved.length === 0) {
+      return { success: false, message: "Enter at least one balance." };
+    }
+
+    _writeBalanceSnapshots(householdId, balanceDate, saved, email);
+    Logger.log(`Recorded ${saved.length} balance(s) for ${formatDateYMD(balanceDate)} in household ${householdId} by ${email}`);
+  } catch (error) {
+    Logger.log(`Error recording balances: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error recording balances: ${error.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+
+  const goalsUpdated = syncAccountLinkedGoals(householdId);
+  const goalNote = goalsUpdated.length > 0 ? ` Updated ${goalsUpdated.join(", ")}.` : "";
+  return {
+    success: true,
+    message: `Saved ${saved.length} balance${saved.length === 1 ? "" : "s"} for ${formatDateYMD(balanceDate)}.${goalNote}`,
+    saved: saved.length,
+    goalsUpdated: goalsUpdated
+  };
+}
+
+/**
+ * Sets each active linked goal's CurrentAmount to its account's latest balance.
+ * Goals whose amount already matches are left alone; updateGoalAmount marks goals completed as usual.
+ * @param {string} householdId The household ID.
+ * @return {Array<string>} Names of the goals that were updated.
+ */
+function syncAccountLinkedGoals(householdId) {
+  const updated = [];
+  try {
+    const goals = getGoalsByHousehold(householdId).filter(goal => goal.linkedAccountId && goal.status === 'active');
+    if (goals.length === 0) return updated;
+
+    const latest = _balancesAsOf(_readBalanceSnapshotRows(householdId));
+    goals.forEach(goal => {
+      const balance = latest[goal.linkedAccountId];
+      if (!balance || Number(goal.currentAmount) === balance.balance) return;
+      updateGoalAmount(goal.goalId, balance.balance);
+      updated.push(goal.goalName);
+    });
+
+    if (updated.length > 0) {
+      Logger.log(`Synced ${updated.length} linked goal(s) for household ${householdId}: ${updated.join(", ")}`);
+    }
+  } catch (error) {
+    Logger.log(`Error syncing account-linked goals: ${error}\nStack: ${error.stack}`);
+  }
+  return updated;
+}
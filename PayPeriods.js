@@ -0,0 +1,487 @@
+// PayPeriods.gs
+/**
+ * Pay period engine for the Expense Tracker.
+ * Each household stores its own schedule (weekly, biweekly, semi-monthly or monthly)
+ * in PropertiesService; every pay period ID and start/end date is computed from it.
+ */
+
+/**
+ * Builds the PropertiesService key suffix for a household's pay period data.
+ * @param {string|null} householdId The household ID (null/"default" for non-household use).
+ * @return {string} The key suffix.
+ * @private
+ */
+function _getPayPeriodOwnerKey(householdId) {
+  return householdId ? String(householdId).trim() : 'default';
+}
+
+/**
+ * Validates a schedule object and fills in defaults from CONFIG.
+ * @param {Object} schedule The raw schedule { type, anchorDate, splitDay, startDay }.
+ * @return {Object} { valid: boolean, message: string, schedule: Object }
+ * @private
+ */
+function _normalizePayPeriodSchedule(schedule) {
+  const defaults = CONFIG.PAY_PERIOD_SETTINGS.DEFAULT_SCHEDULE;
+  if (!schedule || typeof schedule !== 'object') {
+    return { valid: false, message: "Schedule data is missing.", schedule: { ...defaults } };
+  }
+
+  const type = String(schedule.type || '').trim().toLowerCase();
+  if (!CONFIG.PAY_PERIOD_SETTINGS.SCHEDULE_TYPES.includes(type)) {
+    return { valid: false, message: `Invalid schedule type: ${schedule.type}`, schedule: { ...defaults } };
+  }
+
+  const normalized = {
+    type: type,
+    anchorDate: null,
+    splitDay: defaults.splitDay,
+    startDay: defaults.startDay
+  };
+
+  if (type === 'weekly' || type === 'biweekly') {
+    const anchor = parseDateYMD(schedule.anchorDate);
+    if (!anchor && type === 'biweekly') {
+      return { valid: false, message: "Biweekly schedules need the start date of any pay period.", schedule: { ...defaults } };
+    }
+    normalized.anchorDate = anchor ? formatDateYMD(anchor) : null; // Weekly falls back to Sunday weeks
+  } else if (type === 'semimonthly') {
+    const splitDay = parseInt(schedule.splitDay, 10);
+    normalized.splitDay = !isNaN(splitDay) && splitDay >= 1 && splitDay <= 27 ? splitDay : defaults.splitDay;
+  } else if (type === 'monthly') {
+    const startDay = parseInt(schedule.startDay, 10);
+    normalized.startDay = !isNaN(startDay) && startDay >= 1 && startDay <= 28 ? startDay : defaults.startDay;
+  }
+
+  return { valid: true, message: "", schedule: normalized };
+}
+
+/**
+ * Retrieves a household's pay period schedule, falling back to CONFIG defaults.
+ * @param {string|null} householdId The household ID.
+ * @return {Object} The schedule { type, anchorDate, splitDay, startDay }.
+ */
+function getPayPeriodSchedule(householdId = null) {
+  const key = `PAY_PERIOD_SCHEDULE_${_getPayPeriodOwnerKey(householdId)}`;
+  const savedJson = PropertiesService.getScriptProperties().getProperty(key);
+
+  if (savedJson) {
+    try {
+      const result = _normalizePayPeriodSchedule(JSON.parse(savedJson));
+      if (result.valid) return result.schedule;
+      Logger.log(`Saved pay period schedule for ${key} is invalid (${result.message}). Falling back to defaults.`);
+    } catch (e) {
+      Logger.log(`Error parsing saved pay period schedule for ${key}: ${e}. Falling back to defaults.`);
+    }
+  }
+
+  return { ...CONFIG.PAY_PERIOD_SETTINGS.DEFAULT_SCHEDULE };
+}
+
+/**
+ * Saves a household's pay period schedule and recalculates budgets against the new periods.
+ * @param {string|null} householdId The household ID.
+ * @param {Object} schedule The schedule { type, anchorDate, splitDay, startDay }.
+ * @return {Object} Result object { success, message, schedule }.
+ */
+function savePayPeriodSchedule(householdId, schedule) {
+  const result = _normalizePayPeriodSchedule(schedule);
+  if (!result.valid) {
+    return { success: false, message: result.message };
+  }
+
+  try {
+    const ownerKey = _getPayPeriodOwnerKey(householdId);
+    const props = PropertiesService.getScriptProperties();
+    props.setProperty(`PAY_PERIOD_SCHEDULE_${ownerKey}`, JSON.stringify(result.schedule));
+    props.setProperty(`LAST_PAY_PERIOD_${ownerKey}`, getPayPeriodForDate(new Date(), result.schedule).id);
+
+    // Period boundaries moved, so PayPeriodSpent has to be rebuilt from the Expense Tracker
+    recalculateAllBudgets();
+    resetExpenseDataCache(householdId);
+
+    Logger.log(`Saved pay period schedule for ${ownerKey}: ${JSON.stringify(result.schedule)}`);
+    return { success: true, message: "Pay period schedule saved.", schedule: result.schedule };
+  } catch (error) {
+    Logger.log(`Error saving pay period schedule: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error saving schedule: ${error.message}` };
+  }
+}
+
+/**
+ * Computes the pay period that contains a given date.
+ * @param {Date} date The date to locate.
+ * @param {Object} schedule The schedule from getPayPeriodSchedule().
+ * @return {Object} { id, type, startDate, endDate } where endDate is 23:59:59.999 of the last day.
+ */
+function getPayPeriodForDate(date, schedule) {
+  const day = parseDateYMD(date) || parseDateYMD(new Date());
+  const type = schedule && schedule.type ? schedule.type : CONFIG.PAY_PERIOD_SETTINGS.DEFAULT_SCHEDULE.type;
+  const year = day.getFullYear();
+  const month = day.getMonth();
+  let startDate;
+  let endDate;
+  let id;
+
+  if (type === 'weekly' || type === 'biweekly') {
+    const length = type === 'weekly' ? 7 : 14;
+    const anchor = parseDateYMD(schedule.anchorDate) || getWeekStartDate(day);
+    const periodIndex = Math.floor(daysBetween(anchor, day) / length);
+    startDate = addDays(anchor, periodIndex * length);
+    endDate = addDays(startDate, length - 1);
+    id = `${type === 'weekly' ? 'W' : 'BW'}-${formatDateYMD(startDate)}`;
+  } else if (type === 'monthly') {
+    const startDay = schedule.startDay || 1;
+    startDate = day.getDate() >= startDay ? new Date(year, month, startDay) : new Date(year, month - 1, startDay);
+    endDate = addDays(new Date(startDate.getFullYear(), startDate.getMonth() + 1, startDay), -1);
+    id = `${startDate.getFullYear()}-${String(startDate.getMonth() + 1).padStart(2, '0')}`;
+  } else {
+    // Semi-monthly: 1st..splitDay and splitDay+1..end of month
+    const splitDay = schedule && schedule.splitDay ? schedule.splitDay : 15;
+    const isFirstHalf = day.getDate() <= splitDay;
+    startDate = isFirstHalf ? new Date(year, month, 1) : new Date(year, month, splitDay + 1);
+    endDate = isFirstHalf ? new Date(year, month, splitDay) : new Date(year, month + 1, 0);
+    id = `${year}-${String(month + 1).padStart(2, '0')}-P${isFirstHalf ? 1 : 2}`;
+  }
+
+  endDate.setHours(23, 59, 59, 999);
+  return { id: id, type: type, startDate: startDate, endDate: endDate };
+}
+
+/**
+ * Gets the pay period before or after a given period.
+ * @param {Object} period A period from getPayPeriodForDate().
+ * @param {Object} schedule The schedule the period was computed with.
+ * @param {number} offset Number of periods to move (negative for past periods).
+ * @return {Object} The adjacent period.
+ */
+function getAdjacentPayPeriod(period, schedule, offset) {
+  let current = period;
+  const step = offset < 0 ? -1 : 1;
+  for (let i = 0; i < Math.abs(offset); i++) {
+    const probe = step < 0 ? addDays(current.startDate, -1) : addDays(current.endDate, 1);
+    current = getPayPeriodForDate(probe, schedule);
+  }
+  return current;
+}
+
+/**
+ * Gets the current pay period for a household.
+ * @param {string|null} householdId The household ID.
+ * @return {Object} { id, type, startDate, endDate }
+ */
+function getCurrentPayPeriodInfo(householdId = null) {
+  return getPayPeriodForDate(new Date(), getPayPeriodSchedule(householdId));
+}
+
+/**
+ * Converts a period into a client-safe object (no Date instances) with progress info.
+ * @param {Object} period A period from getPayPeriodForDate().
+ * @param {Date} [referenceDate=new Date()] The date used for elapsed/remaining day counts.
+ * @return {Object} { id, type, startDate, endDate, label, totalDays, daysElapsed, daysRemaining }
+ */
+function serializePayPeriod(period, referenceDate = new Date()) {
+  const timeZone = Session.getScriptTimeZone();
+  const totalDays = daysBetween(period.startDate, period.endDate) + 1;
+  const daysElapsed = Math.min(totalDays, Math.max(0, daysBetween(period.startDate, referenceDate) + 1));
+
+  return {
+    id: period.id,
+    type: period.type,
+    startDate: formatDateYMD(period.startDate),
+    endDate: formatDateYMD(period.endDate),
+    label: `${Utilities.formatDate(period.startDate, timeZone, "MMM d")} – ${Utilities.formatDate(period.endDate, timeZone, "MMM d, yyyy")}`,
+    totalDays: totalDays,
+    daysElapsed: daysElapsed,
+    daysRemaining: totalDays - daysElapsed
+  };
+}
+
+/**
+ * Determines where a budget category's spending window starts within the current period.
+ * A reset made during the period restarts the window; older resets fall back to the period start.
+ * @param {Date|null} lastReset The category's LastReset value.
+ * @param {Object} period The current period.
+ * @return {Date} The window start date.
+ */
+function getBudgetWindowStart(lastReset, period) {
+  if (lastReset instanceof Date && lastReset > period.startDate && lastReset <= period.endDate) {
+    return lastReset;
+  }
+  return period.startDate;
+}
+
+/**
+ * Detects when a household has moved into a new pay period, or the calendar month has changed,
+ * and rebuilds PayPeriodSpent and CurrentSpent so the meters never carry old spending forward.
+ * @param {string|null} householdId The household ID.
+ * @return {boolean} True if a rollover was detected and budgets were recalculated.
+ */
+function syncPayPeriodRollover(householdId = null) {
+  try {
+    const key = `LAST_PAY_PERIOD_${_getPayPeriodOwnerKey(householdId)}`;
+    const props = PropertiesService.getScriptProperties();
+    const currentId = getCurrentPayPeriodInfo(householdId).id;
+    const periodChanged = props.getProperty(key) !== currentId;
+    const monthChanged = syncBudgetMonth();
+
+    if (!periodChanged && !monthChanged) {
+      return false;
+    }
+
+    if (periodChanged) {
+      props.setProperty(key, currentId);
+      const template = getBudgetTemplateForPeriod(householdId);
+      Logger.log(`Pay period rollover detected for ${key}: now ${currentId}` +
+        (template ? ` using budget template "${template.name}"` : "") + `.`);
+    }
+    if (monthChanged) {
+      Logger.log(`Budget month rollover detected: now ${getBudgetMonthForDate(new Date()).id}.`);
+    }
+    recalculateAllBudgets();
+    return true;
+  } catch (error) {
+    Logger.log(`Error checking pay period rollover: ${error}`);
+    return false;
+  }
+}
+
+/**
+ * Determines which pay period a finalize closes for one budget category, and the
+ * spending window inside it. A category reset during the current period closes the
+ * current period up to now; otherwise the previous, never-finalized period is closed.
+ * @param {Date|null} lastReset The category's LastReset value.
+ * @param {Object} currentPeriod The household's current period.
+ * @param {Object} schedule The household's schedule.
+ * @return {Object} { period, windowStart, windowEnd }
+ * @private
+ */
+function _getFinalizeWindow(lastReset, currentPeriod, schedule) {
+  if (lastReset instanceof Date && lastReset >= currentPeriod.startDate) {
+    return {
+      period: currentPeriod,
+      windowStart: getBudgetWindowStart(lastReset, currentPeriod),
+      windowEnd: new Date()
+    };
+  }
+
+  const previousPeriod = getAdjacentPayPeriod(currentPeriod, schedule, -1);
+  const windowStart = lastReset instanceof Date && lastReset > previousPeriod.startDate ? lastReset : previousPeriod.startDate;
+  return { period: previousPeriod, windowStart: windowStart, windowEnd: previousPeriod.endDate };
+}
+
+/**
+ * Writes a per-category snapshot of the period being finalized to the Pay Period Archive sheet.
+ * Finalizing the same period twice merges the new spending into the existing rows and keeps the
+ * budget the period was first archived with (its rollover has already been carried on by then).
+ * @param {string|null} householdId The household ID.
+ * @param {string} finalizedBy Email of the user finalizing the period.
+ * @return {Object} Result object { success, message, archivedCount, periodIds, categoryTotals } where
+ *   categoryTotals maps each category name to the archived { periodId, budget, spent } of its period.
+ */
+function archivePayPeriod(householdId, finalizedBy) {
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.PAY_PERIOD_ARCHIVE);
+    if (!sheet) {
+      sheet = setupPayPeriodArchiveSheet();
+    }
+
+    const schedule = getPayPeriodSchedule(householdId);
+    const currentPeriod = getPayPeriodForDate(new Date(), schedule);
+    const budgetData = readBudgetCategoriesData(householdId);
+    const expenses = readExpenseTrackerRows(householdId);
+    const templates = _readBudgetTemplateRows(householdId);
+    const col = PAY_PERIOD_ARCHIVE_COLUMNS;
+    const numColumns = Object.keys(col).length;
+    const ownerId = householdId || "";
+
+    // Index existing archive rows so a repeated finalize merges instead of duplicating
+    const lastRow = sheet.getLastRow();
+    const existingData = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, numColumns).getValues() : [];
+    const existingRows = {};
+    existingData.forEach((row, index) => {
+      const key = `${String(row[col.HOUSEHOLD_ID - 1] || "").trim()}|${row[col.PAY_PERIOD - 1]}|${row[col.CATEGORY - 1]}`;
+      existingRows[key] = { rowIndex: index + 2, values: row };
+    });
+
+    const now = new Date();
+    const newRows = [];
+    const periodIds = {};
+    const categoryTotals = {};
+
+    Object.values(budgetData.categoriesById).forEach(category => {
+      const window = _getFinalizeWindow(category.lastReset, currentPeriod, schedule);
+      const categoryExpenses = expenses.filter(expense =>
+        expense.category === category.name &&
+        countsTowardCategory(category.ownerEmail, expense.email) &&
+        expense.amount !== 0 &&
+        expense.date &&
+        expense.date >= window.windowStart &&
+        expense.date <= window.windowEnd
+      );
+
+      const spent = categoryExpenses.reduce((sum, expense) => sum + expense.amount, 0);
+      // Budget the closing period had under its own template, plus any rollover carried into it
+      const budget = getEffectiveBudget(
+        getScheduledPayPeriodBudget(category.name, category.flatPayPeriodBudget, findBudgetTemplateForPeriod(window.period, templates)),
+        category.rolloverAmount
+      );
+      const members = [...new Set(categoryExpenses.map(expense => expense.email).filter(Boolean))];
+      const key = `${ownerId}|${window.period.id}|${category.name}`;
+      periodIds[window.period.id] = true;
+
+      const existing = existingRows[key];
+      if (existing) {
+        const previousSpent = Number(existing.values[col.SPENT - 1]) || 0;
+        const previousCount = Number(existing.values[col.EXPENSE_COUNT - 1]) || 0;
+        const previousMembers = String(existing.values[col.MEMBERS - 1] || "").split(",").map(m => m.trim()).filter(Boolean);
+        const previousBudget = Number(existing.values[col.BUDGET - 1]) || 0;
+        const mergedSpent = previousSpent + spent;
+        const mergedMembers = [...new Set(previousMembers.concat(members))];
+        categoryTotals[category.name] = { periodId: window.period.id, budget: previousBudget, spent: mergedSpent };
+
+        sheet.getRange(existing.rowIndex, col.ARCHIVED_AT).setValue(now);
+        sheet.getRange(existing.rowIndex, col.BUDGET, 1, 6).setValues([[
+          previousBudget,
+          mergedSpent,
+          previousBudget - mergedSpent,
+          previousCount + categoryExpenses.length,
+          mergedMembers.join(", "),
+          finalizedBy || ""
+        ]]);
+        return;
+      }
+
+      categoryTotals[category.name] = { periodId: window.period.id, budget: budget, spent: spent };
+      newRows.push([
+        now,
+        ownerId,
+        window.period.id,
+        window.period.startDate,
+        parseDateYMD(window.period.endDate),
+        category.name,
+        budget,
+        spent,
+        budget - spent,
+        categoryExpenses.length,
+        members.join(", "),
+        finalizedBy || ""
+      ]);
+    });
+
+    if (newRows.length > 0) {
+      sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, numColumns).setValues(newRows);
+    }
+
+    const archivedIds = Object.keys(periodIds);
+    Logger.log(`Archived ${Object.keys(budgetData.categoriesById).length} categories for ${_getPayPeriodOwnerKey(householdId)} (${archivedIds.join(", ")})`);
+    return {
+      success: true,
+      message: `Archived ${Object.keys(budgetData.categoriesById).length} categories`,
+      archivedCount: Object.keys(budgetData.categoriesById).length,
+      periodIds: archivedIds,
+      categoryTotals: categoryTotals
+    };
+  } catch (error) {
+    Logger.log(`Error archiving pay period: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error archiving pay period: ${error.message}` };
+  }
+}
+
+/**
+ * Finalizes a household's pay period: archives a snapshot, resets the period budgets and
+ * awards budget points for the archived periods.
+ * @param {string|null} householdId The household ID.
+ * @param {string} finalizedBy Email of the user finalizing the period.
+ * @return {Object} Result object from resetPayPeriodBudgets() plus archivedPeriods and budgetPoints.
+ */
+function finalizePayPeriod(householdId, finalizedBy) {
+  const archiveResult = archivePayPeriod(householdId, finalizedBy);
+  if (!archiveResult.success) {
+    return archiveResult;
+  }
+
+  const result = resetPayPeriodBudgets(householdId, archiveResult.categoryTotals);
+  if (result.success) {
+    result.archivedPeriods = archiveResult.periodIds;
+    result.message = `${result.message}. Snapshot saved to history.`;
+
+    const points = awardBudgetPoints(householdId, archiveResult.periodIds, finalizedBy);
+    result.budgetPoints = points.activities;
+    if (points.message) result.message += ` ${points.message}`;
+  }
+  return result;
+}
+
+/**
+ * Reads a household's archived pay periods, newest first.
+ * @param {string|null} householdId The household ID.
+ * @return {Array<Object>} Periods { id, startDate, endDate, label, archivedAt, finalizedBy,
+ *   totalBudget, totalSpent, totalRemaining, expenseCount, categories: [...] } with date strings.
+ */
+function getPayPeriodArchive(householdId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.PAY_PERIOD_ARCHIVE);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const col = PAY_PERIOD_ARCHIVE_COLUMNS;
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, Object.keys(col).length).getValues();
+  const ownerId = householdId || "";
+  const periodsById = {};
+
+  data.forEach(row => {
+    if (String(row[col.HOUSEHOLD_ID - 1] || "").trim() !== ownerId) return;
+
+    const periodId = String(row[col.PAY_PERIOD - 1]);
+    const startDate = parseDateYMD(row[col.PERIOD_START - 1]);
+    const endDate = parseDateYMD(row[col.PERIOD_END - 1]);
+    const archivedAt = row[col.ARCHIVED_AT - 1] instanceof Date ? row[col.ARCHIVED_AT - 1] : null;
+
+    if (!periodsById[periodId]) {
+      periodsById[periodId] = {
+        id: periodId,
+        startDate: startDate ? formatDateYMD(startDate) : "",
+        endDate: endDate ? formatDateYMD(endDate) : "",
+        label: startDate && endDate ? serializePayPeriod({ id: periodId, startDate: startDate, endDate: endDate }).label : periodId,
+        archivedAt: null,
+        finalizedBy: "",
+        totalBudget: 0,
+        totalSpent: 0,
+        totalRemaining: 0,
+        expenseCount: 0,
+        categories: []
+      };
+    }
+
+    const period = periodsById[periodId];
+    const budget = Number(row[col.BUDGET - 1]) || 0;
+    const spent = Number(row[col.SPENT - 1]) || 0;
+    const expenseCount = Number(row[col.EXPENSE_COUNT - 1]) || 0;
+
+    period.categories.push({
+      name: String(row[col.CATEGORY - 1]),
+      budget: budget,
+      spent: spent,
+      remaining: budget - spent,
+      expenseCount: expenseCount,
+      members: String(row[col.MEMBERS - 1] || "").split(",").map(m => m.trim()).filter(Boolean)
+    });
+    period.totalBudget += budget;
+    period.totalSpent += spent;
+    period.totalRemaining += budget - spent;
+    period.expenseCount += expenseCount;
+
+    if (archivedAt && (!period.archivedAt || archivedAt > period.archivedAt)) {
+      period.archivedAt = archivedAt;
+      period.finalizedBy = String(row[col.FINALIZED_BY - 1] || "");
+    }
+  });
+
+  return Object.values(periodsById)
+    .sort((a, b) => b.startDate.localeCompare(a.startDate))
+    .map(period => ({
+      ...period,
+      archivedAt: period.archivedAt ? period.archivedAt.toISOString() : null
+    }));
+}
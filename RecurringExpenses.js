@@ -0,0 +1,310 @@
+// RecurringExpenses.gs
+/**
+ * Recurring expenses (subscriptions, utilities, insurance, ...).
+ * Items live in the Recurring Expenses sheet; a daily time-driven trigger posts every
+ * due occurrence through processExpenseEntry and advances the item's NextDue date.
+ */
+
+/**
+ * Computes the first occurrence of a recurring item strictly after a given date.
+ * Occurrences are counted from the start date so month-end items don't drift
+ * (a Jan 31 item is due Feb 29, then Mar 31).
+ * @param {Date} startDate The first due date.
+ * @param {string} cadence One of CONFIG.RECURRING_EXPENSE_SETTINGS.CADENCES.
+ * @param {Date} afterDate Occurrences on or before this date are skipped.
+ * @return {Date} The next due date (local midnight).
+ */
+function getNextRecurringDueDate(startDate, cadence, afterDate) {
+  const start = parseDateYMD(startDate);
+  const after = parseDateYMD(afterDate);
+  if (after < start) return start;
+
+  const monthSteps = { monthly: 1, quarterly: 3, yearly: 12 };
+  if (monthSteps[cadence]) {
+    const step = monthSteps[cadence];
+    let months = Math.floor(((after.getFullYear() - start.getFullYear()) * 12 + after.getMonth() - start.getMonth()) / step) * step;
+    let candidate;
+    do {
+      const daysInMonth = new Date(start.getFullYear(), start.getMonth() + months + 1, 0).getDate();
+      candidate = new Date(start.getFullYear(), start.getMonth() + months, Math.min(start.getDate(), daysInMonth));
+      months += step;
+    } while (candidate <= after);
+    return candidate;
+  }
+
+  const length = cadence === 'biweekly' ? 14 : 7;
+  const periods = Math.floor(daysBetween(start, after) / length) + 1;
+  return addDays(start, periods * length);
+}
+
+/**
+ * Reads Recurring Expenses rows, optionally limited to one owner.
+ * @param {string|null} householdId Household to filter by (null with no email returns every row).
+ * @param {string|null} email Owner email, used when the caller has no household.
+ * @return {Array<Object>} Items { rowIndex, id, amount, location, category, description, cadence,
+ *   startDate, nextDue, householdId, email, isActive, lastPosted } with Date values.
+ * @private
+ */
+function _readRecurringExpenseRows(householdId = null, email = null) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.RECURRING_EXPENSES);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const col = RECURRING_EXPENSE_COLUMNS;
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, Object.keys(col).length).getValues();
+  const items = [];
+
+  data.forEach((row, index) => {
+    const id = String(row[col.RECURRING_ID - 1] || "").trim();
+    if (!id) return;
+
+    const rowHouseholdId = row[col.HOUSEHOLD_ID - 1] ? String(row[col.HOUSEHOLD_ID - 1]).trim() : null;
+    const rowEmail = String(row[col.EMAIL - 1] || "").trim();
+    if (householdId && rowHouseholdId !== householdId) return;
+    if (!householdId && email && (rowHouseholdId || rowEmail.toLowerCase() !== email.toLowerCase())) return;
+
+    const isActiveValue = row[col.IS_ACTIVE - 1];
+    items.push({
+      rowIndex: index + 2,
+      id: id,
+      amount: Number(row[col.AMOUNT - 1]) || 0,
+      location: String(row[col.LOCATION - 1] || "").trim(),
+      category: String(row[col.CATEGORY - 1] || "").trim(),
+      description: String(row[col.DESCRIPTION - 1] || ""),
+      cadence: String(row[col.CADENCE - 1] || "").trim().toLowerCase(),
+      startDate: parseDateYMD(row[col.START_DATE - 1]),
+      nextDue: parseDateYMD(row[col.NEXT_DUE - 1]),
+      householdId: rowHouseholdId,
+      email: rowEmail,
+      isActive: isActiveValue === true || isActiveValue === "TRUE" || isActiveValue === "true",
+      lastPosted: row[col.LAST_POSTED - 1] instanceof Date ? formatDateYMD(row[col.LAST_POSTED - 1]) : String(row[col.LAST_POSTED - 1] || "")
+    });
+  });
+
+  return items;
+}
+
+/**
+ * Gets a household's recurring expenses in a client-safe form, soonest due first.
+ * @param {string|null} householdId The household ID.
+ * @param {string} email The current user's email (owner when there is no household).
+ * @return {Object} { items, monthlyTotal } where dates are yyyy-MM-dd strings.
+ */
+function readRecurringExpenses(householdId, email) {
+  const perMonth = { weekly: 52 / 12, biweekly: 26 / 12, monthly: 1, quarterly: 1 / 3, yearly: 1 / 12 };
+  const items = _readRecurringExpenseRows(householdId, householdId ? null : email)
+    .sort((a, b) => (a.nextDue || 0) - (b.nextDue || 0))
+    .map(item => ({
+      id: item.id,
+      amount: item.amount,
+      location: item.location,
+      category: item.category,
+      description: item.description,
+      cadence: item.cadence,
+      startDate: item.startDate ? formatDateYMD(item.startDate) : "",
+      nextDue: item.nextDue ? formatDateYMD(item.nextDue) : "",
+      email: item.email,
+      isActive: item.isActive,
+      lastPosted: item.lastPosted
+    }));
+
+  const monthlyTotal = items
+    .filter(item => item.isActive)
+    .reduce((sum, item) => sum + item.amount * (perMonth[item.cadence] || 0), 0);
+
+  return { items: items, monthlyTotal: Math.round(monthlyTotal * 100) / 100 };
+}
+
+/**
+ * Creates or updates a recurring expense.
+ * New items are first due on their start date, or the first occurrence after today if it has passed,
+ * so creating an item never back-posts old charges.
+ * @param {Object} item { id?, amount, location, category, description, cadence, startDate (yyyy-MM-dd), isActive }
+ * @param {string} email The saving user's email.
+ * @param {string|null} householdId The saving user's household ID.
+ * @return {Object} Result object { success, message, id }.
+ */
+function upsertRecurringExpense(item, email, householdId) {
+  if (!item || typeof item !== 'object') {
+    return { success: false, message: "Recurring expense data is missing." };
+  }
+
+  const amount = Number(item.amount);
+  const location = String(item.location || "").trim();
+  const category = String(item.category || "").trim();
+  const cadence = String(item.cadence || "").trim().toLowerCase();
+  const startDate = parseDateYMD(item.startDate);
+
+  if (!amount || isNaN(amount) || amount <= 0) return { success: false, message: "Invalid amount provided" };
+  if (!location) return { success: false, message: "Location is required" };
+  if (!category) return { success: false, message: "Category is required" };
+  if (!CONFIG.RECURRING_EXPENSE_SETTINGS.CADENCES.includes(cadence)) return { success: false, message: `Invalid cadence: ${item.cadence}` };
+  if (!startDate) return { success: false, message: "A valid start date is required" };
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "Recurring expenses are being updated. Please try again." };
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.RECURRING_EXPENSES);
+    if (!sheet) {
+      sheet = setupRecurringExpensesSheet();
+    }
+
+    const col = RECURRING_EXPENSE_COLUMNS;
+    const existing = item.id
+      ? _readRecurringExpenseRows(householdId, householdId ? null : email).find(row => row.id === item.id)
+      : null;
+    if (item.id && !existing) {
+      return { success: false, message: "Recurring expense not found for your household." };
+    }
+
+    // Due dates resume after the last posted occurrence, and never fall in the past
+    const yesterday = addDays(parseDateYMD(new Date()), -1);
+    const lastPosted = existing ? parseDateYMD(existing.lastPosted) : null;
+    const nextDue = getNextRecurringDueDate(startDate, cadence, lastPosted && lastPosted > yesterday ? lastPosted : yesterday);
+    const isActive = item.isActive === undefined ? true : Boolean(item.isActive);
+
+    const id = existing ? existing.id : `rec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const rowValues = [
+      id,
+      amount,
+      location,
+      category,
+      String(item.description || "").trim(),
+      cadence,
+      startDate,
+      nextDue,
+      householdId || "",
+      existing ? existing.email : email,
+      isActive,
+      existing ? existing.lastPosted : ""
+    ];
+
+    if (existing) {
+      sheet.getRange(existing.rowIndex, 1, 1, rowValues.length).setValues([rowValues]);
+    } else {
+      sheet.getRange(sheet.getLastRow() + 1, 1, 1, rowValues.length).setValues([rowValues]);
+    }
+
+    Logger.log(`${existing ? "Updated" : "Created"} recurring expense ${id}: $${amount} ${cadence} at ${location}, next due ${formatDateYMD(nextDue)}`);
+    return {
+      success: true,
+      message: `${location} ${existing ? "updated" : "added"}. Next charge ${formatDateYMD(nextDue)}.`,
+      id: id
+    };
+  } catch (error) {
+    Logger.log(`Error saving recurring expense: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error saving recurring expense: ${error.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Deletes a recurring expense. Expenses it already posted are left in the Expense Tracker.
+ * @param {string} id The RecurringID.
+ * @param {string} email The deleting user's email.
+ * @param {string|null} householdId The deleting user's household ID.
+ * @return {Object} Result object { success, message }.
+ */
+function removeRecurringExpense(id, email, householdId) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "Recurring expenses are being updated. Please try again." };
+  }
+
+  try {
+    const item = _readRecurringExpenseRows(householdId, householdId ? null : email).find(row => row.id === id);
+    if (!item) {
+      return { success: false, message: "Recurring expense not found for your household." };
+    }
+
+    SpreadsheetApp.getActiveSpreadsheet()
+      .getSheetByName(CONFIG.SHEET_NAMES.RECURRING_EXPENSES)
+      .deleteRow(item.rowIndex);
+
+    Logger.log(`Deleted recurring expense ${id} (${item.location}) for ${email}`);
+    return { success: true, message: `${item.location} removed from recurring expenses.` };
+  } catch (error) {
+    Logger.log(`Error deleting recurring expense: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error deleting recurring expense: ${error.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Trigger handler: posts every due recurring expense through processExpenseEntry.
+ * Each occurrence is claimed (LastPosted + NextDue written and flushed) before it is posted,
+ * so an overlapping or repeated run skips it instead of posting it twice. Missed occurrences
+ * are posted on their own due dates.
+ * @return {Object} Result object { success, message, posted }.
+ */
+function processRecurringExpenses() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    Logger.log("processRecurringExpenses: another run holds the lock. Skipping.");
+    return { success: false, message: "Another run is in progress", posted: 0 };
+  }
+
+  let posted = 0;
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.RECURRING_EXPENSES);
+    if (!sheet) {
+      return { success: true, message: "No Recurring Expenses sheet", posted: 0 };
+    }
+
+    const col = RECURRING_EXPENSE_COLUMNS;
+    const today = parseDateYMD(new Date());
+
+    _readRecurringExpenseRows().forEach(item => {
+      if (!item.isActive || !item.nextDue || !item.startDate) return;
+      if (!CONFIG.RECURRING_EXPENSE_SETTINGS.CADENCES.includes(item.cadence)) return;
+
+      let nextDue = item.nextDue;
+      let lastPosted = item.lastPosted;
+      let occurrences = 0;
+
+      while (nextDue <= today && occurrences < CONFIG.RECURRING_EXPENSE_SETTINGS.MAX_CATCH_UP) {
+        const dueYMD = formatDateYMD(nextDue);
+        const followingDue = getNextRecurringDueDate(item.startDate, item.cadence, nextDue);
+        const alreadyPosted = lastPosted === dueYMD;
+
+        // Claim the occurrence first
+        sheet.getRange(item.rowIndex, col.NEXT_DUE).setValue(followingDue);
+        sheet.getRange(item.rowIndex, col.LAST_POSTED).setValue(dueYMD);
+        SpreadsheetApp.flush();
+
+        if (!alreadyPosted) {
+          const description = `${item.description || item.location} (recurring, due ${dueYMD})`;
+          // Dated on the occurrence's due date so a missed one lands in its own pay period and month
+          const result = processExpenseEntry(item.amount, item.location, item.category, description, item.email, item.householdId,
+            "", "", "", nextDue);
+          if (!result.success) {
+            // Release the claim so the next run retries this occurrence
+            sheet.getRange(item.rowIndex, col.NEXT_DUE).setValue(nextDue);
+            sheet.getRange(item.rowIndex, col.LAST_POSTED).setValue(lastPosted);
+            Logger.log(`Failed to post recurring expense ${item.id} due ${dueYMD}: ${result.message}`);
+            break;
+          }
+          posted++;
+        }
+
+        lastPosted = dueYMD;
+        nextDue = followingDue;
+        occurrences++;
+      }
+    });
+
+    Logger.log(`processRecurringExpenses: posted ${posted} recurring expense(s).`);
+    return { success: true, message: `Posted ${posted} recurring expense(s)`, posted: posted };
+  } catch (error) {
+    Logger.log(`Error in processRecurringExpenses: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error posting recurring expenses: ${error.message}`, posted: posted };
+  } finally {
+    lock.releaseLock();
+  }
+}
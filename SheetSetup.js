@@ -295,6 +295,7 @@ function setupGoalsSheet() {
   const sheetName = CONFIG.SHEET_NAMES.GOALS;
   let sheet = ss.getSheetByName(sheetName);
   let createdNew = false;
+  const headers = [["GoalID", "GoalName", "GoalType", "TargetAmount", "CurrentAmount", "StartDate", "TargetDate", "Status", "HouseholdID", "LastUpdated", "APR", "MinPayment", "LinkedAccountID"]];
 
   if (!sheet) {
     sheet = ss.insertSheet(sheetName);
@@ -304,8 +305,7 @@ function setupGoalsSheet() {
     if (sheet.getMaxRows() < 1) sheet.insertRowAfter(0);
 
     // Add headers
-    const headers = [["GoalID", "GoalName", "GoalType", "TargetAmount", "CurrentAmount", "StartDate", "TargetDate", "Status", "HouseholdID", "LastUpdated"]];
-    sheet.getRange("A1:J1").setValues(headers)
+    sheet.getRange(1, 1, 1, headers[0].length).setValues(headers)
       .setFontWeight("bold")
       .setBackground(CONFIG.COLORS.HEADER_BG)
       .setFontColor(CONFIG.COLORS.HEADER_FG);
@@ -321,8 +321,25 @@ function setupGoalsSheet() {
     sheet.setColumnWidth(8, 100); // Status
     sheet.setColumnWidth(9, 200); // HouseholdID
     sheet.setColumnWidth(10, 150); // LastUpdated
+    sheet.setColumnWidth(11, 80);  // APR
+    sheet.setColumnWidth(12, 120); // MinPayment
+    sheet.setColumnWidth(13, 200); // LinkedAccountID
 
     Logger.log(`Created new ${sheetName} sheet.`);
+  } else {
+    // Sheets created before debt terms and linked accounts were added need those headers
+    if (sheet.getMaxColumns() < headers[0].length) {
+      sheet.insertColumnsAfter(sheet.getMaxColumns(), headers[0].length - sheet.getMaxColumns());
+    }
+    const existingHeaders = sheet.getRange(1, 1, 1, headers[0].length).getValues()[0];
+    headers[0].forEach((header, index) => {
+      if (String(existingHeaders[index]).trim() === header) return;
+      sheet.getRange(1, index + 1).setValue(header)
+        .setFontWeight("bold")
+        .setBackground(CONFIG.COLORS.HEADER_BG)
+        .setFontColor(CONFIG.COLORS.HEADER_FG);
+      Logger.log(`Added ${header} column to ${sheetName}.`);
+    });
   }
 
   // Apply formatting and validation (even if sheet exists)
@@ -335,6 +352,8 @@ function setupGoalsSheet() {
     // Currency formatting for amount columns
     sheet.getRange("D2:D").setNumberFormat("$#,##0.00"); // TargetAmount
     sheet.getRange("E2:E").setNumberFormat("$#,##0.00"); // CurrentAmount
+    sheet.getRange("K2:K").setNumberFormat("0.00\"%\""); // APR (annual percentage, e.g. 19.99)
+    sheet.getRange("L2:L").setNumberFormat("$#,##0.00"); // MinPayment
 
     // Data validation for GoalType column
     const goalTypeRange = sheet.getRange("C2:C");
@@ -374,6 +393,7 @@ function setupExpenseTrackerSheet() {
   const sheetName = CONFIG.SHEET_NAMES.EXPENSE_TRACKER;
   let sheet = ss.getSheetByName(sheetName);
   let createdNew = false;
+  const headers = [["Date", "Amount", "Location", "Category", "Description", "Email", "HouseholdID", "PayPeriod", "RefundOf", "TransactionID", "OriginalAmount", "Currency", "Tags"]];
 
   if (!sheet) {
     sheet = ss.insertSheet(sheetName);
@@ -383,8 +403,7 @@ function setupExpenseTrackerSheet() {
     if (sheet.getMaxRows() < 1) sheet.insertRowAfter(0);
 
     // Add headers
-    const headers = [["Date", "Amount", "Location", "Category", "Description", "Email", "HouseholdID", "PayPeriod"]];
-    sheet.getRange("A1:H1").setValues(headers)
+    sheet.getRange(1, 1, 1, headers[0].length).setValues(headers)
       .setFontWeight("bold")
       .setBackground(CONFIG.COLORS.HEADER_BG)
       .setFontColor(CONFIG.COLORS.HEADER_FG);
@@ -398,8 +417,27 @@ function setupExpenseTrackerSheet() {
     sheet.setColumnWidth(6, 200); // Email
     sheet.setColumnWidth(7, 200); // HouseholdID
     sheet.setColumnWidth(8, 120); // PayPeriod
+    sheet.setColumnWidth(9, 150); // RefundOf
+    sheet.setColumnWidth(10, 200); // TransactionID
+    sheet.setColumnWidth(11, 120); // OriginalAmount
+    sheet.setColumnWidth(12, 80);  // Currency
+    sheet.setColumnWidth(13, 200); // Tags
 
     Logger.log(`Created new ${sheetName} sheet.`);
+  } else {
+    // Sheets created before newer columns (RefundOf, TransactionID, ...) were added need their headers
+    if (sheet.getMaxColumns() < headers[0].length) {
+      sheet.insertColumnsAfter(sheet.getMaxColumns(), headers[0].length - sheet.getMaxColumns());
+    }
+    const existingHeaders = sheet.getRange(1, 1, 1, headers[0].length).getValues()[0];
+    headers[0].forEach((header, index) => {
+      if (String(existingHeaders[index]).trim() === header) return;
+      sheet.getRange(1, index + 1).setValue(header)
+        .setFontWeight("bold")
+        .setBackground(CONFIG.COLORS.HEADER_BG)
+        .setFontColor(CONFIG.COLORS.HEADER_FG);
+      Logger.log(`Added ${header} column to ${sheetName}.`);
+    });
   }
 
   // Apply formatting (even if sheet exists)
@@ -407,10 +445,11 @@ function setupExpenseTrackerSheet() {
     // Date formatting
     sheet.getRange("A2:A").setNumberFormat(CONFIG.DATE_FORMAT_SHORT);
     
-    // Currency formatting for Amount
+    // Currency formatting for Amount (always the home currency)
     sheet.getRange("B2:B").setNumberFormat("$#,##0.00");
+    sheet.getRange("K2:K").setNumberFormat("#,##0.00"); // OriginalAmount, in the row's Currency
     
-    // Conditional formatting for amounts (red for expenses)
+    // Conditional formatting for amounts (orange for expenses, green for refunds)
     const amountRange = sheet.getRange("B2:B");
     let rules = sheet.getConditionalFormatRules();
     rules = rules.filter(rule => rule.getRanges().every(range => range.getA1Notation() !== amountRange.getA1Notation()));
@@ -421,8 +460,18 @@ function setupExpenseTrackerSheet() {
       .setRanges([amountRange])
       .build();
 
-    rules.push(expenseRule);
+    const refundRule = SpreadsheetApp.newConditionalFormatRule()
+      .whenNumberLessThan(0)
+      .setBackground("#d9ead3") // Light green for refunds/returns
+      .setRanges([amountRange])
+      .build();
+
+    rules.push(expenseRule, refundRule);
     sheet.setConditionalFormatRules(rules);
+
+    // RefundOf holds a timestamp as text so Sheets doesn't reinterpret it
+    sheet.getRange("I2:I").setNumberFormat("@");
+    sheet.getRange("M2:M").setNumberFormat("@"); // Tags like "2025" stay text
   }
 
   if (createdNew) {
@@ -444,6 +493,7 @@ function setupBudgetCategoriesSheet() {
   const sheetName = CONFIG.SHEET_NAMES.BUDGET_CATEGORIES;
   let sheet = ss.getSheetByName(sheetName);
   let createdNew = false;
+  const headers = [["CategoryName", "MonthlyBudget", "CurrentSpent", "PayPeriodBudget", "PayPeriodSpent", "LastReset", "HouseholdID", "IsActive", "RolloverMode", "RolloverCap", "RolloverAmount", "AlertThresholds", "OwnerEmail", "ShareDetails", "ApprovalThreshold"]];
 
   if (!sheet) {
     sheet = ss.insertSheet(sheetName);
@@ -453,8 +503,7 @@ function setupBudgetCategoriesSheet() {
     if (sheet.getMaxRows() < 1) sheet.insertRowAfter(0);
 
     // Add headers
-    const headers = [["CategoryName", "MonthlyBudget", "CurrentSpent", "PayPeriodBudget", "PayPeriodSpent", "LastReset", "HouseholdID", "IsActive"]];
-    sheet.getRange("A1:H1").setValues(headers)
+    sheet.getRange(1, 1, 1, headers[0].length).setValues(headers)
       .setFontWeight("bold")
       .setBackground(CONFIG.COLORS.HEADER_BG)
       .setFontColor(CONFIG.COLORS.HEADER_FG);
@@ -468,11 +517,33 @@ function setupBudgetCategoriesSheet() {
     sheet.setColumnWidth(6, 120); // LastReset
     sheet.setColumnWidth(7, 200); // HouseholdID
     sheet.setColumnWidth(8, 80);  // IsActive
+    sheet.setColumnWidth(9, 110); // RolloverMode
+    sheet.setColumnWidth(10, 110); // RolloverCap
+    sheet.setColumnWidth(11, 120); // RolloverAmount
+    sheet.setColumnWidth(12, 130); // AlertThresholds
+    sheet.setColumnWidth(13, 200); // OwnerEmail
+    sheet.setColumnWidth(14, 100); // ShareDetails
+    sheet.setColumnWidth(15, 130); // ApprovalThreshold
 
     // Add default budget categories
     addDefaultBudgetCategories(sheet);
     
     Logger.log(`Created new ${sheetName} sheet.`);
+  } else {
+    // Sheets created before the rollover, alert, owner and approval columns were added need their headers
+    if (sheet.getMaxColumns() < headers[0].length) {
+      sheet.insertColumnsAfter(sheet.getMaxColumns(), headers[0].length - sheet.getMaxColumns());
+    }
+    const existingHeaders = sheet.getRange(1, 1, 1, headers[0].length).getValues()[0];
+    headers[0].forEach((header, index) => {
+      // Older sheets may call the first column "Category"
+      if (String(existingHeaders[index]).trim() === header || (index === 0 && existingHeaders[index])) return;
+      sheet.getRange(1, index + 1).setValue(header)
+        .setFontWeight("bold")
+        .setBackground(CONFIG.COLORS.HEADER_BG)
+        .setFontColor(CONFIG.COLORS.HEADER_FG);
+      Logger.log(`Added ${header} column to ${sheetName}.`);
+    });
   }
 
   // Apply formatting (even if sheet exists)
@@ -494,6 +565,26 @@ function setupBudgetCategoriesSheet() {
       .setHelpText("Select true or false")
       .build();
     activeRange.setDataValidation(activeRule);
+
+    // Rollover settings
+    const rolloverRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList(CONFIG.EXPENSE_SETTINGS.ROLLOVER_MODES, true)
+      .setAllowInvalid(false)
+      .setHelpText("What a finalized period carries into the next: " + CONFIG.EXPENSE_SETTINGS.ROLLOVER_MODES.join(", "))
+      .build();
+    sheet.getRange("I2:I").setDataValidation(rolloverRule);
+    sheet.getRange("J2:J").setNumberFormat("$#,##0.00"); // RolloverCap
+    sheet.getRange("K2:K").setNumberFormat("$#,##0.00"); // RolloverAmount
+    sheet.getRange("L2:L").setNumberFormat("@"); // AlertThresholds, kept as text so "50, 80" isn't parsed
+
+    // ShareDetails only matters for personal (OwnerEmail) categories
+    const shareRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList([true, false], true)
+      .setAllowInvalid(true) // Blank means not shared
+      .setHelpText("true lets other members see the owner's itemized expenses")
+      .build();
+    sheet.getRange("N2:N").setDataValidation(shareRule);
+    sheet.getRange("O2:O").setNumberFormat("$#,##0.00"); // ApprovalThreshold
   }
 
   if (createdNew) {
@@ -506,18 +597,23 @@ function setupBudgetCategoriesSheet() {
 }
 
 /**
- * Adds default budget categories to the Budget Categories sheet.
+ * Adds default budget categories for one household to the Budget Categories sheet.
+ * Nothing is added when the household already has categories.
  * @param {Sheet} sheet The Budget Categories sheet object.
+ * @param {string|null} householdId The household that gets the categories (null for users without one).
+ * @return {number} The number of categories added.
  */
-function addDefaultBudgetCategories(sheet) {
+function addDefaultBudgetCategories(sheet, householdId = null) {
   if (!sheet) {
     Logger.log("Sheet object not provided to addDefaultBudgetCategories.");
-    return;
+    return 0;
   }
   
-  if (sheet.getLastRow() > 1) {
-    Logger.log("Default budget categories not added because Budget Categories sheet already contains data.");
-    return;
+  const lastRow = sheet.getLastRow();
+  const ownerIds = lastRow > 1 ? sheet.getRange(2, BUDGET_CATEGORY_COLUMNS.HOUSEHOLD_ID, lastRow - 1, 1).getValues() : [];
+  if (ownerIds.some(row => (String(row[0] || "").trim() || null) === (householdId || null))) {
+    Logger.log(`Default budget categories not added because ${householdId || 'the default owner'} already has categories.`);
+    return 0;
   }
   
   const defaultCategories = CONFIG.EXPENSE_SETTINGS.DEFAULT_BUDGET_CATEGORIES.map(category => [
@@ -527,14 +623,22 @@ function addDefaultBudgetCategories(sheet) {
     250,          // PayPeriodBudget (default $250)
     0,            // PayPeriodSpent
     new Date(),   // LastReset
-    null,         // HouseholdID (will be set when households use it)
-    true          // IsActive
+    householdId || "", // HouseholdID (blank for users without a household)
+    true,         // IsActive
+    "none",       // RolloverMode
+    "",           // RolloverCap
+    0,            // RolloverAmount
+    "",           // AlertThresholds (blank uses CONFIG.EXPENSE_SETTINGS.DEFAULT_ALERT_THRESHOLDS)
+    "",           // OwnerEmail (household-wide)
+    false,        // ShareDetails
+    ""            // ApprovalThreshold (blank uses the household threshold)
   ]);
   
   if (defaultCategories.length > 0) {
-    sheet.getRange(2, 1, defaultCategories.length, 8).setValues(defaultCategories);
-    Logger.log(`Added ${defaultCategories.length} default budget categories.`);
+    sheet.getRange(lastRow + 1, 1, defaultCategories.length, defaultCategories[0].length).setValues(defaultCategories);
+    Logger.log(`Added ${defaultCategories.length} default budget categories for ${householdId || 'the default owner'}.`);
   }
+  return defaultCategories.length;
 }
 
 /**
@@ -547,6 +651,7 @@ function setupLocationMappingSheet() {
   const sheetName = CONFIG.SHEET_NAMES.LOCATION_MAPPING;
   let sheet = ss.getSheetByName(sheetName);
   let createdNew = false;
+  const headers = [["LocationName", "DefaultCategory", "UsageCount", "LastUsed", "HouseholdID", "IsActive", "Aliases"]];
 
   if (!sheet) {
     sheet = ss.insertSheet(sheetName);
@@ -556,8 +661,7 @@ function setupLocationMappingSheet() {
     if (sheet.getMaxRows() < 1) sheet.insertRowAfter(0);
 
     // Add headers
-    const headers = [["LocationName", "DefaultCategory", "UsageCount", "LastUsed", "HouseholdID", "IsActive"]];
-    sheet.getRange("A1:F1").setValues(headers)
+    sheet.getRange(1, 1, 1, headers[0].length).setValues(headers)
       .setFontWeight("bold")
       .setBackground(CONFIG.COLORS.HEADER_BG)
       .setFontColor(CONFIG.COLORS.HEADER_FG);
@@ -569,11 +673,23 @@ function setupLocationMappingSheet() {
     sheet.setColumnWidth(4, 120); // LastUsed
     sheet.setColumnWidth(5, 200); // HouseholdID
     sheet.setColumnWidth(6, 80);  // IsActive
+    sheet.setColumnWidth(7, 250); // Aliases
 
     // Add some common location mappings
     addDefaultLocationMappings(sheet);
     
     Logger.log(`Created new ${sheetName} sheet.`);
+  } else if (sheet.getMaxColumns() < headers[0].length || String(sheet.getRange(1, LOCATION_MAPPING_COLUMNS.ALIASES).getValue()).trim() !== "Aliases") {
+    // Sheets created before aliases were added need the column
+    if (sheet.getMaxColumns() < headers[0].length) {
+      sheet.insertColumnsAfter(sheet.getMaxColumns(), headers[0].length - sheet.getMaxColumns());
+    }
+    sheet.getRange(1, LOCATION_MAPPING_COLUMNS.ALIASES).setValue("Aliases")
+      .setFontWeight("bold")
+      .setBackground(CONFIG.COLORS.HEADER_BG)
+      .setFontColor(CONFIG.COLORS.HEADER_FG);
+    sheet.setColumnWidth(LOCATION_MAPPING_COLUMNS.ALIASES, 250);
+    Logger.log(`Added Aliases column to ${sheetName}.`);
   }
 
   // Apply formatting (even if sheet exists)
@@ -638,4 +754,642 @@ function addDefaultLocationMappings(sheet) {
     sheet.getRange(2, 1, defaultMappings.length, 6).setValues(defaultMappings);
     Logger.log(`Added ${defaultMappings.length} default location mappings.`);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Sets up the Pay Period Archive sheet with correct headers and formatting.
+ * Creates the sheet if it doesn't exist. One row is written per category each time a period is finalized.
+ * @return {Sheet} The Pay Period Archive sheet object
+ */
+function setupPayPeriodArchiveSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = CONFIG.SHEET_NAMES.PAY_PERIOD_ARCHIVE;
+  let sheet = ss.getSheetByName(sheetName);
+  let createdNew = false;
+
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    createdNew = true;
+
+    // Ensure row 1 exists
+    if (sheet.getMaxRows() < 1) sheet.insertRowAfter(0);
+
+    // Add headers
+    const headers = [["ArchivedAt", "HouseholdID", "PayPeriod", "PeriodStart", "PeriodEnd", "Category", "Budget", "Spent", "Remaining", "ExpenseCount", "Members", "FinalizedBy"]];
+    sheet.getRange("A1:L1").setValues(headers)
+      .setFontWeight("bold")
+      .setBackground(CONFIG.COLORS.HEADER_BG)
+      .setFontColor(CONFIG.COLORS.HEADER_FG);
+
+    // Set column widths
+    sheet.setColumnWidth(1, 150); // ArchivedAt
+    sheet.setColumnWidth(2, 200); // HouseholdID
+    sheet.setColumnWidth(3, 130); // PayPeriod
+    sheet.setColumnWidth(4, 100); // PeriodStart
+    sheet.setColumnWidth(5, 100); // PeriodEnd
+    sheet.setColumnWidth(6, 150); // Category
+    sheet.setColumnWidth(7, 100); // Budget
+    sheet.setColumnWidth(8, 100); // Spent
+    sheet.setColumnWidth(9, 100); // Remaining
+    sheet.setColumnWidth(10, 100); // ExpenseCount
+    sheet.setColumnWidth(11, 250); // Members
+    sheet.setColumnWidth(12, 200); // FinalizedBy
+
+    Logger.log(`Created new ${sheetName} sheet.`);
+  }
+
+  // Apply formatting (even if sheet exists)
+  if (sheet.getMaxRows() > 1) {
+    sheet.getRange("A2:A").setNumberFormat(CONFIG.DATE_FORMAT_SHORT + " HH:mm");
+    sheet.getRange("D2:E").setNumberFormat(CONFIG.DATE_FORMAT_SHORT);
+    sheet.getRange("G2:I").setNumberFormat("$#,##0.00");
+    sheet.getRange("J2:J").setNumberFormat("0");
+  }
+
+  if (createdNew) {
+    Logger.log(`Pay Period Archive sheet created and set up.`);
+  } else {
+    Logger.log(`Pay Period Archive sheet formatting updated.`);
+  }
+
+  return sheet;
+}
+
+/**
+ * Sets up the Recurring Expenses sheet with correct headers and formatting.
+ * Creates the sheet if it doesn't exist.
+ * @return {Sheet} The Recurring Expenses sheet object
+ */
+function setupRecurringExpensesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = CONFIG.SHEET_NAMES.RECURRING_EXPENSES;
+  let sheet = ss.getSheetByName(sheetName);
+  let createdNew = false;
+
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    createdNew = true;
+
+    // Ensure row 1 exists
+    if (sheet.getMaxRows() < 1) sheet.insertRowAfter(0);
+
+    // Add headers
+    const headers = [["RecurringID", "Amount", "Location", "Category", "Description", "Cadence", "StartDate", "NextDue", "HouseholdID", "Email", "IsActive", "LastPosted"]];
+    sheet.getRange("A1:L1").setValues(headers)
+      .setFontWeight("bold")
+      .setBackground(CONFIG.COLORS.HEADER_BG)
+      .setFontColor(CONFIG.COLORS.HEADER_FG);
+
+    // Set column widths
+    sheet.setColumnWidth(1, 200); // RecurringID
+    sheet.setColumnWidth(2, 100); // Amount
+    sheet.setColumnWidth(3, 200); // Location
+    sheet.setColumnWidth(4, 150); // Category
+    sheet.setColumnWidth(5, 250); // Description
+    sheet.setColumnWidth(6, 100); // Cadence
+    sheet.setColumnWidth(7, 100); // StartDate
+    sheet.setColumnWidth(8, 100); // NextDue
+    sheet.setColumnWidth(9, 200); // HouseholdID
+    sheet.setColumnWidth(10, 200); // Email
+    sheet.setColumnWidth(11, 80); // IsActive
+    sheet.setColumnWidth(12, 100); // LastPosted
+
+    Logger.log(`Created new ${sheetName} sheet.`);
+  }
+
+  // Apply formatting (even if sheet exists)
+  if (sheet.getMaxRows() > 1) {
+    sheet.getRange("B2:B").setNumberFormat("$#,##0.00");
+    sheet.getRange("G2:H").setNumberFormat(CONFIG.DATE_FORMAT_SHORT);
+    sheet.getRange("L2:L").setNumberFormat("@"); // Stored as yyyy-MM-dd text
+
+    // Cadence dropdown
+    const cadenceRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList(CONFIG.RECURRING_EXPENSE_SETTINGS.CADENCES, true)
+      .setAllowInvalid(false)
+      .build();
+    sheet.getRange("F2:F").setDataValidation(cadenceRule);
+
+    // Data validation for IsActive column
+    const activeRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList([true, false], true)
+      .setAllowInvalid(false)
+      .setHelpText("Select true or false")
+      .build();
+    sheet.getRange("K2:K").setDataValidation(activeRule);
+  }
+
+  if (createdNew) {
+    Logger.log(`Recurring Expenses sheet created and set up.`);
+  } else {
+    Logger.log(`Recurring Expenses sheet formatting updated.`);
+  }
+
+  return sheet;
+}
+
+/**
+ * Sets up the Exchange Rates sheet (dated rates admins maintain by hand).
+ * @return {Sheet} The Exchange Rates sheet object
+ */
+function setupExchangeRatesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = CONFIG.SHEET_NAMES.EXCHANGE_RATES;
+  let sheet = ss.getSheetByName(sheetName);
+  let createdNew = false;
+
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    createdNew = true;
+
+    // Ensure row 1 exists
+    if (sheet.getMaxRows() < 1) sheet.insertRowAfter(0);
+
+    // Add headers
+    const headers = [["Date", "Currency", "Rate", "Notes"]];
+    sheet.getRange("A1:D1").setValues(headers)
+      .setFontWeight("bold")
+      .setBackground(CONFIG.COLORS.HEADER_BG)
+      .setFontColor(CONFIG.COLORS.HEADER_FG);
+
+    // Set column widths
+    sheet.setColumnWidth(1, 100); // Date
+    sheet.setColumnWidth(2, 80);  // Currency
+    sheet.setColumnWidth(3, 100); // Rate
+    sheet.setColumnWidth(4, 250); // Notes
+
+    Logger.log(`Created new ${sheetName} sheet.`);
+  }
+
+  // Apply formatting (even if sheet exists)
+  if (sheet.getMaxRows() > 1) {
+    sheet.getRange("A2:A").setNumberFormat(CONFIG.DATE_FORMAT_SHORT);
+    sheet.getRange("C2:C").setNumberFormat("0.000000");
+
+    // Only currencies the Expense Tracker offers (the home currency never needs a rate)
+    const foreignCurrencies = CONFIG.CURRENCY_SETTINGS.SUPPORTED_CURRENCIES
+      .filter(code => code !== CONFIG.CURRENCY_SETTINGS.HOME_CURRENCY);
+    const currencyRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList(foreignCurrencies, true)
+      .setAllowInvalid(false)
+      .setHelpText(`Currency code. Rate is ${CONFIG.CURRENCY_SETTINGS.HOME_CURRENCY} per 1 unit of it.`)
+      .build();
+    sheet.getRange("B2:B").setDataValidation(currencyRule);
+  }
+
+  if (createdNew) {
+    Logger.log(`Exchange Rates sheet created and set up.`);
+  } else {
+    Logger.log(`Exchange Rates sheet formatting updated.`);
+  }
+
+  return sheet;
+}
+
+/**
+ * Sets up the Categorization Rules sheet (ordered rules that pick a category from an expense's details).
+ * @return {Sheet} The Categorization Rules sheet object
+ */
+function setupCategorizationRulesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = CONFIG.SHEET_NAMES.CATEGORIZATION_RULES;
+  let sheet = ss.getSheetByName(sheetName);
+  let createdNew = false;
+
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    createdNew = true;
+
+    // Ensure row 1 exists
+    if (sheet.getMaxRows() < 1) sheet.insertRowAfter(0);
+
+    // Add headers
+    const headers = [["RuleID", "Priority", "Name", "Location", "DescriptionKeywords", "MinAmount", "MaxAmount", "DaysOfWeek", "Member", "Category", "Tags", "HouseholdID", "IsActive"]];
+    sheet.getRange("A1:M1").setValues(headers)
+      .setFontWeight("bold")
+      .setBackground(CONFIG.COLORS.HEADER_BG)
+      .setFontColor(CONFIG.COLORS.HEADER_FG);
+
+    // Set column widths
+    sheet.setColumnWidth(1, 200); // RuleID
+    sheet.setColumnWidth(2, 70);  // Priority
+    sheet.setColumnWidth(3, 180); // Name
+    sheet.setColumnWidth(4, 150); // Location
+    sheet.setColumnWidth(5, 200); // DescriptionKeywords
+    sheet.setColumnWidth(6, 90);  // MinAmount
+    sheet.setColumnWidth(7, 90);  // MaxAmount
+    sheet.setColumnWidth(8, 110); // DaysOfWeek
+    sheet.setColumnWidth(9, 200); // Member
+    sheet.setColumnWidth(10, 150); // Category
+    sheet.setColumnWidth(11, 150); // Tags
+    sheet.setColumnWidth(12, 200); // HouseholdID
+    sheet.setColumnWidth(13, 80);  // IsActive
+
+    Logger.log(`Created new ${sheetName} sheet.`);
+  }
+
+  // Apply formatting (even if sheet exists)
+  if (sheet.getMaxRows() > 1) {
+    sheet.getRange("B2:B").setNumberFormat("0");
+    sheet.getRange("F2:G").setNumberFormat("$#,##0.00");
+    sheet.getRange("H2:H").setNumberFormat("@"); // "Sat, Sun" stays text
+
+    // Data validation for IsActive column
+    const activeRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList([true, false], true)
+      .setAllowInvalid(false)
+      .setHelpText("Select true or false")
+      .build();
+    sheet.getRange("M2:M").setDataValidation(activeRule);
+  }
+
+  if (createdNew) {
+    Logger.log(`Categorization Rules sheet created and set up.`);
+  } else {
+    Logger.log(`Categorization Rules sheet formatting updated.`);
+  }
+
+  return sheet;
+}
+
+/**
+ * Sets up the Budget Templates sheet (seasonal per-category budgets scheduled by month or date range).
+ * @return {Sheet} The Budget Templates sheet object
+ */
+function setupBudgetTemplatesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = CONFIG.SHEET_NAMES.BUDGET_TEMPLATES;
+  let sheet = ss.getSheetByName(sheetName);
+  let createdNew = false;
+
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    createdNew = true;
+
+    // Ensure row 1 exists
+    if (sheet.getMaxRows() < 1) sheet.insertRowAfter(0);
+
+    // Add headers
+    const headers = [["TemplateID", "Name", "Months", "StartDate", "EndDate", "Amounts", "HouseholdID", "IsActive"]];
+    sheet.getRange("A1:H1").setValues(headers)
+      .setFontWeight("bold")
+      .setBackground(CONFIG.COLORS.HEADER_BG)
+      .setFontColor(CONFIG.COLORS.HEADER_FG);
+
+    // Set column widths
+    sheet.setColumnWidth(1, 200); // TemplateID
+    sheet.setColumnWidth(2, 180); // Name
+    sheet.setColumnWidth(3, 110); // Months
+    sheet.setColumnWidth(4, 100); // StartDate
+    sheet.setColumnWidth(5, 100); // EndDate
+    sheet.setColumnWidth(6, 400); // Amounts
+    sheet.setColumnWidth(7, 200); // HouseholdID
+    sheet.setColumnWidth(8, 80);  // IsActive
+
+    Logger.log(`Created new ${sheetName} sheet.`);
+  }
+
+  // Apply formatting (even if sheet exists)
+  if (sheet.getMaxRows() > 1) {
+    sheet.getRange("C2:C").setNumberFormat("@"); // "6-8" stays text
+    sheet.getRange("D2:E").setNumberFormat(CONFIG.DATE_FORMAT_SHORT);
+    sheet.getRange("F2:F").setNumberFormat("@"); // JSON text
+
+    // Data validation for IsActive column
+    const activeRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList([true, false], true)
+      .setAllowInvalid(false)
+      .setHelpText("Select true or false")
+      .build();
+    sheet.getRange("H2:H").setDataValidation(activeRule);
+  }
+
+  if (createdNew) {
+    Logger.log(`Budget Templates sheet created and set up.`);
+  } else {
+    Logger.log(`Budget Templates sheet formatting updated.`);
+  }
+
+  return sheet;
+}
+
+/**
+ * Sets up the Income Ledger sheet (paychecks and other income, with how each was allocated).
+ * @return {Sheet} The Income Ledger sheet object
+ */
+function setupIncomeLedgerSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = CONFIG.SHEET_NAMES.INCOME_LEDGER;
+  let sheet = ss.getSheetByName(sheetName);
+  let createdNew = false;
+
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    createdNew = true;
+
+    // Ensure row 1 exists
+    if (sheet.getMaxRows() < 1) sheet.insertRowAfter(0);
+
+    // Add headers
+    const headers = [["IncomeID", "Date", "Amount", "Source", "Description", "Email", "HouseholdID", "PayPeriod", "Allocated", "Allocations"]];
+    sheet.getRange("A1:J1").setValues(headers)
+      .setFontWeight("bold")
+      .setBackground(CONFIG.COLORS.HEADER_BG)
+      .setFontColor(CONFIG.COLORS.HEADER_FG);
+
+    // Set column widths
+    sheet.setColumnWidth(1, 200); // IncomeID
+    sheet.setColumnWidth(2, 100); // Date
+    sheet.setColumnWidth(3, 100); // Amount
+    sheet.setColumnWidth(4, 150); // Source
+    sheet.setColumnWidth(5, 250); // Description
+    sheet.setColumnWidth(6, 200); // Email
+    sheet.setColumnWidth(7, 200); // HouseholdID
+    sheet.setColumnWidth(8, 120); // PayPeriod
+    sheet.setColumnWidth(9, 100); // Allocated
+    sheet.setColumnWidth(10, 400); // Allocations
+
+    Logger.log(`Created new ${sheetName} sheet.`);
+  }
+
+  // Apply formatting (even if sheet exists)
+  if (sheet.getMaxRows() > 1) {
+    sheet.getRange("B2:B").setNumberFormat(CONFIG.DATE_FORMAT_SHORT);
+    sheet.getRange("C2:C").setNumberFormat("$#,##0.00"); // Amount
+    sheet.getRange("I2:I").setNumberFormat("$#,##0.00"); // Allocated
+    sheet.getRange("J2:J").setNumberFormat("@"); // JSON text
+  }
+
+  if (createdNew) {
+    Logger.log(`Income Ledger sheet created and set up.`);
+  } else {
+    Logger.log(`Income Ledger sheet formatting updated.`);
+  }
+
+  return sheet;
+}
+
+/**
+ * Sets up the Expense Approvals sheet (large purchases waiting on, or decided by, another household member).
+ * @return {Sheet} The Expense Approvals sheet object
+ */
+function setupExpenseApprovalsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = CONFIG.SHEET_NAMES.EXPENSE_APPROVALS;
+  let sheet = ss.getSheetByName(sheetName);
+  let createdNew = false;
+
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    createdNew = true;
+
+    // Ensure row 1 exists
+    if (sheet.getMaxRows() < 1) sheet.insertRowAfter(0);
+
+    // Add headers
+    const headers = [["RequestID", "SubmittedAt", "Amount", "Currency", "HomeAmount", "Location", "Category", "SplitLines",
+      "Description", "Tags", "Email", "HouseholdID", "Status", "DecidedBy", "DecidedAt", "Note"]];
+    sheet.getRange("A1:P1").setValues(headers)
+      .setFontWeight("bold")
+      .setBackground(CONFIG.COLORS.HEADER_BG)
+      .setFontColor(CONFIG.COLORS.HEADER_FG);
+
+    // Set column widths
+    sheet.setColumnWidth(1, 200); // RequestID
+    sheet.setColumnWidth(2, 150); // SubmittedAt
+    sheet.setColumnWidth(3, 100); // Amount
+    sheet.setColumnWidth(4, 80);  // Currency
+    sheet.setColumnWidth(5, 100); // HomeAmount
+    sheet.setColumnWidth(6, 200); // Location
+    sheet.setColumnWidth(7, 150); // Category
+    sheet.setColumnWidth(8, 250); // SplitLines
+    sheet.setColumnWidth(9, 250); // Description
+    sheet.setColumnWidth(10, 150); // Tags
+    sheet.setColumnWidth(11, 200); // Email
+    sheet.setColumnWidth(12, 200); // HouseholdID
+    sheet.setColumnWidth(13, 90);  // Status
+    sheet.setColumnWidth(14, 200); // DecidedBy
+    sheet.setColumnWidth(15, 150); // DecidedAt
+    sheet.setColumnWidth(16, 300); // Note
+
+    Logger.log(`Created new ${sheetName} sheet.`);
+  }
+
+  // Apply formatting (even if sheet exists)
+  if (sheet.getMaxRows() > 1) {
+    sheet.getRange("B2:B").setNumberFormat(CONFIG.DATE_FORMAT_SHORT + " HH:mm");
+    sheet.getRange("E2:E").setNumberFormat("$#,##0.00");
+    sheet.getRange("H2:H").setNumberFormat("@"); // JSON text
+    sheet.getRange("O2:O").setNumberFormat(CONFIG.DATE_FORMAT_SHORT + " HH:mm");
+
+    // Data validation for Status column
+    const statusRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList(CONFIG.EXPENSE_APPROVAL_SETTINGS.STATUSES, true)
+      .setAllowInvalid(false)
+      .setHelpText("One of: " + CONFIG.EXPENSE_APPROVAL_SETTINGS.STATUSES.join(", "))
+      .build();
+    sheet.getRange("M2:M").setDataValidation(statusRule);
+  }
+
+  if (createdNew) {
+    Logger.log(`Expense Approvals sheet created and set up.`);
+  } else {
+    Logger.log(`Expense Approvals sheet formatting updated.`);
+  }
+
+  return sheet;
+}
+
+/**
+ * Sets up the Bills sheet (payees with a due-day rule, used by the bill calendar and reminders).
+ * @return {Sheet} The Bills sheet object
+ */
+function setupBillsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = CONFIG.SHEET_NAMES.BILLS;
+  let sheet = ss.getSheetByName(sheetName);
+  let createdNew = false;
+
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    createdNew = true;
+
+    // Ensure row 1 exists
+    if (sheet.getMaxRows() < 1) sheet.insertRowAfter(0);
+
+    // Add headers
+    const headers = [["BillID", "Payee", "Amount", "IsEstimate", "Cadence", "FirstDue", "NextDue", "Autopay", "Category",
+      "HouseholdID", "Email", "IsActive", "LastPaid", "RemindDays", "LastReminded"]];
+    sheet.getRange("A1:O1").setValues(headers)
+      .setFontWeight("bold")
+      .setBackground(CONFIG.COLORS.HEADER_BG)
+      .setFontColor(CONFIG.COLORS.HEADER_FG);
+
+    // Set column widths
+    sheet.setColumnWidth(1, 200); // BillID
+    sheet.setColumnWidth(2, 200); // Payee
+    sheet.setColumnWidth(3, 100); // Amount
+    sheet.setColumnWidth(4, 90);  // IsEstimate
+    sheet.setColumnWidth(5, 100); // Cadence
+    sheet.setColumnWidth(6, 100); // FirstDue
+    sheet.setColumnWidth(7, 100); // NextDue
+    sheet.setColumnWidth(8, 80);  // Autopay
+    sheet.setColumnWidth(9, 150); // Category
+    sheet.setColumnWidth(10, 200); // HouseholdID
+    sheet.setColumnWidth(11, 200); // Email
+    sheet.setColumnWidth(12, 80); // IsActive
+    sheet.setColumnWidth(13, 100); // LastPaid
+    sheet.setColumnWidth(14, 100); // RemindDays
+    sheet.setColumnWidth(15, 110); // LastReminded
+
+    Logger.log(`Created new ${sheetName} sheet.`);
+  }
+
+  // Apply formatting (even if sheet exists)
+  if (sheet.getMaxRows() > 1) {
+    sheet.getRange("C2:C").setNumberFormat("$#,##0.00");
+    sheet.getRange("F2:G").setNumberFormat(CONFIG.DATE_FORMAT_SHORT);
+    sheet.getRange("M2:M").setNumberFormat("@"); // Stored as yyyy-MM-dd text
+    sheet.getRange("O2:O").setNumberFormat("@"); // Stored as yyyy-MM-dd text
+
+    // Cadence dropdown
+    const cadenceRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList(CONFIG.BILL_SETTINGS.CADENCES, true)
+      .setAllowInvalid(false)
+      .build();
+    sheet.getRange("E2:E").setDataValidation(cadenceRule);
+
+    // Data validation for the IsEstimate, Autopay and IsActive columns
+    const booleanRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList([true, false], true)
+      .setAllowInvalid(false)
+      .setHelpText("Select true or false")
+      .build();
+    sheet.getRange("D2:D").setDataValidation(booleanRule);
+    sheet.getRange("H2:H").setDataValidation(booleanRule);
+    sheet.getRange("L2:L").setDataValidation(booleanRule);
+  }
+
+  if (createdNew) {
+    Logger.log(`Bills sheet created and set up.`);
+  } else {
+    Logger.log(`Bills sheet formatting updated.`);
+  }
+
+  return sheet;
+}
+
+/**
+ * Sets up the Accounts sheet (bank, retirement, credit card and loan accounts for the net worth tracker).
+ * @return {Sheet} The Accounts sheet object
+ */
+function setupAccountsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = CONFIG.SHEET_NAMES.ACCOUNTS;
+  let sheet = ss.getSheetByName(sheetName);
+  let createdNew = false;
+
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    createdNew = true;
+
+    // Ensure row 1 exists
+    if (sheet.getMaxRows() < 1) sheet.insertRowAfter(0);
+
+    // Add headers
+    const headers = [["AccountID", "Name", "Type", "HouseholdID", "IsActive", "CreatedBy"]];
+    sheet.getRange("A1:F1").setValues(headers)
+      .setFontWeight("bold")
+      .setBackground(CONFIG.COLORS.HEADER_BG)
+      .setFontColor(CONFIG.COLORS.HEADER_FG);
+
+    // Set column widths
+    sheet.setColumnWidth(1, 200); // AccountID
+    sheet.setColumnWidth(2, 200); // Name
+    sheet.setColumnWidth(3, 110); // Type
+    sheet.setColumnWidth(4, 200); // HouseholdID
+    sheet.setColumnWidth(5, 80);  // IsActive
+    sheet.setColumnWidth(6, 200); // CreatedBy
+
+    Logger.log(`Created new ${sheetName} sheet.`);
+  }
+
+  // Apply formatting (even if sheet exists)
+  if (sheet.getMaxRows() > 1) {
+    // Account type dropdown
+    const typeRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList(CONFIG.NET_WORTH_SETTINGS.ACCOUNT_TYPES, true)
+      .setAllowInvalid(false)
+      .setHelpText("One of: " + CONFIG.NET_WORTH_SETTINGS.ACCOUNT_TYPES.join(", "))
+      .build();
+    sheet.getRange("C2:C").setDataValidation(typeRule);
+
+    // Data validation for IsActive column
+    const activeRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList([true, false], true)
+      .setAllowInvalid(false)
+      .setHelpText("Select true or false")
+      .build();
+    sheet.getRange("E2:E").setDataValidation(activeRule);
+  }
+
+  if (createdNew) {
+    Logger.log(`Accounts sheet created and set up.`);
+  } else {
+    Logger.log(`Accounts sheet formatting updated.`);
+  }
+
+  return sheet;
+}
+
+/**
+ * Sets up the Balance Snapshots sheet (dated account balances recorded by household members).
+ * @return {Sheet} The Balance Snapshots sheet object
+ */
+function setupBalanceSnapshotsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = CONFIG.SHEET_NAMES.BALANCE_SNAPSHOTS;
+  let sheet = ss.getSheetByName(sheetName);
+  let createdNew = false;
+
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    createdNew = true;
+
+    // Ensure row 1 exists
+    if (sheet.getMaxRows() < 1) sheet.insertRowAfter(0);
+
+    // Add headers
+    const headers = [["SnapshotID", "Date", "AccountID", "Balance", "HouseholdID", "Email", "RecordedAt"]];
+    sheet.getRange("A1:G1").setValues(headers)
+      .setFontWeight("bold")
+      .setBackground(CONFIG.COLORS.HEADER_BG)
+      .setFontColor(CONFIG.COLORS.HEADER_FG);
+
+    // Set column widths
+    sheet.setColumnWidth(1, 200); // SnapshotID
+    sheet.setColumnWidth(2, 100); // Date
+    sheet.setColumnWidth(3, 200); // AccountID
+    sheet.setColumnWidth(4, 120); // Balance
+    sheet.setColumnWidth(5, 200); // HouseholdID
+    sheet.setColumnWidth(6, 200); // Email
+    sheet.setColumnWidth(7, 150); // RecordedAt
+
+    Logger.log(`Created new ${sheetName} sheet.`);
+  }
+
+  // Apply formatting (even if sheet exists)
+  if (sheet.getMaxRows() > 1) {
+    sheet.getRange("B2:B").setNumberFormat(CONFIG.DATE_FORMAT_SHORT);
+    sheet.getRange("D2:D").setNumberFormat("$#,##0.00");
+    sheet.getRange("G2:G").setNumberFormat(CONFIG.DATE_FORMAT_SHORT + " HH:mm");
+  }
+
+  if (createdNew) {
+    Logger.log(`Balance Snapshots sheet created and set up.`);
+  } else {
+    Logger.log(`Balance Snapshots sheet formatting updated.`);
+  }
+
+  return sheet;
+}
@@ -0,0 +1,170 @@
+// SpendingForecast.gs
+/**
+ * End-of-period spending forecasts.
+ * Each category's projection blends two views of the rest of the pay period: the pace of its
+ * spending so far this period, and its daily rate in recently archived periods. Early in a
+ * period history carries most of the weight; as days pass the current pace takes over. The
+ * confidence band widens with the day-to-day swing of the spending, the few days a fresh pace
+ * rests on and the spread between past periods, and narrows as fewer days remain.
+ */
+
+/**
+ * Builds each category's daily spending this period.
+ * @param {Array<Object>} categories Categories from readBudgetCategoriesData().
+ * @param {Object} period The current pay period.
+ * @param {string|null} householdId The household ID.
+ * @param {Date} referenceDate The forecast date.
+ * @return {Object} Category name -> array of daily totals, one per day from the window start to the reference date.
+ * @private
+ */
+function _readCategorySpendingCurves(categories, period, householdId, referenceDate) {
+  const windows = {};
+  categories.forEach(category => {
+    const lastReset = category.lastReset ? new Date(category.lastReset) : null; // Cached data holds date strings
+    const windowStart = getBudgetWindowStart(lastReset, period);
+    const days = Math.max(1, daysBetween(windowStart, referenceDate) + 1);
+    windows[category.name] = { start: windowStart, ownerEmail: category.ownerEmail, daily: new Array(days).fill(0) };
+  });
+
+  readExpenseTrackerRows(householdId).forEach(expense => {
+    const window = windows[expense.category];
+    if (!window || !expense.date || expense.date < window.start || expense.date > referenceDate) return;
+    if (!countsTowardCategory(window.ownerEmail, expense.email)) return; // Personal allowances count only their owner's spending
+    const dayIndex = Math.min(window.daily.length - 1, daysBetween(window.start, expense.date));
+    window.daily[dayIndex] += expense.amount;
+  });
+
+  const curves = {};
+  Object.keys(windows).forEach(name => { curves[name] = windows[name].daily; });
+  return curves;
+}
+
+/**
+ * Collects each category's daily spending rate in recently archived periods.
+ * @param {string|null} householdId The household ID.
+ * @return {Object} Category name -> array of { dailyRate, spent, days }, newest first.
+ * @private
+ */
+function _readCategoryHistory(householdId) {
+  const history = {};
+  getPayPeriodArchive(householdId)
+    .slice(0, CONFIG.FORECAST_SETTINGS.HISTORY_PERIODS)
+    .forEach(period => {
+      const start = parseDateYMD(period.startDate);
+      const end = parseDateYMD(period.endDate);
+      const days = start && end ? daysBetween(start, end) + 1 : 0;
+      if (days <= 0) return;
+
+      period.categories.forEach(category => {
+        (history[category.name] = history[category.name] || []).push({
+          dailyRate: category.spent / days,
+          spent: category.spent,
+          days: days
+        });
+      });
+    });
+  return history;
+}
+
+/**
+ * Calculates the mean and standard deviation of a list of numbers.
+ * @param {Array<number>} values The numbers.
+ * @return {Object} { mean, deviation } (both 0 for an empty list).
+ * @private
+ */
+function _meanAndDeviation(values) {
+  if (values.length === 0) return { mean: 0, deviation: 0 };
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+  return { mean: mean, deviation: Math.sqrt(variance) };
+}
+
+/**
+ * Projects one category's end-of-period spending.
+ * @param {Object} category The category from readBudgetCategoriesData().
+ * @param {Array<number>} curve Daily totals so far this period.
+ * @param {Array<Object>} history Archived periods from _readCategoryHistory().
+ * @param {number} daysRemaining Days left in the period after today.
+ * @return {Object} { category, budget, spent, projected, low, high, status, dailyPace, historyAverage, periodsUsed }
+ * @private
+ */
+function _forecastCategory(category, curve, history, daysRemaining) {
+  const settings = CONFIG.FORECAST_SETTINGS;
+  const round = value => Math.round(value * 100) / 100;
+  const spent = category.payPeriodSpent;
+  const budget = category.effectiveBudget;
+  const daysElapsed = curve.length;
+  const totalDays = daysElapsed + daysRemaining;
+
+  const current = _meanAndDeviation(curve);
+  const past = _meanAndDeviation(history.map(period => period.dailyRate));
+
+  // Trust this period's pace in proportion to how much of the period has happened
+  const paceWeight = history.length > 0 ? daysElapsed / totalDays : 1;
+  const dailyRate = Math.max(0, paceWeight * current.mean + (1 - paceWeight) * past.mean);
+  const projected = spent + dailyRate * daysRemaining;
+
+  // Day-to-day swing over the remaining days, how unsure a pace from only a few days is,
+  // and how much past periods disagreed
+  const paceError = paceWeight * Math.max(current.deviation, current.mean) / Math.sqrt(daysElapsed);
+  const margin = settings.CONFIDENCE_Z * Math.sqrt(
+    Math.pow(current.deviation, 2) * daysRemaining +
+    Math.pow(paceError * daysRemaining, 2) +
+    Math.pow((1 - paceWeight) * past.deviation * daysRemaining, 2)
+  );
+  const low = Math.max(spent, projected - margin);
+  const high = projected + margin;
+
+  let status = "on_track";
+  if (spent > budget) {
+    status = "over";
+  } else if (projected > budget || (high > budget && projected > budget * settings.AT_RISK_RATIO)) {
+    status = "at_risk";
+  }
+
+  return {
+    category: category.name,
+    budget: round(budget),
+    spent: round(spent),
+    projected: round(projected),
+    low: round(low),
+    high: round(high),
+    status: status,
+    dailyPace: round(current.mean),
+    historyAverage: history.length > 0 ? round(history.reduce((sum, period) => sum + period.spent, 0) / history.length) : null,
+    periodsUsed: history.length
+  };
+}
+
+/**
+ * Forecasts end-of-period spending for every budget category of a household.
+ * @param {string|null} householdId The household ID.
+ * @param {Object} budgetCategories Optional data from readBudgetCategoriesData() (read when omitted).
+ * @param {Date} referenceDate Optional forecast date (defaults to now).
+ * @return {Object} { payPeriod, daysElapsed, daysRemaining, categories: [...], byCategory: { name: forecast },
+ *   atRisk: [...] } where atRisk lists the at-risk and over categories, furthest over budget first.
+ */
+function forecastBudgetCategories(householdId, budgetCategories = null, referenceDate = new Date()) {
+  const categories = (budgetCategories || readBudgetCategoriesData(householdId)).categories || [];
+  const period = getPayPeriodForDate(referenceDate, getPayPeriodSchedule(householdId));
+  const daysRemaining = Math.max(0, daysBetween(referenceDate, period.endDate));
+
+  const curves = _readCategorySpendingCurves(categories, period, householdId, referenceDate);
+  const history = _readCategoryHistory(householdId);
+  const forecasts = categories.map(category =>
+    _forecastCategory(category, curves[category.name], history[category.name] || [], daysRemaining));
+
+  const byCategory = {};
+  forecasts.forEach(forecast => { byCategory[forecast.category] = forecast; });
+
+  return {
+    payPeriod: period.id,
+    daysElapsed: daysBetween(period.startDate, referenceDate) + 1,
+    daysRemaining: daysRemaining,
+    categories: forecasts,
+    byCategory: byCategory,
+    atRisk: forecasts
+      .filter(forecast => forecast.status !== "on_track")
+      .sort((a, b) => (b.projected - b.budget) - (a.projected - a.budget))
+  };
+}
@@ -0,0 +1,431 @@
+// StatementImport.gs
+/**
+ * Bank / credit-card CSV statement import.
+ * Each household saves its own column mapping in PropertiesService. A statement is first
+ * parsed into a preview (auto-categorized from Location Mapping, likely duplicates flagged),
+ * then the accepted rows are written to the Expense Tracker in one batch.
+ */
+
+/**
+ * Builds the PropertiesService key for a household's saved column mapping.
+ * @param {string|null} householdId The household ID.
+ * @return {string} The property key.
+ * @private
+ */
+function _getStatementImportKey(householdId) {
+  return `STATEMENT_IMPORT_MAPPING_${householdId ? String(householdId).trim() : 'default'}`;
+}
+
+/**
+ * Validates a column mapping and fills in defaults from CONFIG.
+ * @param {Object} mapping The raw mapping { hasHeader, dateColumn, descriptionColumn, amountColumn,
+ *   creditColumn, dateFormat, amountSign }.
+ * @return {Object} { valid: boolean, message: string, mapping: Object }
+ * @private
+ */
+function _normalizeStatementImportMapping(mapping) {
+  const settings = CONFIG.STATEMENT_IMPORT_SETTINGS;
+  const defaults = settings.DEFAULT_MAPPING;
+  if (!mapping || typeof mapping !== 'object') {
+    return { valid: false, message: "Column mapping is missing.", mapping: { ...defaults } };
+  }
+
+  const toColumn = (value, fallback) => {
+    const column = parseInt(value, 10);
+    return isNaN(column) ? fallback : column;
+  };
+
+  const normalized = {
+    hasHeader: mapping.hasHeader === undefined ? defaults.hasHeader : Boolean(mapping.hasHeader),
+    dateColumn: toColumn(mapping.dateColumn, defaults.dateColumn),
+    descriptionColumn: toColumn(mapping.descriptionColumn, defaults.descriptionColumn),
+    amountColumn: toColumn(mapping.amountColumn, defaults.amountColumn),
+    creditColumn: toColumn(mapping.creditColumn, defaults.creditColumn),
+    dateFormat: settings.DATE_FORMATS.includes(mapping.dateFormat) ? mapping.dateFormat : defaults.dateFormat,
+    amountSign: settings.AMOUNT_SIGNS.includes(mapping.amountSign) ? mapping.amountSign : defaults.amountSign
+  };
+
+  const required = [normalized.dateColumn, normalized.descriptionColumn, normalized.amountColumn];
+  if (required.some(column => column < 0)) {
+    return { valid: false, message: "Date, description and amount columns are required.", mapping: normalized };
+  }
+  if (new Set(required).size !== required.length || required.includes(normalized.creditColumn)) {
+    return { valid: false, message: "Each mapped column must be different.", mapping: normalized };
+  }
+  if (normalized.creditColumn < 0) normalized.creditColumn = -1;
+
+  return { valid: true, message: "", mapping: normalized };
+}
+
+/**
+ * Retrieves a household's saved statement column mapping, falling back to CONFIG defaults.
+ * @param {string|null} householdId The household ID.
+ * @return {Object} The mapping.
+ */
+function getStatementImportMapping(householdId = null) {
+  const key = _getStatementImportKey(householdId);
+  const savedJson = PropertiesService.getScriptProperties().getProperty(key);
+
+  if (savedJson) {
+    try {
+      const result = _normalizeStatementImportMapping(JSON.parse(savedJson));
+      if (result.valid) return result.mapping;
+      Logger.log(`Saved statement mapping for ${key} is invalid (${result.message}). Falling back to defaults.`);
+    } catch (e) {
+      Logger.log(`Error parsing saved statement mapping for ${key}: ${e}. Falling back to defaults.`);
+    }
+  }
+
+  return { ...CONFIG.STATEMENT_IMPORT_SETTINGS.DEFAULT_MAPPING };
+}
+
+/**
+ * Saves a household's statement column mapping.
+ * @param {string|null} householdId The household ID.
+ * @param {Object} mapping The mapping to save.
+ * @return {Object} Result object { success, message, mapping }.
+ */
+function saveStatementImportMapping(householdId, mapping) {
+  const result = _normalizeStatementImportMapping(mapping);
+  if (!result.valid) {
+    return { success: false, message: result.message };
+  }
+
+  PropertiesService.getScriptProperties().setProperty(_getStatementImportKey(householdId), JSON.stringify(result.mapping));
+  return { success: true, message: "Column mapping saved.", mapping: result.mapping };
+}
+
+/**
+ * Parses a statement date cell in the mapped format. Two-digit years are read as 20xx.
+ * @param {*} value The cell text.
+ * @param {string} format One of CONFIG.STATEMENT_IMPORT_SETTINGS.DATE_FORMATS.
+ * @return {Date|null} Local midnight of the date, or null if it can't be read.
+ * @private
+ */
+function _parseStatementDate(value, format) {
+  if (value instanceof Date) return parseDateYMD(value);
+
+  const parts = String(value || "").trim().split(/[ T]/)[0].split(/[\/.\-]/);
+  if (parts.length !== 3) return null;
+
+  let year, month, day;
+  if (format === 'yyyy-MM-dd') {
+    [year, month, day] = parts;
+  } else if (format === 'dd/MM/yyyy') {
+    [day, month, year] = parts;
+  } else {
+    [month, day, year] = parts;
+  }
+
+  let fullYear = parseInt(year, 10);
+  if (!isNaN(fullYear) && fullYear < 100) fullYear += 2000;
+  return parseDateYMD(`${fullYear}-${month}-${day}`);
+}
+
+/**
+ * Parses a statement amount cell such as "$1,234.50", "-12.00" or "(12.00)".
+ * @param {*} value The cell text.
+ * @return {number|null} The signed amount, or null when the cell is blank or not a number.
+ * @private
+ */
+function _parseStatementAmount(value) {
+  const text = String(value === undefined || value === null ? "" : value).trim();
+  if (!text) return null;
+
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text);
+  const amount = parseFloat(text.replace(/[^0-9.]/g, ""));
+  if (isNaN(amount)) return null;
+  return negative ? -amount : amount;
+}
+
+/**
+ * Turns a raw statement description into a readable location name,
+ * e.g. "POS PURCHASE SQ *BLUE BOTTLE #0042 OAKLAND CA" -> "Blue Bottle Oakland Ca".
+ * @param {string} description The raw description.
+ * @return {string} The cleaned name (the raw text when nothing is left after cleaning).
+ */
+function cleanStatementDescription(description) {
+  const raw = String(description || "").trim();
+  const text = raw.toUpperCase()
+    .replace(/\b(POS|DEBIT CARD|CHECK ?CARD|DEBIT|PURCHASE|RECURRING PAYMENT|PREAUTHORIZED|ACH|VISA|MC)\b/g, " ")
+    .replace(/\b(SQ|TST|SP|PAYPAL|PP)\s*\*/g, " ")
+    .replace(/\d{1,2}\/\d{1,2}(\/\d{2,4})?/g, " ") // Embedded transaction dates
+    .replace(/\b[X*]{2,}\d+\b/g, " ") // Masked card numbers
+    .replace(/#\s*\d+/g, " ")
+    .replace(/\d{4,}/g, " ")
+    .replace(/[*#]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  if (!text) return raw;
+  return text.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Checks whether two location names plausibly refer to the same merchant.
+ * @private
+ */
+function _statementLocationsMatch(a, b) {
+  const first = String(a || "").trim().toLowerCase();
+  const second = String(b || "").trim().toLowerCase();
+  if (!first || !second) return false;
+  if (first.includes(second) || second.includes(first)) return true;
+
+  const firstWord = first.split(" ")[0];
+  return firstWord.length >= 3 && firstWord === second.split(" ")[0];
+}
+
+/**
+ * Parses a CSV statement into preview rows for the import dialog.
+ * Rows are auto-categorized by the household's categorization rules, then its location
+ * mappings, and compared against
+ * expenses already in the Expense Tracker: same amount to the cent, a date within
+ * DUPLICATE_WINDOW_DAYS and a matching location flag the row as a likely duplicate.
+ * @param {string} csvText The statement file contents.
+ * @param {Object} mapping The column mapping (see _normalizeStatementImportMapping).
+ * @param {string|null} householdId The household being imported into.
+ * @param {string} email The importing user's email (owner when there is no household).
+ * @return {Object} { success, message, rows, skipped, categories } where each row is
+ *   { rowNumber, date (yyyy-MM-dd), amount, location, rawDescription, category, matchType,
+ *   ruleName, duplicateOf, include }. Expenses are positive and credits negative.
+ */
+function buildStatementImportPreview(csvText, mapping, householdId, email) {
+  const settings = CONFIG.STATEMENT_IMPORT_SETTINGS;
+  const mappingResult = _normalizeStatementImportMapping(mapping);
+  if (!mappingResult.valid) {
+    return { success: false, message: mappingResult.message };
+  }
+  if (!csvText || typeof csvText !== 'string' || !csvText.trim()) {
+    return { success: false, message: "The statement file is empty." };
+  }
+
+  let records;
+  try {
+    records = Utilities.parseCsv(csvText.replace(/^\uFEFF/, ""));
+  } catch (e) {
+    return { success: false, message: `Could not read the CSV file: ${e.message}` };
+  }
+
+  const map = mappingResult.mapping;
+  if (map.hasHeader) records = records.slice(1);
+  records = records.filter(record => record.some(cell => String(cell).trim() !== ""));
+  if (records.length > settings.MAX_ROWS) {
+    return { success: false, message: `Statements are limited to ${settings.MAX_ROWS} rows per import.` };
+  }
+
+  const locationMappings = getEnhancedLocationMappingData(householdId);
+  // Other members' personal allowances can't take the importer's expenses
+  const categories = readBudgetCategoriesData(householdId).categories
+    .filter(category => !category.ownerEmail || category.ownerEmail === String(email || "").toLowerCase())
+    .map(category => category.name);
+  const rules = _readCategorizationRuleRows(householdId);
+  const existing = readExpenseTrackerRows(householdId).filter(expense =>
+    expense.date && (householdId || (!expense.householdId && expense.email.toLowerCase() === String(email || "").toLowerCase()))
+  );
+
+  const rows = [];
+  const skipped = [];
+
+  records.forEach((record, index) => {
+    const rowNumber = index + (map.hasHeader ? 2 : 1);
+    const date = _parseStatementDate(record[map.dateColumn], map.dateFormat);
+    const rawDescription = String(record[map.descriptionColumn] || "").trim();
+
+    let amount;
+    if (map.creditColumn >= 0) {
+      const debit = _parseStatementAmount(record[map.amountColumn]);
+      const credit = _parseStatementAmount(record[map.creditColumn]);
+      amount = debit === null && credit === null ? null : Math.abs(debit || 0) - Math.abs(credit || 0);
+    } else {
+      const value = _parseStatementAmount(record[map.amountColumn]);
+      amount = value === null ? null : (map.amountSign === 'expenseNegative' ? -value : value);
+    }
+
+    if (!date) {
+      skipped.push({ rowNumber: rowNumber, reason: "Unreadable date" });
+      return;
+    }
+    if (amount === null || Math.round(amount * 100) === 0) {
+      skipped.push({ rowNumber: rowNumber, reason: "No amount" });
+      return;
+    }
+    if (!rawDescription) {
+      skipped.push({ rowNumber: rowNumber, reason: "No description" });
+      return;
+    }
+    amount = Math.round(amount * 100) / 100;
+
+    // Prefer the mapped location name so imported rows group with hand-entered ones
+    const match = findLocationMatch(rawDescription, locationMappings) ||
+      findLocationMatch(cleanStatementDescription(rawDescription), locationMappings);
+    const location = match ? match.location.name : cleanStatementDescription(rawDescription);
+    const ruleMatch = evaluateCategorizationRules({
+      location: location,
+      description: rawDescription,
+      amount: amount,
+      date: date,
+      email: email
+    }, householdId, rules);
+    let category = "";
+    if (ruleMatch && categories.includes(ruleMatch.category)) {
+      category = ruleMatch.category;
+    } else if (match && categories.includes(match.location.defaultCategory)) {
+      category = match.location.defaultCategory;
+    }
+
+    const duplicate = existing.find(expense =>
+      Math.round(expense.amount * 100) === Math.round(amount * 100) &&
+      Math.abs(daysBetween(parseDateYMD(expense.date), date)) <= settings.DUPLICATE_WINDOW_DAYS &&
+      (_statementLocationsMatch(expense.location, location) || _statementLocationsMatch(expense.location, rawDescription))
+    );
+
+    rows.push({
+      rowNumber: rowNumber,
+      date: formatDateYMD(date),
+      amount: amount,
+      location: location,
+      rawDescription: rawDescription,
+      category: category,
+      matchType: match ? match.matchType : null,
+      ruleName: ruleMatch && ruleMatch.category === category ? ruleMatch.ruleName : null,
+      tags: ruleMatch ? parseExpenseTags(ruleMatch.tags) : [],
+      duplicateOf: duplicate ? {
+        date: formatDateYMD(duplicate.date),
+        amount: duplicate.amount,
+        location: duplicate.location,
+        category: duplicate.category,
+        email: duplicate.email
+      } : null,
+      include: !duplicate && amount > 0 // Credits are often card payments, so they start unchecked
+    });
+  });
+
+  const duplicateCount = rows.filter(row => row.duplicateOf).length;
+  return {
+    success: true,
+    message: `${rows.length} transactions read` +
+      (duplicateCount ? `, ${duplicateCount} look like duplicates` : "") +
+      (skipped.length ? `, ${skipped.length} rows skipped` : "") + ".",
+    rows: rows,
+    skipped: skipped,
+    categories: categories
+  };
+}
+
+/**
+ * Writes accepted statement rows to the Expense Tracker in one batch, then updates
+ * CurrentSpent per category, location usage per merchant, and runs a single recalculation.
+ * Each row is stamped at noon on its statement date and tagged with that date's pay period.
+ * @param {Array<Object>} rows Preview rows { date, amount, location, category, rawDescription, tags }.
+ * @param {string} email The importing user's email.
+ * @param {string|null} householdId The household being imported into.
+ * @return {Object} Result object { success, message, imported, total }.
+ */
+function importStatementRows(rows, email, householdId) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return { success: false, message: "No transactions selected for import." };
+  }
+  if (rows.length > CONFIG.STATEMENT_IMPORT_SETTINGS.MAX_ROWS) {
+    return { success: false, message: `Statements are limited to ${CONFIG.STATEMENT_IMPORT_SETTINGS.MAX_ROWS} rows per import.` };
+  }
+
+  const categories = readBudgetCategoriesData(householdId).categoriesById;
+  const schedule = getPayPeriodSchedule(householdId);
+  const entries = [];
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i] || {};
+    const date = parseDateYMD(row.date);
+    const amount = Math.round(Number(row.amount) * 100) / 100;
+    const location = String(row.location || "").trim();
+    const category = String(row.category || "").trim();
+    const label = `Row ${row.rowNumber || i + 1}`;
+
+    if (!date) return { success: false, message: `${label}: invalid date.` };
+    if (!amount || isNaN(amount)) return { success: false, message: `${label}: invalid amount.` };
+    if (!location) return { success: false, message: `${label}: location is required.` };
+    if (!categories[category]) return { success: false, message: `${label}: choose a budget category.` };
+    const accessError = checkBudgetCategoryAccess(category, email, categories);
+    if (accessError) return { success: false, message: `${label}: ${accessError}` };
+
+    entries.push({
+      timestamp: new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12),
+      amount: amount,
+      location: location,
+      category: category,
+      description: row.rawDescription ? `Imported: ${String(row.rawDescription).trim()}` : "Imported",
+      tags: formatExpenseTags(row.tags)
+    });
+  }
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { success: false, message: "Expenses are being updated. Please try again." };
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.EXPENSE_TRACKER);
+    if (!sheet || sheet.getMaxColumns() < EXPENSE_TRACKER_COLUMNS.TAGS) {
+      setupExpenseTrackerSheet(); // Also adds the newer columns to older sheets
+      sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.EXPENSE_TRACKER);
+      if (!sheet) {
+        return { success: false, message: "Could not create Expense Tracker sheet" };
+      }
+    }
+
+    syncPayPeriodRollover(householdId); // Make sure PayPeriodSpent belongs to the current period
+
+    const values = entries.map(entry => [
+      entry.timestamp,
+      entry.amount,
+      entry.location,
+      entry.category,
+      entry.description,
+      email,
+      householdId || "",
+      getPayPeriodForDate(entry.timestamp, schedule).id,
+      "", // RefundOf
+      "", // TransactionID
+      "", // OriginalAmount
+      "", // Currency
+      entry.tags
+    ]);
+    sheet.getRange(sheet.getLastRow() + 1, 1, values.length, values[0].length).setValues(values);
+
+    const currentPayPeriod = getCurrentPayPeriod(householdId);
+    const currentTotalsByCategory = {};
+    const categoryByLocation = {};
+    entries.forEach((entry, index) => {
+      if (values[index][EXPENSE_TRACKER_COLUMNS.PAY_PERIOD - 1] === currentPayPeriod) {
+        currentTotalsByCategory[entry.category] = (currentTotalsByCategory[entry.category] || 0) + entry.amount;
+      }
+      if (entry.amount > 0) categoryByLocation[entry.location] = entry.category; // Returns don't count as a visit
+    });
+
+    Object.keys(categoryByLocation).forEach(location => {
+      updateLocationMappingUsage(location, categoryByLocation[location], householdId);
+    });
+
+    // PayPeriodSpent has to be rebuilt because imported rows may fall outside the current period;
+    // alerts are then checked against the rebuilt totals for what landed in this period
+    recalculateAllBudgets();
+    checkRecalculatedBudgetAlerts(
+      Object.keys(currentTotalsByCategory).filter(category => currentTotalsByCategory[category] > 0), householdId);
+    resetExpenseDataCache(householdId);
+
+    const total = Math.round(entries.reduce((sum, entry) => sum + entry.amount, 0) * 100) / 100;
+    Logger.log(`Imported ${entries.length} statement rows ($${total.toFixed(2)}) for ${householdId || email}`);
+    return {
+      success: true,
+      message: `Imported ${entries.length} transaction${entries.length === 1 ? "" : "s"} totaling $${total.toFixed(2)}.`,
+      imported: entries.length,
+      total: total
+    };
+  } catch (error) {
+    Logger.log(`Error importing statement rows: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error importing statement: ${error.message}` };
+  } finally {
+    lock.releaseLock();
+  }
+}
@@ -18,6 +18,8 @@ function setupAllTriggers() {
       CONFIG.TRIGGERS.DAILY_DIGEST,
       CONFIG.TRIGGERS.WEEKLY_DIGEST,
       CONFIG.TRIGGERS.POINTS_EDIT,
+      CONFIG.TRIGGERS.RECURRING_EXPENSES,
+      CONFIG.TRIGGERS.BILL_REMINDERS,
       // CONFIG.TRIGGERS.FORM_SUBMIT, // Obsolete - Removed
       // CONFIG.TRIGGERS.RESPONSES_EDIT // Obsolete - Removed
   ];
@@ -73,6 +75,23 @@ function setupAllTriggers() {
   } catch (e) { Logger.log(`FAIL ${CONFIG.TRIGGERS.POINTS_EDIT}: ${e}`); triggerErrors.push(`Create ${CONFIG.TRIGGERS.POINTS_EDIT}: ${e.message}`); }
 
 
+  // 5. Recurring Expenses (posts due subscriptions/bills each morning)
+  try {
+    ScriptApp.newTrigger(CONFIG.TRIGGERS.RECURRING_EXPENSES)
+      .timeBased().atHour(CONFIG.RECURRING_EXPENSE_SETTINGS.RUN_HOUR).everyDays(1).create();
+     Logger.log(`Created trigger: ${CONFIG.TRIGGERS.RECURRING_EXPENSES} (Hour ${CONFIG.RECURRING_EXPENSE_SETTINGS.RUN_HOUR})`);
+     triggersCreatedCount++;
+  } catch (e) { Logger.log(`FAIL ${CONFIG.TRIGGERS.RECURRING_EXPENSES}: ${e}`); triggerErrors.push(`Create ${CONFIG.TRIGGERS.RECURRING_EXPENSES}: ${e.message}`); }
+
+  // 6. Bill Reminders (emails bills coming due and records autopay bills each morning)
+  try {
+    ScriptApp.newTrigger(CONFIG.TRIGGERS.BILL_REMINDERS)
+      .timeBased().atHour(CONFIG.BILL_SETTINGS.REMINDER_HOUR).everyDays(1).create();
+     Logger.log(`Created trigger: ${CONFIG.TRIGGERS.BILL_REMINDERS} (Hour ${CONFIG.BILL_SETTINGS.REMINDER_HOUR})`);
+     triggersCreatedCount++;
+  } catch (e) { Logger.log(`FAIL ${CONFIG.TRIGGERS.BILL_REMINDERS}: ${e}`); triggerErrors.push(`Create ${CONFIG.TRIGGERS.BILL_REMINDERS}: ${e.message}`); }
+
+
   // --- Report Results ---
   let message = `Trigger Setup Complete.\nCreated: ${triggersCreatedCount} triggers.`;
   // if (!formLinked) message += "\nWarning: Form submit trigger not created (CONFIG.FORM_URL missing?)."; // Obsolete check
@@ -65,6 +65,55 @@ function formatDateYMD(date) {
   }
 }
 
+/**
+ * Parses a YYYY-MM-DD string into a local Date at midnight.
+ * Accepts Date objects too (returns a midnight copy) so callers can pass sheet values directly.
+ * @param {string|Date} dateString The date string (or Date) to parse.
+ * @return {Date|null} The parsed Date, or null if the input is invalid.
+ */
+function parseDateYMD(dateString) {
+  if (dateString instanceof Date) {
+    if (isNaN(dateString.getTime())) return null;
+    return new Date(dateString.getFullYear(), dateString.getMonth(), dateString.getDate());
+  }
+  if (!dateString || typeof dateString !== 'string') return null;
+
+  const parts = dateString.trim().split('-');
+  if (parts.length !== 3) return null;
+
+  const year = parseInt(parts[0], 10);
+  const month = parseInt(parts[1], 10) - 1; // JavaScript months are 0-based
+  const day = parseInt(parts[2], 10);
+  if (isNaN(year) || isNaN(month) || isNaN(day)) return null;
+
+  const date = new Date(year, month, day);
+  // Reject overflowed values such as 2024-02-31
+  if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) return null;
+  return date;
+}
+
+/**
+ * Returns a new Date shifted by a number of calendar days (DST-safe, keeps local midnight).
+ * @param {Date} date The starting date.
+ * @param {number} days Number of days to add (negative to subtract).
+ * @return {Date} The shifted Date object.
+ */
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Counts whole calendar days from one date to another, ignoring time of day and DST shifts.
+ * @param {Date} fromDate The earlier date.
+ * @param {Date} toDate The later date.
+ * @return {number} Number of days (negative if toDate is before fromDate).
+ */
+function daysBetween(fromDate, toDate) {
+  const fromUtc = Date.UTC(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate());
+  const toUtc = Date.UTC(toDate.getFullYear(), toDate.getMonth(), toDate.getDate());
+  return Math.round((toUtc - fromUtc) / 86400000);
+}
+
 
 /**
  * Retrieves the current streak settings from PropertiesService, falling back to CONFIG defaults.
@@ -394,7 +394,7 @@ function processWebAppSubmission(activities, skippedActivities = []) {
  * Gets configuration settings for the admin panel, including CURRENT streak settings
  * retrieved from PropertiesService or defaults, and the CURRENT category order.
  * Called by Admin.html.
- * @return {Object} Config settings { pointsReference, streakSettings, categories, categoryOrder }.
+ * @return {Object} Config settings { pointsReference, streakSettings, budgetPointsSettings, categories, categoryOrder }.
  */
 function getAdminConfigData() {
   // Ensure admin access
@@ -415,6 +415,7 @@ function getAdminConfigData() {
   return {
     pointsReference: pointsRefData,        // Raw data [{activity, points, category}, ...]
     streakSettings: currentStreakSettings, // Current settings (includes both upper/lower keys)
+    budgetPointsSettings: getBudgetPointsSettings(), // Points for finishing a pay period under budget
     categories: CONFIG.CATEGORIES,         // Canonical list from config (for reference, maybe remove later?)
     categoryOrder: currentCategoryOrder    // The current display order
   };
@@ -478,6 +479,25 @@ function saveActivitiesData(activities) {
   }
 }
 
+/**
+ * Saves the budget points rules (points for finishing a pay period under or over budget).
+ * Called by Admin.html.
+ * @param {Object} settings Rules { ENABLED, CATEGORY_UNDER, OVERALL_UNDER, PENALTIES_ENABLED, CATEGORY_OVER, OVERALL_OVER }.
+ * @return {Object} Result object { success, message, settings }.
+ */
+function saveBudgetPointsSettings(settings) {
+  if (!isCurrentUserAdmin()) {
+    return { success: false, message: "Admin privileges required." };
+  }
+
+  try {
+    return storeBudgetPointsSettings(settings);
+  } catch (error) {
+    Logger.log(`Error saving budget points settings: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error saving settings: ${error.message}` };
+  }
+}
+
 /**
  * Saves updated streak settings to PropertiesService for persistence.
  * Called by Admin.html. Saves settings using standardized UPPERCASE keys.
@@ -1010,6 +1030,42 @@ function getWeeklyGoalsData() {
   return calculateDashboardGoalStatus(householdId);
 }
 
+/**
+ * Gets pay period and calendar month budget meters for the current user's household.
+ * Called by Dashboard.html.
+ * @return {Object} { success, payPeriod, month, totals, categories: [{ name, payPeriodBudget, payPeriodSpent,
+ *   monthlyBudget, monthlySpent }] } where payPeriodBudget includes any rollover.
+ */
+function getDashboardBudgetMeters() {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+    const budgetCategories = getExpenseDataCached(householdId).budgetCategories;
+
+    return {
+      success: true,
+      payPeriod: serializePayPeriod(getCurrentPayPeriodInfo(householdId)),
+      month: budgetCategories.budgetMonth,
+      totals: {
+        payPeriodBudget: budgetCategories.totalBudget || 0,
+        payPeriodSpent: budgetCategories.totalSpent || 0,
+        monthlyBudget: budgetCategories.totalMonthlyBudget || 0,
+        monthlySpent: budgetCategories.totalMonthlySpent || 0
+      },
+      categories: (budgetCategories.categories || []).map(category => ({
+        name: category.name,
+        payPeriodBudget: category.effectiveBudget,
+        payPeriodSpent: category.payPeriodSpent,
+        monthlyBudget: category.monthlyBudget,
+        monthlySpent: category.currentSpent
+      }))
+    };
+  } catch (error) {
+    Logger.log(`Error in getDashboardBudgetMeters: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error loading budget meters: ${error.message}` };
+  }
+}
+
 // --- Household Management Wrappers (addHousehold, addUserToHousehold, etc.) ---
 // These functions are defined in HouseholdManagement.gs and called directly by client-side JS
 
@@ -1430,7 +1486,10 @@ function saveGoalsData(modifiedGoals, deletedGoals) {
               targetAmount: goal.targetAmount,
               currentAmount: goal.currentAmount,
               targetDate: goal.targetDate,
-              householdId: householdId
+              householdId: householdId,
+              apr: goal.apr,
+              minPayment: goal.minPayment,
+              linkedAccountId: goal.linkedAccountId
             };
             
             const goalId = createGoal(goalData);
@@ -1442,7 +1501,10 @@ function saveGoalsData(modifiedGoals, deletedGoals) {
               targetAmount: goal.targetAmount,
               currentAmount: goal.currentAmount,
               targetDate: goal.targetDate,
-              status: goal.status
+              status: goal.status,
+              apr: goal.goalType === 'debt' ? goal.apr : "",
+              minPayment: goal.goalType === 'debt' ? goal.minPayment : "",
+              linkedAccountId: CONFIG.NET_WORTH_SETTINGS.LINKABLE_GOAL_TYPES.includes(goal.goalType) ? goal.linkedAccountId : ""
             };
             
             updateGoal(goal.goalId, updateData);
@@ -1453,6 +1515,9 @@ function saveGoalsData(modifiedGoals, deletedGoals) {
           results.push(`Error saving goal: ${goal.goalName}`);
         }
       }
+      
+      // Newly linked goals pick up their account's latest balance
+      syncAccountLinkedGoals(householdId);
     }
     
     return {
@@ -1582,6 +1647,125 @@ function getDetailedGoalData() {
   }
 }
 
+/**
+ * Simulates paying off the household's debt goals under each payoff strategy
+ * Called by Dashboard.html
+ * @param {number|string} extraPayment - Amount paid each month on top of the minimums
+ * @param {Array} [customOrder] - Goal IDs in the order the custom strategy pays them
+ * @return {Object} Payoff plan (see planDebtPayoff)
+ */
+function getDebtPayoffPlan(extraPayment, customOrder) {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+
+    if (!householdId) {
+      return { success: false, message: "No household found for current user." };
+    }
+
+    return planDebtPayoff(householdId, extraPayment, customOrder);
+
+  } catch (error) {
+    Logger.log(`Error in getDebtPayoffPlan: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error planning debt payoff: ${error.message}` };
+  }
+}
+
+/**
+ * Gets the current household's accounts, net worth history and asset/liability breakdown
+ * Called by Dashboard.html and Admin.html
+ * @return {Object} Result object { success, accounts, current, breakdown, history, accountTypes, liabilityTypes, today }
+ */
+function getNetWorthData() {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email) || ensureUserHasHousehold(email);
+
+    if (!householdId) {
+      return { success: false, message: "No household found for current user." };
+    }
+
+    const data = readNetWorth(householdId);
+    return {
+      success: true,
+      accounts: data.accounts,
+      current: data.current,
+      breakdown: data.breakdown,
+      history: data.history,
+      accountTypes: CONFIG.NET_WORTH_SETTINGS.ACCOUNT_TYPES,
+      liabilityTypes: CONFIG.NET_WORTH_SETTINGS.LIABILITY_TYPES,
+      today: formatDateYMD(new Date())
+    };
+
+  } catch (error) {
+    Logger.log(`Error in getNetWorthData: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error loading net worth: ${error.message}` };
+  }
+}
+
+/**
+ * Adds, renames or closes an account for the current household
+ * Called by Dashboard.html
+ * @param {Object} account { id?, name, type, isActive }
+ * @return {Object} Result with the refreshed net worth data
+ */
+function saveAccount(account) {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email) || ensureUserHasHousehold(email);
+
+    if (!householdId) {
+      return { success: false, message: "No household found for current user." };
+    }
+
+    const result = upsertAccount(account, email, householdId);
+    if (!result.success) {
+      return result;
+    }
+
+    const data = getNetWorthData();
+    data.message = result.message;
+    data.accountId = result.id;
+    return data;
+
+  } catch (error) {
+    Logger.log(`Error in saveAccount: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error saving account: ${error.message}` };
+  }
+}
+
+/**
+ * Records account balances for a date and updates goals linked to those accounts
+ * Called by Dashboard.html
+ * @param {string} date Balance date (yyyy-MM-dd)
+ * @param {Array} entries Array of { accountId, balance } objects
+ * @return {Object} Result with the refreshed net worth data and goalsUpdated
+ */
+function saveBalanceSnapshots(date, entries) {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email) || ensureUserHasHousehold(email);
+
+    if (!householdId) {
+      return { success: false, message: "No household found for current user." };
+    }
+
+    const result = recordBalanceSnapshots(date, entries, email, householdId);
+    if (!result.success) {
+      return result;
+    }
+
+    const data = getNetWorthData();
+    data.message = result.message;
+    data.goalsUpdated = result.goalsUpdated;
+    return data;
+
+  } catch (error) {
+    Logger.log(`Error in saveBalanceSnapshots: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error saving balances: ${error.message}` };
+  }
+}
+
 /**
  * Gets orphaned goals for admin management
  * Called by Admin.html
@@ -1741,6 +1925,7 @@ function getExpenseTrackerData() {
 
     // Get expense data using the caching functions from DataProcessing.js
     const expenseData = getExpenseDataCached(householdId);
+    const currentPeriod = getCurrentPayPeriodInfo(householdId);
     
     return {
       success: true,
@@ -1749,7 +1934,17 @@ function getExpenseTrackerData() {
       householdId: householdId,
       householdName: householdName,
       members: householdEmails,
-      currentPayPeriod: getCurrentPayPeriod()
+      currentPayPeriod: currentPeriod.id,
+      payPeriod: serializePayPeriod(currentPeriod),
+      payPeriodSchedule: getPayPeriodSchedule(householdId),
+      incomeSummary: getIncomeSummary(householdId, email),
+      budgetAlerts: getActiveBudgetAlerts(expenseData.budgetCategories.categories),
+      memberBudgets: groupBudgetCategoriesByOwner(expenseData.budgetCategories, email),
+      currencyOptions: getCurrencyOptions(),
+      forecast: forecastBudgetCategories(householdId, expenseData.budgetCategories),
+      expenseTags: getHouseholdExpenseTags(householdId, email),
+      expenseApprovals: readExpenseApprovals(householdId, email),
+      approvalThreshold: getApprovalThreshold(householdId)
     };
   } catch (error) {
     Logger.log(`Error in getExpenseTrackerData: ${error}\nStack: ${error.stack}`);
@@ -1765,16 +1960,19 @@ function getExpenseTrackerData() {
 /**
  * Submits a new expense entry
  * Called by ExpenseTracker.html
- * @param {number} amount The expense amount
+ * @param {number} amount The expense amount (negative for a refund or return)
  * @param {string} location The store/location name
  * @param {string} category The budget category
  * @param {string} description Optional description
+ * @param {Object} refundOf Optional original expense { rowIndex, date } a refund is linked to
+ * @param {string} currency Optional currency the amount was paid in (blank for the home currency)
+ * @param {Array<string>|string} tags Optional tags
  * @return {Object} Result object with success status and updated budget info
  */
-function submitExpense(amount, location, category, description = "") {
+function submitExpense(amount, location, category, description = "", refundOf = null, currency = "", tags = "") {
   try {
-    // Validate inputs
-    if (!amount || isNaN(amount) || amount <= 0) {
+    // Validate inputs (negative amounts are refunds)
+    if (!amount || isNaN(amount)) {
       return { success: false, message: "Invalid amount provided" };
     }
     
@@ -1788,6 +1986,50 @@ function submitExpense(amount, location, category, description = "") {
 
     const email = Session.getEffectiveUser().getEmail();
     const householdId = getUserHouseholdId(email);
+
+    // Link a refund to the expense it returns
+    let refundReference = "";
+    if (refundOf && refundOf.rowIndex) {
+      if (Number(amount) >= 0) {
+        return { success: false, message: "Only refunds can be linked to an original expense" };
+      }
+
+      const original = getRefundableExpense(refundOf.rowIndex, refundOf.date, email, householdId);
+      if (!original.success) {
+        return original;
+      }
+      // Compare in the home currency, the way the original was recorded
+      const refundConversion = convertToHomeCurrency(Number(amount), currency, new Date());
+      if (!refundConversion.success) {
+        return refundConversion;
+      }
+      if (Math.abs(refundConversion.homeAmount) > original.remaining + 0.005) {
+        return {
+          success: false,
+          message: original.refunded > 0
+            ? `Refund can't be more than the $${original.remaining.toFixed(2)} not yet refunded of the original $${original.amount.toFixed(2)}`
+            : `Refund can't be more than the original $${original.amount.toFixed(2)}`
+        };
+      }
+      refundReference = original.reference;
+    }
+
+    // A large purchase waits for another member's approval instead of being logged (see ExpenseApprovals.js)
+    const held = holdExpenseForApproval({
+      amount: Number(amount),
+      location: location.trim(),
+      category: category.trim(),
+      lines: null,
+      description: description.trim(),
+      tags: tags || "",
+      currency: currency || "",
+      email: email,
+      householdId: householdId
+    });
+    if (held) {
+      if (held.success) held.expenseApprovals = readExpenseApprovals(householdId, email);
+      return held;
+    }
     
     // Process the expense entry using DataProcessing.js function
     const result = processExpenseEntry(
@@ -1796,13 +2038,19 @@ function submitExpense(amount, location, category, description = "") {
       category.trim(), 
       description.trim(), 
       email, 
-      householdId
+      householdId,
+      refundReference,
+      currency || "",
+      tags || ""
     );
 
     if (result.success) {
       // Get updated budget data for the response
       const updatedData = getExpenseTrackerData();
       result.budgetCategories = updatedData.budgetCategories;
+      result.budgetAlerts = updatedData.budgetAlerts;
+      result.forecast = updatedData.forecast;
+      result.expenseTags = updatedData.expenseTags;
     }
 
     return result;
@@ -1815,6 +2063,138 @@ function submitExpense(amount, location, category, description = "") {
   }
 }
 
+/**
+ * Submits one receipt split across several budget categories
+ * Called by ExpenseTracker.html
+ * @param {number} total The receipt total
+ * @param {string} location The store/location name
+ * @param {Array<Object>} lines Category lines [{ category, amount }] that must add up to total
+ * @param {string} description Optional description
+ * @param {string} currency Optional currency the receipt was paid in (blank for the home currency)
+ * @param {Array<string>|string} tags Optional tags for the whole receipt
+ * @return {Object} Result object with success status and updated budget info
+ */
+function submitSplitExpense(total, location, lines, description = "", currency = "", tags = "") {
+  try {
+    if (!total || isNaN(total)) {
+      return { success: false, message: "Invalid total provided" };
+    }
+
+    if (!location || typeof location !== 'string' || location.trim() === '') {
+      return { success: false, message: "Location is required" };
+    }
+
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+
+    const held = holdExpenseForApproval({
+      amount: Number(total),
+      location: location.trim(),
+      category: "",
+      lines: lines,
+      description: (description || "").trim(),
+      tags: tags || "",
+      currency: currency || "",
+      email: email,
+      householdId: householdId
+    });
+    if (held) {
+      if (held.success) held.expenseApprovals = readExpenseApprovals(householdId, email);
+      return held;
+    }
+
+    const result = processSplitExpense(
+      Number(total),
+      location.trim(),
+      lines,
+      (description || "").trim(),
+      email,
+      householdId,
+      currency || "",
+      tags || ""
+    );
+
+    if (result.success) {
+      const updatedData = getExpenseTrackerData();
+      result.budgetCategories = updatedData.budgetCategories;
+      result.forecast = updatedData.forecast;
+      result.expenseTags = updatedData.expenseTags;
+    }
+
+    return result;
+  } catch (error) {
+    Logger.log(`Error in submitSplitExpense: ${error}\nStack: ${error.stack}`);
+    return {
+      success: false,
+      message: `Error submitting split expense: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Gets the current user's purchase approval queue
+ * Called by ExpenseTracker.html
+ * @return {Object} { success, awaitingYou, yours, threshold } (see readExpenseApprovals)
+ */
+function getExpenseApprovals() {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+    const approvals = readExpenseApprovals(householdId, email);
+    approvals.success = true;
+    return approvals;
+  } catch (error) {
+    Logger.log(`Error in getExpenseApprovals: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error loading approvals: ${error.message}` };
+  }
+}
+
+/**
+ * Approves or declines (or, for your own purchase, withdraws) a pending purchase
+ * Called by ExpenseTracker.html
+ * @param {string} requestId The approval request ID
+ * @param {boolean} approve True to approve, false to decline
+ * @param {string} note Optional reason kept in the audit note
+ * @return {Object} Result with the refreshed approval queue
+ */
+function decideExpenseRequest(requestId, approve, note = "") {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+
+    const result = decideExpenseApproval(requestId, approve === true, note, email, householdId);
+    if (!result.success) {
+      return result;
+    }
+
+    result.expenseApprovals = readExpenseApprovals(householdId, email);
+    return result;
+  } catch (error) {
+    Logger.log(`Error in decideExpenseRequest: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error saving the decision: ${error.message}` };
+  }
+}
+
+/**
+ * Saves the approval threshold for the admin's household
+ * Called by Admin.html
+ * @param {number|string|null} threshold Purchases above this amount need another member's approval (blank turns approvals off)
+ * @return {Object} Result object { success, message, threshold }
+ */
+function saveExpenseApprovalThreshold(threshold) {
+  if (!isCurrentUserAdmin()) {
+    return { success: false, message: "Admin privileges required." };
+  }
+
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    return saveApprovalThreshold(getUserHouseholdId(email), threshold);
+  } catch (error) {
+    Logger.log(`Error in saveExpenseApprovalThreshold: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error saving approval threshold: ${error.message}` };
+  }
+}
+
 /**
  * Gets current budget status for all categories
  * Called by ExpenseTracker.html for real-time budget updates
@@ -1826,11 +2206,17 @@ function getBudgetStatus() {
     const householdId = getUserHouseholdId(email);
     
     const expenseData = getExpenseDataCached(householdId);
+    const currentPeriod = getCurrentPayPeriodInfo(householdId);
     
+    // Each category carries its base payPeriodBudget, rolloverAmount and effectiveBudget;
+    // forecast projects each one to the end of the period (see forecastBudgetCategories)
     return {
       success: true,
       budgetCategories: expenseData.budgetCategories,
-      currentPayPeriod: getCurrentPayPeriod()
+      currentPayPeriod: currentPeriod.id,
+      payPeriod: serializePayPeriod(currentPeriod),
+      rolloverModes: CONFIG.EXPENSE_SETTINGS.ROLLOVER_MODES,
+      forecast: forecastBudgetCategories(householdId, expenseData.budgetCategories)
     };
   } catch (error) {
     Logger.log(`Error in getBudgetStatus: ${error}\nStack: ${error.stack}`);
@@ -1843,12 +2229,13 @@ function getBudgetStatus() {
 }
 
 /**
- * Suggests a category for a given location based on location mappings
+ * Suggests a category for a given location based on categorization rules, then location mappings
  * Called by ExpenseTracker.html for auto-category selection
  * @param {string} locationName The location/store name to get suggestions for
+ * @param {Object} details Optional { amount, description } so amount and keyword rules can apply
  * @return {Object} Suggested category information
  */
-function suggestCategoryForLocation(locationName) {
+function suggestCategoryForLocation(locationName, details = {}) {
   try {
     if (!locationName || typeof locationName !== 'string') {
       return { success: false, message: "Invalid location name" };
@@ -1856,11 +2243,31 @@ function suggestCategoryForLocation(locationName) {
 
     const email = Session.getEffectiveUser().getEmail();
     const householdId = getUserHouseholdId(email);
-    
+
+    // Categorization rules come first; the location's default category is the fallback
+    const ruleMatch = evaluateCategorizationRules({
+      location: locationName,
+      description: (details && details.description) || "",
+      amount: (details && parseFloat(details.amount)) || 0,
+      date: new Date(),
+      email: email
+    }, householdId);
+    if (ruleMatch) {
+      return {
+        success: true,
+        suggestedCategory: ruleMatch.category,
+        suggestedTags: parseExpenseTags(ruleMatch.tags),
+        confidence: 'high',
+        source: 'rule',
+        ruleName: ruleMatch.ruleName
+      };
+    }
+
     const expenseData = getExpenseDataCached(householdId);
-    const locationData = expenseData.locationMappings.locationsByName[locationName.toLowerCase()];
+    const match = findLocationMatch(locationName, expenseData.locationMappings);
     
-    if (locationData) {
+    if (match && match.matchType === 'exact') {
+      const locationData = match.location;
       return {
         success: true,
         suggestedCategory: locationData.defaultCategory,
@@ -1868,24 +2275,17 @@ function suggestCategoryForLocation(locationName) {
         lastUsed: locationData.lastUsed,
         confidence: locationData.isSuggested ? 'high' : 'low'
       };
-    } else {
-      // Try fuzzy matching for similar location names
-      const locations = expenseData.locationMappings.locations;
-      const fuzzyMatch = locations.find(loc => 
-        loc.name.toLowerCase().includes(locationName.toLowerCase()) ||
-        locationName.toLowerCase().includes(loc.name.toLowerCase())
-      );
-      
-      if (fuzzyMatch) {
-        return {
-          success: true,
-          suggestedCategory: fuzzyMatch.defaultCategory,
-          usageCount: fuzzyMatch.usageCount,
-          lastUsed: fuzzyMatch.lastUsed,
-          confidence: 'medium',
-          matchedLocation: fuzzyMatch.name
-        };
-      }
+    } else if (match) {
+      // Fuzzy match on a similar location name
+      const fuzzyMatch = match.location;
+      return {
+        success: true,
+        suggestedCategory: fuzzyMatch.defaultCategory,
+        usageCount: fuzzyMatch.usageCount,
+        lastUsed: fuzzyMatch.lastUsed,
+        confidence: 'medium',
+        matchedLocation: fuzzyMatch.name
+      };
     }
     
     return {
@@ -1901,6 +2301,32 @@ function suggestCategoryForLocation(locationName) {
   }
 }
 
+/**
+ * Turns itemized sharing on or off for one of the current user's personal allowances
+ * Called by ExpenseTracker.html from the "My Budgets" meters
+ * @param {string} categoryName The personal category
+ * @param {boolean} share True to let other household members see the itemized expenses
+ * @return {Object} Refreshed expense tracker data with a message
+ */
+function setAllowanceSharing(categoryName, share) {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+
+    const result = setBudgetCategorySharing(categoryName, share === true, email, householdId);
+    if (!result.success) {
+      return result;
+    }
+
+    const data = getExpenseTrackerData();
+    data.message = result.message;
+    return data;
+  } catch (error) {
+    Logger.log(`Error in setAllowanceSharing: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error updating sharing: ${error.message}` };
+  }
+}
+
 /**
  * Resets/finalizes the current pay period budgets
  * Called by ExpenseTracker.html for pay period management
@@ -1915,14 +2341,14 @@ function resetPayPeriod() {
       return { success: false, message: "No household found for current user" };
     }
     
-    // Reset the pay period budgets using DataProcessing.js function
-    const result = resetPayPeriodBudgets(householdId);
+    // Archive the closing period, then reset the pay period budgets
+    const result = finalizePayPeriod(householdId, email);
     
     if (result.success) {
       // Get updated data for the response
       const updatedData = getExpenseTrackerData();
       result.budgetCategories = updatedData.budgetCategories;
-      result.newPayPeriod = getCurrentPayPeriod();
+      result.newPayPeriod = getCurrentPayPeriod(householdId);
     }
     
     return result;
@@ -1935,6 +2361,30 @@ function resetPayPeriod() {
   }
 }
 
+/**
+ * Gets the archived pay period snapshots for the current household
+ * Called by ExpenseTracker.html for the history / compare view
+ * @return {Object} { success, periods } with periods newest first
+ */
+function getPayPeriodHistory() {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+
+    if (!householdId) {
+      return { success: false, message: "No household found for current user" };
+    }
+
+    return { success: true, periods: getPayPeriodArchive(householdId) };
+  } catch (error) {
+    Logger.log(`Error in getPayPeriodHistory: ${error}\nStack: ${error.stack}`);
+    return {
+      success: false,
+      message: `Error loading pay period history: ${error.message}`
+    };
+  }
+}
+
 /**
  * Gets recent expense entries for the current household
  * Called by ExpenseTracker.html for showing recent activity
@@ -1973,35 +2423,65 @@ function getRecentExpenses(limit = 10) {
       };
     }
 
-    // Get recent entries (columns: Date, Amount, Location, Category, Description, Email, HouseholdID, PayPeriod)
-    const startRow = Math.max(2, lastRow - limit + 1);
+    // Get recent entries (columns: Date, Amount, Location, Category, Description, Email, HouseholdID, PayPeriod, RefundOf, TransactionID,
+    // OriginalAmount, Currency, Tags)
+    // Read extra rows so split receipts near the cutoff still come back whole
+    const startRow = Math.max(2, lastRow - limit * 3 + 1);
     const numRows = lastRow - startRow + 1;
-    const data = sheet.getRange(startRow, 1, numRows, 8).getValues();
+    const data = sheet.getRange(startRow, 1, numRows, getExpenseTrackerWidth(sheet)).getValues();
     
     const expenses = [];
+    const splitsById = {};
     data.reverse().forEach((row, index) => { // Reverse to get most recent first
       const rowEmail = row[5] || "";
       const rowHouseholdId = row[6] || "";
+      const transactionId = row[9] ? String(row[9]) : "";
       
       // Filter by household membership
       if (householdEmails.some(he => he.toLowerCase() === rowEmail.toLowerCase()) ||
           (householdId && rowHouseholdId === householdId)) {
-        expenses.push({
-          date: row[0],
+        const currency = row[11] ? String(row[11]) : "";
+        const originalAmount = currency ? Number(row[10]) || 0 : null;
+        const line = { category: row[3], amount: row[1], originalAmount: originalAmount, rowIndex: lastRow - index };
+
+        // Collapse split receipt lines into one entry
+        if (transactionId && splitsById[transactionId]) {
+          const split = splitsById[transactionId];
+          split.lines.unshift(line); // Rows are visited bottom-up
+          split.amount += Number(row[1]) || 0;
+          if (split.currency) split.originalAmount += originalAmount || 0;
+          split.category = split.lines.map(l => l.category).join(" + ");
+          split.rowIndex = line.rowIndex;
+          return;
+        }
+
+        const expense = {
+          date: row[0] instanceof Date ? row[0].toISOString() : row[0], // Also used to verify edits/deletes
           amount: row[1],
           location: row[2],
           category: row[3],
           description: row[4],
           email: rowEmail,
           payPeriod: row[7],
-          rowIndex: lastRow - index // For potential future editing
-        });
+          refundOf: row[8] ? String(row[8]) : "",
+          transactionId: transactionId,
+          originalAmount: originalAmount, // Amount as paid when currency is set
+          currency: currency,
+          tags: parseExpenseTags(row[EXPENSE_TRACKER_COLUMNS.TAGS - 1]),
+          lines: transactionId ? [line] : null,
+          rowIndex: lastRow - index // Used by editExpense/deleteExpense
+        };
+        if (transactionId) splitsById[transactionId] = expense;
+        expenses.push(expense);
       }
     });
 
+    // Other members' personal allowances show amounts only, unless the owner shares them
+    const categoriesById = readBudgetCategoriesData(householdId).categoriesById;
+
     return {
       success: true,
-      expenses: expenses.slice(0, limit), // Ensure we don't exceed the limit
+      expenses: expenses.slice(0, limit).map(expense => redactPrivateExpense(expense, categoriesById, email)),
       totalCount: expenses.length
     };
   } catch (error) {
@@ -2015,55 +2495,176 @@ function getRecentExpenses(limit = 10) {
 }
 
 /**
- * Saves budget category configurations from the Admin panel
- * Called by Admin.html
- * @param {Array} categories Array of budget category objects
- * @return {Object} Result object with success status
+ * Searches the current household's expenses
+ * Called by ExpenseTracker.html from the Search Expenses panel
+ * @param {Object} filters Filters, sorting and paging (see searchHouseholdExpenses)
+ * @return {Object} Matching page of expenses with summary totals
  */
-function saveBudgetCategoriesData(categories) {
-  if (!isCurrentUserAdmin()) {
-    return { success: false, message: "Admin privileges required." };
-  }
-  
-  if (!Array.isArray(categories)) {
-    return { success: false, message: "Invalid categories data" };
+function searchExpenses(filters) {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+
+    return searchHouseholdExpenses(filters, email, householdId);
+  } catch (error) {
+    Logger.log(`Error in searchExpenses: ${error}\nStack: ${error.stack}`);
+    return {
+      success: false,
+      message: `Error searching expenses: ${error.message}`,
+      expenses: []
+    };
   }
+}
 
+/**
+ * Edits an expense for the current household
+ * Called by ExpenseTracker.html from the Recent Expenses list
+ * @param {number} rowIndex The expense's row in the Expense Tracker sheet
+ * @param {string} expectedDate The expense's ISO timestamp from getRecentExpenses
+ * @param {Object} updates Fields to change { amount, location, category, description, tags, date }
+ * @return {Object} Result with updated budget categories
+ */
+function editExpense(rowIndex, expectedDate, updates) {
   try {
     const email = Session.getEffectiveUser().getEmail();
     const householdId = getUserHouseholdId(email);
-    
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    let sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.BUDGET_CATEGORIES);
 
-    if (!sheet) {
-      setupBudgetCategoriesSheet();
-      sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.BUDGET_CATEGORIES);
+    const result = updateExpenseEntry(Number(rowIndex), expectedDate, updates, email, householdId);
+
+    if (result.success) {
+      const updatedData = getExpenseTrackerData();
+      result.budgetCategories = updatedData.budgetCategories;
+    }
+
+    return result;
+  } catch (error) {
+    Logger.log(`Error in editExpense: ${error}\nStack: ${error.stack}`);
+    return {
+      success: false,
+      message: `Error editing expense: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Deletes an expense for the current household
+ * Called by ExpenseTracker.html from the Recent Expenses list
+ * @param {number} rowIndex The expense's row in the Expense Tracker sheet
+ * @param {string} expectedDate The expense's ISO timestamp from getRecentExpenses
+ * @return {Object} Result with updated budget categories
+ */
+function deleteExpense(rowIndex, expectedDate) {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+
+    const result = deleteExpenseEntry(Number(rowIndex), expectedDate, email, householdId);
+
+    if (result.success) {
+      const updatedData = getExpenseTrackerData();
+      result.budgetCategories = updatedData.budgetCategories;
+    }
+
+    return result;
+  } catch (error) {
+    Logger.log(`Error in deleteExpense: ${error}\nStack: ${error.stack}`);
+    return {
+      success: false,
+      message: `Error deleting expense: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Saves budget category configurations from the Admin panel
+ * Called by Admin.html
+ * @param {Array} categories Array of budget category objects
+ * @return {Object} Result object with success status
+ */
+function saveBudgetCategoriesData(categories) {
+  if (!isCurrentUserAdmin()) {
+    return { success: false, message: "Admin privileges required." };
+  }
+  
+  if (!Array.isArray(categories)) {
+    return { success: false, message: "Invalid categories data" };
+  }
+
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+    
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.BUDGET_CATEGORIES);
+
+    if (!sheet) {
+      setupBudgetCategoriesSheet();
+      sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.BUDGET_CATEGORIES);
       if (!sheet) {
         return { success: false, message: "Budget Categories sheet could not be found or created." };
       }
     }
 
-    // Clear existing data (except header)
-    const lastRow = sheet.getLastRow();
-    if (lastRow > 1) {
-      sheet.getRange(2, 1, lastRow - 1, 8).clearContent();
+    const numColumns = Object.keys(BUDGET_CATEGORY_COLUMNS).length;
+    if (sheet.getMaxColumns() < numColumns) {
+      setupBudgetCategoriesSheet(); // Adds the rollover, alert, owner and approval columns to older sheets
     }
 
-    // Write new data if any exists
-    if (categories.length > 0) {
+    // A personal allowance must belong to someone in the household
+    const members = (householdId ? getHouseholdEmails(householdId) : [email]).map(member => member.toLowerCase());
+    const strayOwner = categories.find(category =>
+      category.ownerEmail && !members.includes(String(category.ownerEmail).trim().toLowerCase()));
+    if (strayOwner) {
+      return { success: false, message: `${strayOwner.ownerEmail} (owner of ${strayOwner.name}) isn't a member of this household.` };
+    }
+
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(10000)) {
+      return { success: false, message: "Budget categories are being updated. Please try again." };
+    }
+
+    try {
+      // Only this household's rows are touched; every other household's rows stay where they are
+      const lastRow = sheet.getLastRow();
+      const existingData = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, numColumns).getValues() : [];
+      const ownRowNumbers = [];
+      const lastResetByName = {};
+      existingData.forEach((row, index) => {
+        if (!String(row[0]).trim() || !isHouseholdBudgetRow(row[BUDGET_CATEGORY_COLUMNS.HOUSEHOLD_ID - 1], householdId)) return;
+        ownRowNumbers.push(index + 2);
+        lastResetByName[String(row[0]).trim()] = row[BUDGET_CATEGORY_COLUMNS.LAST_RESET - 1];
+      });
+
       const newData = categories.map(category => [
         category.name || "",
         typeof category.monthlyBudget === 'number' ? category.monthlyBudget : 0,
         typeof category.currentSpent === 'number' ? category.currentSpent : 0,
         typeof category.payPeriodBudget === 'number' ? category.payPeriodBudget : 0,
         typeof category.payPeriodSpent === 'number' ? category.payPeriodSpent : 0,
-        category.lastReset instanceof Date ? category.lastReset : new Date(),
-        householdId || null,
-        category.isActive !== false // Default to true
+        lastResetByName[String(category.name || "").trim()] instanceof Date ? lastResetByName[String(category.name || "").trim()] : new Date(),
+        householdId || "",
+        category.isActive !== false, // Default to true
+        CONFIG.EXPENSE_SETTINGS.ROLLOVER_MODES.includes(category.rolloverMode) ? category.rolloverMode : "none",
+        typeof category.rolloverCap === 'number' && category.rolloverCap >= 0 ? category.rolloverCap : "",
+        typeof category.rolloverAmount === 'number' ? category.rolloverAmount : 0,
+        category.alertThresholds === undefined ? "" : formatAlertThresholds(parseAlertThresholds(category.alertThresholds)),
+        category.ownerEmail ? String(category.ownerEmail).trim().toLowerCase() : "",
+        category.ownerEmail ? category.shareDetails === true : false,
+        parseApprovalThreshold(category.approvalThreshold) === null ? "" : parseApprovalThreshold(category.approvalThreshold)
       ]);
-      
-      sheet.getRange(2, 1, newData.length, 8).setValues(newData);
+
+      // Reuse the household's existing rows in order, then append or delete the difference
+      newData.slice(0, ownRowNumbers.length).forEach((row, index) => {
+        sheet.getRange(ownRowNumbers[index], 1, 1, numColumns).setValues([row]);
+      });
+      const extraRows = newData.slice(ownRowNumbers.length);
+      if (extraRows.length > 0) {
+        sheet.getRange(sheet.getLastRow() + 1, 1, extraRows.length, numColumns).setValues(extraRows);
+      }
+      // Bottom-up so earlier row numbers stay valid while deleting
+      ownRowNumbers.slice(newData.length).reverse().forEach(rowNumber => sheet.deleteRow(rowNumber));
+    } finally {
+      lock.releaseLock();
     }
 
     // Clear cache to force refresh
@@ -2079,6 +2680,734 @@ function saveBudgetCategoriesData(categories) {
   }
 }
 
+/**
+ * Gets the pay period schedule for the current user's household
+ * Called by ExpenseTracker.html for the pay schedule settings
+ * @return {Object} Schedule, current period and a preview of upcoming periods
+ */
+function getPayPeriodSettings() {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+    const schedule = getPayPeriodSchedule(householdId);
+    const currentPeriod = getPayPeriodForDate(new Date(), schedule);
+
+    const upcomingPeriods = [];
+    for (let offset = 1; offset <= 3; offset++) {
+      upcomingPeriods.push(serializePayPeriod(getAdjacentPayPeriod(currentPeriod, schedule, offset)));
+    }
+
+    return {
+      success: true,
+      schedule: schedule,
+      scheduleTypes: CONFIG.PAY_PERIOD_SETTINGS.SCHEDULE_TYPES,
+      currentPeriod: serializePayPeriod(currentPeriod),
+      upcomingPeriods: upcomingPeriods
+    };
+  } catch (error) {
+    Logger.log(`Error in getPayPeriodSettings: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error loading pay schedule: ${error.message}` };
+  }
+}
+
+/**
+ * Saves the pay period schedule for the current user's household
+ * Called by ExpenseTracker.html
+ * @param {Object} schedule The schedule { type, anchorDate, splitDay, startDay }
+ * @return {Object} Result object with success status and the refreshed settings
+ */
+function savePayPeriodSettings(schedule) {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+
+    const result = savePayPeriodSchedule(householdId, schedule);
+    if (!result.success) {
+      return result;
+    }
+
+    const settings = getPayPeriodSettings();
+    settings.message = result.message;
+    return settings;
+  } catch (error) {
+    Logger.log(`Error in savePayPeriodSettings: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error saving pay schedule: ${error.message}` };
+  }
+}
+
+/**
+ * Gets the current household's recurring expenses
+ * Called by ExpenseTracker.html for the recurring expenses manager
+ * @return {Object} { success, items, monthlyTotal, cadences }
+ */
+function getRecurringExpenses() {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+    const data = readRecurringExpenses(householdId, email);
+
+    return {
+      success: true,
+      items: data.items,
+      monthlyTotal: data.monthlyTotal,
+      cadences: CONFIG.RECURRING_EXPENSE_SETTINGS.CADENCES
+    };
+  } catch (error) {
+    Logger.log(`Error in getRecurringExpenses: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error loading recurring expenses: ${error.message}` };
+  }
+}
+
+/**
+ * Creates or updates a recurring expense for the current household
+ * Called by ExpenseTracker.html
+ * @param {Object} item { id?, amount, location, category, description, cadence, startDate, isActive }
+ * @return {Object} Result with the refreshed recurring expense list
+ */
+function saveRecurringExpense(item) {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+
+    const result = upsertRecurringExpense(item, email, householdId);
+    if (!result.success) {
+      return result;
+    }
+
+    const data = getRecurringExpenses();
+    data.message = result.message;
+    return data;
+  } catch (error) {
+    Logger.log(`Error in saveRecurringExpense: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error saving recurring expense: ${error.message}` };
+  }
+}
+
+/**
+ * Deletes a recurring expense for the current household
+ * Called by ExpenseTracker.html
+ * @param {string} id The RecurringID
+ * @return {Object} Result with the refreshed recurring expense list
+ */
+function deleteRecurringExpense(id) {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+
+    const result = removeRecurringExpense(id, email, householdId);
+    if (!result.success) {
+      return result;
+    }
+
+    const data = getRecurringExpenses();
+    data.message = result.message;
+    return data;
+  } catch (error) {
+    Logger.log(`Error in deleteRecurringExpense: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error deleting recurring expense: ${error.message}` };
+  }
+}
+
+/**
+ * Gets the bill list and a month of the bill calendar for the current household
+ * Called by ExpenseTracker.html
+ * @param {string} [month] Calendar month as yyyy-MM (defaults to the current month)
+ * @return {Object} Result with bills, overdue, upcoming and calendar
+ */
+function getBills(month) {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+    const data = readBills(householdId, email, month);
+
+    return {
+      success: true,
+      bills: data.bills,
+      overdue: data.overdue,
+      upcoming: data.upcoming,
+      calendar: data.calendar,
+      cadences: CONFIG.BILL_SETTINGS.CADENCES,
+      defaultRemindDays: CONFIG.BILL_SETTINGS.DEFAULT_REMIND_DAYS
+    };
+  } catch (error) {
+    Logger.log(`Error in getBills: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error loading bills: ${error.message}` };
+  }
+}
+
+/**
+ * Creates or updates a bill for the current household
+ * Called by ExpenseTracker.html
+ * @param {Object} bill { id?, payee, amount, isEstimate, cadence, firstDue, autopay, category, remindDays, isActive }
+ * @param {string} [month] Calendar month to return (yyyy-MM)
+ * @return {Object} Result with the refreshed bills
+ */
+function saveBill(bill, month) {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+
+    const result = upsertBill(bill, email, householdId);
+    if (!result.success) {
+      return result;
+    }
+
+    const data = getBills(month);
+    data.message = result.message;
+    return data;
+  } catch (error) {
+    Logger.log(`Error in saveBill: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error saving bill: ${error.message}` };
+  }
+}
+
+/**
+ * Deletes a bill for the current household
+ * Called by ExpenseTracker.html
+ * @param {string} id The BillID
+ * @param {string} [month] Calendar month to return (yyyy-MM)
+ * @return {Object} Result with the refreshed bills
+ */
+function deleteBill(id, month) {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+
+    const result = removeBill(id, email, householdId);
+    if (!result.success) {
+      return result;
+    }
+
+    const data = getBills(month);
+    data.message = result.message;
+    return data;
+  } catch (error) {
+    Logger.log(`Error in deleteBill: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error deleting bill: ${error.message}` };
+  }
+}
+
+/**
+ * Marks a bill's next occurrence paid and logs it to the Expense Tracker
+ * Called by ExpenseTracker.html
+ * @param {string} id The BillID
+ * @param {number|string} [amount] Amount paid (defaults to the bill's amount)
+ * @param {string} [month] Calendar month to return (yyyy-MM)
+ * @return {Object} Result with the refreshed bills
+ */
+function payBill(id, amount, month) {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+
+    const result = markBillPaid(id, amount, email, householdId);
+    if (!result.success) {
+      return result;
+    }
+
+    const data = getBills(month);
+    data.message = result.message;
+    return data;
+  } catch (error) {
+    Logger.log(`Error in payBill: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error marking bill paid: ${error.message}` };
+  }
+}
+
+/**
+ * Resolves which household a statement import targets.
+ * Members import into their own household; admins may pick any household from the Admin view.
+ * @param {string|null} targetHouseholdId Household chosen in Admin.html (omit for the user's own).
+ * @return {Object} { success, message, email, householdId }
+ * @private
+ */
+function _resolveStatementImportHousehold(targetHouseholdId) {
+  const email = Session.getEffectiveUser().getEmail();
+  const ownHouseholdId = getUserHouseholdId(email);
+
+  if (!targetHouseholdId || targetHouseholdId === ownHouseholdId) {
+    return { success: true, email: email, householdId: ownHouseholdId };
+  }
+  if (!isCurrentUserAdmin()) {
+    return { success: false, message: "Admin privileges required to import for another household." };
+  }
+  if (!getHouseholdName(targetHouseholdId)) {
+    return { success: false, message: "Household not found." };
+  }
+  return { success: true, email: email, householdId: targetHouseholdId };
+}
+
+/**
+ * Gets the saved statement column mapping for a household
+ * Called by the StatementImport include (Expense Tracker and Admin)
+ * @param {string|null} targetHouseholdId Optional household (admins only)
+ * @return {Object} { success, mapping, dateFormats }
+ */
+function getStatementImportSettings(targetHouseholdId = null) {
+  try {
+    const target = _resolveStatementImportHousehold(targetHouseholdId);
+    if (!target.success) {
+      return target;
+    }
+
+    return {
+      success: true,
+      mapping: getStatementImportMapping(target.householdId),
+      dateFormats: CONFIG.STATEMENT_IMPORT_SETTINGS.DATE_FORMATS
+    };
+  } catch (error) {
+    Logger.log(`Error in getStatementImportSettings: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error loading import settings: ${error.message}` };
+  }
+}
+
+/**
+ * Saves the column mapping and parses a CSV statement into preview rows
+ * Called by the StatementImport include
+ * @param {string} csvText The statement file contents
+ * @param {Object} mapping The column mapping
+ * @param {string|null} targetHouseholdId Optional household (admins only)
+ * @return {Object} { success, message, rows, skipped, categories }
+ */
+function previewStatementImport(csvText, mapping, targetHouseholdId = null) {
+  try {
+    const target = _resolveStatementImportHousehold(targetHouseholdId);
+    if (!target.success) {
+      return target;
+    }
+
+    const saveResult = saveStatementImportMapping(target.householdId, mapping);
+    if (!saveResult.success) {
+      return saveResult;
+    }
+
+    return buildStatementImportPreview(csvText, saveResult.mapping, target.householdId, target.email);
+  } catch (error) {
+    Logger.log(`Error in previewStatementImport: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error reading statement: ${error.message}` };
+  }
+}
+
+/**
+ * Imports the accepted statement rows as expenses
+ * Called by the StatementImport include
+ * @param {Array<Object>} rows Preview rows the user kept
+ * @param {string|null} targetHouseholdId Optional household (admins only)
+ * @return {Object} Result object { success, message, imported, total }
+ */
+function commitStatementImport(rows, targetHouseholdId = null) {
+  try {
+    const target = _resolveStatementImportHousehold(targetHouseholdId);
+    if (!target.success) {
+      return target;
+    }
+
+    return importStatementRows(rows, target.email, target.householdId);
+  } catch (error) {
+    Logger.log(`Error in commitStatementImport: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error importing statement: ${error.message}` };
+  }
+}
+
+/**
+ * Gets the current pay period's income, allocation totals and allocation targets
+ * Called by ExpenseTracker.html for the income header and allocation flow
+ * @return {Object} { success, payPeriod, income, allocated, spent, unassigned, entries, categories, goals }
+ */
+function getIncomeData() {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+    const summary = getIncomeSummary(householdId, email);
+    summary.success = true;
+    return summary;
+  } catch (error) {
+    Logger.log(`Error in getIncomeData: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error loading income: ${error.message}` };
+  }
+}
+
+/**
+ * Records income for the current household
+ * Called by ExpenseTracker.html
+ * @param {Object} entry { date, amount, source, description }
+ * @return {Object} Result with the refreshed income data and the new entry's id
+ */
+function saveIncome(entry) {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+
+    const result = recordIncome(entry, email, householdId);
+    if (!result.success) {
+      return result;
+    }
+
+    const data = getIncomeData();
+    data.message = result.message;
+    data.id = result.id;
+    return data;
+  } catch (error) {
+    Logger.log(`Error in saveIncome: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error recording income: ${error.message}` };
+  }
+}
+
+/**
+ * Saves how an income entry is allocated across budget categories and goals
+ * Called by ExpenseTracker.html
+ * @param {string} incomeId The IncomeID
+ * @param {Array<Object>} allocations [{ type: "category", name, amount } | { type: "goal", goalId, amount }]
+ * @return {Object} Result with the refreshed income data
+ */
+function saveIncomeAllocation(incomeId, allocations) {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+
+    const result = allocateIncome(incomeId, allocations, email, householdId);
+    if (!result.success) {
+      return result;
+    }
+
+    const data = getIncomeData();
+    data.message = result.message;
+    return data;
+  } catch (error) {
+    Logger.log(`Error in saveIncomeAllocation: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error saving allocation: ${error.message}` };
+  }
+}
+
+/**
+ * Deletes an income entry for the current household
+ * Called by ExpenseTracker.html
+ * @param {string} id The IncomeID
+ * @return {Object} Result with the refreshed income data
+ */
+function deleteIncome(id) {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const householdId = getUserHouseholdId(email);
+
+    const result = removeIncome(id, email, householdId);
+    if (!result.success) {
+      return result;
+    }
+
+    const data = getIncomeData();
+    data.message = result.message;
+    return data;
+  } catch (error) {
+    Logger.log(`Error in deleteIncome: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error deleting income: ${error.message}` };
+  }
+}
+
+/**
+ * Resolves the household an admin tool (location cleanup, categorization rules) works on
+ * @param {string|null} targetHouseholdId Household chosen in the Admin panel (blank for the admin's own)
+ * @return {Object} { success, message?, householdId }
+ * @private
+ */
+function _resolveAdminTargetHousehold(targetHouseholdId) {
+  if (!isCurrentUserAdmin()) {
+    return { success: false, message: "Admin privileges required." };
+  }
+  if (!targetHouseholdId) {
+    return { success: true, householdId: getUserHouseholdId(Session.getEffectiveUser().getEmail()) };
+  }
+  if (!getHouseholdName(targetHouseholdId)) {
+    return { success: false, message: "Household not found." };
+  }
+  return { success: true, householdId: targetHouseholdId };
+}
+
+/**
+ * Finds groups of location spellings that look like duplicates
+ * Called by Admin.html for the location cleanup tool
+ * @param {string|null} targetHouseholdId Household to check (blank for the admin's own)
+ * @return {Object} { success, groups }
+ */
+function getLocationDuplicates(targetHouseholdId = null) {
+  try {
+    const target = _resolveAdminTargetHousehold(targetHouseholdId);
+    if (!target.success) {
+      return target;
+    }
+
+    return { success: true, groups: findDuplicateLocationGroups(target.householdId) };
+  } catch (error) {
+    Logger.log(`Error in getLocationDuplicates: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error finding duplicate locations: ${error.message}` };
+  }
+}
+
+/**
+ * Merges duplicate locations into one name and renames past expenses
+ * Called by Admin.html for the location cleanup tool
+ * @param {string|null} targetHouseholdId Household to merge in (blank for the admin's own)
+ * @param {string} canonicalName The name to keep
+ * @param {Array<string>} duplicateNames Spellings to fold into it
+ * @return {Object} Result with the refreshed duplicate groups
+ */
+function mergeDuplicateLocations(targetHouseholdId, canonicalName, duplicateNames) {
+  try {
+    const target = _resolveAdminTargetHousehold(targetHouseholdId);
+    if (!target.success) {
+      return target;
+    }
+
+    const result = mergeLocations(canonicalName, duplicateNames, target.householdId);
+    if (!result.success) {
+      return result;
+    }
+
+    result.groups = findDuplicateLocationGroups(target.householdId);
+    return result;
+  } catch (error) {
+    Logger.log(`Error in mergeDuplicateLocations: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error merging locations: ${error.message}` };
+  }
+}
+
+/**
+ * Lists the expense tags a household has used
+ * Called by Admin.html for the tag cleanup tool
+ * @param {string|null} targetHouseholdId Household to check (blank for the admin's own)
+ * @return {Object} { success, tags: [{ tag, count, total }] }
+ */
+function getExpenseTagSummary(targetHouseholdId = null) {
+  try {
+    const target = _resolveAdminTargetHousehold(targetHouseholdId);
+    if (!target.success) {
+      return target;
+    }
+
+    return { success: true, tags: getHouseholdExpenseTags(target.householdId, Session.getEffectiveUser().getEmail()) };
+  } catch (error) {
+    Logger.log(`Error in getExpenseTagSummary: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error loading expense tags: ${error.message}` };
+  }
+}
+
+/**
+ * Renames or merges an expense tag on every past expense of a household
+ * (except other members' private allowances)
+ * Called by Admin.html for the tag cleanup tool
+ * @param {string|null} targetHouseholdId Household to update (blank for the admin's own)
+ * @param {string} fromTag The tag to rename
+ * @param {string} toTag The new name (an existing tag merges the two)
+ * @return {Object} Result with the refreshed tag list
+ */
+function renameExpenseTagForHousehold(targetHouseholdId, fromTag, toTag) {
+  try {
+    const target = _resolveAdminTargetHousehold(targetHouseholdId);
+    if (!target.success) {
+      return target;
+    }
+
+    const email = Session.getEffectiveUser().getEmail();
+    const result = renameExpenseTag(fromTag, toTag, target.householdId, email);
+    if (!result.success) {
+      return result;
+    }
+
+    result.tags = getHouseholdExpenseTags(target.householdId, email);
+    return result;
+  } catch (error) {
+    Logger.log(`Error in renameExpenseTagForHousehold: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error renaming tag: ${error.message}` };
+  }
+}
+
+/**
+ * Gets the categorization rules for a household
+ * Called by Admin.html for the categorization rules editor
+ * @param {string|null} targetHouseholdId Household to load (blank for the admin's own)
+ * @return {Object} { success, rules, categories }
+ */
+function getCategorizationRules(targetHouseholdId = null) {
+  try {
+    const target = _resolveAdminTargetHousehold(targetHouseholdId);
+    if (!target.success) {
+      return target;
+    }
+
+    return {
+      success: true,
+      rules: readCategorizationRules(target.householdId),
+      categories: readBudgetCategoriesData(target.householdId).categories.map(category => category.name)
+    };
+  } catch (error) {
+    Logger.log(`Error in getCategorizationRules: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error loading categorization rules: ${error.message}` };
+  }
+}
+
+/**
+ * Adds or updates a categorization rule
+ * Called by Admin.html for the categorization rules editor
+ * @param {string|null} targetHouseholdId Household the rule belongs to (blank for the admin's own)
+ * @param {Object} rule The rule (ruleId blank to add)
+ * @return {Object} Result with the refreshed rules
+ */
+function saveCategorizationRule(targetHouseholdId, rule) {
+  try {
+    const target = _resolveAdminTargetHousehold(targetHouseholdId);
+    if (!target.success) {
+      return target;
+    }
+
+    const result = upsertCategorizationRule(rule, target.householdId);
+    if (!result.success) {
+      return result;
+    }
+
+    const data = getCategorizationRules(targetHouseholdId);
+    data.message = result.message;
+    data.ruleId = result.ruleId;
+    return data;
+  } catch (error) {
+    Logger.log(`Error in saveCategorizationRule: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error saving rule: ${error.message}` };
+  }
+}
+
+/**
+ * Deletes a categorization rule
+ * Called by Admin.html for the categorization rules editor
+ * @param {string|null} targetHouseholdId Household the rule belongs to (blank for the admin's own)
+ * @param {string} ruleId The rule to delete
+ * @return {Object} Result with the refreshed rules
+ */
+function deleteCategorizationRule(targetHouseholdId, ruleId) {
+  try {
+    const target = _resolveAdminTargetHousehold(targetHouseholdId);
+    if (!target.success) {
+      return target;
+    }
+
+    const result = removeCategorizationRule(ruleId, target.householdId);
+    if (!result.success) {
+      return result;
+    }
+
+    const data = getCategorizationRules(targetHouseholdId);
+    data.message = result.message;
+    return data;
+  } catch (error) {
+    Logger.log(`Error in deleteCategorizationRule: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error deleting rule: ${error.message}` };
+  }
+}
+
+/**
+ * Tests a rule against a household's past expenses without saving it
+ * Called by Admin.html for the categorization rules editor
+ * @param {string|null} targetHouseholdId Household whose expenses are checked (blank for the admin's own)
+ * @param {Object} rule The rule to test
+ * @return {Object} Test result (see testCategorizationRule)
+ */
+function testCategorizationRuleAgainstHistory(targetHouseholdId, rule) {
+  try {
+    const target = _resolveAdminTargetHousehold(targetHouseholdId);
+    if (!target.success) {
+      return target;
+    }
+
+    return testCategorizationRule(rule, target.householdId);
+  } catch (error) {
+    Logger.log(`Error in testCategorizationRuleAgainstHistory: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error testing rule: ${error.message}` };
+  }
+}
+
+/**
+ * Gets a household's budget templates and the coming year's budget calendar
+ * Called by Admin.html for the budget templates editor
+ * @param {string|null} targetHouseholdId Household to load (blank for the admin's own)
+ * @return {Object} { success, templates, categories: [{ name, flatBudget }], calendar }
+ */
+function getBudgetTemplates(targetHouseholdId = null) {
+  try {
+    const target = _resolveAdminTargetHousehold(targetHouseholdId);
+    if (!target.success) {
+      return target;
+    }
+
+    return {
+      success: true,
+      templates: readBudgetTemplates(target.householdId),
+      categories: readBudgetCategoriesData(target.householdId).categories.map(category => ({
+        name: category.name,
+        flatBudget: category.flatPayPeriodBudget
+      })),
+      calendar: getBudgetCalendar(target.householdId)
+    };
+  } catch (error) {
+    Logger.log(`Error in getBudgetTemplates: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error loading budget templates: ${error.message}` };
+  }
+}
+
+/**
+ * Adds or updates a budget template
+ * Called by Admin.html for the budget templates editor
+ * @param {string|null} targetHouseholdId Household the template belongs to (blank for the admin's own)
+ * @param {Object} template The template (templateId blank to add)
+ * @return {Object} Result with the refreshed templates and calendar
+ */
+function saveBudgetTemplate(targetHouseholdId, template) {
+  try {
+    const target = _resolveAdminTargetHousehold(targetHouseholdId);
+    if (!target.success) {
+      return target;
+    }
+
+    const result = upsertBudgetTemplate(template, target.householdId);
+    if (!result.success) {
+      return result;
+    }
+
+    const data = getBudgetTemplates(targetHouseholdId);
+    data.message = result.message;
+    data.templateId = result.templateId;
+    return data;
+  } catch (error) {
+    Logger.log(`Error in saveBudgetTemplate: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error saving template: ${error.message}` };
+  }
+}
+
+/**
+ * Deletes a budget template
+ * Called by Admin.html for the budget templates editor
+ * @param {string|null} targetHouseholdId Household the template belongs to (blank for the admin's own)
+ * @param {string} templateId The template to delete
+ * @return {Object} Result with the refreshed templates and calendar
+ */
+function deleteBudgetTemplate(targetHouseholdId, templateId) {
+  try {
+    const target = _resolveAdminTargetHousehold(targetHouseholdId);
+    if (!target.success) {
+      return target;
+    }
+
+    const result = removeBudgetTemplate(templateId, target.householdId);
+    if (!result.success) {
+      return result;
+    }
+
+    const data = getBudgetTemplates(targetHouseholdId);
+    data.message = result.message;
+    return data;
+  } catch (error) {
+    Logger.log(`Error in deleteBudgetTemplate: ${error}\nStack: ${error.stack}`);
+    return { success: false, message: `Error deleting template: ${error.message}` };
+  }
+}
+
 // --- ACCOUNT SWITCHING FUNCTIONS ---
 
 /**